@@ -0,0 +1,137 @@
+/**
+ * Dashboard Auth
+ * Checks the admin session before the dashboard loads, shows the login form otherwise
+ */
+
+const DashboardAuth = {
+  session: null,
+  ready: null,
+  resolveReady: null,
+
+  /**
+   * Initialize auth
+   */
+  init() {
+    this.setupEventListeners();
+    this.checkSession();
+  },
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    const loginForm = document.getElementById('login-form');
+    if (loginForm) {
+      loginForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.login(document.getElementById('admin-token')?.value || '');
+      });
+    }
+
+    const logoutButton = document.getElementById('logout-button');
+    if (logoutButton) {
+      logoutButton.addEventListener('click', () => this.logout());
+    }
+  },
+
+  /**
+   * Load the current session (a bearer token can't be sent by the browser, so this is the cookie)
+   */
+  async checkSession() {
+    try {
+      const response = await fetch('/api/admin/session');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        this.start(result.data);
+      } else {
+        this.showLogin();
+      }
+    } catch (error) {
+      console.error('Error checking admin session:', error);
+      this.showLogin('Could not reach the server');
+    }
+  },
+
+  /**
+   * Exchange an admin token for a session
+   * @param {string} token - Admin or viewer token
+   */
+  async login(token) {
+    if (!token.trim()) return;
+
+    try {
+      const response = await fetch('/api/admin/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: token.trim() })
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        this.start(result.data);
+      } else {
+        this.showLogin(result.message || 'Login failed');
+      }
+    } catch (error) {
+      console.error('Error logging in:', error);
+      this.showLogin('Could not reach the server');
+    }
+  },
+
+  /**
+   * End the session and go back to the login form
+   */
+  async logout() {
+    try {
+      await fetch('/api/admin/session', { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    window.location.reload();
+  },
+
+  /**
+   * Show the login form
+   * @param {string} message - Error message
+   */
+  showLogin(message = '') {
+    const overlay = document.getElementById('login-overlay');
+    const error = document.getElementById('login-error');
+    if (overlay) overlay.hidden = false;
+    if (error) error.textContent = message;
+    document.getElementById('admin-token')?.focus();
+  },
+
+  /**
+   * Start the dashboard for a session
+   * @param {object} session - { role, expiresAt }
+   */
+  start(session) {
+    if (this.session) return;
+    this.session = session;
+
+    // Viewers can't change anything: [data-role="viewer"] hides the .operator-only controls
+    document.documentElement.setAttribute('data-role', session.role);
+
+    const overlay = document.getElementById('login-overlay');
+    if (overlay) overlay.hidden = true;
+
+    const role = document.getElementById('admin-role');
+    if (role) role.textContent = session.role;
+
+    this.resolveReady(session);
+  }
+};
+
+// Dashboard and CacheManager start when this resolves with the session
+DashboardAuth.ready = new Promise(resolve => {
+  DashboardAuth.resolveReady = resolve;
+});
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => DashboardAuth.init());
+} else {
+  DashboardAuth.init();
+}
@@ -9,6 +9,7 @@ const CacheManager = {
   allEntries: [],
   filteredEntries: [],
   filterPattern: '',
+  warmTimer: null,
 
   /**
    * Initialize cache manager
@@ -16,6 +17,7 @@ const CacheManager = {
   init() {
     this.setupEventListeners();
     this.loadCacheEntries();
+    this.loadWarmPresets();
   },
 
   /**
@@ -26,6 +28,7 @@ const CacheManager = {
     const cachePattern = document.getElementById('cache-pattern');
     const refreshCache = document.getElementById('refresh-cache');
     const clearCache = document.getElementById('clear-cache');
+    const warmCache = document.getElementById('warm-cache');
 
     if (cacheFilter) {
       cacheFilter.addEventListener('input', (e) => {
@@ -52,6 +55,12 @@ const CacheManager = {
         this.clearCache();
       });
     }
+
+    if (warmCache) {
+      warmCache.addEventListener('click', () => {
+        this.warmCache();
+      });
+    }
   },
 
   /**
@@ -64,7 +73,7 @@ const CacheManager = {
     tbody.innerHTML = '<tr><td colspan="7" class="loading">Loading cache entries...</td></tr>';
 
     try {
-      const response = await fetch('/api/dashboard/cache/manage?limit=1000&offset=0');
+      const response = await fetch('/api/dashboard/cache/manage?limit=500&offset=0');
       const result = await response.json();
 
       if (result.status === 'success' && result.data.entries) {
@@ -136,7 +145,7 @@ const CacheManager = {
       return `
         <tr>
           <td title="${entry.key}">${this.truncate(entry.key, 50)}</td>
-          <td><span class="badge">${entry.level}</span></td>
+          <td><span class="badge">${entry.level}${entry.backend && entry.backend !== 'memory' ? ` · ${entry.backend}` : ''}</span></td>
           <td>${sizeFormatted}</td>
           <td>${entry.accessCount || 0}</td>
           <td>${lastAccessed}</td>
@@ -224,6 +233,126 @@ const CacheManager = {
     }
   },
 
+  /**
+   * Load warm presets into the preset select
+   */
+  async loadWarmPresets() {
+    const select = document.getElementById('warm-preset');
+    if (!select) return;
+
+    try {
+      const response = await fetch('/api/dashboard/cache/manage/warm');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        select.innerHTML = '<option value="">Custom paths...</option>' + result.data.presets.map(preset => `
+          <option value="${preset.id}" title="${preset.description}">${preset.id}</option>
+        `).join('');
+      }
+    } catch (error) {
+      console.error('Error loading warm presets:', error);
+    }
+  },
+
+  /**
+   * Start cache warming for the selected preset or custom paths
+   */
+  async warmCache() {
+    const preset = document.getElementById('warm-preset')?.value;
+    const body = {};
+
+    if (preset) {
+      body.presets = [preset];
+    } else {
+      const input = prompt('Paths to warm (comma-separated):', '/terbaru?page=1');
+      if (!input) return;
+      body.paths = input.split(',').map(path => path.trim()).filter(Boolean);
+    }
+
+    try {
+      const response = await fetch('/api/dashboard/cache/manage/warm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        this.renderWarmJob(result.data);
+        this.pollWarmJob(result.data.id);
+      } else {
+        const details = Array.isArray(result.data) ? `\n${result.data.join('\n')}` : '';
+        alert(`Error: ${result.message || 'Failed to start cache warming'}${details}`);
+      }
+    } catch (error) {
+      console.error('Error warming cache:', error);
+      alert('Error warming cache. Please try again.');
+    }
+  },
+
+  /**
+   * Poll warm job until it finishes
+   * @param {string} jobId - Warm job ID
+   */
+  pollWarmJob(jobId) {
+    clearTimeout(this.warmTimer);
+
+    this.warmTimer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/dashboard/cache/manage/warm/${jobId}`);
+        const result = await response.json();
+        if (result.status !== 'success') return;
+
+        this.renderWarmJob(result.data);
+        if (result.data.status === 'resolving' || result.data.status === 'running') {
+          this.pollWarmJob(jobId);
+        } else {
+          this.loadCacheEntries();
+        }
+      } catch (error) {
+        console.error('Error loading warm job:', error);
+      }
+    }, 1000);
+  },
+
+  /**
+   * Render warm job progress and per-key results
+   * @param {object} job - Warm job
+   */
+  renderWarmJob(job) {
+    const container = document.getElementById('warm-progress');
+    if (!container) return;
+
+    const percent = job.total > 0 ? Math.round((job.completed / job.total) * 100) : 0;
+    const results = job.results || [];
+
+    container.hidden = false;
+    container.innerHTML = `
+      <div class="warm-summary">
+        <span>Warm ${job.presets.join(', ') || 'paths'}: ${job.status}${job.error ? ` (${job.error})` : ''}</span>
+        <span>${job.completed}/${job.total} · ${(job.duration / 1000).toFixed(1)}s</span>
+      </div>
+      <div class="warm-bar"><div class="warm-bar-fill" style="width: ${percent}%"></div></div>
+      <div class="warm-results">
+        <table>
+          <tbody>
+            ${results.map(result => `
+              <tr>
+                <td title="${result.path}">${this.truncate(result.path, 60)}</td>
+                <td class="${result.success ? 'warm-ok' : 'warm-fail'}">${result.status || 'error'}</td>
+                <td>${result.cache || '-'}</td>
+                <td>${result.duration}ms</td>
+                <td>${this.formatSize(result.size)}</td>
+                <td title="${result.error || ''}">${this.truncate(result.error || '', 40)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  },
+
   /**
    * Format size in bytes to human-readable format
    */
@@ -245,9 +374,6 @@ const CacheManager = {
 };
 
 // Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => CacheManager.init());
-} else {
-  CacheManager.init();
-}
+// Starts after login (see auth.js)
+DashboardAuth.ready.then(() => CacheManager.init());
 
@@ -87,6 +87,17 @@ const Dashboard = {
       });
     }
 
+    // Circuit breakers
+    const refreshCircuits = document.getElementById('refresh-circuits');
+    if (refreshCircuits) {
+      refreshCircuits.addEventListener('click', () => this.loadCircuits());
+    }
+
+    const resetCircuits = document.getElementById('reset-circuits');
+    if (resetCircuits) {
+      resetCircuits.addEventListener('click', () => this.resetCircuits());
+    }
+
     // Table sorting
     const tableHeaders = document.querySelectorAll('#endpoints-table th[data-sort]');
     tableHeaders.forEach(header => {
@@ -198,7 +209,8 @@ const Dashboard = {
     await Promise.all([
       this.loadStats(),
       this.loadAnalytics('1h'),
-      this.loadProviders()
+      this.loadProviders(),
+      this.loadCircuits()
     ]);
   },
 
@@ -241,7 +253,7 @@ const Dashboard = {
    */
   async loadProviders() {
     try {
-      const response = await fetch('/providers');
+      const response = await fetch('/api/dashboard/providers');
       const result = await response.json();
 
       if (result.status === 'success' && result.data) {
@@ -427,16 +439,193 @@ const Dashboard = {
 
     grid.innerHTML = providers.map(provider => `
       <div class="provider-card">
-        <h3>${provider.name}</h3>
+        <h3>${provider.name}${provider.default ? ' <span class="provider-default">Default</span>' : ''}</h3>
         <p><strong>ID:</strong> ${provider.id}</p>
-        <p><strong>Base URL:</strong> ${provider.baseUrl || 'N/A'}</p>
         <span class="provider-status ${provider.enabled ? 'enabled' : 'disabled'}">
           ${provider.enabled ? 'Enabled' : 'Disabled'}
         </span>
+        <div class="provider-settings operator-only">
+          <input type="url" id="provider-url-${provider.id}" value="${provider.baseUrl || ''}" placeholder="Base URL">
+          <div class="provider-actions">
+            <button class="btn-primary" onclick="Dashboard.saveProviderUrl('${provider.id}')">Save URL</button>
+            <button class="btn-danger" ${provider.default ? 'disabled' : ''}
+              onclick="Dashboard.updateProvider('${provider.id}', { enabled: ${!provider.enabled} })">
+              ${provider.enabled ? 'Disable' : 'Enable'}
+            </button>
+            <button class="btn-danger" ${provider.default || !provider.enabled ? 'disabled' : ''}
+              onclick="Dashboard.updateProvider('${provider.id}', { default: true })">
+              Make default
+            </button>
+            ${Object.keys(provider.overrides || {}).length > 0 ? `
+              <button class="btn-danger" onclick="Dashboard.resetProvider('${provider.id}')">Reset</button>
+            ` : ''}
+          </div>
+        </div>
       </div>
     `).join('');
   },
 
+  /**
+   * Update provider settings (enabled, default, baseUrl)
+   */
+  async updateProvider(providerId, changes) {
+    try {
+      const response = await fetch(`/api/dashboard/providers/${encodeURIComponent(providerId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        this.loadProviders();
+      } else {
+        alert(`Error: ${result.message || 'Failed to update provider'}`);
+      }
+    } catch (error) {
+      console.error('Error updating provider:', error);
+      alert('Error updating provider. Please try again.');
+    }
+  },
+
+  /**
+   * Save base URL override from provider card input
+   */
+  saveProviderUrl(providerId) {
+    const input = document.getElementById(`provider-url-${providerId}`);
+    if (!input || !input.value.trim()) return;
+
+    this.updateProvider(providerId, { baseUrl: input.value.trim() });
+  },
+
+  /**
+   * Reset provider to providers.js values
+   */
+  async resetProvider(providerId) {
+    if (!confirm(`Reset all overrides for ${providerId}?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/dashboard/providers/${encodeURIComponent(providerId)}`, {
+        method: 'DELETE'
+      });
+
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        this.loadProviders();
+      } else {
+        alert(`Error: ${result.message || 'Failed to reset provider'}`);
+      }
+    } catch (error) {
+      console.error('Error resetting provider:', error);
+      alert('Error resetting provider. Please try again.');
+    }
+  },
+
+  /**
+   * Load circuit breakers
+   */
+  async loadCircuits() {
+    try {
+      const response = await fetch('/api/dashboard/circuits');
+      const result = await response.json();
+
+      if (result.status === 'success' && result.data) {
+        this.updateCircuits(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading circuits:', error);
+    }
+  },
+
+  /**
+   * Update circuits table and transition list
+   */
+  updateCircuits(data) {
+    const counts = document.getElementById('circuit-counts');
+    if (counts) {
+      counts.textContent = `${data.counts.open} open · ${data.counts['half-open']} half-open · ${data.counts.closed} closed`;
+    }
+
+    const tbody = document.getElementById('circuits-tbody');
+    if (tbody) {
+      tbody.innerHTML = data.circuits.length === 0
+        ? '<tr><td colspan="8" class="loading-cell">No provider calls yet</td></tr>'
+        : data.circuits.map(circuit => `
+          <tr>
+            <td>${this.escapeHtml(circuit.providerId)}</td>
+            <td>${this.escapeHtml(circuit.operation)}</td>
+            <td><span class="circuit-state ${circuit.state}">${circuit.state}</span></td>
+            <td>${Math.round(circuit.failureRate * 100)}%</td>
+            <td>${circuit.calls}</td>
+            <td>${circuit.rejected}</td>
+            <td>${circuit.retryIn > 0 ? `${Math.ceil(circuit.retryIn / 1000)}s` : '-'}</td>
+            <td class="circuit-error" title="${this.escapeHtml(circuit.lastError || '')}">${this.escapeHtml(circuit.lastError || '-')}</td>
+          </tr>
+        `).join('');
+    }
+
+    const list = document.getElementById('circuit-transitions');
+    if (list) {
+      list.innerHTML = data.transitions.map(transition => this.renderCircuitTransition(transition)).join('');
+    }
+  },
+
+  /**
+   * Render a circuit transition list item
+   */
+  renderCircuitTransition(transition) {
+    const time = new Date(transition.timestamp).toLocaleTimeString();
+    return `<li><time>${time}</time>${this.escapeHtml(transition.key)}: ${transition.from} → ` +
+      `<span class="circuit-state ${transition.to}">${transition.to}</span> ${this.escapeHtml(transition.reason)}</li>`;
+  },
+
+  /**
+   * Handle a circuit transition pushed over SSE
+   */
+  handleCircuitTransition(transition) {
+    const list = document.getElementById('circuit-transitions');
+    if (list) {
+      list.insertAdjacentHTML('afterbegin', this.renderCircuitTransition(transition));
+    }
+    this.loadCircuits();
+  },
+
+  /**
+   * Close all circuit breakers
+   */
+  async resetCircuits() {
+    if (!confirm('Close all circuit breakers? Failing providers will be called again.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/dashboard/circuits', { method: 'DELETE' });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        this.loadCircuits();
+      } else {
+        alert(`Error: ${result.message || 'Failed to close circuits'}`);
+      }
+    } catch (error) {
+      console.error('Error closing circuits:', error);
+      alert('Error closing circuits. Please try again.');
+    }
+  },
+
+  /**
+   * Escape text for innerHTML
+   */
+  escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  },
+
   /**
    * Connect to real-time SSE stream
    */
@@ -449,6 +638,15 @@ const Dashboard = {
         this.updateConnectionStatus('connected');
       };
 
+      // Named event, so transitions aren't dropped by the frame batching of metrics below
+      this.eventSource.addEventListener('circuit', (event) => {
+        try {
+          this.handleCircuitTransition(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Error parsing circuit event:', error);
+        }
+      });
+
       this.eventSource.onmessage = (event) => {
         // Use requestAnimationFrame to batch updates and avoid blocking
         if (!this.chartUpdatePending) {
@@ -604,11 +802,8 @@ const Dashboard = {
 };
 
 // Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => Dashboard.init());
-} else {
-  Dashboard.init();
-}
+// Starts after login (see auth.js)
+DashboardAuth.ready.then(() => Dashboard.init());
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => Dashboard.cleanup());
@@ -0,0 +1,15 @@
+/**
+ * API Documentation
+ * Renders /openapi.json (generated from src/config/routes.js) with Swagger UI
+ */
+
+window.addEventListener('DOMContentLoaded', () => {
+  window.ui = SwaggerUIBundle({
+    url: '/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    docExpansion: 'none',
+    filter: true,
+    tryItOutEnabled: true
+  });
+});
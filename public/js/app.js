@@ -100,6 +100,29 @@ async function getHealth() {
     return fetchAPI('/health');
 }
 
+// ===== Image Functions =====
+// Provider CDNs often reject hotlinks, so images go through the /image proxy
+function proxyImage(url, width) {
+    if (!url || !/^https?:\/\//.test(url)) return url;
+    const params = new URLSearchParams({ url });
+    if (width) {
+        params.set('w', width);
+        params.set('format', 'webp');
+    }
+    return `${API_BASE}/image?${params}`;
+}
+
+// Proxy failed (e.g. host not allowed): try the original URL once, then the placeholder
+function handleImageError(img, placeholder) {
+    if (img.dataset.src && !img.dataset.fallback) {
+        img.dataset.fallback = 'true';
+        img.src = img.dataset.src;
+        return;
+    }
+    img.onerror = null;
+    img.src = placeholder;
+}
+
 // ===== Render Functions =====
 function createMangaCard(manga) {
     const card = document.createElement('div');
@@ -115,7 +138,7 @@ function createMangaCard(manga) {
 
     card.innerHTML = `
     <div class="manga-card-image">
-      <img src="${thumbnail}" alt="${title}" loading="lazy" onerror="this.src='https://via.placeholder.com/180x240?text=No+Image'">
+      <img src="${proxyImage(manga.thumbnail, 360) || thumbnail}" data-src="${thumbnail}" alt="${title}" loading="lazy" onerror="handleImageError(this, 'https://via.placeholder.com/180x240?text=No+Image')">
       <span class="manga-type">${type}</span>
       <span class="manga-status ${status.toLowerCase() === 'completed' ? 'completed' : ''}">${status}</span>
     </div>
@@ -183,7 +206,7 @@ function renderMangaDetail(detail) {
     elements.detailContent.innerHTML = `
     <div class="detail-header">
       <div class="detail-cover">
-        <img src="${detail.thumbnail || 'https://via.placeholder.com/220x320'}" alt="${detail.title}" onerror="this.src='https://via.placeholder.com/220x320?text=No+Image'">
+        <img src="${proxyImage(detail.thumbnail, 440) || 'https://via.placeholder.com/220x320'}" data-src="${detail.thumbnail || ''}" alt="${detail.title}" onerror="handleImageError(this, 'https://via.placeholder.com/220x320?text=No+Image')">
       </div>
       <div class="detail-info">
         <h1>${detail.title || 'Unknown'}</h1>
@@ -233,10 +256,11 @@ function renderChapterImages(images) {
     images.forEach((img, idx) => {
         const imgUrl = typeof img === 'string' ? img : img.image_url || img.url;
         const imgEl = document.createElement('img');
-        imgEl.src = imgUrl;
+        imgEl.src = proxyImage(imgUrl);
+        imgEl.dataset.src = imgUrl;
         imgEl.alt = `Page ${idx + 1}`;
         imgEl.loading = 'lazy';
-        imgEl.onerror = function () { this.src = 'https://via.placeholder.com/800x1200?text=Image+Not+Found'; };
+        imgEl.onerror = function () { handleImageError(this, 'https://via.placeholder.com/800x1200?text=Image+Not+Found'); };
         elements.readerContent.appendChild(imgEl);
     });
 }
@@ -8,6 +8,7 @@ const providers = {
     name: 'MangaDex',
     baseUrl: 'https://mangadex.org',
     apiUrl: 'https://api.mangadex.org',
+    imageHosts: ['mangadex.network'], // MangaDex@Home page servers
     enabled: true,
     default: true,
     features: {
@@ -130,11 +131,17 @@ const providers = {
         title: 'a',
         href: 'a'
       }
+    },
+    rateLimit: {
+      requestsPerSecond: 2,
+      burstLimit: 4
     }
   },
   shinigami: {
     name: 'Shinigami',
     baseUrl: 'https://08.shinigami.asia',
+    apiUrl: 'https://api.shngm.io/v1',
+    imageHosts: ['shngm.id'], // Panel CDN (delivery.shngm.id)
     enabled: true,
     default: false,
     features: {
@@ -211,6 +218,10 @@ const providers = {
         title: 'h1, heading[level=1]',
         panels: 'img[src*="chapter"], img[src*="image"]'
       }
+    },
+    rateLimit: {
+      requestsPerSecond: 3,
+      burstLimit: 6
     }
   },
   aquareader: {
@@ -318,10 +329,26 @@ const providers = {
         title: 'a',
         href: 'a'
       }
+    },
+    rateLimit: {
+      requestsPerSecond: 2,
+      burstLimit: 4
     }
   }
 };
 
+/**
+ * Field priority for merged multi-provider detail (`/detail/:url?merge=true`)
+ * First provider with a non-empty value wins; `default` applies to fields without their own list
+ * Providers missing from a list are tried last, in providers.js order
+ */
+const mergePriority = {
+  default: ['mangadex', 'shinigami', 'komikcast', 'aquareader'],
+  // Shinigami and Komikcast upload chapters faster than MangaDex
+  chapter: ['shinigami', 'komikcast', 'aquareader', 'mangadex'],
+  rating: ['mangadex', 'komikcast', 'shinigami', 'aquareader']
+};
+
 /**
  * Get provider configuration
  * @param {string} providerId - Provider ID
@@ -339,6 +366,14 @@ const getDefaultProvider = () => {
   return Object.values(providers).find(p => p.default) || providers.mangadex;
 };
 
+/**
+ * Get default provider ID
+ * @returns {string} Default provider ID
+ */
+const getDefaultProviderId = () => {
+  return Object.keys(providers).find(id => providers[id].default) || 'mangadex';
+};
+
 /**
  * Get all enabled providers
  * @returns {Array} Array of enabled provider configurations
@@ -359,10 +394,24 @@ const supportsFeature = (providerId, feature) => {
   return provider.features[feature] === true;
 };
 
+/**
+ * Add provider configuration at runtime
+ * @param {string} providerId - Provider ID
+ * @param {object} config - Provider configuration
+ * @returns {object} Stored provider configuration
+ */
+const addProvider = (providerId, config) => {
+  providers[providerId] = config;
+  return providers[providerId];
+};
+
 module.exports = {
   providers,
+  mergePriority,
+  addProvider,
   getProvider,
   getDefaultProvider,
+  getDefaultProviderId,
   getEnabledProviders,
   supportsFeature
 };
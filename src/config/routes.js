@@ -0,0 +1,526 @@
+/**
+ * API Route Declarations
+ * Parameters, bodies and responses of the HTTP API in one place:
+ * - middleware/validator.js validates requests against ROUTES (types, ranges, enums, defaults)
+ * - helper/openapi.js turns ROUTES into the /openapi.json document
+ *
+ * Parameter and body definitions use JSON Schema keywords (type, enum, minimum, ...) plus
+ * `in` (query/path), `required` and `description`; SCHEMAS are OpenAPI component schemas
+ * Array query parameters are comma-separated lists (?providers=a,b)
+ */
+
+// Shared parameters, referenced by name from ROUTES
+const PARAMS = {
+  page: { in: 'query', type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+  keyword: { in: 'query', type: 'string', minLength: 2, required: true, description: 'Search keyword' },
+  sortBy: {
+    in: 'query',
+    type: 'string',
+    enum: ['title', 'rating', 'date', 'released', 'author'],
+    default: 'title',
+    description: 'Sort field'
+  },
+  sortOrder: { in: 'query', type: 'string', enum: ['asc', 'desc'], default: 'asc', description: 'Sort order' },
+  provider: { in: 'query', type: 'string', description: 'Provider ID (see /providers), default provider when empty' },
+  providers: { in: 'query', type: 'array', items: { type: 'string' }, description: 'Comma-separated provider IDs (advanced mode)' },
+  genre: { in: 'query', type: 'string', description: 'Genre filter (case-insensitive substring)' },
+  type: { in: 'query', type: 'string', description: 'Type filter (Manga, Manhwa, Manhua)' },
+  status: { in: 'query', type: 'string', description: 'Status filter (Ongoing, Completed)' },
+  minRating: { in: 'query', type: 'number', minimum: 0, maximum: 10, description: 'Minimum rating' },
+  maxRating: { in: 'query', type: 'number', minimum: 0, maximum: 10, description: 'Maximum rating (advanced mode)' },
+  advanced: { in: 'query', type: 'boolean', default: false, description: 'Use the processing pipeline (validation, dedup, enrichment)' },
+  enrich: { in: 'query', type: 'boolean', default: true, description: 'Enrich items (advanced mode)' },
+  optimize: { in: 'query', type: 'boolean', default: true, description: 'Optimize the response (advanced mode)' },
+  forceRefresh: { in: 'query', type: 'boolean', default: false, description: 'Bypass the scrape cache (advanced mode)' },
+  getAllPages: { in: 'query', type: 'boolean', default: false, description: 'Scrape several pages (advanced mode)' },
+  maxPages: { in: 'query', type: 'integer', minimum: 1, maximum: 10, default: 5, description: 'Pages to scrape with getAllPages' },
+  pageSize: { in: 'query', type: 'integer', minimum: 1, maximum: 100, description: 'Items per page (advanced mode, default 10)' },
+  limit: { in: 'query', type: 'integer', minimum: 1, maximum: 100, description: 'Alias of pageSize' },
+  merge: { in: 'query', type: 'boolean', default: false, description: 'Merge the same series from every enabled provider' },
+  priority: { in: 'query', type: 'array', items: { type: 'string' }, description: 'Comma-separated provider order for merged fields' },
+  proxyImages: { in: 'query', type: 'boolean', description: 'Rewrite image URLs to signed /image proxy URLs' }
+};
+
+// Query options shared by the list endpoints
+const LIST_FILTERS = ['sortBy', 'sortOrder', 'genre', 'type', 'minRating', 'provider'];
+const ADVANCED_OPTIONS = ['maxRating', 'providers', 'advanced', 'enrich', 'optimize'];
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'error' },
+      code: { type: 'string', example: 'VALIDATION_ERROR' },
+      message: { type: 'string' },
+      data: { type: 'array', items: { type: 'string' }, description: 'Validation messages' }
+    }
+  },
+  Envelope: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'success' },
+      data: {}
+    }
+  },
+  Comic: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      href: { type: 'string', description: 'Provider path, the ID part is what /detail/:url takes' },
+      thumbnail: { type: 'string' },
+      type: { type: 'string' },
+      chapter: { type: 'string' },
+      rating: { type: 'number' },
+      status: { type: 'string' },
+      genre: { type: 'string' },
+      provider: { type: 'string' }
+    }
+  },
+  ComicPage: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'success' },
+      current_page: { type: 'integer' },
+      length_page: { type: 'integer' },
+      has_next: { type: 'boolean' },
+      has_prev: { type: 'boolean' },
+      data: { type: 'array', items: { $ref: '#/components/schemas/Comic' } }
+    }
+  },
+  ComicList: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'success' },
+      data: { type: 'array', items: { $ref: '#/components/schemas/Comic' } }
+    }
+  },
+  Chapter: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      number: { type: 'number', nullable: true },
+      href: { type: 'string', description: 'Provider path, the ID part is what /read/:url takes' },
+      date: { type: 'string' }
+    }
+  },
+  ComicDetail: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      author: { type: 'string' },
+      genre: {},
+      released: { type: 'string' },
+      status: { type: 'string' },
+      type: { type: 'string' },
+      thumbnail: { type: 'string' },
+      canonicalId: { type: 'string', nullable: true },
+      chapter: { type: 'array', items: { $ref: '#/components/schemas/Chapter' } }
+    }
+  },
+  ComicDetailResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'success' },
+      data: { $ref: '#/components/schemas/ComicDetail' }
+    }
+  },
+  ChapterContent: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'success' },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            panel: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  },
+  AdvancedResponse: {
+    type: 'object',
+    description: 'Response of advanced=true / merge=true (processing pipeline)',
+    properties: {
+      status: { type: 'string', example: 'success' },
+      data: {},
+      pagination: { type: 'object' },
+      metadata: { type: 'object' }
+    }
+  },
+  Provider: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      baseUrl: { type: 'string' },
+      enabled: { type: 'boolean' },
+      default: { type: 'boolean' },
+      features: { type: 'object', additionalProperties: { type: 'boolean' } }
+    }
+  },
+  ProviderList: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'success' },
+      data: { type: 'array', items: { $ref: '#/components/schemas/Provider' } }
+    }
+  },
+  SubscriptionRequest: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', description: 'Webhook target (http/https)' },
+      series: { type: 'array', items: { type: 'string' }, description: 'Series IDs to follow (all when empty)' },
+      providers: { type: 'array', items: { type: 'string' } },
+      secret: { type: 'string', description: 'HMAC secret, generated when empty' }
+    }
+  },
+  WarmRequest: {
+    type: 'object',
+    properties: {
+      paths: { type: 'array', items: { type: 'string' }, example: ['/terbaru?page=1'] },
+      keys: { type: 'array', items: { type: 'string' }, description: 'Alias of paths' },
+      presets: { type: 'array', items: { type: 'string' } },
+      force: { type: 'boolean' },
+      provider: { type: 'string' },
+      limit: { type: 'integer' },
+      wait: { type: 'boolean' }
+    }
+  },
+  ApiKeyRequest: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', maxLength: 100, description: 'App or owner name' },
+      tier: { type: 'string', enum: ['free', 'pro', 'partner'], default: 'free' }
+    }
+  },
+  AdminLogin: {
+    type: 'object',
+    required: ['token'],
+    properties: {
+      token: { type: 'string', description: 'KANAVERSE_ADMIN_TOKEN (operator) or KANAVERSE_VIEWER_TOKEN (viewer)' }
+    }
+  },
+  GraphQLRequest: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', example: '{ comic(id: "solo-leveling") { title chapters(limit: 5) { id title } } }' },
+      variables: { type: 'object' },
+      operationName: { type: 'string' }
+    }
+  },
+  GraphQLResponse: {
+    type: 'object',
+    properties: {
+      data: { type: 'object', nullable: true },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            path: { type: 'array', items: { type: 'string' } },
+            extensions: { type: 'object', properties: { code: { type: 'string' } } }
+          }
+        }
+      }
+    }
+  },
+  ProviderSettings: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      default: { type: 'boolean' },
+      baseUrl: { type: 'string' }
+    }
+  }
+};
+
+const FEED_FORMAT = { in: 'path', type: 'string', enum: ['rss', 'atom', 'json'], description: 'Feed format' };
+const FEED_CONTENT = {
+  'application/rss+xml': { type: 'string' },
+  'application/atom+xml': { type: 'string' },
+  'application/feed+json': { type: 'object' }
+};
+
+/**
+ * Routes (paths use Express syntax)
+ * query: PARAMS names or inline definitions; params: path parameter definitions (string when omitted);
+ * body: SCHEMAS name; response: SCHEMAS name(s), content: media type -> schema for non-JSON responses
+ */
+const ROUTES = [
+  { method: 'get', path: '/', tag: 'System', summary: 'API info with links to /docs and /openapi.json', response: 'Envelope' },
+  { method: 'get', path: '/health', tag: 'System', summary: 'Health check with cache and performance summary', response: 'Envelope' },
+  { method: 'get', path: '/providers', tag: 'Providers', summary: 'List providers', response: 'ProviderList' },
+  { method: 'get', path: '/provider', tag: 'Providers', summary: 'List providers (alias of /providers)', response: 'ProviderList', deprecated: true },
+  {
+    method: 'get',
+    path: '/provider/:id',
+    tag: 'Providers',
+    summary: 'Provider info',
+    params: { id: { description: 'Provider ID' } },
+    response: 'Envelope'
+  },
+  {
+    method: 'get',
+    path: '/terbaru',
+    tag: 'Comics',
+    summary: 'Latest updates',
+    query: ['page', ...LIST_FILTERS, 'status', ...ADVANCED_OPTIONS, 'forceRefresh', 'getAllPages', 'maxPages', 'pageSize', 'limit', 'proxyImages'],
+    response: ['ComicPage', 'AdvancedResponse']
+  },
+  { method: 'get', path: '/genre', tag: 'Comics', summary: 'Genre list', query: ['provider'], response: 'Envelope' },
+  {
+    method: 'get',
+    path: '/genre/:url',
+    tag: 'Comics',
+    summary: 'Comics in a genre',
+    params: { url: { description: 'Genre ID from /genre' } },
+    query: ['page', 'provider', 'proxyImages'],
+    response: 'ComicPage'
+  },
+  {
+    method: 'get',
+    path: '/detail/:url',
+    tag: 'Comics',
+    summary: 'Series detail with chapter list',
+    params: { url: { description: 'Series ID (last part of a comic href)' } },
+    query: ['provider', 'advanced', 'enrich', 'optimize', 'merge', 'priority', 'proxyImages'],
+    response: ['ComicDetailResponse', 'AdvancedResponse']
+  },
+  {
+    method: 'get',
+    path: '/manga/:canonicalId',
+    tag: 'Comics',
+    summary: 'Canonical series (one ID across providers)',
+    params: { canonicalId: { description: 'Canonical series ID' } },
+    query: [{ ...PARAMS.provider, name: 'provider', description: 'Also return the detail from this source' }],
+    response: 'Envelope'
+  },
+  {
+    method: 'get',
+    path: '/read/:url',
+    tag: 'Chapters',
+    summary: 'Chapter panels',
+    params: { url: { description: 'Chapter ID (last part of a chapter href)' } },
+    query: ['provider', 'proxyImages'],
+    response: 'ChapterContent'
+  },
+  {
+    method: 'get',
+    path: '/feed/latest.:format(rss|atom|json)',
+    tag: 'Feeds',
+    summary: 'Latest updates feed',
+    params: { format: FEED_FORMAT },
+    query: ['provider', 'genre', 'proxyImages'],
+    content: FEED_CONTENT
+  },
+  {
+    method: 'get',
+    path: '/feed/series/:url.:format(rss|atom|json)',
+    tag: 'Feeds',
+    summary: 'Series chapter feed',
+    params: { url: { description: 'Series ID' }, format: FEED_FORMAT },
+    query: ['provider', 'proxyImages'],
+    content: FEED_CONTENT
+  },
+  {
+    method: 'get',
+    path: '/download/:url',
+    tag: 'Chapters',
+    summary: 'Download a chapter or chapter range as CBZ or EPUB',
+    params: { url: { description: 'Chapter ID, or series ID when from/to are given' } },
+    query: [
+      { name: 'format', in: 'query', type: 'string', enum: ['cbz', 'epub'], default: 'cbz' },
+      'provider',
+      { name: 'series', in: 'query', type: 'string', description: 'Series ID for metadata of a single chapter' },
+      { name: 'from', in: 'query', type: 'number', description: 'First chapter number (range export)' },
+      { name: 'to', in: 'query', type: 'number', description: 'Last chapter number (range export)' }
+    ],
+    content: {
+      'application/vnd.comicbook+zip': { type: 'string', format: 'binary' },
+      'application/epub+zip': { type: 'string', format: 'binary' }
+    }
+  },
+  {
+    method: 'get',
+    path: '/image',
+    tag: 'Media',
+    summary: 'Image proxy (provider hosts or signed URLs)',
+    query: [
+      { name: 'url', in: 'query', type: 'string', required: true, description: 'Image URL' },
+      { name: 'w', in: 'query', type: 'integer', minimum: 16, maximum: 2048, description: 'Width (requires sharp)' },
+      { name: 'format', in: 'query', type: 'string', enum: ['webp', 'jpeg', 'jpg', 'png'], description: 'Output format (requires sharp)' },
+      { name: 'p', in: 'query', type: 'string', description: 'Provider ID of a signed URL' },
+      { name: 'sig', in: 'query', type: 'string', description: 'Signature of a signed URL' }
+    ],
+    content: { 'image/*': { type: 'string', format: 'binary' } }
+  },
+  {
+    method: 'get',
+    path: '/search',
+    tag: 'Comics',
+    summary: 'Search comics',
+    query: ['keyword', ...LIST_FILTERS, 'status', ...ADVANCED_OPTIONS, 'proxyImages'],
+    response: ['ComicList', 'AdvancedResponse']
+  },
+  {
+    method: 'get',
+    path: '/popular',
+    tag: 'Comics',
+    summary: 'Popular comics',
+    query: [...LIST_FILTERS, ...ADVANCED_OPTIONS, 'proxyImages'],
+    response: ['ComicList', 'AdvancedResponse']
+  },
+  {
+    method: 'get',
+    path: '/recommended',
+    tag: 'Comics',
+    summary: 'Recommended comics',
+    query: [...LIST_FILTERS, 'proxyImages'],
+    response: 'ComicList'
+  },
+  {
+    method: 'get',
+    path: '/graphql',
+    tag: 'GraphQL',
+    summary: 'Run a GraphQL query (schema: introspection, see docs/GRAPHQL.md)',
+    query: [
+      { name: 'query', in: 'query', type: 'string', required: true, description: 'GraphQL query' },
+      { name: 'variables', in: 'query', type: 'string', description: 'Variables as JSON' },
+      { name: 'operationName', in: 'query', type: 'string' }
+    ],
+    response: 'GraphQLResponse'
+  },
+  { method: 'post', path: '/graphql', tag: 'GraphQL', summary: 'Run a GraphQL query', body: 'GraphQLRequest', response: 'GraphQLResponse' },
+  { method: 'get', path: '/openapi.json', tag: 'System', summary: 'This OpenAPI document', content: { 'application/json': { type: 'object' } } },
+
+  { method: 'post', path: '/api/subscriptions', tag: 'Subscriptions', summary: 'Subscribe a webhook to new chapters', body: 'SubscriptionRequest', status: 201, response: 'Envelope' },
+  { method: 'get', path: '/api/subscriptions/:id', tag: 'Subscriptions', summary: 'Get a subscription', response: 'Envelope' },
+  { method: 'delete', path: '/api/subscriptions/:id', tag: 'Subscriptions', summary: 'Delete a subscription', response: 'Envelope' },
+  { method: 'get', path: '/api/subscriptions/:id/deliveries', tag: 'Subscriptions', summary: 'Recent deliveries', response: 'Envelope' },
+  { method: 'post', path: '/api/subscriptions/:id/test', tag: 'Subscriptions', summary: 'Send a signed ping event', response: 'Envelope' },
+
+  { method: 'post', path: '/api/admin/session', tag: 'Admin', summary: 'Log in to the dashboard (sets the session cookie)', body: 'AdminLogin', response: 'Envelope' },
+  { method: 'get', path: '/api/admin/session', tag: 'Admin', summary: 'Current admin role', response: 'Envelope' },
+  { method: 'delete', path: '/api/admin/session', tag: 'Admin', summary: 'Log out (clears the session cookie)', response: 'Envelope' },
+  {
+    method: 'get',
+    path: '/api/dashboard/audit',
+    tag: 'Admin',
+    summary: 'Audit log of admin actions, newest first',
+    query: [
+      { name: 'limit', in: 'query', type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      { name: 'action', in: 'query', type: 'string', description: 'Only actions containing this text' },
+      { name: 'role', in: 'query', type: 'string', enum: ['viewer', 'operator'] }
+    ],
+    response: 'Envelope'
+  },
+
+  { method: 'get', path: '/api/system/stats', tag: 'System', summary: 'Integrity, queue and orchestrator stats', response: 'Envelope' },
+  {
+    method: 'get',
+    path: '/api/system/providers/health',
+    tag: 'System',
+    summary: 'Selector health per provider',
+    query: [
+      'provider',
+      { name: 'check', in: 'query', type: 'boolean', description: 'Run the selectors now (operator role)' },
+      { name: 'fixtures', in: 'query', type: 'boolean', description: 'Check against saved fixtures' }
+    ],
+    response: 'Envelope'
+  },
+  { method: 'get', path: '/api/cron/tick', tag: 'Jobs', summary: 'Run due scheduled jobs (external cron)', response: 'Envelope' },
+  { method: 'post', path: '/api/cron/tick', tag: 'Jobs', summary: 'Run due scheduled jobs (external cron)', response: 'Envelope' },
+
+  { method: 'get', path: '/api/dashboard/stats', tag: 'Dashboard', summary: 'Dashboard stats', response: 'Envelope' },
+  {
+    method: 'get',
+    path: '/api/dashboard/analytics',
+    tag: 'Dashboard',
+    summary: 'Request analytics',
+    query: [
+      { name: 'period', in: 'query', type: 'string', enum: ['1h', '24h', '7d', '30d'], default: '1h' },
+      { name: 'endpoint', in: 'query', type: 'string', description: 'Only this endpoint' }
+    ],
+    response: 'Envelope'
+  },
+  { method: 'get', path: '/api/dashboard/realtime', tag: 'Dashboard', summary: 'Live metrics (Server-Sent Events)', content: { 'text/event-stream': { type: 'string' } } },
+  {
+    method: 'get',
+    path: '/api/dashboard/cache/manage',
+    tag: 'Dashboard',
+    summary: 'List cache entries',
+    query: [
+      { name: 'limit', in: 'query', type: 'integer', minimum: 1, maximum: 500, default: 50 },
+      { name: 'offset', in: 'query', type: 'integer', minimum: 0, default: 0 },
+      { name: 'pattern', in: 'query', type: 'string' }
+    ],
+    response: 'Envelope'
+  },
+  {
+    method: 'delete',
+    path: '/api/dashboard/cache/manage',
+    tag: 'Dashboard',
+    summary: 'Clear the cache (all or by pattern)',
+    query: [{ name: 'pattern', in: 'query', type: 'string' }],
+    response: 'Envelope'
+  },
+  { method: 'post', path: '/api/dashboard/cache/manage/warm', tag: 'Dashboard', summary: 'Start a cache warming job', body: 'WarmRequest', status: 202, response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/cache/manage/warm', tag: 'Dashboard', summary: 'Warming presets and jobs', response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/cache/manage/warm/:jobId', tag: 'Dashboard', summary: 'Warming job report', response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/images', tag: 'Dashboard', summary: 'Image proxy cache stats', response: 'Envelope' },
+  { method: 'delete', path: '/api/dashboard/images', tag: 'Dashboard', summary: 'Clear the image proxy cache', response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/jobs', tag: 'Jobs', summary: 'List scheduled jobs', response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/jobs/:name', tag: 'Jobs', summary: 'Job with run history', response: 'Envelope' },
+  {
+    method: 'post',
+    path: '/api/dashboard/jobs/:name/run',
+    tag: 'Jobs',
+    summary: 'Run a job now',
+    query: [{ name: 'wait', in: 'query', type: 'boolean', description: 'Respond with the run record' }],
+    status: 202,
+    response: 'Envelope'
+  },
+  { method: 'post', path: '/api/dashboard/jobs/:name/pause', tag: 'Jobs', summary: 'Pause a job', response: 'Envelope' },
+  { method: 'post', path: '/api/dashboard/jobs/:name/resume', tag: 'Jobs', summary: 'Resume a job', response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/subscriptions', tag: 'Subscriptions', summary: 'All subscriptions with delivery stats', response: 'Envelope' },
+  { method: 'post', path: '/api/dashboard/subscriptions/:id/enable', tag: 'Subscriptions', summary: 'Re-enable a disabled subscription', response: 'Envelope' },
+  { method: 'post', path: '/api/dashboard/keys', tag: 'API Keys', summary: 'Issue an API key (the key is only returned here)', body: 'ApiKeyRequest', status: 201, response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/keys', tag: 'API Keys', summary: 'Tiers and API keys with usage', response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/keys/:id', tag: 'API Keys', summary: 'API key with usage and remaining quota', response: 'Envelope' },
+  { method: 'delete', path: '/api/dashboard/keys/:id', tag: 'API Keys', summary: 'Revoke an API key', response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/providers', tag: 'Providers', summary: 'Provider settings', response: 'Envelope' },
+  { method: 'patch', path: '/api/dashboard/providers/:id', tag: 'Providers', summary: 'Change provider settings', body: 'ProviderSettings', response: 'Envelope' },
+  { method: 'delete', path: '/api/dashboard/providers/:id', tag: 'Providers', summary: 'Reset provider settings', response: 'Envelope' },
+  { method: 'get', path: '/api/dashboard/circuits', tag: 'Providers', summary: 'Circuit breakers per provider and operation, with recent transitions', response: 'Envelope' },
+  {
+    method: 'delete',
+    path: '/api/dashboard/circuits',
+    tag: 'Providers',
+    summary: 'Close circuit breakers (all, or one provider)',
+    query: [{ name: 'provider', in: 'query', type: 'string', description: 'Only this provider (all providers when empty)' }],
+    response: 'Envelope'
+  },
+  {
+    method: 'put',
+    path: '/api/dashboard/manga/:canonicalId/sources/:provider',
+    tag: 'Comics',
+    summary: 'Link a provider source to a canonical series',
+    body: { type: 'object', required: ['id'], properties: { id: { type: 'string', description: 'Series ID on the provider' } } },
+    response: 'Envelope'
+  },
+  { method: 'delete', path: '/api/dashboard/manga/:canonicalId/sources/:provider', tag: 'Comics', summary: 'Unlink a provider source', response: 'Envelope' }
+];
+
+module.exports = {
+  PARAMS,
+  SCHEMAS,
+  ROUTES
+};
@@ -0,0 +1,82 @@
+/**
+ * API Tier Configuration
+ * Rate limits per route group and request quotas for each API key tier
+ *
+ * Route groups match the rate limiters: `default` (defaultRateLimiter, GraphQL),
+ * `strict` (strictRateLimiter: search and the other expensive or write routes) and
+ * `image` (imageRateLimiter: the image proxy, high because a chapter loads dozens of panels)
+ * Requests without an API key use the `anonymous` tier, counted per IP
+ *
+ * `burst` is the token bucket size, only used with KANAVERSE_RATE_LIMIT_ALGORITHM=token-bucket
+ */
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+const tiers = {
+  anonymous: {
+    description: 'No API key, limits per IP',
+    limits: {
+      default: { max: 100, windowMs: WINDOW_MS, burst: 20 },
+      strict: { max: 50, windowMs: WINDOW_MS, burst: 10 },
+      image: { max: 1500, windowMs: WINDOW_MS, burst: 300 }
+    },
+    quota: { daily: null, monthly: null }
+  },
+  free: {
+    description: 'Registered apps',
+    limits: {
+      default: { max: 300, windowMs: WINDOW_MS, burst: 60 },
+      strict: { max: 100, windowMs: WINDOW_MS, burst: 20 },
+      image: { max: 3000, windowMs: WINDOW_MS, burst: 600 }
+    },
+    quota: { daily: 5000, monthly: 100000 }
+  },
+  pro: {
+    description: 'Production apps',
+    limits: {
+      default: { max: 1000, windowMs: WINDOW_MS, burst: 200 },
+      strict: { max: 300, windowMs: WINDOW_MS, burst: 60 },
+      image: { max: 10000, windowMs: WINDOW_MS, burst: 2000 }
+    },
+    quota: { daily: 50000, monthly: 1000000 }
+  },
+  partner: {
+    description: 'Own frontends and partners, no quota',
+    limits: {
+      default: { max: 5000, windowMs: WINDOW_MS, burst: 1000 },
+      strict: { max: 1000, windowMs: WINDOW_MS, burst: 200 },
+      image: { max: 30000, windowMs: WINDOW_MS, burst: 6000 }
+    },
+    quota: { daily: null, monthly: null }
+  }
+};
+
+// Tier of newly issued keys when none is given
+const defaultKeyTier = 'free';
+
+/**
+ * Get tier configuration
+ * @param {string} tierName - Tier name
+ * @returns {object|null} Tier or null when unknown
+ */
+const getTier = (tierName) => {
+  return tiers[tierName] || null;
+};
+
+/**
+ * Get the rate limit of a tier for a route group
+ * @param {string} tierName - Tier name (anonymous when empty or unknown)
+ * @param {string} group - Route group (default, strict, image)
+ * @returns {object} { max, windowMs, burst }
+ */
+const getTierLimits = (tierName, group = 'default') => {
+  const tier = getTier(tierName) || tiers.anonymous;
+  return tier.limits[group] || tier.limits.default;
+};
+
+module.exports = {
+  tiers,
+  defaultKeyTier,
+  getTier,
+  getTierLimits
+};
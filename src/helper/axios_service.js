@@ -1,5 +1,8 @@
 const axios = require('axios');
-const { NetworkError, NotFoundError, retryWithBackoff } = require('./error_handler');
+const { AppError, NetworkError, NotFoundError, retryWithBackoff } = require('./error_handler');
+const { publicAgents, rejectPrivateRedirect, isPrivateAddressError } = require('./public_address');
+const { attachRecorder } = require('./http_recorder');
+const { attachOutboundLimiter } = require('./outbound_limiter');
 
 // Detect Vercel environment
 const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
@@ -251,8 +254,9 @@ const httpsAgent = !isVercel ? new (require('https').Agent)({
   rejectUnauthorized: true
 }) : undefined;
 
-// Create axios instance with Vercel-optimized configuration
-const axiosInstance = axios.create({
+// Create axios instance with Vercel-optimized configuration (record/replay via KANAVERSE_HTTP_MODE,
+// per-host throttling via outbound_limiter)
+const axiosInstance = attachOutboundLimiter(attachRecorder(axios.create({
   timeout: isVercel ? 6000 : 30000, // 6s for Vercel (leaves buffer for processing)
   headers: {
     'User-Agent': getNextUserAgent(),
@@ -270,7 +274,7 @@ const axiosInstance = axios.create({
   validateStatus: (status) => status >= 200 && status < 500, // Don't throw on 4xx
   httpAgent,
   httpsAgent
-});
+})));
 
 /**
  * Enhanced Axios Service with retry, timeout, verification, and Cloudflare detection
@@ -281,6 +285,10 @@ const axiosInstance = axios.create({
  * @param {boolean} options.rotateUserAgent - Whether to rotate user agent
  * @param {boolean} options.verify - Enable response verification (default: true)
  * @param {object} options.verifyOptions - Verification options
+ * @param {object} options.headers - Extra request headers
+ * @param {string} options.responseType - Axios responseType (e.g. 'arraybuffer' for images)
+ * @param {number} options.maxContentLength - Maximum response size in bytes
+ * @param {boolean} options.publicOnly - Refuse private/local addresses, redirects included (scrape-supplied URLs)
  * @returns {Promise} Axios response
  */
 const AxiosService = async (url, options = {}) => {
@@ -326,6 +334,17 @@ const AxiosService = async (url, options = {}) => {
     config.headers = { ...config.headers, ...options.headers };
   }
 
+  // Binary downloads (images) use responseType 'arraybuffer' with verify: false
+  if (options.responseType) {
+    config.responseType = options.responseType;
+  }
+  if (options.maxContentLength) {
+    config.maxContentLength = options.maxContentLength;
+  }
+  if (options.publicOnly) {
+    Object.assign(config, publicAgents, { beforeRedirect: rejectPrivateRedirect });
+  }
+
   let lastError = null;
   let lastResponse = null;
 
@@ -372,7 +391,9 @@ const AxiosService = async (url, options = {}) => {
         return res;
       },
       retries,
-      1500 // Increased initial delay for better Cloudflare handling
+      1500, // Increased initial delay for better Cloudflare handling
+      // Retrying can't beat the host's pause or turn a private address public
+      (error) => error.code !== 'UPSTREAM_RATE_LIMITED' && !isPrivateAddressError(error)
     );
 
     verificationStats.successfulRequests++;
@@ -387,6 +408,10 @@ const AxiosService = async (url, options = {}) => {
       throw error;
     }
 
+    if (isPrivateAddressError(error)) {
+      throw new AppError('Target host resolves to a private address', 403, 'FORBIDDEN_HOST');
+    }
+
     if (error.response) {
       const status = error.response.status;
       const message = error.response.statusText || 'Request failed';
@@ -0,0 +1,589 @@
+/**
+ * L2 Cache Adapters
+ * Storage backends for CacheService L2, selected with KANAVERSE_CACHE_L2:
+ * - memory (default) in-process Map, lost on restart
+ * - fs     sharded gzip JSON files with TTL metadata, survives restarts
+ * - redis  any Redis-protocol server (KANAVERSE_REDIS_URL), shared between instances
+ *
+ * Every adapter keeps a metadata index (key -> createdAt/expiresAt/size/tags) in memory,
+ * so stats, listings and pattern invalidation stay synchronous; values are read on demand.
+ * The fs and redis indexes are loaded in the background (`ready`); until then older entries are misses
+ *
+ * Entries are kept until staleUntil (end of the stale-while-revalidate window), not expiresAt
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { DATA_DIR } = require('./json_store');
+const { RedisClient } = require('./redis_client');
+
+/**
+ * Get the time an entry may be dropped
+ * @param {object} item - Cache item or metadata
+ * @returns {number} Timestamp (staleUntil, or expiresAt when there is no stale window)
+ */
+const getRetainUntil = (item) => item.staleUntil || item.expiresAt;
+
+const gunzip = promisify(zlib.gunzip);
+
+class MemoryCacheAdapter {
+  /**
+   * @param {object} options - Adapter options
+   * @param {number} options.maxEntries - Maximum number of entries
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.persistent = false;
+    this.maxEntries = options.maxEntries || 1000;
+    this.store = new Map();
+    this.meta = new Map();
+  }
+
+  /**
+   * Build metadata for an item
+   * @param {object} item - Cache item
+   * @returns {object} Metadata
+   */
+  toMeta(item) {
+    let size = 0;
+    try {
+      size = JSON.stringify(item.value).length;
+    } catch {
+      size = 0;
+    }
+
+    return {
+      createdAt: item.createdAt,
+      expiresAt: item.expiresAt,
+      staleUntil: getRetainUntil(item),
+      lastAccessed: item.lastAccessed,
+      accessCount: item.accessCount || 0,
+      compressed: item.compressed,
+      tags: item.tags || [],
+      size
+    };
+  }
+
+  /**
+   * Read item synchronously (used by CacheService.get)
+   * @param {string} key - Cache key
+   * @returns {object|null} Cache item
+   */
+  peek(key) {
+    return this.store.get(key) || null;
+  }
+
+  /**
+   * Read item
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Cache item
+   */
+  async get(key) {
+    return this.peek(key);
+  }
+
+  /**
+   * Store item
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item (value, expiresAt, tags, ...)
+   * @returns {Promise<void>}
+   */
+  async set(key, item) {
+    this.store.set(key, item);
+    this.meta.set(key, this.toMeta(item));
+    this.evictOverflow();
+  }
+
+  /**
+   * Delete item
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if the key was known
+   */
+  async delete(key) {
+    this.meta.delete(key);
+    return this.store.delete(key);
+  }
+
+  /**
+   * Delete all items
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.store.clear();
+    this.meta.clear();
+  }
+
+  /**
+   * Check if key is known to the adapter
+   * @param {string} key - Cache key
+   * @returns {boolean} True if present
+   */
+  has(key) {
+    return this.meta.has(key);
+  }
+
+  /**
+   * Get known keys
+   * @returns {Array} Keys
+   */
+  keys() {
+    return Array.from(this.meta.keys());
+  }
+
+  /**
+   * Get metadata for a key
+   * @param {string} key - Cache key
+   * @returns {object|null} Metadata
+   */
+  getMeta(key) {
+    return this.meta.get(key) || null;
+  }
+
+  /**
+   * Number of known entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.meta.size;
+  }
+
+  /**
+   * Drop entries that expire soonest once over maxEntries
+   */
+  evictOverflow() {
+    if (this.meta.size <= this.maxEntries) return;
+
+    const overflow = Array.from(this.meta.entries())
+      .sort((a, b) => getRetainUntil(a[1]) - getRetainUntil(b[1]))
+      .slice(0, this.meta.size - this.maxEntries);
+
+    overflow.forEach(([key]) => {
+      this.delete(key).catch(error => console.error(`L2 ${this.name} evict error:`, error.message));
+    });
+  }
+
+  /**
+   * Remove entries past their stale window
+   * @returns {number} Number of removed entries
+   */
+  cleanup() {
+    const now = Date.now();
+    const expired = this.keys().filter(key => getRetainUntil(this.meta.get(key)) < now);
+    expired.forEach(key => {
+      this.delete(key).catch(error => console.error(`L2 ${this.name} cleanup error:`, error.message));
+    });
+    return expired.length;
+  }
+
+  /**
+   * Get backend statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    let bytes = 0;
+    this.meta.forEach(meta => { bytes += meta.size; });
+    return {
+      backend: this.name,
+      persistent: this.persistent,
+      size: this.meta.size,
+      maxEntries: this.maxEntries,
+      bytes
+    };
+  }
+}
+
+class FileSystemCacheAdapter extends MemoryCacheAdapter {
+  /**
+   * @param {object} options - Adapter options
+   * @param {string} options.dir - Cache directory (default: <data dir>/cache)
+   * @param {number} options.maxEntries - Maximum number of files
+   */
+  constructor(options = {}) {
+    super({ maxEntries: options.maxEntries || 5000 });
+    this.name = 'fs';
+    this.persistent = true;
+    this.dir = options.dir || process.env.KANAVERSE_CACHE_DIR || path.join(DATA_DIR, 'cache');
+    this.store = null;
+    // Bumped by clear(), so a running index load doesn't bring back deleted entries
+    this.generation = 0;
+    // Built asynchronously so a large cache doesn't block startup (cold starts on Vercel)
+    this.ready = this.loadIndex();
+  }
+
+  /**
+   * Get file path for a key (256 shards by hash prefix)
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  getFilePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.json.gz`);
+  }
+
+  /**
+   * Decode a cache file
+   * @param {Buffer} buffer - Gzipped file content
+   * @returns {object} { key, item }
+   */
+  decode(buffer) {
+    return JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+  }
+
+  /**
+   * Rebuild metadata index from disk, removing expired and unreadable files
+   * Entries written while it runs are newer than the files it reads, so they are kept
+   * @returns {Promise<void>} Never rejects
+   */
+  async loadIndex() {
+    const generation = this.generation;
+    const now = Date.now();
+
+    try {
+      const shards = await fs.promises.readdir(this.dir, { withFileTypes: true });
+      for (const shard of shards.filter(entry => entry.isDirectory())) {
+        const shardDir = path.join(this.dir, shard.name);
+        const files = (await fs.promises.readdir(shardDir)).filter(file => file.endsWith('.json.gz'));
+
+        for (const file of files) {
+          if (generation !== this.generation) return;
+
+          const filePath = path.join(shardDir, file);
+          try {
+            const { key, item } = JSON.parse((await gunzip(await fs.promises.readFile(filePath))).toString('utf8'));
+            if (getRetainUntil(item) < now) {
+              await fs.promises.rm(filePath, { force: true });
+            } else if (!this.meta.has(key) && generation === this.generation) {
+              this.meta.set(key, this.toMeta(item));
+            }
+          } catch (error) {
+            await fs.promises.rm(filePath, { force: true });
+          }
+        }
+      }
+      this.evictOverflow();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`L2 fs index load failed (${error.message}), continuing with ${this.meta.size} known entries`);
+      }
+    }
+  }
+
+  /**
+   * Read item synchronously
+   * @param {string} key - Cache key
+   * @returns {object|null} Cache item
+   */
+  peek(key) {
+    if (!this.meta.has(key)) return null;
+    try {
+      return this.decode(fs.readFileSync(this.getFilePath(key))).item;
+    } catch (error) {
+      this.meta.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Read item
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Cache item
+   */
+  async get(key) {
+    if (!this.meta.has(key)) return null;
+    try {
+      return this.decode(await fs.promises.readFile(this.getFilePath(key))).item;
+    } catch (error) {
+      this.meta.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Store item
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item (value, expiresAt, tags, ...)
+   * @returns {Promise<void>}
+   */
+  async set(key, item) {
+    const filePath = this.getFilePath(key);
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const data = zlib.gzipSync(JSON.stringify({ key, item }));
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+    this.meta.set(key, this.toMeta(item));
+    this.evictOverflow();
+  }
+
+  /**
+   * Delete item
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if the key was known
+   */
+  async delete(key) {
+    const existed = this.meta.delete(key);
+    await fs.promises.rm(this.getFilePath(key), { force: true });
+    return existed;
+  }
+
+  /**
+   * Delete all items
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.generation++;
+    this.meta.clear();
+    await fs.promises.rm(this.dir, { recursive: true, force: true });
+  }
+
+  /**
+   * Get backend statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      ...super.getStats(),
+      dir: this.dir
+    };
+  }
+}
+
+class RedisCacheAdapter extends MemoryCacheAdapter {
+  /**
+   * @param {object} options - Adapter options
+   * @param {string} options.url - Redis URL (default: KANAVERSE_REDIS_URL or redis://127.0.0.1:6379)
+   * @param {string} options.prefix - Key prefix (default: KANAVERSE_REDIS_PREFIX or 'kanaverse:cache')
+   * @param {number} options.maxEntries - Maximum number of keys
+   */
+  constructor(options = {}) {
+    super({ maxEntries: options.maxEntries || 10000 });
+    this.name = 'redis';
+    this.persistent = true;
+    this.store = null;
+    this.url = options.url || process.env.KANAVERSE_REDIS_URL || 'redis://127.0.0.1:6379';
+    this.prefix = options.prefix || process.env.KANAVERSE_REDIS_PREFIX || 'kanaverse:cache';
+    this.metaKey = `${this.prefix}:__meta`;
+    this.client = new RedisClient({ url: this.url, timeout: options.timeout });
+
+    // While the server is unreachable the adapter behaves as an empty cache
+    this.available = false;
+    this.retryAfter = 0;
+    this.retryDelay = 30 * 1000;
+    this.lastError = null;
+
+    this.ready = this.refreshIndex();
+  }
+
+  /**
+   * Run a command, marking the backend unavailable on connection errors
+   * @param {...*} args - Command arguments
+   * @returns {Promise<*>} Reply or null when unavailable
+   */
+  async run(...args) {
+    if (!this.available && Date.now() < this.retryAfter) return null;
+
+    try {
+      const reply = await this.client.command(...args);
+      if (!this.available) {
+        this.available = true;
+        this.lastError = null;
+      }
+      return reply;
+    } catch (error) {
+      if (error.name === 'RedisReplyError') throw error;
+      if (this.available || !this.lastError) {
+        console.warn(`L2 redis unavailable (${error.message}), retrying in ${this.retryDelay / 1000}s`);
+      }
+      this.available = false;
+      this.lastError = error.message;
+      this.retryAfter = Date.now() + this.retryDelay;
+      return null;
+    }
+  }
+
+  /**
+   * Load the index in the background
+   * A failed load (e.g. WRONGTYPE on the meta key) is logged and leaves the index as it was,
+   * empty at startup, instead of rejecting `ready` and every call that awaits it
+   * @returns {Promise<void>} Never rejects
+   */
+  refreshIndex() {
+    return this.loadIndex().catch(error => {
+      this.lastError = error.message;
+      console.error(`L2 redis index load failed (${error.message}), continuing with ${this.meta.size} known keys`);
+    });
+  }
+
+  /**
+   * Load metadata index from the server
+   */
+  async loadIndex() {
+    const reply = await this.run('HGETALL', this.metaKey);
+    if (!Array.isArray(reply)) return;
+
+    const now = Date.now();
+    const expired = [];
+    for (let i = 0; i < reply.length; i += 2) {
+      const key = reply[i].toString('utf8');
+      try {
+        const meta = JSON.parse(reply[i + 1].toString('utf8'));
+        if (getRetainUntil(meta) < now) {
+          expired.push(key);
+        } else {
+          this.meta.set(key, meta);
+        }
+      } catch (error) {
+        expired.push(key);
+      }
+    }
+
+    if (expired.length > 0) {
+      await this.run('HDEL', this.metaKey, ...expired);
+    }
+  }
+
+  /**
+   * Redis reads are async only; CacheService.getAsync reads through
+   * @returns {null} Always null
+   */
+  peek() {
+    return null;
+  }
+
+  /**
+   * Read item
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Cache item
+   */
+  async get(key) {
+    await this.ready;
+    const reply = await this.run('GET', `${this.prefix}:${key}`);
+    if (!reply) {
+      if (this.available && this.meta.delete(key)) {
+        this.run('HDEL', this.metaKey, key).catch(() => {});
+      }
+      return null;
+    }
+
+    try {
+      return JSON.parse(reply.toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store item
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item (value, expiresAt, tags, ...)
+   * @returns {Promise<void>}
+   */
+  async set(key, item) {
+    await this.ready;
+    const ttl = Math.max(1, getRetainUntil(item) - Date.now());
+    const meta = this.toMeta(item);
+
+    const stored = await this.run('SET', `${this.prefix}:${key}`, JSON.stringify(item), 'PX', ttl);
+    if (!stored) return;
+
+    this.meta.set(key, meta);
+    await this.run('HSET', this.metaKey, key, JSON.stringify(meta));
+    this.evictOverflow();
+  }
+
+  /**
+   * Delete item
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if the key was known
+   */
+  async delete(key) {
+    await this.ready;
+    const existed = this.meta.delete(key);
+    await this.run('DEL', `${this.prefix}:${key}`);
+    await this.run('HDEL', this.metaKey, key);
+    return existed;
+  }
+
+  /**
+   * Delete all items
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.ready;
+    const keys = this.keys();
+    this.meta.clear();
+
+    // Delete in batches; never FLUSHDB, the database may be shared
+    for (let i = 0; i < keys.length; i += 500) {
+      await this.run('DEL', ...keys.slice(i, i + 500).map(key => `${this.prefix}:${key}`));
+    }
+    await this.run('DEL', this.metaKey);
+  }
+
+  /**
+   * Remove entries past their stale window
+   * @returns {number} Number of removed entries
+   */
+  cleanup() {
+    const removed = super.cleanup();
+    // Pick up keys written by other instances
+    this.ready = this.refreshIndex();
+    return removed;
+  }
+
+  /**
+   * Get backend statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      ...super.getStats(),
+      url: this.url.replace(/\/\/[^@/]*@/, '//***@'),
+      prefix: this.prefix,
+      available: this.available,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Close server connection
+   */
+  close() {
+    this.client.close();
+  }
+}
+
+const ADAPTERS = {
+  memory: MemoryCacheAdapter,
+  fs: FileSystemCacheAdapter,
+  redis: RedisCacheAdapter
+};
+
+/**
+ * Create L2 adapter
+ * @param {string} type - memory | fs | redis (default: KANAVERSE_CACHE_L2 or memory)
+ * @param {object} options - Adapter options
+ * @returns {object} Adapter instance
+ */
+const createL2Adapter = (type = process.env.KANAVERSE_CACHE_L2, options = {}) => {
+  const name = (type || 'memory').toLowerCase();
+  const Adapter = ADAPTERS[name];
+
+  if (!Adapter) {
+    console.warn(`Unknown KANAVERSE_CACHE_L2 '${name}', using 'memory'`);
+    return new MemoryCacheAdapter(options);
+  }
+
+  return new Adapter(options);
+};
+
+module.exports = {
+  MemoryCacheAdapter,
+  FileSystemCacheAdapter,
+  RedisCacheAdapter,
+  createL2Adapter
+};
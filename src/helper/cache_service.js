@@ -2,8 +2,11 @@
  * Advanced Multi-Level Cache Service with TTL support
  * Provides sophisticated caching functionality for API responses
  * Features: Multi-level caching, cache warming, invalidation strategies, compression
+ * L2 backend is pluggable (memory, fs, redis), see cache_adapters.js
  */
 
+const { createL2Adapter } = require('./cache_adapters');
+
 // Detect Vercel environment
 const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
 
@@ -12,8 +15,10 @@ class CacheService {
     // L1 Cache: Fast in-memory cache
     this.l1Cache = new Map();
 
-    // L2 Cache: Secondary cache (can be extended to Redis/Disk)
-    this.l2Cache = new Map();
+    // L2 Cache: Secondary cache, backend selected with KANAVERSE_CACHE_L2 (memory, fs, redis)
+    this.l2Cache = createL2Adapter(options.l2Backend, {
+      maxEntries: options.l2MaxSize || parseInt(process.env.KANAVERSE_CACHE_L2_MAX) || undefined
+    });
 
     // Cache statistics
     this.stats = {
@@ -22,7 +27,8 @@ class CacheService {
       sets: 0,
       deletes: 0,
       compressions: 0,
-      decompressions: 0
+      decompressions: 0,
+      staleHits: 0
     };
 
     // Configuration - optimized for Vercel serverless
@@ -36,6 +42,23 @@ class CacheService {
     this.warmingQueue = [];
     this.isWarming = false;
 
+    // Single-flight: cache key -> in-flight response that concurrent misses wait for
+    this.inflight = new Map();
+    this.coalesceTimeout = options.coalesceTimeout || 30 * 1000;
+    this.coalescingStats = {
+      flights: 0,
+      coalesced: 0,
+      fallthrough: 0
+    };
+
+    // Stale-while-revalidate: cache key -> background refresh in progress
+    this.revalidating = new Map();
+    this.revalidationStats = {
+      started: 0,
+      refreshed: 0,
+      failed: 0
+    };
+
     // Only start cleanup interval in non-serverless environments
     if (!isVercel) {
       this.startCleanup();
@@ -84,30 +107,104 @@ class CacheService {
    * @returns {object|null} Cached value or null if not found/expired
    */
   get(key) {
-    // Try L1 cache first
-    let item = this.l1Cache.get(key);
-    let cacheLevel = 'L1';
-
-    if (!item || this.isExpired(item)) {
-      // Try L2 cache
-      item = this.l2Cache.get(key);
-      cacheLevel = 'L2';
-
-      if (item && !this.isExpired(item)) {
-        // Promote to L1
-        this.l1Cache.set(key, item);
-      }
+    const entry = this.readItem(key, this.findItem(key));
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Get cached value, reading through to asynchronous L2 backends (Redis)
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value or null if not found/expired
+   */
+  async getAsync(key) {
+    const entry = this.readItem(key, await this.findItemAsync(key));
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Get cached value including entries past their fresh TTL but still inside the stale window
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} { value, stale } or null if not found
+   */
+  async getStaleAsync(key) {
+    return this.readItem(key, await this.findItemAsync(key), true);
+  }
+
+  /**
+   * Look up item in L1, then L2 when L1 has nothing fresh
+   * @param {string} key - Cache key
+   * @returns {object|null} Cache item
+   */
+  findItem(key) {
+    const item = this.l1Cache.get(key);
+    if (item && !this.isExpired(item)) return item;
+
+    // Backends without synchronous reads return null here, use getAsync
+    return this.pickFresher(key, item, this.l2Cache.peek(key));
+  }
+
+  /**
+   * Look up item in L1, then (asynchronously) L2 when L1 has nothing fresh
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Cache item
+   */
+  async findItemAsync(key) {
+    const item = this.l1Cache.get(key);
+    if ((item && !this.isExpired(item)) || !this.l2Cache.has(key)) return item || null;
+
+    let l2Item = null;
+    try {
+      l2Item = await this.l2Cache.get(key);
+    } catch (error) {
+      console.error(`L2 ${this.l2Cache.name} read error:`, error.message);
     }
 
-    if (!item || this.isExpired(item)) {
+    return this.pickFresher(key, item, l2Item);
+  }
+
+  /**
+   * Choose between an L1 and an L2 copy, promoting the L2 copy when it is newer
+   * @param {string} key - Cache key
+   * @param {object|null} item - L1 item
+   * @param {object|null} l2Item - L2 item
+   * @returns {object|null} Cache item
+   */
+  pickFresher(key, item, l2Item) {
+    if (l2Item && !this.isDead(l2Item) && (!item || l2Item.expiresAt > item.expiresAt)) {
+      // Promote to L1
+      this.l1Cache.set(key, l2Item);
+      return l2Item;
+    }
+    return item || null;
+  }
+
+  /**
+   * Resolve a looked-up cache item to its value, updating statistics
+   * @param {string} key - Cache key
+   * @param {object|null} item - Cache item
+   * @param {boolean} allowStale - Return items inside the stale window
+   * @returns {object|null} { value, stale } or null if not found/expired
+   */
+  readItem(key, item, allowStale = false) {
+    if (!item || this.isDead(item)) {
       this.stats.misses++;
-      if (item && this.isExpired(item)) {
+      if (item) {
         this.delete(key);
       }
       return null;
     }
 
-    this.stats.hits++;
+    const stale = this.isExpired(item);
+    if (stale && !allowStale) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (stale) {
+      this.stats.staleHits++;
+    } else {
+      this.stats.hits++;
+    }
 
     // Decompress if needed
     let value = item.value;
@@ -126,11 +223,11 @@ class CacheService {
     item.lastAccessed = Date.now();
     item.accessCount = (item.accessCount || 0) + 1;
 
-    return value;
+    return { value, stale };
   }
 
   /**
-   * Check if cache item is expired
+   * Check if cache item is past its fresh TTL
    * @param {object} item - Cache item
    * @returns {boolean} Whether item is expired
    */
@@ -138,12 +235,57 @@ class CacheService {
     return Date.now() > item.expiresAt;
   }
 
+  /**
+   * Check if cache item is past its stale window and can no longer be served
+   * @param {object} item - Cache item
+   * @returns {boolean} Whether item is unusable
+   */
+  isDead(item) {
+    return Date.now() > (item.staleUntil || item.expiresAt);
+  }
+
+  /**
+   * Refresh a stale key in the background (at most one refresh per key at a time)
+   * On failure the stale copy stays in place until its stale window ends
+   * @param {string} key - Cache key
+   * @param {function} refresh - Returns a promise for the new value
+   * @param {number} ttl - Fresh TTL in milliseconds
+   * @param {object} options - Cache options passed to set (staleTTL, tags)
+   * @returns {Promise<boolean>} True if the entry was refreshed
+   */
+  revalidate(key, refresh, ttl = null, options = {}) {
+    if (this.revalidating.has(key)) {
+      return this.revalidating.get(key);
+    }
+
+    this.revalidationStats.started++;
+    const task = Promise.resolve()
+      .then(refresh)
+      .then(value => {
+        this.set(key, value, ttl, options);
+        this.revalidationStats.refreshed++;
+        return true;
+      })
+      .catch(error => {
+        this.revalidationStats.failed++;
+        console.warn(`Revalidation failed for ${key}, serving stale copy:`, error.message);
+        return false;
+      })
+      .finally(() => {
+        this.revalidating.delete(key);
+      });
+
+    this.revalidating.set(key, task);
+    return task;
+  }
+
   /**
    * Set cache value (multi-level)
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {number} ttl - Time to live in milliseconds (optional)
    * @param {object} options - Cache options
+   * @param {number} options.staleTTL - How long past ttl the value may still be served stale (default 0)
    */
   set(key, value, ttl = null, options = {}) {
     // Check cache size limit
@@ -152,6 +294,7 @@ class CacheService {
     }
 
     const expiresAt = Date.now() + (ttl || this.defaultTTL);
+    const staleUntil = expiresAt + (options.staleTTL || 0);
     let cacheValue = value;
     let compressed = false;
 
@@ -174,6 +317,7 @@ class CacheService {
       value: cacheValue,
       compressed,
       expiresAt,
+      staleUntil,
       createdAt: Date.now(),
       lastAccessed: Date.now(),
       accessCount: 0,
@@ -181,16 +325,44 @@ class CacheService {
       tags: options.tags || []
     };
 
-    // Store in appropriate cache level
+    // Store in appropriate cache level; persistent L2 backends also get a copy of L1 writes
     if (options.level === 'L2' || this.l1Cache.size >= this.maxSize * 0.8) {
-      this.l2Cache.set(key, item);
+      this.writeL2(key, { ...item, level: 'L2' });
     } else {
       this.l1Cache.set(key, item);
+      if (this.l2Cache.persistent) {
+        this.writeL2(key, { ...item, level: 'L2' });
+      }
     }
 
     this.stats.sets++;
   }
 
+  /**
+   * Write item to L2 without blocking the caller
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item
+   */
+  writeL2(key, item) {
+    this.l2Cache.set(key, item).catch(error => {
+      console.error(`L2 ${this.l2Cache.name} write error:`, error.message);
+    });
+  }
+
+  /**
+   * Delete key from L2 without blocking the caller
+   * @param {string} key - Cache key
+   * @returns {boolean} True if L2 knew the key
+   */
+  deleteL2(key) {
+    if (!this.l2Cache.has(key)) return false;
+
+    this.l2Cache.delete(key).catch(error => {
+      console.error(`L2 ${this.l2Cache.name} delete error:`, error.message);
+    });
+    return true;
+  }
+
   /**
    * Serialize value for storage (enables future compression support)
    * @param {*} value - Value to serialize
@@ -232,8 +404,9 @@ class CacheService {
       const item = this.l1Cache.get(lruKey);
       this.l1Cache.delete(lruKey);
 
-      if (this.l2Cache.size < this.maxSize) {
-        this.l2Cache.set(lruKey, { ...item, level: 'L2' });
+      // L2 backend enforces its own size limit
+      if (!this.l2Cache.has(lruKey)) {
+        this.writeL2(lruKey, { ...item, level: 'L2' });
       }
     }
   }
@@ -244,7 +417,7 @@ class CacheService {
    */
   delete(key) {
     const l1Deleted = this.l1Cache.delete(key);
-    const l2Deleted = this.l2Cache.delete(key);
+    const l2Deleted = this.deleteL2(key);
 
     if (l1Deleted || l2Deleted) {
       this.stats.deletes++;
@@ -271,9 +444,9 @@ class CacheService {
     });
 
     // Invalidate L2
-    this.l2Cache.forEach((item, key) => {
+    this.l2Cache.keys().forEach(key => {
       if (regex.test(key)) {
-        this.l2Cache.delete(key);
+        this.deleteL2(key);
         count++;
       }
     });
@@ -300,9 +473,10 @@ class CacheService {
     });
 
     // Invalidate L2
-    this.l2Cache.forEach((item, key) => {
-      if (item.tags && item.tags.some(tag => tagSet.has(tag))) {
-        this.l2Cache.delete(key);
+    this.l2Cache.keys().forEach(key => {
+      const meta = this.l2Cache.getMeta(key);
+      if (meta && meta.tags.some(tag => tagSet.has(tag))) {
+        this.deleteL2(key);
         count++;
       }
     });
@@ -313,11 +487,14 @@ class CacheService {
 
   /**
    * Clear all cache
+   * @returns {Promise<void>} Resolves when the L2 backend is cleared
    */
   clear() {
     this.l1Cache.clear();
-    this.l2Cache.clear();
     this.stats.deletes += this.stats.sets;
+    return this.l2Cache.clear().catch(error => {
+      console.error(`L2 ${this.l2Cache.name} clear error:`, error.message);
+    });
   }
 
   /**
@@ -365,8 +542,10 @@ class CacheService {
         entries.push({
           key,
           level: 'L1',
+          backend: 'memory',
           createdAt: item.createdAt,
           expiresAt: item.expiresAt,
+          staleUntil: item.staleUntil || item.expiresAt,
           lastAccessed: item.lastAccessed,
           accessCount: item.accessCount || 0,
           expired: this.isExpired(item),
@@ -377,21 +556,10 @@ class CacheService {
       }
     });
 
-    // Collect L2 cache entries
-    this.l2Cache.forEach((item, key) => {
+    // Collect L2 cache entries (from backend metadata, values stay in the backend)
+    this.l2Cache.keys().forEach(key => {
       if (!pattern || key.includes(pattern)) {
-        entries.push({
-          key,
-          level: 'L2',
-          createdAt: item.createdAt,
-          expiresAt: item.expiresAt,
-          lastAccessed: item.lastAccessed,
-          accessCount: item.accessCount || 0,
-          expired: this.isExpired(item),
-          compressed: item.compressed,
-          size: this.getItemSize(item),
-          tags: item.tags || []
-        });
+        entries.push(this.formatL2Entry(key, this.l2Cache.getMeta(key)));
       }
     });
 
@@ -408,23 +576,20 @@ class CacheService {
    * @returns {object|null} Entry stats or null if not found
    */
   getEntryStats(key) {
-    let item = this.l1Cache.get(key);
-    let level = 'L1';
+    const item = this.l1Cache.get(key);
 
     if (!item) {
-      item = this.l2Cache.get(key);
-      level = 'L2';
-    }
-
-    if (!item) {
-      return null;
+      const meta = this.l2Cache.getMeta(key);
+      return meta ? { ...this.formatL2Entry(key, meta), ttl: meta.expiresAt - Date.now() } : null;
     }
 
     return {
       key,
-      level,
+      level: 'L1',
+      backend: 'memory',
       createdAt: item.createdAt,
       expiresAt: item.expiresAt,
+      staleUntil: item.staleUntil || item.expiresAt,
       lastAccessed: item.lastAccessed,
       accessCount: item.accessCount || 0,
       expired: this.isExpired(item),
@@ -435,6 +600,29 @@ class CacheService {
     };
   }
 
+  /**
+   * Format L2 metadata as a cache entry
+   * @param {string} key - Cache key
+   * @param {object} meta - Adapter metadata
+   * @returns {object} Entry with metadata
+   */
+  formatL2Entry(key, meta) {
+    return {
+      key,
+      level: 'L2',
+      backend: this.l2Cache.name,
+      createdAt: meta.createdAt,
+      expiresAt: meta.expiresAt,
+      staleUntil: meta.staleUntil || meta.expiresAt,
+      lastAccessed: meta.lastAccessed,
+      accessCount: meta.accessCount || 0,
+      expired: this.isExpired(meta),
+      compressed: meta.compressed,
+      size: meta.size,
+      tags: meta.tags || []
+    };
+  }
+
   /**
    * Get cache statistics
    * @returns {object} Cache statistics
@@ -452,25 +640,29 @@ class CacheService {
       totalSize += this.getItemSize(item);
     });
 
-    this.l2Cache.forEach(item => {
-      if (this.isExpired(item)) {
+    this.l2Cache.keys().forEach(key => {
+      if (this.isExpired(this.l2Cache.getMeta(key))) {
         l2Expired++;
       }
-      totalSize += this.getItemSize(item);
     });
 
+    const l2Stats = this.l2Cache.getStats();
+    totalSize += l2Stats.bytes;
+
     const hitRate = this.stats.hits + this.stats.misses > 0
       ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2)
       : 0;
 
     return {
       l1: {
+        backend: 'memory',
         size: this.l1Cache.size,
         expired: l1Expired,
-        active: this.l1Cache.size - l1Expired
+        active: this.l1Cache.size - l1Expired,
+        bytes: totalSize - l2Stats.bytes
       },
       l2: {
-        size: this.l2Cache.size,
+        ...l2Stats,
         expired: l2Expired,
         active: this.l2Cache.size - l2Expired
       },
@@ -487,7 +679,12 @@ class CacheService {
         sets: this.stats.sets,
         deletes: this.stats.deletes,
         compressions: this.stats.compressions,
-        decompressions: this.stats.decompressions
+        decompressions: this.stats.decompressions,
+        staleHits: this.stats.staleHits
+      },
+      revalidation: {
+        inProgress: this.revalidating.size,
+        ...this.revalidationStats
       }
     };
   }
@@ -510,24 +707,18 @@ class CacheService {
    */
   cleanup() {
     const keysToDeleteL1 = [];
-    const keysToDeleteL2 = [];
 
-    // Cleanup L1
+    // Cleanup L1 (stale entries stay until their stale window ends)
     this.l1Cache.forEach((item, key) => {
-      if (this.isExpired(item)) {
+      if (this.isDead(item)) {
         keysToDeleteL1.push(key);
       }
     });
 
-    // Cleanup L2
-    this.l2Cache.forEach((item, key) => {
-      if (this.isExpired(item)) {
-        keysToDeleteL2.push(key);
-      }
-    });
-
     keysToDeleteL1.forEach(key => this.l1Cache.delete(key));
-    keysToDeleteL2.forEach(key => this.l2Cache.delete(key));
+
+    // Cleanup L2
+    this.l2Cache.cleanup();
 
     // If L1 is getting full, move some items to L2
     if (this.l1Cache.size > this.maxSize * 0.9) {
@@ -558,31 +749,136 @@ class CacheService {
     }
   }
 
+  /**
+   * Start tracking an in-flight response for a cache key
+   * @param {string} key - Cache key
+   * @returns {object} Flight { promise, resolve, reject, release, waiters }
+   */
+  startFlight(key) {
+    const flight = { waiters: 0 };
+    flight.promise = new Promise((resolve, reject) => {
+      flight.resolve = resolve;
+      flight.reject = reject;
+    });
+    // Nobody may be waiting; rejection is handled per waiter
+    flight.promise.catch(() => {});
+    flight.release = () => {
+      if (this.inflight.get(key) === flight) {
+        this.inflight.delete(key);
+      }
+    };
+
+    this.inflight.set(key, flight);
+    this.coalescingStats.flights++;
+    return flight;
+  }
+
+  /**
+   * Wait for another request's response to the same cache key
+   * @param {object} flight - Flight from startFlight
+   * @returns {Promise<object|null>} { statusCode, data } or null when the caller should fetch on its own
+   */
+  async joinFlight(flight) {
+    flight.waiters++;
+    this.coalescingStats.coalesced++;
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), this.coalesceTimeout);
+    });
+
+    try {
+      const shared = await Promise.race([flight.promise, timeout]);
+      if (!shared) this.coalescingStats.fallthrough++;
+      return shared;
+    } catch (error) {
+      this.coalescingStats.fallthrough++;
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get request coalescing statistics
+   * @returns {object} In-flight keys, upstream fetches started, requests that waited for one
+   */
+  getCoalescingStats() {
+    let waiting = 0;
+    this.inflight.forEach(flight => { waiting += flight.waiters; });
+
+    return {
+      inflight: this.inflight.size,
+      waiting,
+      ...this.coalescingStats
+    };
+  }
+
   /**
    * Cache middleware for Express
+   * Concurrent misses for the same key share the first request's response (single-flight)
    * @param {number} ttl - Time to live in milliseconds
+   * @param {object} options - Middleware options
+   * @param {number} options.staleTTL - Serve expired responses this much longer while refreshing (milliseconds)
+   * @param {function} options.revalidate - (req) => refresh function resolving to the new response body,
+   *   or null when the request cannot be refreshed in the background (stale copy is then treated as a miss)
    * @returns {function} Express middleware
    */
-  middleware(ttl = null) {
+  middleware(ttl = null, options = {}) {
     const self = this;
-    return (req, res, next) => {
+    const { staleTTL = 0, revalidate = null } = options;
+    return async (req, res, next) => {
       const key = self.generateKey(req.originalUrl, req.query);
-      const cached = self.get(key);
+      // req.skipCache is set by internal callers (cache warming) that want a fresh response
+      const cached = req.skipCache ? null : await self.getStaleAsync(key);
 
-      if (cached) {
+      if (cached && !cached.stale) {
         res.set('X-Cache', 'HIT');
         // Call res.json through the chain (respecting performance middleware if present)
-        return res.json(cached);
+        return res.json(cached.value);
+      }
+
+      // Expired but inside the stale window: answer now, refresh in the background
+      const refresh = cached && revalidate ? revalidate(req) : null;
+      if (refresh) {
+        self.revalidate(key, refresh, ttl, { staleTTL });
+        res.set('X-Cache', 'STALE');
+        return res.json(cached.value);
       }
 
+      // Same key already being fetched: reuse that response instead of scraping again
+      const pending = self.inflight.get(key);
+      if (pending) {
+        const shared = await self.joinFlight(pending);
+        if (shared) {
+          res.set('X-Cache', 'COALESCED');
+          return res.status(shared.statusCode).json(shared.data);
+        }
+        // Leader ended without a JSON body (or took too long), fetch on our own
+      }
+
+      const flight = self.startFlight(key);
+
+      // Ended without res.json (redirect, stream): waiters fetch on their own
+      res.on('finish', () => {
+        flight.release();
+        flight.reject(new Error('Response finished without JSON body'));
+      });
+      // Client went away: the handler still completes, but new requests should not join
+      res.on('close', flight.release);
+
       // Store the current json method (might be overridden by performance middleware)
       const currentJson = res.json.bind(res);
 
       // Override json method to cache response
       res.json = function (data) {
-        // Cache the response
-        self.set(key, data, ttl);
+        // Cache the response (errors are not cached, a hit would replay them as 200)
+        if (res.statusCode < 400) {
+          self.set(key, data, ttl, { staleTTL });
+        }
         res.set('X-Cache', 'MISS');
+        flight.release();
+        flight.resolve({ statusCode: res.statusCode, data });
         // Call the current json method (which may be performance middleware's override)
         return currentJson(data);
       };
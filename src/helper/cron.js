@@ -0,0 +1,157 @@
+/**
+ * Cron Expressions
+ * Standard 5-field cron (minute hour day-of-month month day-of-week), evaluated in server local time
+ * Supports *, lists (1,15), ranges (1-5), steps (*\/10, 0-30/5) and @hourly/@daily/@weekly/@monthly
+ */
+
+const { ValidationError } = require('./error_handler');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+/**
+ * Parse one cron field
+ * @param {string} value - Field value
+ * @param {object} field - Field definition
+ * @returns {Set} Allowed values
+ * @throws {Error} When the field is invalid
+ */
+const parseField = (value, field) => {
+  const values = new Set();
+
+  value.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step in ${field.name} '${part}'`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-').map(n => (/^\d+$/.test(n) ? parseInt(n) : NaN));
+      start = from;
+      end = to === undefined ? (stepText === undefined ? from : field.max) : to;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+      throw new Error(`invalid ${field.name} '${part}' (${field.min}-${field.max})`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      values.add(i);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse cron expression
+ * @param {string} expression - Cron expression
+ * @returns {object} Parsed schedule { expression, minute, hour, dayOfMonth, month, dayOfWeek, ... }
+ * @throws {ValidationError} When the expression is invalid
+ */
+const parseCron = (expression) => {
+  const source = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new ValidationError(`Invalid cron expression '${expression}'`, ['expected 5 fields: minute hour day-of-month month day-of-week']);
+  }
+
+  const schedule = { expression: String(expression).trim() };
+  try {
+    FIELDS.forEach((field, i) => {
+      schedule[field.name] = parseField(parts[i], field);
+    });
+  } catch (error) {
+    throw new ValidationError(`Invalid cron expression '${expression}'`, [error.message]);
+  }
+
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+  // Like classic cron: when both day fields are restricted, either one may match
+  schedule.anyDay = parts[2] !== '*' && parts[4] !== '*';
+
+  return schedule;
+};
+
+/**
+ * Check if the day of a date matches the schedule
+ * @param {object} schedule - Parsed schedule
+ * @param {Date} date - Date
+ * @returns {boolean} True if the job may run on this day
+ */
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  return schedule.anyDay ? (dayOfMonth || dayOfWeek) : (dayOfMonth && dayOfWeek);
+};
+
+/**
+ * Check if a date matches the schedule
+ * @param {object} schedule - Parsed schedule
+ * @param {Date} date - Date
+ * @returns {boolean} True if the job should run in this minute
+ */
+const matchesCron = (schedule, date) => {
+  return schedule.minute.has(date.getMinutes()) &&
+    schedule.hour.has(date.getHours()) &&
+    schedule.month.has(date.getMonth() + 1) &&
+    matchesDay(schedule, date);
+};
+
+/**
+ * Get next run time strictly after a given time
+ * @param {object} schedule - Parsed schedule
+ * @param {number} from - Timestamp
+ * @returns {number|null} Timestamp of the next matching minute (null if none within a year)
+ */
+const getNextRun = (schedule, from = Date.now()) => {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Minute-by-minute with whole month/day/hour skips; bounded to one year
+  const limit = from + 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (matchesCron(schedule, date)) {
+      return date.getTime();
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  matchesCron,
+  getNextRun
+};
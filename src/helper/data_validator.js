@@ -68,6 +68,61 @@ const normalizeDate = (date) => {
   return date.trim();
 };
 
+// Relative date units (English and Indonesian) in milliseconds
+const RELATIVE_UNITS = [
+  { pattern: /^(second|sec|detik)/, ms: 1000 },
+  { pattern: /^(minute|min|menit)/, ms: 60 * 1000 },
+  { pattern: /^(hour|jam)/, ms: 60 * 60 * 1000 },
+  { pattern: /^(day|hari)/, ms: 24 * 60 * 60 * 1000 },
+  { pattern: /^(week|minggu)/, ms: 7 * 24 * 60 * 60 * 1000 },
+  { pattern: /^(month|bulan)/, ms: 30 * 24 * 60 * 60 * 1000 },
+  { pattern: /^(year|tahun)/, ms: 365 * 24 * 60 * 60 * 1000 }
+];
+
+const INDONESIAN_MONTHS = {
+  januari: 'January', februari: 'February', maret: 'March', april: 'April', mei: 'May', juni: 'June',
+  juli: 'July', agustus: 'August', september: 'September', oktober: 'October', november: 'November', desember: 'December'
+};
+
+/**
+ * Parse a scraped date (ISO, 'Jan 5, 2024', '5 Januari 2024', '3 days ago', '2 jam lalu', unix time)
+ * Relative dates are rounded down to their unit so repeated scrapes give the same value
+ * @param {string|number} value - Scraped date
+ * @param {number} now - Reference time for relative dates
+ * @returns {Date|null} Date or null when it cannot be parsed
+ */
+const parseDate = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number' || /^\d{10,13}$/.test(String(value).trim())) {
+    const number = Number(value);
+    return new Date(number < 1e12 ? number * 1000 : number);
+  }
+
+  const text = String(value).trim().toLowerCase();
+
+  if (/^(just now|baru saja|today|hari ini)$/.test(text)) return new Date(now - (now % RELATIVE_UNITS[3].ms));
+  if (/^(yesterday|kemarin)$/.test(text)) return new Date(now - (now % RELATIVE_UNITS[3].ms) - RELATIVE_UNITS[3].ms);
+
+  const relative = text.match(/^(\d+|an?|se)\s*([a-z]+)\s*(ago|lalu|yang lalu)$/);
+  if (relative) {
+    const unit = RELATIVE_UNITS.find(entry => entry.pattern.test(relative[2]));
+    if (unit) {
+      const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1]) : 1;
+      const time = now - amount * unit.ms;
+      return new Date(time - (time % unit.ms));
+    }
+    return null;
+  }
+
+  // Date.parse is lenient ('Chapter 5' parses as 2001), so require a year
+  if (!/\b\d{4}\b/.test(text)) return null;
+
+  const english = text.replace(/[a-z]+/g, word => INDONESIAN_MONTHS[word] || word);
+  const parsed = Date.parse(english);
+  return isNaN(parsed) ? null : new Date(parsed);
+};
+
 /**
  * Extract and normalize chapter number
  * @param {string} chapterTitle - Chapter title
@@ -257,6 +312,7 @@ module.exports = {
   normalizeUrl,
   normalizeRating,
   normalizeDate,
+  parseDate,
   normalizeChapter,
   normalizeComicItem,
   normalizeChapterItem,
@@ -45,6 +45,13 @@ class RateLimitError extends AppError {
   }
 }
 
+class CircuitOpenError extends AppError {
+  constructor(message = 'Provider is temporarily unavailable', retryAfter = null) {
+    super(message, 503, 'CIRCUIT_OPEN', true);
+    this.retryAfter = retryAfter;
+  }
+}
+
 /**
  * Error handler middleware for Express
  * @param {Error} err - Error object
@@ -125,14 +132,15 @@ const asyncHandler = (fn) => {
  * @param {function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} delay - Initial delay in milliseconds
+ * @param {function} shouldRetry - Returns false for errors that must not be retried
  * @returns {Promise} Promise that resolves or rejects
  */
-const retryWithBackoff = async (fn, maxRetries = 3, delay = 1000) => {
+const retryWithBackoff = async (fn, maxRetries = 3, delay = 1000, shouldRetry = () => true) => {
   for (let i = 0; i < maxRetries; i++) {
     try {
       return await fn();
     } catch (error) {
-      if (i === maxRetries - 1) {
+      if (i === maxRetries - 1 || !shouldRetry(error)) {
         throw error;
       }
       
@@ -150,6 +158,7 @@ module.exports = {
   NotFoundError,
   ValidationError,
   RateLimitError,
+  CircuitOpenError,
   errorHandler,
   asyncHandler,
   retryWithBackoff
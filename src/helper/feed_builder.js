@@ -0,0 +1,177 @@
+/**
+ * Feed Builder
+ * Renders a feed model as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+ *
+ * Model: { feed: { id, title, description, link, image, updated }, items: [{ id, title, link, summary, image, date }] }
+ * Links in the model are route paths, made absolute with the request's base URL when rendering
+ */
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+/**
+ * Escape text for XML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value ?? '')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Make a route path absolute
+ * @param {string} link - Route path or absolute URL
+ * @param {string} baseUrl - Base URL (protocol and host)
+ * @returns {string} Absolute URL
+ */
+const absolute = (link, baseUrl) => {
+  if (!link) return baseUrl;
+  return link.startsWith('/') ? `${baseUrl}${link}` : link;
+};
+
+/**
+ * Render RSS 2.0
+ * @param {object} model - Feed model
+ * @param {string} baseUrl - Base URL
+ * @param {string} selfUrl - URL of this feed
+ * @returns {string} XML
+ */
+const renderRss = (model, baseUrl, selfUrl) => {
+  const { feed, items } = model;
+
+  const entries = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(absolute(item.link, baseUrl))}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    item.date ? `      <pubDate>${new Date(item.date).toUTCString()}</pubDate>` : null,
+    item.summary ? `      <description>${escapeXml(item.summary)}</description>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(absolute(feed.link, baseUrl))}</link>`,
+    `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+    `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    feed.image ? `    <image><url>${escapeXml(feed.image)}</url><title>${escapeXml(feed.title)}</title><link>${escapeXml(absolute(feed.link, baseUrl))}</link></image>` : null,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter(part => part !== null).join('\n');
+};
+
+/**
+ * Render Atom 1.0
+ * @param {object} model - Feed model
+ * @param {string} baseUrl - Base URL
+ * @param {string} selfUrl - URL of this feed
+ * @returns {string} XML
+ */
+const renderAtom = (model, baseUrl, selfUrl) => {
+  const { feed, items } = model;
+  const feedUpdated = new Date(feed.updated).toISOString();
+
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(absolute(item.link, baseUrl))}"/>`,
+    // Atom requires updated on every entry
+    `    <updated>${item.date ? new Date(item.date).toISOString() : feedUpdated}</updated>`,
+    item.date ? `    <published>${new Date(item.date).toISOString()}</published>` : null,
+    item.summary ? `    <summary>${escapeXml(item.summary)}</summary>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    feed.description ? `  <subtitle>${escapeXml(feed.description)}</subtitle>` : null,
+    `  <updated>${feedUpdated}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(absolute(feed.link, baseUrl))}"/>`,
+    feed.image ? `  <logo>${escapeXml(feed.image)}</logo>` : null,
+    '  <author><name>Kanaverse</name></author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(part => part !== null).join('\n');
+};
+
+/**
+ * Render JSON Feed 1.1
+ * @param {object} model - Feed model
+ * @param {string} baseUrl - Base URL
+ * @param {string} selfUrl - URL of this feed
+ * @returns {string} JSON
+ */
+const renderJsonFeed = (model, baseUrl, selfUrl) => {
+  const { feed, items } = model;
+
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: absolute(feed.link, baseUrl),
+    feed_url: selfUrl,
+    description: feed.description || undefined,
+    icon: feed.image || undefined,
+    items: items.map(item => ({
+      id: item.id,
+      url: absolute(item.link, baseUrl),
+      title: item.title,
+      content_text: item.summary || item.title,
+      image: item.image || undefined,
+      date_published: item.date ? new Date(item.date).toISOString() : undefined
+    }))
+  });
+};
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
+
+/**
+ * Render a feed model
+ * @param {string} format - rss, atom or json
+ * @param {object} model - Feed model
+ * @param {string} baseUrl - Base URL (protocol and host)
+ * @param {string} selfUrl - URL of this feed
+ * @returns {object} { body, contentType }
+ */
+const renderFeed = (format, model, baseUrl, selfUrl) => {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(`Unknown feed format '${format}'`);
+  }
+
+  return {
+    body: render(model, baseUrl, selfUrl),
+    contentType: FORMATS[format]
+  };
+};
+
+module.exports = {
+  FEED_FORMATS: Object.keys(FORMATS),
+  escapeXml,
+  renderFeed
+};
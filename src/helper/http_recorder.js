@@ -0,0 +1,204 @@
+/**
+ * HTTP Record/Replay
+ * Axios adapter that records live responses to fixture files and serves them back offline
+ *
+ * KANAVERSE_HTTP_MODE:
+ * - live   (default) normal network access
+ * - record fetch live and save status, headers and body per method+URL
+ * - replay serve saved responses only; unknown URLs fail without touching the network
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const HTTP_MODES = ['live', 'record', 'replay'];
+
+const HTTP_MODE = (() => {
+  const mode = (process.env.KANAVERSE_HTTP_MODE || 'live').toLowerCase();
+  if (!HTTP_MODES.includes(mode)) {
+    console.warn(`Unknown KANAVERSE_HTTP_MODE '${mode}', using 'live'`);
+    return 'live';
+  }
+  return mode;
+})();
+
+const FIXTURES_DIR = process.env.KANAVERSE_HTTP_FIXTURES || path.join(__dirname, '../../fixtures/http');
+
+// Headers not worth keeping in fixtures (session data, hop-by-hop)
+const SKIPPED_HEADERS = ['set-cookie', 'connection', 'transfer-encoding', 'keep-alive'];
+
+const recorderStats = {
+  recorded: 0,
+  replayed: 0,
+  misses: 0
+};
+
+/**
+ * Get fixture file path for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL (including query string)
+ * @returns {string} Fixture file path (<dir>/<host>/<hash>.json)
+ */
+const getFixturePath = (method, url) => {
+  let host = 'unknown';
+  try {
+    host = new URL(url).host.replace(/[^a-z0-9.-]/gi, '_');
+  } catch (error) {
+    // Keep 'unknown' for relative/invalid URLs
+  }
+
+  const hash = crypto.createHash('sha1').update(`${method} ${url}`).digest('hex').slice(0, 16);
+  return path.join(FIXTURES_DIR, host, `${hash}.json`);
+};
+
+/**
+ * Serialize response body for storage
+ * @param {*} data - Raw adapter response data
+ * @returns {object|null} { body, encoding } or null when the body cannot be stored (streams)
+ */
+const encodeBody = (data) => {
+  if (Buffer.isBuffer(data)) return { body: data.toString('base64'), encoding: 'base64' };
+  if (data instanceof ArrayBuffer) return { body: Buffer.from(data).toString('base64'), encoding: 'base64' };
+  if (typeof data === 'string') return { body: data, encoding: 'utf8' };
+  if (data && typeof data.pipe === 'function') return null;
+  return { body: JSON.stringify(data ?? null), encoding: 'json' };
+};
+
+/**
+ * Restore response body from a fixture
+ * @param {object} fixture - Fixture document
+ * @returns {*} Response data in the shape the adapter would return
+ */
+const decodeBody = (fixture) => {
+  if (fixture.encoding === 'base64') return Buffer.from(fixture.body, 'base64');
+  if (fixture.encoding === 'json') return JSON.parse(fixture.body);
+  return fixture.body;
+};
+
+/**
+ * Save a response as a fixture
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL
+ * @param {object} response - Axios response
+ */
+const saveFixture = (method, url, response) => {
+  const encoded = encodeBody(response.data);
+  if (!encoded) {
+    console.warn(`Not recording streamed response for ${method} ${url}`);
+    return;
+  }
+
+  const headers = {};
+  Object.entries(response.headers?.toJSON ? response.headers.toJSON() : (response.headers || {}))
+    .filter(([name]) => !SKIPPED_HEADERS.includes(name.toLowerCase()))
+    .forEach(([name, value]) => { headers[name.toLowerCase()] = value; });
+
+  const filePath = getFixturePath(method, url);
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      method,
+      url,
+      status: response.status,
+      statusText: response.statusText || '',
+      headers,
+      ...encoded,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+    recorderStats.recorded++;
+  } catch (error) {
+    console.error(`Failed to record ${method} ${url}:`, error.message);
+  }
+};
+
+/**
+ * Build an axios response from a fixture, applying validateStatus like the real adapter
+ * @param {object} fixture - Fixture document
+ * @param {object} config - Axios request config
+ * @returns {object} Axios response
+ * @throws {AxiosError} When validateStatus rejects the recorded status
+ */
+const replayFixture = (fixture, config) => {
+  const response = {
+    data: decodeBody(fixture),
+    status: fixture.status,
+    statusText: fixture.statusText,
+    headers: new axios.AxiosHeaders(fixture.headers || {}),
+    config,
+    request: { replayed: true }
+  };
+
+  if (config.validateStatus && !config.validateStatus(response.status)) {
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  return response;
+};
+
+/**
+ * Attach record/replay to an axios instance (no-op in live mode)
+ * @param {object} instance - Axios instance
+ * @returns {object} Same instance
+ */
+const attachRecorder = (instance) => {
+  if (HTTP_MODE === 'live') return instance;
+
+  const liveAdapter = axios.getAdapter(instance.defaults.adapter);
+
+  instance.defaults.adapter = async (config) => {
+    const method = (config.method || 'get').toUpperCase();
+    const url = instance.getUri(config);
+
+    if (HTTP_MODE === 'replay') {
+      const filePath = getFixturePath(method, url);
+      if (!fs.existsSync(filePath)) {
+        recorderStats.misses++;
+        throw new axios.AxiosError(
+          `No recorded response for ${method} ${url} (KANAVERSE_HTTP_MODE=replay)`,
+          'ERR_HTTP_REPLAY_MISS',
+          config
+        );
+      }
+
+      recorderStats.replayed++;
+      return replayFixture(JSON.parse(fs.readFileSync(filePath, 'utf8')), config);
+    }
+
+    try {
+      const response = await liveAdapter(config);
+      saveFixture(method, url, response);
+      return response;
+    } catch (error) {
+      // Error pages (404, 5xx, Cloudflare) are worth replaying too
+      if (error.response) saveFixture(method, url, error.response);
+      throw error;
+    }
+  };
+
+  return instance;
+};
+
+/**
+ * Get record/replay statistics
+ * @returns {object} Mode, fixtures directory and counters
+ */
+const getRecorderStats = () => ({
+  mode: HTTP_MODE,
+  fixturesDir: HTTP_MODE === 'live' ? null : FIXTURES_DIR,
+  ...recorderStats
+});
+
+module.exports = {
+  HTTP_MODE,
+  attachRecorder,
+  getFixturePath,
+  getRecorderStats
+};
@@ -0,0 +1,96 @@
+/**
+ * Image Info
+ * Detects image type and dimensions from the file header (JPEG, PNG, GIF, WebP)
+ */
+
+const TYPES = {
+  jpeg: { ext: 'jpg', mime: 'image/jpeg' },
+  png: { ext: 'png', mime: 'image/png' },
+  gif: { ext: 'gif', mime: 'image/gif' },
+  webp: { ext: 'webp', mime: 'image/webp' }
+};
+
+/**
+ * Read JPEG dimensions from the first SOF segment
+ * @param {Buffer} buffer - Image data
+ * @returns {object|null} { width, height }
+ */
+const readJpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    // Padding bytes before a marker
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+/**
+ * Read WebP dimensions (lossy, lossless and extended)
+ * @param {Buffer} buffer - Image data
+ * @returns {object|null} { width, height }
+ */
+const readWebpSize = (buffer) => {
+  if (buffer.length < 30) return null;
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+/**
+ * Detect image type and dimensions
+ * @param {Buffer} buffer - Image data
+ * @returns {object|null} { type, ext, mime, width, height } (width/height null when unreadable), null if not an image
+ */
+const getImageInfo = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  let type = null;
+  let size = null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    type = 'jpeg';
+    size = readJpegSize(buffer);
+  } else if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.length >= 24) {
+    type = 'png';
+    size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  } else if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    type = 'gif';
+    size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  } else if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    type = 'webp';
+    size = readWebpSize(buffer);
+  }
+
+  if (!type) return null;
+
+  return {
+    type,
+    ...TYPES[type],
+    width: size?.width || null,
+    height: size?.height || null
+  };
+};
+
+module.exports = {
+  getImageInfo
+};
@@ -0,0 +1,100 @@
+/**
+ * JSON File Store
+ * Small persistent key/value documents stored as JSON files in the data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Detect Vercel environment
+const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
+
+// Vercel only allows writes to /tmp (not shared between instances)
+const DATA_DIR = process.env.KANAVERSE_DATA_DIR ||
+  (isVercel ? '/tmp/kanaverse' : path.join(__dirname, '../../data'));
+
+class JsonStore {
+  /**
+   * @param {string} name - Store name (file will be `<name>.json`)
+   * @param {object} defaults - Default document when file does not exist
+   */
+  constructor(name, defaults = {}) {
+    this.name = name;
+    this.filePath = path.join(DATA_DIR, `${name}.json`);
+    this.defaults = defaults;
+    this.data = null;
+  }
+
+  /**
+   * Load document from disk (cached after first read)
+   * @returns {object} Stored document
+   */
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Failed to read store '${this.name}':`, error.message);
+    }
+
+    if (!this.data || typeof this.data !== 'object') {
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Get value by key
+   * @param {string} key - Key
+   * @returns {*} Value or undefined
+   */
+  get(key) {
+    return this.load()[key];
+  }
+
+  /**
+   * Set value by key and persist
+   * @param {string} key - Key
+   * @param {*} value - Value
+   */
+  set(key, value) {
+    this.load()[key] = value;
+    this.save();
+  }
+
+  /**
+   * Delete key and persist
+   * @param {string} key - Key
+   * @returns {boolean} True if key existed
+   */
+  delete(key) {
+    const data = this.load();
+    if (!(key in data)) return false;
+    delete data[key];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Write document to disk (atomic rename)
+   */
+  save() {
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.load(), null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to write store '${this.name}':`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  JsonStore,
+  DATA_DIR
+};
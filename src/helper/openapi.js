@@ -0,0 +1,220 @@
+/**
+ * OpenAPI Builder
+ * Builds the OpenAPI 3 document from the route declarations in config/routes.js
+ *
+ * Routes registered on the Express app but not declared are still listed (path parameters only,
+ * marked x-undocumented), and declarations without a registered route are left out,
+ * so the document never drifts from what the server actually serves
+ */
+
+const { PARAMS, SCHEMAS, ROUTES } = require('../config/routes');
+const { isAdminPath, getRequiredRole } = require('../middleware/admin_auth');
+const { SESSION_COOKIE } = require('../services/admin_auth');
+const { version } = require('../../package.json');
+
+// Keys of a parameter definition that are not part of its schema
+const PARAM_META = ['name', 'in', 'required', 'description', 'deprecated'];
+
+/**
+ * Convert an Express path to an OpenAPI path
+ * /feed/series/:url.:format(rss|atom|json) -> /feed/series/{url}.{format}
+ * @param {string} expressPath - Express route path
+ * @returns {object} { path, params: [{ name, enum }] }
+ */
+const toOpenApiPath = (expressPath) => {
+  const params = [];
+  const path = expressPath.replace(/:(\w+)(\(([^)]*)\))?/g, (match, name, group, pattern) => {
+    const values = pattern && /^[\w|-]+$/.test(pattern) ? pattern.split('|') : null;
+    params.push({ name, enum: values });
+    return `{${name}}`;
+  });
+  return { path, params };
+};
+
+/**
+ * Build an OpenAPI parameter object
+ * @param {string} name - Parameter name
+ * @param {object} definition - Parameter definition (JSON Schema keywords + in/required/description)
+ * @returns {object} OpenAPI parameter
+ */
+const toParameter = (name, definition) => {
+  const schema = {};
+  Object.entries(definition).forEach(([key, value]) => {
+    if (!PARAM_META.includes(key)) schema[key] = value;
+  });
+
+  const parameter = {
+    name,
+    in: definition.in || 'query',
+    schema
+  };
+  if (definition.description) parameter.description = definition.description;
+  if (definition.required || parameter.in === 'path') parameter.required = true;
+  if (definition.deprecated) parameter.deprecated = true;
+  // Lists are comma-separated (?providers=a,b), not repeated
+  if (schema.type === 'array') {
+    parameter.style = 'form';
+    parameter.explode = false;
+  }
+  return parameter;
+};
+
+/**
+ * Build a schema reference, or keep an inline schema
+ * @param {string|object} schema - SCHEMAS name or inline schema
+ * @returns {object} Schema
+ */
+const toSchema = (schema) => (typeof schema === 'string' ? { $ref: `#/components/schemas/${schema}` } : schema);
+
+/**
+ * Build the operation for a declared route
+ * @param {object} route - Route declaration
+ * @param {Array} pathParams - Path parameters from toOpenApiPath
+ * @returns {object} OpenAPI operation
+ */
+const toOperation = (route, pathParams) => {
+  const parameters = pathParams.map(({ name, enum: values }) => toParameter(name, {
+    in: 'path',
+    type: 'string',
+    ...(values ? { enum: values } : {}),
+    ...(route.params?.[name] || {})
+  }));
+
+  (route.query || []).forEach(query => {
+    if (typeof query === 'string') {
+      parameters.push({ $ref: `#/components/parameters/${query}` });
+    } else {
+      parameters.push(toParameter(query.name, query));
+    }
+  });
+
+  let content;
+  if (route.content) {
+    content = {};
+    Object.entries(route.content).forEach(([mediaType, schema]) => {
+      content[mediaType] = { schema };
+    });
+  } else {
+    const responses = [].concat(route.response || 'Envelope');
+    content = {
+      'application/json': {
+        schema: responses.length > 1 ? { oneOf: responses.map(toSchema) } : toSchema(responses[0])
+      }
+    };
+  }
+
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    operationId: `${route.method}${route.path.replace(/\(.*?\)/g, '').replace(/[^a-zA-Z0-9]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''))}`,
+    parameters,
+    responses: {
+      [route.status || 200]: { description: 'Success', content },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: toSchema(route.body) } }
+    };
+  }
+  if (isAdminPath(route.path)) {
+    // Dashboard and system routes need an admin token or session instead of an API key
+    operation.security = [{ AdminBearer: [] }, { AdminSession: [] }];
+    operation['x-admin-role'] = getRequiredRole(route.method);
+  }
+  if (route.deprecated) operation.deprecated = true;
+  if (parameters.length === 0) delete operation.parameters;
+
+  return operation;
+};
+
+/**
+ * List routes registered on an Express app or router
+ * @param {object} app - Express app/router
+ * @returns {Array} [{ method, path }]
+ */
+const listAppRoutes = (app) => {
+  const stack = app?._router?.stack || app?.stack || [];
+  const routes = [];
+
+  stack.forEach(layer => {
+    if (!layer.route || typeof layer.route.path !== 'string' || layer.route.path.includes('*')) return;
+    Object.keys(layer.route.methods).filter(method => method !== '_all').forEach(method => {
+      routes.push({ method, path: layer.route.path });
+    });
+  });
+
+  return routes;
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {object} options - Options
+ * @param {object} options.app - Express app/router serving the API (declarations are matched against it)
+ * @param {string} options.serverUrl - Server URL for `servers`
+ * @returns {object} OpenAPI 3.0 document
+ */
+const buildOpenApiSpec = (options = {}) => {
+  const registered = listAppRoutes(options.app);
+  const declared = new Map(ROUTES.map(route => [`${route.method} ${route.path}`, route]));
+  const paths = {};
+
+  registered.forEach(({ method, path: expressPath }) => {
+    const { path, params } = toOpenApiPath(expressPath);
+    const route = declared.get(`${method} ${expressPath}`);
+
+    const operation = route
+      ? toOperation(route, params)
+      : {
+        ...toOperation({ method, path: expressPath, tag: 'Other', summary: `${method.toUpperCase()} ${path}` }, params),
+        'x-undocumented': true
+      };
+
+    paths[path] = paths[path] || {};
+    paths[path][method] = operation;
+  });
+
+  const parameters = {};
+  Object.entries(PARAMS).forEach(([name, definition]) => {
+    parameters[name] = toParameter(name, definition);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Kanaverse API',
+      version,
+      description: 'Multi-provider manga API. Most list endpoints return a legacy shape by default and the processing pipeline shape with advanced=true.'
+    },
+    servers: options.serverUrl ? [{ url: options.serverUrl }] : [],
+    // API keys are optional: without one, requests use the anonymous tier
+    security: [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+    tags: [...new Set(ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      parameters,
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+        AdminBearer: { type: 'http', scheme: 'bearer', description: 'KANAVERSE_ADMIN_TOKEN (operator) or KANAVERSE_VIEWER_TOKEN (viewer, GET only)' },
+        AdminSession: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'Set by POST /api/admin/session' }
+      },
+      responses: {
+        Error: {
+          description: 'Error (400 validation, 401 invalid API key or admin auth, 403 role, 404, 429 rate limit or quota, 5xx upstream)',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    }
+  };
+};
+
+module.exports = {
+  toOpenApiPath,
+  listAppRoutes,
+  buildOpenApiSpec
+};
@@ -0,0 +1,404 @@
+/**
+ * Outbound Limiter
+ * One limiter per provider host for every request we send upstream (attached to the axios instances)
+ *
+ * - Budget: a token bucket per page/API host (the registrable domains of the provider's baseUrl and
+ *   apiUrl), sized by `rateLimit: { requestsPerSecond, burstLimit }` in providers.js
+ * - Feedback: Retry-After and X-RateLimit-* / RateLimit-* response headers from any host of a
+ *   provider (image CDNs included) pause that host until upstream says we can go again
+ * - Backoff: a 429/503 halves the host's rate and pauses it (doubling, when there is no Retry-After);
+ *   successful responses bring the rate back step by step
+ *
+ * A request that would have to wait longer than maxWait fails at once with UPSTREAM_RATE_LIMITED
+ * instead of holding the route open. Replayed requests (KANAVERSE_HTTP_MODE=replay) are not limited
+ */
+
+const psl = require('psl');
+const { NetworkError } = require('./error_handler');
+const { HTTP_MODE } = require('./http_recorder');
+
+// Detect Vercel environment
+const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
+
+// Budget for providers without a rateLimit block
+const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 2,
+  burstLimit: 4
+};
+
+const THROTTLE_STATUSES = [429, 503];
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 60 * 1000;
+const MAX_BLOCK = 10 * 60 * 1000; // Cap for upstream-provided pauses
+const MIN_RATE_FACTOR = 0.1;      // The rate never drops below 10% of the configured one
+const RECOVERY_STEP = 0.1;        // Each success adds back 10% of the configured rate
+
+/**
+ * Get the registrable domain of a host
+ * @param {string} hostname - Host name
+ * @returns {string} Domain
+ */
+const getDomain = (hostname) => psl.get(hostname) || hostname;
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string} value - Header value
+ * @param {number} now - Timestamp
+ * @returns {number|null} Timestamp to retry at
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return now + Math.max(0, seconds) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+};
+
+/**
+ * Parse a rate limit reset header: seconds from now, a unix timestamp (MangaDex
+ * X-RateLimit-Retry-After) or an HTTP date
+ * @param {string} value - Header value
+ * @param {number} now - Timestamp
+ * @returns {number|null} Reset timestamp
+ */
+const parseReset = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (Number.isFinite(number)) {
+    if (number > 1e12) return number;        // Unix milliseconds
+    if (number > 1e9) return number * 1000;  // Unix seconds
+    return now + Math.max(0, number) * 1000; // Delta seconds
+  }
+  return parseRetryAfter(value, now);
+};
+
+/**
+ * Read an integer header
+ * @param {object} headers - Response headers
+ * @param {string[]} names - Header names, first present wins
+ * @returns {number|null} Value
+ */
+const readIntHeader = (headers, names) => {
+  for (const name of names) {
+    const value = parseInt(headers[name]);
+    if (Number.isFinite(value)) return value;
+  }
+  return null;
+};
+
+/**
+ * Sleep
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class OutboundLimiter {
+  /**
+   * @param {object} options - Limiter options
+   * @param {number} options.maxWait - Longest a request may wait for its host, in milliseconds
+   */
+  constructor(options = {}) {
+    this.maxWait = options.maxWait || 15000;
+    this.hosts = new Map(); // host -> state (null for hosts of no provider)
+  }
+
+  /**
+   * Get the rate limit config of a provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} { requestsPerSecond, burstLimit }
+   */
+  getProviderConfig(providerId) {
+    const { getProvider } = require('../config/providers');
+    const rateLimit = getProvider(providerId)?.rateLimit || {};
+    const requestsPerSecond = rateLimit.requestsPerSecond > 0 ? rateLimit.requestsPerSecond : DEFAULT_RATE_LIMIT.requestsPerSecond;
+    return {
+      requestsPerSecond,
+      burstLimit: Math.max(1, rateLimit.burstLimit || Math.max(DEFAULT_RATE_LIMIT.burstLimit, requestsPerSecond))
+    };
+  }
+
+  /**
+   * Get or create the state of a request's host
+   * @param {string} url - Request URL
+   * @returns {object|null} Host state, null when the host belongs to no provider
+   */
+  getState(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+
+    if (this.hosts.has(hostname)) return this.hosts.get(hostname);
+
+    // Lazy-load to avoid a circular dependency (provider_manager -> scrapers -> axios_service)
+    const { findProviderByHost } = require('../services/provider_manager');
+    const { getProvider } = require('../config/providers');
+    const providerId = findProviderByHost(hostname);
+    if (!providerId) {
+      this.hosts.set(hostname, null);
+      return null;
+    }
+
+    // Only page/API hosts get a budget; image hosts only follow upstream feedback
+    const provider = getProvider(providerId);
+    const pageDomains = [provider.baseUrl, provider.apiUrl].filter(Boolean).map(value => {
+      try {
+        return getDomain(new URL(value).hostname.toLowerCase());
+      } catch (error) {
+        return null;
+      }
+    });
+    const { requestsPerSecond, burstLimit } = this.getProviderConfig(providerId);
+
+    const state = {
+      host: hostname,
+      providerId,
+      budgeted: pageDomains.includes(getDomain(hostname)),
+      requestsPerSecond,
+      burst: burstLimit,
+      rate: requestsPerSecond,
+      tokens: burstLimit,
+      updatedAt: Date.now(),
+      blockedUntil: 0,
+      backoff: 0,
+      upstream: null,
+      requests: 0,
+      waited: 0,
+      waitedMs: 0,
+      throttled: 0,
+      rejected: 0,
+      lastThrottledAt: null
+    };
+    this.hosts.set(hostname, state);
+    return state;
+  }
+
+  /**
+   * Refill a host's tokens
+   * @param {object} state - Host state
+   * @param {number} now - Timestamp
+   */
+  refill(state, now) {
+    if (!state.budgeted || now <= state.updatedAt) return;
+    state.tokens = Math.min(state.burst, state.tokens + ((now - state.updatedAt) / 1000) * state.rate);
+    state.updatedAt = now;
+  }
+
+  /**
+   * Get how long a request to a host has to wait
+   * @param {object} state - Host state
+   * @param {number} now - Timestamp
+   * @returns {number} Milliseconds
+   */
+  getWait(state, now) {
+    const blockedWait = state.blockedUntil - now;
+    const tokenWait = state.budgeted && state.tokens < 1
+      ? Math.max(0, state.updatedAt - now) + ((1 - state.tokens) / state.rate) * 1000
+      : 0;
+    return Math.ceil(Math.max(0, blockedWait, tokenWait));
+  }
+
+  /**
+   * Wait for the budget of a request's host
+   * @param {string} url - Request URL
+   * @returns {Promise<void>}
+   * @throws {NetworkError} UPSTREAM_RATE_LIMITED when the wait would exceed maxWait
+   */
+  async acquire(url) {
+    if (HTTP_MODE === 'replay') return;
+    const state = this.getState(url);
+    if (!state) return;
+
+    let waited = 0;
+    for (;;) {
+      const now = Date.now();
+      this.refill(state, now);
+      const wait = this.getWait(state, now);
+
+      if (wait <= 0) {
+        if (state.budgeted) state.tokens -= 1;
+        state.requests++;
+        if (waited > 0) {
+          state.waited++;
+          state.waitedMs += waited;
+        }
+        return;
+      }
+
+      if (waited + wait > this.maxWait) {
+        state.rejected++;
+        const retryAfter = Math.ceil(wait / 1000);
+        const error = new NetworkError(`${state.host} is rate limited, retry in ${retryAfter}s`);
+        error.code = 'UPSTREAM_RATE_LIMITED';
+        error.retryAfter = retryAfter;
+        throw error;
+      }
+
+      await sleep(wait);
+      waited += wait;
+    }
+  }
+
+  /**
+   * Record an upstream response for its host
+   * @param {string} url - Request URL
+   * @param {object} response - Axios response ({ status, headers })
+   */
+  record(url, response) {
+    if (HTTP_MODE === 'replay' || !response) return;
+    const state = this.getState(url);
+    if (!state) return;
+
+    const now = Date.now();
+    const headers = response.headers || {};
+
+    const remaining = readIntHeader(headers, ['x-ratelimit-remaining', 'ratelimit-remaining']);
+    const resetAt = parseReset(headers['x-ratelimit-retry-after'] ?? headers['x-ratelimit-reset'] ?? headers['ratelimit-reset'], now);
+    if (remaining !== null || resetAt !== null) {
+      state.upstream = {
+        limit: readIntHeader(headers, ['x-ratelimit-limit', 'ratelimit-limit']),
+        remaining,
+        resetAt
+      };
+    }
+
+    if (THROTTLE_STATUSES.includes(response.status)) {
+      const retryAt = parseRetryAfter(headers['retry-after'], now);
+      state.backoff = Math.min(MAX_BACKOFF, state.backoff ? state.backoff * 2 : BASE_BACKOFF);
+      const upstreamResetAt = remaining === 0 ? resetAt : null;
+      this.pause(state, retryAt ?? upstreamResetAt ?? now + state.backoff, now);
+      state.rate = Math.max(state.requestsPerSecond * MIN_RATE_FACTOR, state.rate / 2);
+      state.throttled++;
+      state.lastThrottledAt = now;
+      console.warn(`Upstream ${state.host} throttled (${response.status}), pausing ${Math.ceil((state.blockedUntil - now) / 1000)}s at ${state.rate.toFixed(2)} req/s`);
+      return;
+    }
+
+    // Budget used up upstream: hold off until it resets
+    if (remaining === 0 && resetAt) {
+      this.pause(state, resetAt, now);
+    }
+
+    if (response.status < 400) {
+      state.backoff = 0;
+      state.rate = Math.min(state.requestsPerSecond, state.rate + state.requestsPerSecond * RECOVERY_STEP);
+    }
+  }
+
+  /**
+   * Pause a host until a time (tokens don't refill while paused)
+   * @param {object} state - Host state
+   * @param {number} until - Timestamp
+   * @param {number} now - Timestamp
+   */
+  pause(state, until, now) {
+    const blockedUntil = Math.min(until, now + MAX_BLOCK);
+    if (blockedUntil <= state.blockedUntil) return;
+    this.refill(state, now);
+    state.blockedUntil = blockedUntil;
+    state.tokens = Math.min(state.tokens, 1);
+    state.updatedAt = Math.max(state.updatedAt, blockedUntil);
+  }
+
+  /**
+   * Get host statistics
+   * @param {object} state - Host state
+   * @param {number} now - Timestamp
+   * @returns {object} Statistics
+   */
+  getHostStats(state, now) {
+    this.refill(state, now);
+    return {
+      budgeted: state.budgeted,
+      currentRate: state.budgeted ? Math.round(state.rate * 100) / 100 : null,
+      available: state.budgeted ? Math.max(0, Math.floor(state.tokens)) : null,
+      burst: state.budgeted ? state.burst : null,
+      blockedFor: Math.max(0, state.blockedUntil - now),
+      backoff: state.backoff,
+      upstream: state.upstream,
+      requests: state.requests,
+      waited: state.waited,
+      avgWait: state.waited > 0 ? Math.round(state.waitedMs / state.waited) : 0,
+      throttled: state.throttled,
+      rejected: state.rejected,
+      lastThrottledAt: state.lastThrottledAt
+    };
+  }
+
+  /**
+   * Get each provider's configured budget and the current state of the hosts it has been sent to
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const { listProviders } = require('../services/provider_manager');
+    const now = Date.now();
+    const providers = {};
+
+    listProviders().forEach(({ id }) => {
+      const { requestsPerSecond, burstLimit } = this.getProviderConfig(id);
+      providers[id] = { requestsPerSecond, burstLimit, hosts: {} };
+    });
+
+    this.hosts.forEach((state, host) => {
+      if (!state || !providers[state.providerId]) return;
+      providers[state.providerId].hosts[host] = this.getHostStats(state, now);
+    });
+
+    return {
+      maxWait: this.maxWait,
+      providers
+    };
+  }
+
+  /**
+   * Forget all host state
+   */
+  reset() {
+    this.hosts.clear();
+  }
+}
+
+// Singleton instance: shorter waits in serverless (10s function limit)
+const outboundLimiter = new OutboundLimiter({
+  maxWait: isVercel ? 2000 : 15000
+});
+
+/**
+ * Limit an axios instance's requests with the outbound limiter
+ * @param {object} instance - Axios instance
+ * @param {OutboundLimiter} limiter - Limiter (default: the shared one)
+ * @returns {object} The same instance
+ */
+const attachOutboundLimiter = (instance, limiter = outboundLimiter) => {
+  instance.interceptors.request.use(async (config) => {
+    await limiter.acquire(instance.getUri(config));
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      limiter.record(instance.getUri(response.config), response);
+      return response;
+    },
+    (error) => {
+      if (error.response && error.config) {
+        limiter.record(instance.getUri(error.config), error.response);
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return instance;
+};
+
+module.exports = {
+  OutboundLimiter,
+  outboundLimiter,
+  attachOutboundLimiter,
+  parseRetryAfter,
+  parseReset,
+  DEFAULT_RATE_LIMIT
+};
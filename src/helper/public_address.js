@@ -0,0 +1,112 @@
+/**
+ * Public Address Guard
+ * Keeps server-side requests to user- or scrape-supplied URLs (webhooks, image proxy, archive panels)
+ * away from the server's own network: loopback, private, link-local, CGNAT, metadata and
+ * IPv4-mapped IPv6 addresses are refused
+ *
+ * Literal addresses are checked up front (isPrivateHost); hostnames are checked when the socket
+ * connects (publicLookup / publicAgents), which also covers DNS rebinding and redirects
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Hostnames that point back into the server's own network
+const PRIVATE_HOST_NAMES = [
+  /^localhost$/i,
+  /\.localhost$/i
+];
+
+// Address ranges that are not reachable on the public internet
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check if an IP address is private, local or otherwise not public (IPv4-mapped IPv6 included)
+ * @param {string} address - IP address
+ * @returns {boolean} True if private
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check if a URL hostname is a local name or a private address literal (no DNS lookup)
+ * @param {string} hostname - Hostname, IPv6 literals with or without brackets
+ * @returns {boolean} True if private
+ */
+const isPrivateHost = (hostname) => {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  return PRIVATE_HOST_NAMES.some(pattern => pattern.test(host)) || isPrivateAddress(host);
+};
+
+/**
+ * Build the error raised for refused private targets (code EPRIVATEADDRESS, never worth retrying)
+ * @param {string} message - Error message
+ * @returns {Error} Error with code EPRIVATEADDRESS
+ */
+const privateAddressError = (message) => Object.assign(new Error(message), { code: 'EPRIVATEADDRESS' });
+
+/**
+ * Check if an error (or the redirect error wrapping it) is a refused private target
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True if the target was refused as private
+ */
+const isPrivateAddressError = (error) =>
+  error?.code === 'EPRIVATEADDRESS' || error?.cause?.code === 'EPRIVATEADDRESS';
+
+/**
+ * dns.lookup for outgoing sockets that refuses hostnames resolving to a private address
+ * Checking the address the socket connects to also covers DNS rebinding
+ * @param {string} hostname - Hostname
+ * @param {object} options - dns.lookup options
+ * @param {function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(privateAddressError(`${hostname} resolves to private address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Agents for axios (httpAgent/httpsAgent) that only connect to public addresses, redirects included
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * axios beforeRedirect hook refusing redirects to private address literals
+ * (literals skip the lookup, so publicAgents alone can't catch them)
+ * @param {object} options - Redirect request options
+ * @throws {Error} When the redirect targets a private host
+ */
+const rejectPrivateRedirect = (options) => {
+  if (isPrivateHost(options.hostname)) {
+    throw privateAddressError(`Redirect to private address ${options.hostname} refused`);
+  }
+};
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  isPrivateAddressError,
+  publicLookup,
+  publicAgents,
+  rejectPrivateRedirect
+};
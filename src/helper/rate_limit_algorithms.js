@@ -0,0 +1,132 @@
+/**
+ * Rate Limit Algorithms
+ * Selected with KANAVERSE_RATE_LIMIT_ALGORITHM (or the limiter's `algorithm` option):
+ * - sliding-window (default) sliding window counter: the current and previous fixed windows,
+ *   the previous one weighted by how much of it still overlaps the sliding window
+ * - token-bucket  a bucket of `burst` tokens refilled at max/windowMs, stored as the time the
+ *   bucket is full again (GCRA), so bursts are allowed but the average rate is capped
+ *
+ * Both keep a constant number of counters per client and work on any rate limit store
+ * Every algorithm resolves { allowed, limit, remaining, resetTime, retryAfter, policy }
+ */
+
+/**
+ * Sliding window counter
+ * @param {object} store - Rate limit store
+ * @param {string} key - Client key
+ * @param {object} limits - { max, windowMs }
+ * @param {number} cost - Requests this request counts as
+ * @param {number} now - Timestamp
+ * @returns {Promise<object>} Result
+ */
+const slidingWindow = async (store, key, limits, cost, now = Date.now()) => {
+  const { max, windowMs } = limits;
+  const index = Math.floor(now / windowMs);
+  const windowStart = index * windowMs;
+  const elapsed = (now - windowStart) / windowMs;
+  const currentKey = `${key}:${index}`;
+
+  const [previous, current] = await Promise.all([
+    store.get(`${key}:${index - 1}`),
+    store.increment(currentKey, cost, windowMs * 2)
+  ]);
+  const count = (previous || 0) * (1 - elapsed) + current;
+  const result = {
+    limit: max,
+    resetTime: windowStart + windowMs,
+    policy: `${max};w=${Math.round(windowMs / 1000)}`
+  };
+
+  if (count > max) {
+    await store.increment(currentKey, -cost, windowMs * 2);
+    // Wait until the previous window's weight has dropped enough; when this window alone is over,
+    // it becomes the previous window and its weight has to drop in the next one
+    const used = current - cost;
+    const retryAt = current <= max
+      ? windowStart + (1 - (max - current) / previous) * windowMs
+      : windowStart + windowMs + (used > 0 ? Math.max(0, 1 - (max - cost) / used) : 0) * windowMs;
+    return {
+      ...result,
+      allowed: false,
+      remaining: Math.max(0, Math.floor(max - (count - cost))),
+      retryAfter: Math.max(1, Math.ceil((retryAt - now) / 1000))
+    };
+  }
+
+  return { ...result, allowed: true, remaining: Math.floor(max - count), retryAfter: 0 };
+};
+
+/**
+ * Token bucket (GCRA)
+ * A request costing more than the burst is charged the burst, so it needs a full bucket
+ * @param {object} store - Rate limit store
+ * @param {string} key - Client key
+ * @param {object} limits - { max, windowMs, burst } (burst defaults to max)
+ * @param {number} cost - Tokens this request takes
+ * @param {number} now - Timestamp
+ * @returns {Promise<object>} Result
+ */
+const tokenBucket = async (store, key, limits, cost, now = Date.now()) => {
+  const { max, windowMs } = limits;
+  const burst = limits.burst || max;
+  const interval = windowMs / max; // Milliseconds per token
+  const tolerance = burst * interval;
+  const increment = Math.round(Math.min(cost, burst) * interval);
+  const bucketKey = `${key}:tb`;
+  const result = {
+    limit: burst,
+    policy: `${max};w=${Math.round(windowMs / 1000)};burst=${burst}`
+  };
+
+  // The counter holds the time the bucket is full again and expires then, so a missing key is a full bucket
+  let fullAt = now + increment;
+  if (!(await store.add(bucketKey, fullAt, increment))) {
+    fullAt = await store.increment(bucketKey, increment);
+
+    if (fullAt - now > tolerance) {
+      await store.increment(bucketKey, -increment);
+      return {
+        ...result,
+        allowed: false,
+        remaining: 0,
+        resetTime: fullAt - increment,
+        retryAfter: Math.max(1, Math.ceil((fullAt - tolerance - now) / 1000))
+      };
+    }
+    await store.expire(bucketKey, fullAt - now);
+  }
+
+  return {
+    ...result,
+    allowed: true,
+    remaining: Math.max(0, Math.floor((tolerance - (fullAt - now)) / interval)),
+    resetTime: Math.max(now, fullAt),
+    retryAfter: 0
+  };
+};
+
+const ALGORITHMS = {
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket
+};
+
+/**
+ * Get an algorithm by name
+ * @param {string} name - sliding-window | token-bucket (default: KANAVERSE_RATE_LIMIT_ALGORITHM or sliding-window)
+ * @returns {function} Algorithm
+ */
+const getAlgorithm = (name = process.env.KANAVERSE_RATE_LIMIT_ALGORITHM) => {
+  const algorithmName = (name || 'sliding-window').toLowerCase();
+  if (!ALGORITHMS[algorithmName]) {
+    console.warn(`Unknown rate limit algorithm '${algorithmName}', using 'sliding-window'`);
+    return ALGORITHMS['sliding-window'];
+  }
+  return ALGORITHMS[algorithmName];
+};
+
+module.exports = {
+  slidingWindow,
+  tokenBucket,
+  ALGORITHMS,
+  getAlgorithm
+};
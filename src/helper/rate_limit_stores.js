@@ -0,0 +1,285 @@
+/**
+ * Rate Limit Stores
+ * Counter storage for the rate limiter, selected with KANAVERSE_RATE_LIMIT_STORE:
+ * - memory (default) in-process Map, each instance counts on its own
+ * - redis  any Redis-protocol server (KANAVERSE_REDIS_URL), counts shared between instances
+ *
+ * Stores hold one integer per key with a TTL. The algorithms (rate_limit_algorithms.js) only use
+ * get, increment, add (set if absent) and expire, which map to single Redis commands
+ * (GET, INCRBY, SET NX PX, PEXPIRE), so no scripting support is needed
+ */
+
+const { RedisClient } = require('./redis_client');
+
+class MemoryRateLimitStore {
+  /**
+   * @param {object} options - Store options
+   * @param {number} options.cleanupInterval - Expired key sweep interval in milliseconds
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.cleanupInterval = options.cleanupInterval || 60 * 1000;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.cleanupInterval);
+    this.cleanupTimer.unref?.();
+  }
+
+  /**
+   * Get a live entry
+   * @param {string} key - Key
+   * @returns {object|null} Entry or null when missing or expired
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Get a counter
+   * @param {string} key - Key
+   * @returns {Promise<number|null>} Value or null when missing
+   */
+  async get(key) {
+    return this.getEntry(key)?.value ?? null;
+  }
+
+  /**
+   * Add to a counter (created at 0 when missing)
+   * @param {string} key - Key
+   * @param {number} amount - Amount (negative to refund)
+   * @param {number} ttlMs - New TTL in milliseconds (TTL unchanged when omitted)
+   * @returns {Promise<number>} New value
+   */
+  async increment(key, amount, ttlMs) {
+    const entry = this.getEntry(key) || { value: 0, expiresAt: Infinity };
+    entry.value += Math.round(amount);
+    if (ttlMs !== undefined) {
+      entry.expiresAt = Date.now() + ttlMs;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Set a counter only when it doesn't exist
+   * @param {string} key - Key
+   * @param {number} value - Value
+   * @param {number} ttlMs - TTL in milliseconds
+   * @returns {Promise<boolean>} True if set
+   */
+  async add(key, value, ttlMs) {
+    if (this.getEntry(key)) return false;
+    this.entries.set(key, { value: Math.round(value), expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  /**
+   * Change a counter's TTL
+   * @param {string} key - Key
+   * @param {number} ttlMs - TTL in milliseconds
+   */
+  async expire(key, ttlMs) {
+    const entry = this.getEntry(key);
+    if (!entry) return;
+    if (ttlMs <= 0) {
+      this.entries.delete(key);
+    } else {
+      entry.expiresAt = Date.now() + ttlMs;
+    }
+  }
+
+  /**
+   * Remove expired counters
+   * @returns {number} Number of removed counters
+   */
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      backend: this.name,
+      keys: this.entries.size
+    };
+  }
+
+  /**
+   * Stop the cleanup timer
+   */
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+// Reply marker for commands skipped while the server is unreachable
+const UNAVAILABLE = Symbol('unavailable');
+
+class RedisRateLimitStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.url - Redis URL (default: KANAVERSE_REDIS_URL or redis://127.0.0.1:6379)
+   * @param {string} options.prefix - Key prefix (default: KANAVERSE_RATE_LIMIT_PREFIX or 'kanaverse:ratelimit')
+   * @param {number} options.timeout - Command timeout in milliseconds (default: 500)
+   */
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url || process.env.KANAVERSE_REDIS_URL || 'redis://127.0.0.1:6379';
+    this.prefix = options.prefix || process.env.KANAVERSE_RATE_LIMIT_PREFIX || 'kanaverse:ratelimit';
+    this.client = new RedisClient({ url: this.url, timeout: options.timeout || 500 });
+
+    // While the server is unreachable, requests are counted per instance
+    this.fallback = new MemoryRateLimitStore();
+    this.available = true;
+    this.retryAfter = 0;
+    this.retryDelay = 30 * 1000;
+    this.lastError = null;
+  }
+
+  /**
+   * Run a command, marking the server unavailable on connection errors
+   * @param {...*} args - Command arguments
+   * @returns {Promise<*>} Reply or UNAVAILABLE
+   */
+  async run(...args) {
+    if (!this.available && Date.now() < this.retryAfter) return UNAVAILABLE;
+
+    try {
+      const reply = await this.client.command(...args);
+      if (!this.available) {
+        this.available = true;
+        this.lastError = null;
+      }
+      return reply;
+    } catch (error) {
+      if (error.name === 'RedisReplyError') throw error;
+      if (this.available) {
+        console.warn(`Rate limit redis unavailable (${error.message}), counting per instance for ${this.retryDelay / 1000}s`);
+      }
+      this.available = false;
+      this.lastError = error.message;
+      this.retryAfter = Date.now() + this.retryDelay;
+      return UNAVAILABLE;
+    }
+  }
+
+  /**
+   * Get a counter
+   * @param {string} key - Key
+   * @returns {Promise<number|null>} Value or null when missing
+   */
+  async get(key) {
+    const reply = await this.run('GET', `${this.prefix}:${key}`);
+    if (reply === UNAVAILABLE) return this.fallback.get(key);
+    return reply === null ? null : parseInt(reply.toString('utf8'));
+  }
+
+  /**
+   * Add to a counter (created at 0 when missing)
+   * @param {string} key - Key
+   * @param {number} amount - Amount (negative to refund)
+   * @param {number} ttlMs - New TTL in milliseconds (TTL unchanged when omitted)
+   * @returns {Promise<number>} New value
+   */
+  async increment(key, amount, ttlMs) {
+    const reply = await this.run('INCRBY', `${this.prefix}:${key}`, Math.round(amount));
+    if (reply === UNAVAILABLE) return this.fallback.increment(key, amount, ttlMs);
+
+    if (ttlMs !== undefined) {
+      await this.expire(key, ttlMs);
+    }
+    return reply;
+  }
+
+  /**
+   * Set a counter only when it doesn't exist
+   * @param {string} key - Key
+   * @param {number} value - Value
+   * @param {number} ttlMs - TTL in milliseconds
+   * @returns {Promise<boolean>} True if set
+   */
+  async add(key, value, ttlMs) {
+    const reply = await this.run('SET', `${this.prefix}:${key}`, Math.round(value), 'PX', Math.max(1, Math.ceil(ttlMs)), 'NX');
+    if (reply === UNAVAILABLE) return this.fallback.add(key, value, ttlMs);
+    return reply === 'OK';
+  }
+
+  /**
+   * Change a counter's TTL
+   * @param {string} key - Key
+   * @param {number} ttlMs - TTL in milliseconds
+   */
+  async expire(key, ttlMs) {
+    const reply = await this.run('PEXPIRE', `${this.prefix}:${key}`, Math.max(1, Math.ceil(ttlMs)));
+    if (reply === UNAVAILABLE) await this.fallback.expire(key, ttlMs);
+  }
+
+  /**
+   * Get store statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      backend: this.name,
+      url: this.url.replace(/\/\/[^@/]*@/, '//***@'),
+      prefix: this.prefix,
+      available: this.available,
+      lastError: this.lastError,
+      fallbackKeys: this.fallback.entries.size
+    };
+  }
+
+  /**
+   * Close server connection
+   */
+  close() {
+    this.client.close();
+    this.fallback.close();
+  }
+}
+
+const STORES = {
+  memory: MemoryRateLimitStore,
+  redis: RedisRateLimitStore
+};
+
+/**
+ * Create rate limit store
+ * @param {string} type - memory | redis (default: KANAVERSE_RATE_LIMIT_STORE or memory)
+ * @param {object} options - Store options
+ * @returns {object} Store instance
+ */
+const createRateLimitStore = (type = process.env.KANAVERSE_RATE_LIMIT_STORE, options = {}) => {
+  const name = (type || 'memory').toLowerCase();
+  const Store = STORES[name];
+
+  if (!Store) {
+    console.warn(`Unknown KANAVERSE_RATE_LIMIT_STORE '${name}', using 'memory'`);
+    return new MemoryRateLimitStore(options);
+  }
+
+  return new Store(options);
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  createRateLimitStore
+};
@@ -0,0 +1,235 @@
+/**
+ * Minimal Redis Client
+ * Speaks RESP2 over a plain TCP socket, enough for the L2 cache adapter
+ * Works with Redis and Redis-protocol servers (KeyDB, Dragonfly, Valkey, local stand-ins)
+ */
+
+const net = require('net');
+const { NetworkError } = require('./error_handler');
+
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+class RedisClient {
+  /**
+   * @param {object} options - Client options
+   * @param {string} options.url - redis://[:password@]host[:port][/db]
+   * @param {number} options.timeout - Connect/command timeout in milliseconds
+   */
+  constructor(options = {}) {
+    const parsed = new URL(options.url || 'redis://127.0.0.1:6379');
+
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    this.db = parseInt(parsed.pathname.replace('/', '')) || 0;
+    this.timeout = options.timeout || 2000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  /**
+   * Connect (once) and authenticate/select database
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.socket && !this.socket.destroyed) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new NetworkError(`Redis connect timeout (${this.host}:${this.port})`));
+      }, this.timeout);
+
+      socket.once('connect', async () => {
+        clearTimeout(timer);
+        socket.setNoDelay(true);
+        this.socket = socket;
+
+        try {
+          if (this.password) {
+            await this.command(...(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]));
+          }
+          if (this.db) {
+            await this.command('SELECT', this.db);
+          }
+          resolve();
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', error => {
+        clearTimeout(timer);
+        this.failPending(new NetworkError(`Redis connection error: ${error.message}`));
+        reject(new NetworkError(`Redis connection error: ${error.message}`));
+      });
+      socket.on('close', () => {
+        if (this.socket !== socket) return;
+        this.socket = null;
+        this.failPending(new NetworkError('Redis connection closed'));
+      });
+
+      // Do not keep the process alive just for the cache connection
+      socket.unref();
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Send a command
+   * @param {...(string|number|Buffer)} args - Command and arguments
+   * @returns {Promise<*>} Reply (string, number, Buffer, array or null)
+   */
+  async command(...args) {
+    if (!this.socket || this.socket.destroyed) {
+      await this.connect();
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new NetworkError(`Redis command timeout: ${args[0]}`));
+        // The reply order is now unknown, start over with a fresh connection
+        this.close();
+      }, this.timeout);
+
+      this.pending.push({
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+      this.socket.write(this.encode(args));
+    });
+  }
+
+  /**
+   * Encode command as RESP array of bulk strings
+   * @param {Array} args - Command arguments
+   * @returns {Buffer} Encoded command
+   */
+  encode(args) {
+    const parts = [Buffer.from(`*${args.length}\r\n`)];
+    args.forEach(arg => {
+      const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+      parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n'));
+    });
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Handle incoming data, resolving pending commands in order
+   * @param {Buffer} chunk - Received data
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length > 0) {
+      let parsed;
+      try {
+        parsed = this.parse(this.buffer, 0);
+      } catch (error) {
+        // Stream is out of sync, nothing after this point can be trusted
+        this.failPending(error);
+        this.close();
+        return;
+      }
+      if (!parsed) return; // Incomplete reply, wait for more data
+
+      this.buffer = this.buffer.subarray(parsed.offset);
+      const request = this.pending.shift();
+      if (!request) continue;
+
+      if (parsed.value instanceof RedisReplyError) {
+        request.reject(parsed.value);
+      } else {
+        request.resolve(parsed.value);
+      }
+    }
+  }
+
+  /**
+   * Parse one RESP value
+   * @param {Buffer} buffer - Buffer
+   * @param {number} offset - Start offset
+   * @returns {object|null} { value, offset } or null when incomplete
+   */
+  parse(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new RedisReplyError(line), offset: next };
+      case ':':
+        return { value: parseInt(line), offset: next };
+      case '$': {
+        const length = parseInt(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.subarray(next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(buffer, position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        throw new NetworkError(`Unexpected Redis reply type '${type}'`);
+    }
+  }
+
+  /**
+   * Reject all pending commands
+   * @param {Error} error - Error to reject with
+   */
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    pending.forEach(request => request.reject(error));
+  }
+
+  /**
+   * Close connection
+   */
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.failPending(new NetworkError('Redis connection closed'));
+  }
+}
+
+module.exports = {
+  RedisClient,
+  RedisReplyError
+};
@@ -0,0 +1,110 @@
+/**
+ * Schema Validator
+ * Checks parameter values against the JSON Schema subset used by config/routes.js:
+ * type (string, integer, number, boolean, array), enum, minimum, maximum,
+ * minLength, maxLength, minItems, maxItems and items
+ *
+ * Query strings are coerced first (coerceQueryValue): trimmed, numbers and booleans parsed,
+ * enum values matched case-insensitively and comma-separated lists split into arrays
+ */
+
+/**
+ * Coerce a query string value to the schema type
+ * Values that cannot be coerced are returned as-is, so validateSchema reports them
+ * @param {*} value - Raw query value (string, or array for repeated parameters)
+ * @param {object} schema - Parameter schema
+ * @returns {*} Coerced value
+ */
+const coerceQueryValue = (value, schema) => {
+  if (schema.type === 'array') {
+    const parts = [].concat(value).flatMap(part => String(part).split(','));
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  // Repeated parameters (?page=1&page=2): the last one wins
+  const last = Array.isArray(value) ? value[value.length - 1] : value;
+  if (typeof last !== 'string') return last;
+  const raw = last.trim();
+
+  if ((schema.type === 'integer' || schema.type === 'number') && raw !== '') {
+    const number = Number(raw);
+    return isNaN(number) ? raw : number;
+  }
+  if (schema.type === 'boolean') {
+    if (['true', '1'].includes(raw)) return true;
+    if (['false', '0'].includes(raw)) return false;
+  }
+  // Enums are case-insensitive (sortOrder=DESC)
+  if (schema.enum) {
+    return schema.enum.find(option => String(option).toLowerCase() === raw.toLowerCase()) ?? raw;
+  }
+  return raw;
+};
+
+/**
+ * Check a value's type
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ */
+const hasType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema
+ * @param {string} name - Field name used in messages (list items: `providers[0]`)
+ * @returns {Array} Error messages, empty when valid
+ */
+const validateSchema = (value, schema, name) => {
+  if (schema.type && !hasType(value, schema.type)) {
+    const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    return [`${name} must be ${article} ${schema.type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${name} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${name} must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${name} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${name} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${name} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${name}[${index}]`));
+      });
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  coerceQueryValue,
+  validateSchema
+};
@@ -0,0 +1,194 @@
+/**
+ * Zip Writer
+ * Minimal streaming ZIP writer (no ZIP64): each file is written to the output as soon as it is added,
+ * only the central directory is kept in memory
+ *
+ * Images are stored as-is (already compressed), text files can be deflated
+ */
+
+const zlib = require('zlib');
+
+const MAX_UINT32 = 0xFFFFFFFF;
+const MAX_ENTRIES = 0xFFFF;
+const UTF8_FLAG = 0x0800;
+
+// CRC-32 lookup table (IEEE polynomial), only built where zlib.crc32 is missing
+let crcTable = null;
+
+/**
+ * CRC-32 of a buffer (zlib.crc32 exists from Node 20.15 / 22.2 on)
+ * @param {Buffer} data - Data
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (data) => {
+  if (zlib.crc32) return zlib.crc32(data);
+
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Convert date to MS-DOS time and date fields
+ * @param {Date} date - Date
+ * @returns {object} { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+class ZipWriter {
+  /**
+   * @param {object} output - Writable stream (e.g. Express response)
+   */
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.offset = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Write a chunk, waiting for drain when the output is full
+   * @param {Buffer} chunk - Data
+   * @returns {Promise<void>}
+   * @throws {Error} When the output was closed (client went away)
+   */
+  write(chunk) {
+    if (this.output.destroyed || this.output.writableEnded) {
+      return Promise.reject(new Error('Output closed'));
+    }
+
+    this.offset += chunk.length;
+    if (this.output.write(chunk)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        this.output.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        this.output.off('drain', onDrain);
+        reject(new Error('Output closed'));
+      };
+      this.output.once('drain', onDrain);
+      this.output.once('close', onClose);
+    });
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path inside the archive
+   * @param {Buffer|string} content - File content
+   * @param {object} options - Options
+   * @param {boolean} options.compress - Deflate the content (default false, stored)
+   * @param {Date} options.date - Modification date (default now)
+   * @returns {Promise<void>}
+   */
+  async addFile(name, content, options = {}) {
+    if (this.finished) {
+      throw new Error('Archive already finished');
+    }
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error(`Archive cannot hold more than ${MAX_ENTRIES} files`);
+    }
+
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const compress = options.compress === true;
+    const body = compress ? zlib.deflateRawSync(data) : data;
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(options.date || new Date());
+
+    if (this.offset + 30 + fileName.length + body.length > MAX_UINT32) {
+      throw new Error('Archive too large (more than 4 GB)');
+    }
+
+    const entry = {
+      fileName,
+      method: compress ? 8 : 0,
+      time,
+      date,
+      crc: crc32(data),
+      compressedSize: body.length,
+      size: data.length,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28); // Extra field length
+
+    this.entries.push(entry);
+    await this.write(Buffer.concat([header, fileName]));
+    await this.write(body);
+  }
+
+  /**
+   * Write central directory and end the output
+   * @returns {Promise<void>}
+   */
+  async finish() {
+    if (this.finished) return;
+    this.finished = true;
+
+    const directoryOffset = this.offset;
+    const records = this.entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4); // Version made by
+      record.writeUInt16LE(20, 6); // Version needed
+      record.writeUInt16LE(UTF8_FLAG, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.fileName.length, 28);
+      // Extra, comment, disk number, internal and external attributes stay 0
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.fileName]);
+    });
+    const directory = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await this.write(directory);
+    await this.write(end);
+    this.output.end();
+  }
+}
+
+module.exports = {
+  ZipWriter
+};
@@ -0,0 +1,136 @@
+/**
+ * Admin auth middleware
+ * Guards the dashboard and system routes: `Authorization: Bearer <token>` or the session cookie
+ * set by POST /api/admin/session. Viewers can only read (GET), operators can do everything
+ *
+ * Every non-GET request of an authenticated admin is written to the audit log with its status,
+ * including the ones refused for lacking the operator role
+ */
+
+const { AppError } = require('../helper/error_handler');
+const { adminAuthService, SESSION_COOKIE } = require('../services/admin_auth');
+const { auditLogService } = require('../services/audit_log');
+
+// Route prefixes that need an admin (mounted with router.use)
+const ADMIN_PATHS = ['/api/dashboard', '/api/system'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the role a request method needs on admin routes
+ * @param {string} method - HTTP method
+ * @returns {string} viewer or operator
+ */
+const getRequiredRole = (method) => (READ_METHODS.includes(method.toUpperCase()) ? 'viewer' : 'operator');
+
+/**
+ * Check whether a route path is an admin route
+ * @param {string} path - Route path
+ * @returns {boolean} True if it is under ADMIN_PATHS
+ */
+const isAdminPath = (path) => ADMIN_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+/**
+ * Read a cookie from the request
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+const getCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+/**
+ * Resolve the admin of a request from the bearer token or the session cookie
+ * @param {object} req - Express request
+ * @returns {object|null} { role, via, expiresAt } or null
+ */
+const resolveAdmin = (req) => {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    const role = adminAuthService.authenticateToken(token);
+    return role ? { role, via: 'bearer', expiresAt: null } : null;
+  }
+
+  const session = adminAuthService.verifySession(getCookie(req, SESSION_COOKIE));
+  return session ? { ...session, via: 'session' } : null;
+};
+
+/**
+ * Write a finished admin request to the audit log
+ * @param {object} req - Express request
+ * @param {number} statusCode - Response status
+ */
+const recordAction = (req, statusCode) => {
+  const routePath = req.route?.path || req.originalUrl.split('?')[0];
+  auditLogService.record({
+    action: `${req.method} ${routePath}`,
+    role: req.admin.role,
+    via: req.admin.via,
+    ip: req.ip,
+    path: req.originalUrl.split('?')[0],
+    query: req.query,
+    body: req.body,
+    statusCode
+  });
+};
+
+/**
+ * Require an admin for the route (register with router.use(ADMIN_PATHS, ...))
+ * Safe to repeat on a route: a request that already passed it is not checked or audited twice
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.admin) {
+    return next();
+  }
+  if (!adminAuthService.isConfigured()) {
+    return next(new AppError('Admin access is disabled, set KANAVERSE_ADMIN_TOKEN to enable it', 503, 'ADMIN_AUTH_NOT_CONFIGURED'));
+  }
+
+  const admin = resolveAdmin(req);
+  if (!admin) {
+    return next(new AppError('Admin authentication required', 401, 'UNAUTHORIZED'));
+  }
+  req.admin = admin;
+
+  const method = req.method.toUpperCase();
+  if (!READ_METHODS.includes(method)) {
+    res.on('finish', () => recordAction(req, res.statusCode));
+  }
+
+  if (!adminAuthService.hasRole(admin.role, getRequiredRole(method))) {
+    return next(new AppError('This action requires the operator role', 403, 'FORBIDDEN'));
+  }
+  next();
+};
+
+/**
+ * Require the operator role (for GET routes with side effects)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const requireOperator = (req, res, next) => {
+  if (!req.admin || !adminAuthService.hasRole(req.admin.role, 'operator')) {
+    return next(new AppError('This action requires the operator role', 403, 'FORBIDDEN'));
+  }
+  next();
+};
+
+module.exports = {
+  ADMIN_PATHS,
+  getRequiredRole,
+  isAdminPath,
+  getCookie,
+  resolveAdmin,
+  requireAdmin,
+  requireOperator
+};
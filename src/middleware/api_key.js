@@ -0,0 +1,56 @@
+/**
+ * API key middleware
+ * Reads the key from the X-API-Key header or the api_key query parameter and sets req.apiKey
+ * ({ id, name, tier }). Requests without a key stay anonymous (req.apiKey = null)
+ *
+ * api_key is removed from the URL and query so it doesn't end up in cache keys, analytics or logs
+ */
+
+const { AppError } = require('../helper/error_handler');
+const { apiKeyService } = require('../services/api_keys');
+
+/**
+ * Remove the api_key parameter from a URL
+ * @param {string} url - Request URL (path and query)
+ * @returns {string} URL without api_key
+ */
+const stripApiKeyParam = (url) => {
+  const [pathname, search] = url.split('?');
+  if (search === undefined) return url;
+  const params = search.split('&').filter(param => param.split('=')[0] !== 'api_key');
+  return params.length > 0 ? `${pathname}?${params.join('&')}` : pathname;
+};
+
+/**
+ * Authenticate the request's API key (register before the routes)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const authenticateApiKey = (req, res, next) => {
+  const queryKey = req.query.api_key;
+  if (queryKey !== undefined) {
+    delete req.query.api_key;
+    req.url = stripApiKeyParam(req.url);
+    req.originalUrl = stripApiKeyParam(req.originalUrl);
+  }
+
+  const key = req.get('x-api-key') || queryKey;
+  req.apiKey = null;
+  if (!key) {
+    return next();
+  }
+
+  const apiKey = apiKeyService.authenticate(String(key));
+  if (!apiKey) {
+    return next(new AppError('Invalid or revoked API key', 401, 'INVALID_API_KEY'));
+  }
+
+  req.apiKey = apiKey;
+  res.set('X-API-Tier', apiKey.tier);
+  next();
+};
+
+module.exports = {
+  authenticateApiKey
+};
@@ -0,0 +1,43 @@
+/**
+ * Feed response middleware
+ * Route handlers (and cacheService.middleware hits) send a feed model with res.json;
+ * this renders it in the format from the URL extension, with ETag and Last-Modified
+ */
+
+const crypto = require('crypto');
+const { renderFeed } = require('../helper/feed_builder');
+const ResponseOptimizer = require('../services/response_optimizer');
+
+/**
+ * Render feed models sent with res.json (place before cacheService.middleware)
+ * Express answers 304 on its own when If-None-Match / If-Modified-Since match these headers
+ * @param {object} req - Express request (req.params.format: rss, atom or json)
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const feedResponder = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = function (data) {
+    // Errors keep the regular JSON error shape
+    if (res.statusCode >= 400 || !data || !data.feed) {
+      return json(data);
+    }
+
+    // Feeds render here instead of through res.json, so apply ?proxyImages (middleware/image_urls.js) too
+    const model = res.locals.proxyImages ? ResponseOptimizer.optimize(data, { proxyImages: res.locals.proxyImages }) : data;
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const { body, contentType } = renderFeed(req.params.format, model, baseUrl, `${baseUrl}${req.originalUrl}`);
+
+    res.set('Content-Type', contentType);
+    res.set('ETag', `"${crypto.createHash('sha1').update(body).digest('base64url')}"`);
+    res.set('Last-Modified', new Date(data.feed.updated).toUTCString());
+    return res.send(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  feedResponder
+};
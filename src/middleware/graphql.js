@@ -0,0 +1,154 @@
+/**
+ * GraphQL middleware
+ * GET /graphql?query=...&variables=... or POST /graphql with { query, variables, operationName }
+ *
+ * parseGraphQLRequest parses, validates and measures the query before the rate limiter runs,
+ * so graphqlRateLimiter can charge the query's estimated scrapes instead of one request.
+ * Responses use the GraphQL format ({ data, errors }) with AppError codes in errors[].extensions.code
+ */
+
+const { parse, validate, execute, getOperationAST, GraphQLError } = require('graphql');
+const { graphqlService } = require('../services/graphql_service');
+const { rateLimiter } = require('./rate_limiter');
+const { AppError, ValidationError } = require('../helper/error_handler');
+
+/**
+ * Format an execution error
+ * @param {GraphQLError} error - GraphQL error
+ * @returns {object} Error with extensions.code
+ */
+const formatError = (error) => {
+  const original = error.originalError;
+  const formatted = error.toJSON();
+  formatted.extensions = {
+    ...formatted.extensions,
+    code: original instanceof AppError ? original.code : (original ? 'INTERNAL_ERROR' : 'GRAPHQL_ERROR')
+  };
+  if (original?.errors?.length > 0) {
+    formatted.extensions.errors = original.errors;
+  }
+  return formatted;
+};
+
+/**
+ * Send a request error (nothing was executed)
+ * @param {object} res - Express response
+ * @param {number} statusCode - HTTP status
+ * @param {string} code - Error code
+ * @param {Array} messages - Error messages
+ * @returns {object} Express response
+ */
+const sendRequestError = (res, statusCode, code, messages) => {
+  return res.status(statusCode).json({
+    errors: messages.map(message => ({ message, extensions: { code } }))
+  });
+};
+
+/**
+ * Parse, validate and measure the GraphQL request (sets req.graphql)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const parseGraphQLRequest = (req, res, next) => {
+  const params = req.method === 'POST' ? (req.body || {}) : req.query;
+  const { query, operationName } = params;
+  let variables = params.variables || {};
+
+  if (!query || typeof query !== 'string') {
+    return sendRequestError(res, 400, 'VALIDATION_ERROR', ['query is required']);
+  }
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      return sendRequestError(res, 400, 'VALIDATION_ERROR', ['variables must be a JSON object']);
+    }
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return sendRequestError(res, 400, 'GRAPHQL_PARSE_FAILED', [error.message]);
+  }
+
+  const validationErrors = validate(graphqlService.schema, document);
+  if (validationErrors.length > 0) {
+    return sendRequestError(res, 400, 'GRAPHQL_VALIDATION_FAILED', validationErrors.map(error => error.message));
+  }
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return sendRequestError(res, 400, 'GRAPHQL_VALIDATION_FAILED', ['operationName must name one operation of the document']);
+  }
+  if (operation.operation !== 'query') {
+    return sendRequestError(res, 405, 'METHOD_NOT_ALLOWED', ['Only queries are supported']);
+  }
+
+  let measured;
+  try {
+    measured = graphqlService.measure(document, operationName, variables);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    return sendRequestError(res, 400, 'GRAPHQL_VALIDATION_FAILED', error.errors);
+  }
+  const limitErrors = graphqlService.checkLimits(measured);
+  if (limitErrors.length > 0) {
+    return sendRequestError(res, 400, 'QUERY_TOO_COMPLEX', limitErrors);
+  }
+
+  req.graphql = {
+    document,
+    operationName,
+    variables,
+    ...measured,
+    // Rate limit cost: estimated scrapes (at least one request)
+    cost: Math.max(1, measured.scrapes)
+  };
+  res.set('X-GraphQL-Complexity', measured.complexity);
+  next();
+};
+
+/**
+ * Rate limiter charging req.graphql.cost (counted with the REST routes of the default group)
+ */
+const graphqlRateLimiter = rateLimiter.createMiddleware({
+  group: 'default',
+  cost: req => req.graphql?.cost || 1,
+  message: 'Too many GraphQL requests, please try again later'
+});
+
+/**
+ * Execute the parsed query
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const graphqlHandler = async (req, res, next) => {
+  try {
+    const { document, operationName, variables } = req.graphql;
+    const result = await execute({
+      schema: graphqlService.schema,
+      document,
+      operationName,
+      variableValues: variables,
+      contextValue: graphqlService.createContext()
+    });
+
+    const body = { data: result.data };
+    if (result.errors) {
+      body.errors = result.errors.map(formatError);
+    }
+    // Variable coercion errors mean nothing ran
+    return res.status(result.data === undefined ? 400 : 200).json(body);
+  } catch (error) {
+    next(error instanceof GraphQLError ? new AppError(error.message, 400, 'GRAPHQL_ERROR') : error);
+  }
+};
+
+module.exports = {
+  parseGraphQLRequest,
+  graphqlRateLimiter,
+  graphqlHandler
+};
@@ -0,0 +1,57 @@
+/**
+ * Image URL rewriting middleware
+ * With ?proxyImages=true (or KANAVERSE_PROXY_IMAGES=true, opt out with ?proxyImages=false),
+ * image URLs in JSON responses are replaced by signed /image proxy URLs
+ *
+ * Runs inside the cache middleware's res.json, so cached bodies keep the upstream URLs
+ * and every hit is rewritten for the requesting host
+ */
+
+const ResponseOptimizer = require('../services/response_optimizer');
+const { imageProxyService } = require('../services/image_proxy');
+
+/**
+ * Check if a request wants proxied image URLs
+ * @param {object} req - Express request
+ * @returns {boolean} True when URLs should be rewritten
+ */
+const wantsProxyImages = (req) => {
+  const value = req.query.proxyImages;
+  if (['true', '1'].includes(value)) return true;
+  if (['false', '0'].includes(value)) return false;
+  return process.env.KANAVERSE_PROXY_IMAGES === 'true';
+};
+
+/**
+ * Rewrite image URLs in responses sent with res.json (register before the routes)
+ * Sets res.locals.proxyImages (ResponseOptimizer options) for responders that render their own body
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const proxyImageUrls = (req, res, next) => {
+  if (!wantsProxyImages(req)) {
+    return next();
+  }
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  res.locals.proxyImages = {
+    provider: req.query.provider,
+    rewriteUrl: (url, provider) => imageProxyService.buildProxyUrl(url, { baseUrl, provider })
+  };
+
+  const json = res.json.bind(res);
+  res.json = function (data) {
+    if (res.statusCode >= 400 || !data || typeof data !== 'object') {
+      return json(data);
+    }
+    return json(ResponseOptimizer.optimize(data, { proxyImages: res.locals.proxyImages }));
+  };
+
+  next();
+};
+
+module.exports = {
+  wantsProxyImages,
+  proxyImageUrls
+};
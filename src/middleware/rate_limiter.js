@@ -1,23 +1,41 @@
 /**
  * Rate limiting middleware for Express
- * Simple in-memory rate limiter with IP-based tracking
+ * Tracks clients by API key, or by IP for anonymous requests
+ *
+ * Counting uses a pluggable algorithm (sliding window counter or token bucket, helper/rate_limit_algorithms.js)
+ * on a pluggable store (in-memory or Redis-protocol, helper/rate_limit_stores.js). Responses carry the
+ * IETF RateLimit-* headers as well as the older X-RateLimit-* ones
+ *
+ * Limiters with a route group take their limits from the client's tier (config/tiers.js),
+ * and requests with an API key also count against the key's daily/monthly quota
  */
 
+const { getTierLimits } = require('../config/tiers');
+const { apiKeyService } = require('../services/api_keys');
+const { createRateLimitStore } = require('../helper/rate_limit_stores');
+const { getAlgorithm } = require('../helper/rate_limit_algorithms');
+
 class RateLimiter {
-  constructor() {
-    this.requests = new Map();
-    this.cleanupInterval = 60 * 1000; // Cleanup every minute
-    
-    // Start cleanup
-    this.startCleanup();
+  /**
+   * @param {object} options - Limiter options
+   * @param {object} options.store - Rate limit store (default: KANAVERSE_RATE_LIMIT_STORE)
+   * @param {string} options.algorithm - Default algorithm (default: KANAVERSE_RATE_LIMIT_ALGORITHM)
+   */
+  constructor(options = {}) {
+    this.store = options.store || createRateLimitStore();
+    this.algorithmName = options.algorithm || process.env.KANAVERSE_RATE_LIMIT_ALGORITHM || 'sliding-window';
+    this.algorithm = getAlgorithm(this.algorithmName);
   }
 
   /**
    * Get client identifier from request
    * @param {object} req - Express request object
-   * @returns {string} Client identifier (IP address)
+   * @returns {string} Client identifier (API key ID or IP address)
    */
   getClientId(req) {
+    if (req.apiKey) {
+      return `key:${req.apiKey.id}`;
+    }
     return req.ip || 
            req.connection.remoteAddress || 
            req.headers['x-forwarded-for']?.split(',')[0] || 
@@ -25,118 +43,92 @@ class RateLimiter {
   }
 
   /**
-   * Check if request should be rate limited
+   * Check if request should be rate limited (and count it when allowed)
    * @param {string} clientId - Client identifier
-   * @param {number} maxRequests - Maximum requests allowed
-   * @param {number} windowMs - Time window in milliseconds
-   * @returns {object} Rate limit result
+   * @param {object} limits - { max, windowMs, burst }
+   * @param {number} cost - Requests this request counts as (default 1)
+   * @param {function} algorithm - Algorithm (default: the limiter's)
+   * @returns {Promise<object>} { allowed, limit, remaining, resetTime, retryAfter, policy }
    */
-  checkLimit(clientId, maxRequests, windowMs) {
-    const now = Date.now();
-    const key = `${clientId}`;
-    
-    let clientData = this.requests.get(key);
-    
-    if (!clientData) {
-      clientData = {
-        requests: [],
-        resetTime: now + windowMs
-      };
-      this.requests.set(key, clientData);
-    }
-    
-    // Clean old requests outside the window
-    clientData.requests = clientData.requests.filter(
-      timestamp => now - timestamp < windowMs
-    );
-    
-    // Check if limit exceeded
-    if (clientData.requests.length >= maxRequests) {
-      const resetTime = clientData.requests[0] + windowMs;
-      return {
-        allowed: false,
-        remaining: 0,
-        resetTime,
-        retryAfter: Math.ceil((resetTime - now) / 1000)
-      };
-    }
-    
-    // Add current request
-    clientData.requests.push(now);
-    clientData.resetTime = now + windowMs;
-    
-    return {
-      allowed: true,
-      remaining: maxRequests - clientData.requests.length,
-      resetTime: clientData.resetTime,
-      retryAfter: 0
-    };
+  checkLimit(clientId, limits, cost = 1, algorithm = this.algorithm) {
+    return algorithm(this.store, clientId, limits, cost);
   }
 
   /**
-   * Cleanup old entries
+   * Set rate limit headers
+   * @param {object} res - Express response
+   * @param {object} result - checkLimit result
    */
-  cleanup() {
-    const now = Date.now();
-    const keysToDelete = [];
-    
-    this.requests.forEach((data, key) => {
-      if (now > data.resetTime) {
-        keysToDelete.push(key);
-      }
+  setHeaders(res, result) {
+    const resetSeconds = Math.max(0, Math.ceil((result.resetTime - Date.now()) / 1000));
+    res.set({
+      'X-RateLimit-Limit': result.limit,
+      'X-RateLimit-Remaining': result.remaining,
+      'X-RateLimit-Reset': new Date(result.resetTime).toISOString(),
+      // draft-ietf-httpapi-ratelimit-headers: Reset is in seconds, Policy is `<limit>;w=<window seconds>`
+      'RateLimit-Limit': result.limit,
+      'RateLimit-Remaining': result.remaining,
+      'RateLimit-Reset': resetSeconds,
+      'RateLimit-Policy': result.policy
     });
-    
-    keysToDelete.forEach(key => this.requests.delete(key));
-  }
-
-  /**
-   * Start automatic cleanup
-   */
-  startCleanup() {
-    if (this.cleanupTimer) {
-      clearInterval(this.cleanupTimer);
-    }
-    
-    this.cleanupTimer = setInterval(() => {
-      this.cleanup();
-    }, this.cleanupInterval);
-  }
-
-  /**
-   * Stop cleanup
-   */
-  stopCleanup() {
-    if (this.cleanupTimer) {
-      clearInterval(this.cleanupTimer);
-      this.cleanupTimer = null;
-    }
   }
 
   /**
    * Create rate limit middleware
    * @param {object} options - Rate limit options
-   * @param {number} options.max - Maximum requests
-   * @param {number} options.windowMs - Time window in milliseconds
+   * @param {string} options.group - Route group (config/tiers.js); limits then come from the client's tier
+   * @param {number} options.max - Maximum requests (without group)
+   * @param {number} options.windowMs - Time window in milliseconds (without group)
+   * @param {number} options.burst - Token bucket size (without group, default: max)
+   * @param {string} options.algorithm - sliding-window or token-bucket (default: the limiter's)
    * @param {string} options.message - Error message
+   * @param {function} options.cost - (req) => requests the request counts as (default 1)
    * @returns {function} Express middleware
    */
   createMiddleware(options = {}) {
     const {
+      group = null,
       max = 100,
       windowMs = 15 * 60 * 1000, // 15 minutes
-      message = 'Too many requests, please try again later'
+      burst,
+      message = 'Too many requests, please try again later',
+      cost = () => 1
     } = options;
+    const algorithm = options.algorithm ? getAlgorithm(options.algorithm) : this.algorithm;
 
-    return (req, res, next) => {
-      const clientId = this.getClientId(req);
-      const result = this.checkLimit(clientId, max, windowMs);
+    return async (req, res, next) => {
+      // In-process requests (cache warming) are not client traffic
+      if (req.internal) {
+        return next();
+      }
+
+      const requestCost = cost(req);
+      const limits = group ? getTierLimits(req.apiKey?.tier, group) : { max, windowMs, burst };
+
+      if (req.apiKey) {
+        const quota = apiKeyService.checkQuota(req.apiKey.id, requestCost);
+        if (!quota.allowed) {
+          res.set('Retry-After', quota.retryAfter);
+          return res.status(429).json({
+            status: 'error',
+            code: 'QUOTA_EXCEEDED',
+            message: `The ${quota.period} quota of ${quota.limit} requests for this API key is used up`,
+            data: [],
+            retryAfter: quota.retryAfter
+          });
+        }
+      }
 
-      // Set rate limit headers
-      res.set({
-        'X-RateLimit-Limit': max,
-        'X-RateLimit-Remaining': result.remaining,
-        'X-RateLimit-Reset': new Date(result.resetTime).toISOString()
-      });
+      // Groups are counted separately, so search traffic doesn't use up the default limit
+      const clientId = group ? `${this.getClientId(req)}:${group}` : this.getClientId(req);
+      let result;
+      try {
+        result = await this.checkLimit(clientId, limits, requestCost, algorithm);
+      } catch (error) {
+        return next(error);
+      }
+
+      this.setHeaders(res, result);
 
       if (!result.allowed) {
         res.set('Retry-After', result.retryAfter);
@@ -149,6 +141,10 @@ class RateLimiter {
         });
       }
 
+      if (req.apiKey) {
+        apiKeyService.recordUsage(req.apiKey.id, requestCost);
+      }
+
       next();
     };
   }
@@ -159,12 +155,8 @@ class RateLimiter {
    */
   getStats() {
     return {
-      totalClients: this.requests.size,
-      requests: Array.from(this.requests.entries()).map(([key, data]) => ({
-        clientId: key,
-        requestCount: data.requests.length,
-        resetTime: data.resetTime
-      }))
+      algorithm: this.algorithmName,
+      store: this.store.getStats()
     };
   }
 }
@@ -173,22 +165,28 @@ class RateLimiter {
 const rateLimiter = new RateLimiter();
 
 /**
- * Default rate limiter middleware (100 requests per 15 minutes)
+ * Default rate limiter middleware (anonymous: 100 requests per 15 minutes)
  */
 const defaultRateLimiter = rateLimiter.createMiddleware({
-  max: 100,
-  windowMs: 15 * 60 * 1000
+  group: 'default'
 });
 
 /**
- * Strict rate limiter for search endpoints (50 requests per 15 minutes)
+ * Strict rate limiter for search endpoints (anonymous: 50 requests per 15 minutes)
  */
 const strictRateLimiter = rateLimiter.createMiddleware({
-  max: 50,
-  windowMs: 15 * 60 * 1000,
+  group: 'strict',
   message: 'Too many search requests, please try again later'
 });
 
+/**
+ * Image proxy rate limiter (anonymous: 1500 requests per 15 minutes)
+ */
+const imageRateLimiter = rateLimiter.createMiddleware({
+  group: 'image',
+  message: 'Too many image requests, please try again later'
+});
+
 /**
  * Per-endpoint rate limiter factory
  * @param {number} max - Maximum requests
@@ -203,6 +201,7 @@ module.exports = {
   rateLimiter,
   defaultRateLimiter,
   strictRateLimiter,
+  imageRateLimiter,
   createRateLimiter
 };
 
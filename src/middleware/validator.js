@@ -1,107 +1,98 @@
 /**
- * Input validation middleware
+ * Request validation middleware
+ * Validates query and path parameters against the route declarations (config/routes.js),
+ * the same declarations /openapi.json is built from (bodies are validated by the services)
+ *
+ * Query values are coerced to their declared types and defaults are filled in, so handlers get
+ * numbers, booleans and arrays. Every invalid field is reported at once in ValidationError.errors
  */
 
 const { ValidationError } = require('../helper/error_handler');
+const { coerceQueryValue, validateSchema } = require('../helper/schema_validator');
+const { PARAMS, ROUTES } = require('../config/routes');
+
+// Keys of a parameter definition that are not part of its schema
+const PARAM_META = ['name', 'in', 'required', 'description', 'deprecated', 'default'];
+
+const declarations = new Map(ROUTES.map(route => [`${route.method} ${route.path}`, route]));
 
 /**
- * Validate page parameter (optional, defaults to 1)
- * @param {object} req - Express request
- * @param {object} res - Express response
- * @param {function} next - Express next function
+ * Resolve the query parameter definitions of a route
+ * @param {object} route - Route declaration
+ * @returns {Array} [{ name, definition }]
  */
-const validatePage = (req, res, next) => {
-  const page = req.query.page;
-  
-  // Page is optional, default to 1
-  if (page === undefined || page === null || page === '') {
-    req.query.page = 1;
-    return next();
-  }
-  
-  const pageNum = parseInt(page);
-  if (isNaN(pageNum) || pageNum < 1) {
-    return res.status(400).json({
-      status: 'error',
-      code: 'VALIDATION_ERROR',
-      message: 'page must be a positive integer',
-      data: []
-    });
-  }
-  
-  req.query.page = pageNum;
-  next();
-};
+const getQueryParams = (route) => (route.query || []).map(query => (
+  typeof query === 'string'
+    ? { name: query, definition: PARAMS[query] }
+    : { name: query.name, definition: query }
+));
 
 /**
- * Validate keyword parameter
- * @param {object} req - Express request
- * @param {object} res - Express response
- * @param {function} next - Express next function
+ * Strip the parameter metadata from a definition
+ * @param {object} definition - Parameter definition
+ * @returns {object} Schema
  */
-const validateKeyword = (req, res, next) => {
-  const keyword = req.query.keyword;
-  
-  if (!keyword || keyword.trim() === '') {
-    return res.status(400).json({
-      status: 'error',
-      code: 'VALIDATION_ERROR',
-      message: 'keyword parameter is required',
-      data: []
-    });
-  }
-  
-  if (keyword.length < 2) {
-    return res.status(400).json({
-      status: 'error',
-      code: 'VALIDATION_ERROR',
-      message: 'keyword must be at least 2 characters',
-      data: []
-    });
-  }
-  
-  next();
+const toSchema = (definition) => {
+  const schema = {};
+  Object.entries(definition).forEach(([key, value]) => {
+    if (!PARAM_META.includes(key)) schema[key] = value;
+  });
+  return schema;
 };
 
 /**
- * Validate sort parameters
+ * Validate a request against its route declaration (register first in the route's chain)
+ * Routes without a declaration pass through unchanged
  * @param {object} req - Express request
  * @param {object} res - Express response
  * @param {function} next - Express next function
  */
-const validateSort = (req, res, next) => {
-  const sortBy = req.query.sortBy || 'title';
-  const sortOrder = req.query.sortOrder || 'asc';
-  
-  const validSortFields = ['title', 'rating', 'date', 'released', 'author'];
-  const validOrders = ['asc', 'desc'];
-  
-  if (!validSortFields.includes(sortBy)) {
-    return res.status(400).json({
-      status: 'error',
-      code: 'VALIDATION_ERROR',
-      message: `sortBy must be one of: ${validSortFields.join(', ')}`,
-      data: []
-    });
+const validateRequest = (req, res, next) => {
+  const route = req.route && declarations.get(`${req.method.toLowerCase()} ${req.route.path}`);
+  if (!route) {
+    return next();
   }
-  
-  if (!validOrders.includes(sortOrder.toLowerCase())) {
-    return res.status(400).json({
-      status: 'error',
-      code: 'VALIDATION_ERROR',
-      message: 'sortOrder must be "asc" or "desc"',
-      data: []
-    });
+
+  const errors = [];
+
+  getQueryParams(route).forEach(({ name, definition }) => {
+    const raw = req.query[name];
+    const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    if (missing) {
+      if (definition.required) {
+        errors.push(`${name} is required`);
+      } else if (definition.default !== undefined) {
+        req.query[name] = definition.default;
+      } else {
+        delete req.query[name];
+      }
+      return;
+    }
+
+    const schema = toSchema(definition);
+    const value = coerceQueryValue(raw, schema);
+    const fieldErrors = validateSchema(value, schema, name);
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors);
+    } else {
+      req.query[name] = value;
+    }
+  });
+
+  Object.entries(route.params || {}).forEach(([name, definition]) => {
+    if (req.params[name] !== undefined) {
+      errors.push(...validateSchema(req.params[name], toSchema(definition), name));
+    }
+  });
+
+  if (errors.length > 0) {
+    return next(new ValidationError('Invalid request parameters', errors));
   }
-  
-  req.query.sortBy = sortBy;
-  req.query.sortOrder = sortOrder.toLowerCase();
+
   next();
 };
 
 module.exports = {
-  validatePage,
-  validateKeyword,
-  validateSort
+  validateRequest
 };
-
@@ -1,10 +1,18 @@
 const router = require('express')();
+const crypto = require('crypto');
 const { responseApi } = require('./helper/response_api');
-const { asyncHandler, errorHandler } = require('./helper/error_handler');
+const { AppError, asyncHandler, errorHandler } = require('./helper/error_handler');
 const cacheService = require('./helper/cache_service');
-const { defaultRateLimiter, strictRateLimiter } = require('./middleware/rate_limiter');
+const { CACHE_PRESETS } = require('./helper/edge_cache');
+const { rateLimiter, defaultRateLimiter, strictRateLimiter, imageRateLimiter } = require('./middleware/rate_limiter');
 const { performanceMiddleware, performanceMonitor } = require('./middleware/performance');
-const { validatePage, validateKeyword, validateSort } = require('./middleware/validator');
+const { validateRequest } = require('./middleware/validator');
+const { feedResponder } = require('./middleware/feed');
+const { buildOpenApiSpec } = require('./helper/openapi');
+const { proxyImageUrls } = require('./middleware/image_urls');
+const { authenticateApiKey } = require('./middleware/api_key');
+const { ADMIN_PATHS, requireAdmin, requireOperator, resolveAdmin } = require('./middleware/admin_auth');
+const { parseGraphQLRequest, graphqlRateLimiter, graphqlHandler } = require('./middleware/graphql');
 const { filterItems, sortItems } = require('./helper/data_validator');
 const {
   getLatestComics,
@@ -16,23 +24,61 @@ const {
   getPopularComics,
   getRecommendedComics
 } = require('./services/scraper_service');
-const { listProviders, getProviderInfo } = require('./services/provider_manager');
+const { listProviders, getProviderInfo, resolveProvider } = require('./services/provider_manager');
+const {
+  listProviderSettings,
+  updateProviderSettings,
+  resetProviderSettings
+} = require('./services/provider_settings');
 const apiService = require('./services/api_service');
 const QueryBuilder = require('./services/query_builder');
 const dashboardService = require('./services/dashboard_service');
+const { selectorHealthService } = require('./services/selector_health');
+const { scrapeOrchestrator } = require('./services/scrape_orchestrator');
+const { mangaMappingService } = require('./services/manga_mapping');
+const { cacheWarmer } = require('./services/cache_warmer');
+const { jobScheduler } = require('./services/job_scheduler');
+const { registerDefaultJobs } = require('./services/scheduled_jobs');
+const { webhookService } = require('./services/webhook_service');
+const { buildLatestFeed, buildSeriesFeed } = require('./services/feed_service');
+const { archiveService } = require('./services/archive_service');
+const { imageProxyService } = require('./services/image_proxy');
+const { apiKeyService } = require('./services/api_keys');
+const { adminAuthService, SESSION_COOKIE } = require('./services/admin_auth');
+const { auditLogService } = require('./services/audit_log');
+const { circuitBreaker } = require('./services/circuit_breaker');
 
 // Apply performance monitoring to all routes
 router.use(performanceMiddleware);
 
+// X-API-Key header or ?api_key= - tier limits and quotas instead of per-IP limits
+router.use(authenticateApiKey);
+
+// ?proxyImages=true - image URLs point at the signed /image proxy
+router.use(proxyImageUrls);
+
+// Dashboard and system routes need an admin (viewer: GET only, operator: everything)
+router.use(ADMIN_PATHS, requireAdmin);
+
 // Root endpoint
 router.get('/', (req, res) => {
   return res.status(200).json({
     status: 'success',
-    message: 'Welcome to Komikcast API. See https://github.com/KanekiCraynet/api-manga for documentation',
-    version: '2.1.0'
+    message: 'Welcome to Komikcast API. See /docs for documentation',
+    version: '2.1.0',
+    docs: '/docs',
+    openapi: '/openapi.json'
   });
 });
 
+// OpenAPI document built from config/routes.js (rendered by public/docs)
+router.get('/openapi.json', (req, res) => {
+  return res.status(200).json(buildOpenApiSpec({
+    app: router,
+    serverUrl: `${req.protocol}://${req.get('host')}`
+  }));
+});
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   const cacheStats = cacheService.getStats();
@@ -90,12 +136,113 @@ router.get('/provider/:id',
   })
 );
 
+/**
+ * Check if request uses the legacy response shape (no advanced/merge processing)
+ * @param {object} req - Express request
+ * @returns {boolean} True for legacy requests
+ */
+const isLegacyRequest = (req) => {
+  const { advanced, merge } = req.query;
+  return advanced !== true && merge !== true;
+};
+
+/**
+ * Stale-while-revalidate options for cacheService.middleware
+ * Expired legacy responses are served for the preset's swr window while `build` refreshes them
+ * @param {string} preset - CACHE_PRESETS name
+ * @param {function} build - (req) => Promise of the fresh response body
+ * @returns {object} Middleware options
+ */
+const staleWhileRevalidate = (preset, build) => ({
+  staleTTL: (CACHE_PRESETS[preset] || CACHE_PRESETS.default).swr * 1000,
+  revalidate: (req) => (isLegacyRequest(req) ? () => build(req) : null)
+});
+
+/**
+ * Run a scraper operation through scrapeOrchestrator, bypassing its cache
+ * @param {string} operation - Scraper function name
+ * @param {string} provider - Requested provider (resolved to the default when empty)
+ * @param {...*} args - Scraper arguments
+ * @returns {Promise<*>} Scraped data
+ */
+const refreshScrape = async (operation, provider, ...args) => {
+  const result = await scrapeOrchestrator.scrape({
+    operation,
+    providerId: resolveProvider(provider),
+    args,
+    forceRefresh: true,
+    deduplication: false
+  });
+  return result.data;
+};
+
+/**
+ * Build paginated legacy list response
+ * @param {object} result - Scraper result with current_page/length_page
+ * @param {Array} comics - Items to return
+ * @returns {object} Response body
+ */
+const buildPageResponse = (result, comics) => ({
+  status: 'success',
+  current_page: result?.current_page || 1,
+  length_page: result?.length_page || 1,
+  has_next: (result?.current_page || 1) < (result?.length_page || 1),
+  has_prev: (result?.current_page || 1) > 1,
+  data: comics || []
+});
+
+/**
+ * Build legacy latest comics response (filters and sorting from the query)
+ * @param {object} result - getLatestComics result
+ * @param {object} query - Request query
+ * @returns {object} Response body
+ */
+const buildLatestResponse = (result, query) => {
+  const { sortBy, sortOrder, genre, type, status, minRating } = query;
+  let comics = result?.data || [];
+
+  // Apply filters
+  if (genre || type || status || minRating) {
+    comics = filterItems(comics, {
+      genre,
+      type,
+      status,
+      minRating
+    });
+  }
+
+  // Apply sorting
+  if (sortBy) {
+    comics = sortItems(comics, sortBy, sortOrder);
+  }
+
+  return buildPageResponse(result, comics);
+};
+
+/**
+ * Link comic detail to its canonical series so clients can bookmark one ID across providers
+ * @param {object} detail - Comic detail
+ * @param {string} provider - Requested provider
+ * @param {string} url - Detail URL/ID from the request
+ * @returns {object} Detail with canonicalId
+ */
+const linkDetail = (detail, provider, url) => {
+  if (detail && detail.title) {
+    // A fallback detail comes from the default provider, which is where its ID belongs
+    const series = mangaMappingService.link(detail._source || resolveProvider(provider), detail, { id: url });
+    detail.canonicalId = series ? series.id : null;
+  }
+  return detail || {};
+};
+
 // Latest comics endpoint with caching (5 minutes) - Enhanced version
 router.get('/terbaru',
   defaultRateLimiter,
-  cacheService.middleware(5 * 60 * 1000),
-  validatePage,
-  validateSort,
+  validateRequest,
+  cacheService.middleware(5 * 60 * 1000, staleWhileRevalidate('latest', req =>
+    refreshScrape('getLatestComics', req.query.provider, req.query.page)
+      .then(result => buildLatestResponse(result, req.query))
+  )),
   asyncHandler(async (req, res) => {
     const { 
       page, 
@@ -117,28 +264,27 @@ router.get('/terbaru',
     } = req.query;
 
     // Use advanced processing if requested
-    if (advanced === 'true' || advanced === '1') {
-      const providersList = providers ? providers.split(',') : null;
+    if (advanced) {
       const result = await apiService.getLatestComics({
-        page: parseInt(page) || 1,
+        page,
         provider,
-        providers: providersList,
+        providers: providers || null,
         query: {
-          page: parseInt(page) || 1,
-          pageSize: parseInt(req.query.pageSize) || parseInt(req.query.limit) || 10,
+          page,
+          pageSize: req.query.pageSize || req.query.limit || 10,
           sortBy,
           sortOrder,
           genre,
           type,
           status,
-          minRating: minRating ? parseFloat(minRating) : undefined,
-          maxRating: maxRating ? parseFloat(maxRating) : undefined
+          minRating,
+          maxRating
         },
-        enrich: enrich !== 'false',
-        optimize: optimize !== 'false',
-        forceRefresh: forceRefresh === 'true' || forceRefresh === '1',
-        getAllPages: getAllPages === 'true' || getAllPages === '1',
-        maxPages: maxPages ? parseInt(maxPages) : 5
+        enrich,
+        optimize,
+        forceRefresh,
+        getAllPages,
+        maxPages
       });
 
       return res.status(200).json(result);
@@ -146,33 +292,8 @@ router.get('/terbaru',
 
     // Legacy processing (backward compatibility)
     try {
-      const result = await getLatestComics(page || 1, provider);
-      
-      let comics = result?.data || [];
-      
-      // Apply filters
-      if (genre || type || status || minRating) {
-        comics = filterItems(comics, {
-          genre,
-          type,
-          status,
-          minRating: minRating ? parseFloat(minRating) : undefined
-        });
-      }
-      
-      // Apply sorting
-      if (sortBy) {
-        comics = sortItems(comics, sortBy, sortOrder);
-      }
-      
-      return res.status(200).json({
-        status: 'success',
-        current_page: result?.current_page || 1,
-        length_page: result?.length_page || 1,
-        has_next: (result?.current_page || 1) < (result?.length_page || 1),
-        has_prev: (result?.current_page || 1) > 1,
-        data: comics || []
-      });
+      const result = await getLatestComics(page, provider);
+      return res.status(200).json(buildLatestResponse(result, req.query));
     } catch (error) {
       // Error will be handled by errorHandler middleware
       throw error;
@@ -183,6 +304,7 @@ router.get('/terbaru',
 // Genre list endpoint with caching (15 minutes)
 router.get('/genre',
   defaultRateLimiter,
+  validateRequest,
   cacheService.middleware(15 * 60 * 1000),
   asyncHandler(async (req, res) => {
     const { provider } = req.query;
@@ -199,22 +321,17 @@ router.get('/genre',
 // Comics by genre endpoint with caching (5 minutes)
 router.get('/genre/:url',
   defaultRateLimiter,
-  cacheService.middleware(5 * 60 * 1000),
-  validatePage,
+  validateRequest,
+  cacheService.middleware(5 * 60 * 1000, staleWhileRevalidate('latest', req =>
+    refreshScrape('getComicsByGenre', req.query.provider, req.params.url, req.query.page)
+      .then(result => buildPageResponse(result, result?.data))
+  )),
   asyncHandler(async (req, res) => {
     const { url } = req.params;
     const { page, provider } = req.query;
     try {
-      const result = await getComicsByGenre(url, page || 1, provider);
-      
-      return res.status(200).json({
-        status: 'success',
-        current_page: result?.current_page || 1,
-        length_page: result?.length_page || 1,
-        has_next: (result?.current_page || 1) < (result?.length_page || 1),
-        has_prev: (result?.current_page || 1) > 1,
-        data: result?.data || []
-      });
+      const result = await getComicsByGenre(url, page, provider);
+      return res.status(200).json(buildPageResponse(result, result?.data));
     } catch (error) {
       // Error will be handled by errorHandler middleware
       throw error;
@@ -225,23 +342,39 @@ router.get('/genre/:url',
 // Comic detail endpoint with caching (10 minutes) - Enhanced version
 router.get('/detail/:url',
   defaultRateLimiter,
-  cacheService.middleware(10 * 60 * 1000),
+  validateRequest,
+  cacheService.middleware(10 * 60 * 1000, staleWhileRevalidate('detail', req =>
+    refreshScrape('getComicDetail', req.query.provider, req.params.url)
+      .then(detail => ({ status: 'success', data: linkDetail(detail, req.query.provider, req.params.url) }))
+  )),
   asyncHandler(async (req, res) => {
     const { url } = req.params;
     const { 
       provider,
       advanced, // Use advanced processing
       enrich, // Enable data enrichment
-      optimize // Enable response optimization
+      optimize, // Enable response optimization
+      merge, // Merge the same series from every enabled provider
+      priority // Provider order for merged fields (comma-separated)
     } = req.query;
+
+    if (merge) {
+      const result = await apiService.getMergedComicDetail({
+        url,
+        provider,
+        priority: priority ? priority.map(p => p.toLowerCase()) : null
+      });
+
+      return res.status(200).json(result);
+    }
     
     // Use advanced processing if requested
-    if (advanced === 'true' || advanced === '1') {
+    if (advanced) {
       const result = await apiService.getComicDetail({
         url,
         provider,
-        enrich: enrich !== 'false',
-        optimize: optimize !== 'false'
+        enrich,
+        optimize
       });
 
       return res.status(200).json(result);
@@ -250,7 +383,7 @@ router.get('/detail/:url',
     // Legacy processing (backward compatibility)
     try {
       const detail = await getComicDetail(url, provider);
-      return responseApi(res, 200, 'success', detail || {});
+      return responseApi(res, 200, 'success', linkDetail(detail, provider, url));
     } catch (error) {
       // Error will be handled by errorHandler middleware
       throw error;
@@ -258,10 +391,41 @@ router.get('/detail/:url',
   })
 );
 
+// Canonical series endpoint - one ID for the same series on every provider
+router.get('/manga/:canonicalId',
+  defaultRateLimiter,
+  validateRequest,
+  cacheService.middleware(10 * 60 * 1000),
+  asyncHandler(async (req, res) => {
+    const { canonicalId } = req.params;
+    const { provider } = req.query;
+
+    const series = mangaMappingService.getSeries(canonicalId);
+    if (!series) {
+      return responseApi(res, 404, 'Series not found');
+    }
+
+    // ?provider=<id> also returns the detail from that source
+    if (provider) {
+      const source = series.sources.find(s => s.provider === provider.toLowerCase());
+      if (!source) {
+        return responseApi(res, 404, `Series is not linked to provider '${provider}'`);
+      }
+      series.detail = await getComicDetail(source.id, source.provider);
+    }
+
+    return responseApi(res, 200, 'success', series);
+  })
+);
+
 // Read chapter endpoint with caching (15 minutes)
 router.get('/read/:url',
   defaultRateLimiter,
-  cacheService.middleware(15 * 60 * 1000),
+  validateRequest,
+  cacheService.middleware(15 * 60 * 1000, staleWhileRevalidate('chapter', req =>
+    refreshScrape('readChapter', req.query.provider, req.params.url)
+      .then(chapter => ({ status: 'success', data: chapter ? [chapter] : [] }))
+  )),
   asyncHandler(async (req, res) => {
     const { url } = req.params;
     const { provider } = req.query;
@@ -275,12 +439,73 @@ router.get('/read/:url',
   })
 );
 
+// Feeds (RSS/Atom/JSON Feed) - same cache TTLs as /terbaru and /detail, rendered by feedResponder
+router.get('/feed/latest.:format(rss|atom|json)',
+  defaultRateLimiter,
+  validateRequest,
+  feedResponder,
+  cacheService.middleware(5 * 60 * 1000, staleWhileRevalidate('latest', req =>
+    buildLatestFeed({ provider: req.query.provider, genre: req.query.genre })
+  )),
+  asyncHandler(async (req, res) => {
+    const { provider, genre } = req.query;
+    return res.status(200).json(await buildLatestFeed({ provider, genre }));
+  })
+);
+
+router.get('/feed/series/:url.:format(rss|atom|json)',
+  defaultRateLimiter,
+  validateRequest,
+  feedResponder,
+  cacheService.middleware(10 * 60 * 1000, staleWhileRevalidate('detail', req =>
+    buildSeriesFeed({ url: req.params.url, provider: req.query.provider })
+  )),
+  asyncHandler(async (req, res) => {
+    return res.status(200).json(await buildSeriesFeed({ url: req.params.url, provider: req.query.provider }));
+  })
+);
+
+// Chapter archive export - streams a CBZ or fixed-layout EPUB (not cached)
+// /download/:chapterId?format=cbz[&series=<detail id>] or /download/:seriesId?format=epub&from=1&to=10
+router.get('/download/:url',
+  strictRateLimiter,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { format, provider, series, from, to } = req.query;
+    const plan = await archiveService.prepare({ url: req.params.url, format, provider, series, from, to });
+    await archiveService.stream(plan, res);
+  })
+);
+
+// Image proxy - provider images with the provider's Referer, disk LRU cache, optional resize/transcode
+// /image?url=<provider image URL>&w=360&format=webp
+// Own rate limit group: a chapter loads dozens of images, which would use up the default limit
+router.get('/image',
+  imageRateLimiter,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const request = imageProxyService.parseRequest(req.query);
+    const image = await imageProxyService.get(request);
+
+    res.set({
+      'Content-Type': image.mime,
+      'Cache-Control': 'public, max-age=604800, immutable',
+      // Helmet defaults to same-origin, which would block <img> on other sites
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'X-Cache': image.cache
+    });
+    if (!image.transformed) {
+      res.set('X-Image-Transform', image.limited ? 'limited' : 'unavailable');
+    }
+    return res.send(image.data);
+  })
+);
+
 // Search endpoint with strict rate limiting and caching (2 minutes) - Enhanced version
 router.get('/search',
   strictRateLimiter,
+  validateRequest,
   cacheService.middleware(2 * 60 * 1000),
-  validateKeyword,
-  validateSort,
   asyncHandler(async (req, res) => {
     const { 
       keyword, 
@@ -299,24 +524,23 @@ router.get('/search',
     } = req.query;
     
     // Use advanced processing if requested
-    if (advanced === 'true' || advanced === '1') {
-      const providersList = providers ? providers.split(',') : null;
+    if (advanced) {
       const result = await apiService.searchComics({
         keyword,
         provider,
-        providers: providersList,
+        providers: providers || null,
         query: {
           sortBy,
           sortOrder,
           genre,
           type,
           status,
-          minRating: minRating ? parseFloat(minRating) : undefined,
-          maxRating: maxRating ? parseFloat(maxRating) : undefined,
+          minRating,
+          maxRating,
           search: keyword
         },
-        enrich: enrich !== 'false',
-        optimize: optimize !== 'false'
+        enrich,
+        optimize
       });
 
       return res.status(200).json(result);
@@ -333,7 +557,7 @@ router.get('/search',
           genre,
           type,
           status,
-          minRating: minRating ? parseFloat(minRating) : undefined
+          minRating
         });
       }
       
@@ -353,8 +577,8 @@ router.get('/search',
 // Popular comics endpoint with caching (10 minutes) - Enhanced version
 router.get('/popular',
   defaultRateLimiter,
+  validateRequest,
   cacheService.middleware(10 * 60 * 1000),
-  validateSort,
   asyncHandler(async (req, res) => {
     const { 
       sortBy, 
@@ -371,21 +595,20 @@ router.get('/popular',
     } = req.query;
     
     // Use advanced processing if requested
-    if (advanced === 'true' || advanced === '1') {
-      const providersList = providers ? providers.split(',') : null;
+    if (advanced) {
       const result = await apiService.getPopularComics({
         provider,
-        providers: providersList,
+        providers: providers || null,
         query: {
           sortBy,
           sortOrder,
           genre,
           type,
-          minRating: minRating ? parseFloat(minRating) : undefined,
-          maxRating: maxRating ? parseFloat(maxRating) : undefined
+          minRating,
+          maxRating
         },
-        enrich: enrich !== 'false',
-        optimize: optimize !== 'false'
+        enrich,
+        optimize
       });
 
       return res.status(200).json(result);
@@ -401,7 +624,7 @@ router.get('/popular',
         comics = filterItems(comics, {
           genre,
           type,
-          minRating: minRating ? parseFloat(minRating) : undefined
+          minRating
         });
       }
       
@@ -421,8 +644,8 @@ router.get('/popular',
 // Recommended comics endpoint with caching (10 minutes)
 router.get('/recommended',
   defaultRateLimiter,
+  validateRequest,
   cacheService.middleware(10 * 60 * 1000),
-  validateSort,
   asyncHandler(async (req, res) => {
     const { sortBy, sortOrder, genre, type, minRating, provider } = req.query;
     
@@ -435,7 +658,7 @@ router.get('/recommended',
         comics = filterItems(comics, {
           genre,
           type,
-          minRating: minRating ? parseFloat(minRating) : undefined
+          minRating
         });
       }
       
@@ -452,13 +675,70 @@ router.get('/recommended',
   })
 );
 
+// GraphQL endpoint - Comic, Chapter, Genre and Provider in one query (not cached, scrapes share the orchestrator cache)
+// The query is measured before the rate limiter, which charges its estimated scrapes
+router.get('/graphql', parseGraphQLRequest, graphqlRateLimiter, graphqlHandler);
+router.post('/graphql', parseGraphQLRequest, graphqlRateLimiter, graphqlHandler);
+
+// Admin session for the dashboard UI - exchanges an admin token for a signed cookie
+// Body: { token }
+router.post('/api/admin/session',
+  strictRateLimiter,
+  (req, res) => {
+    const role = adminAuthService.authenticateToken(req.body?.token);
+    auditLogService.record({
+      action: 'login',
+      role,
+      via: 'session',
+      ip: req.ip,
+      path: req.path,
+      statusCode: role ? 200 : 401
+    });
+    if (!role) {
+      throw new AppError('Invalid admin token', 401, 'UNAUTHORIZED');
+    }
+
+    const session = adminAuthService.createSession(role);
+    res.cookie(SESSION_COOKIE, session.value, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      path: '/api',
+      maxAge: session.maxAge
+    });
+    return responseApi(res, 200, 'success', { role, expiresAt: session.expiresAt });
+  }
+);
+
+router.get('/api/admin/session',
+  defaultRateLimiter,
+  (req, res) => {
+    const admin = resolveAdmin(req);
+    if (!admin) {
+      throw new AppError('Admin authentication required', 401, 'UNAUTHORIZED');
+    }
+    return responseApi(res, 200, 'success', admin);
+  }
+);
+
+router.delete('/api/admin/session',
+  defaultRateLimiter,
+  (req, res) => {
+    res.clearCookie(SESSION_COOKIE, { path: '/api' });
+    return responseApi(res, 200, 'success', { message: 'Logged out' });
+  }
+);
+
 // Dashboard endpoints
-// System stats endpoint (for monitoring data integrity, queue, orchestrator)
+// System stats endpoint (for monitoring data integrity, queue, orchestrator, rate limit store)
 router.get('/api/system/stats',
   defaultRateLimiter,
   (req, res) => {
     try {
-      const stats = apiService.getSystemStats();
+      const stats = {
+        ...apiService.getSystemStats(),
+        rateLimit: rateLimiter.getStats()
+      };
       return responseApi(res, 200, 'success', stats);
     } catch (error) {
       return responseApi(res, 500, 'error', { message: error.message });
@@ -466,6 +746,51 @@ router.get('/api/system/stats',
   }
 );
 
+// Provider selector health endpoint
+// ?check=true runs the selectors against live pages (or saved fixtures with &fixtures=true), operators only
+router.get('/api/system/providers/health',
+  strictRateLimiter,
+  validateRequest,
+  (req, res, next) => (req.query.check ? requireOperator(req, res, next) : next()),
+  asyncHandler(async (req, res) => {
+    const { provider, check, fixtures } = req.query;
+
+    if (check) {
+      if (provider) {
+        const providerId = provider.toLowerCase();
+        if (!getProviderInfo(providerId)) {
+          return responseApi(res, 404, 'Provider not found or not scraped with selectors');
+        }
+        const options = fixtures
+          ? { fixtures: selectorHealthService.loadFixtures(providerId) }
+          : {};
+        await selectorHealthService.checkProvider(providerId, options);
+      } else {
+        await selectorHealthService.checkAll({ useFixtures: fixtures === true });
+      }
+    }
+
+    const reports = selectorHealthService.getReports();
+    const ids = provider ? [provider.toLowerCase()] : Object.keys(reports);
+    const runtime = scrapeOrchestrator.getStats().providers;
+    const result = {};
+
+    ids.forEach(id => {
+      if (!reports[id]) return;
+      result[id] = {
+        ...reports[id],
+        runtime: runtime[id] || null
+      };
+    });
+
+    if (provider && !result[provider.toLowerCase()]) {
+      return responseApi(res, 404, 'Provider not found or not scraped with selectors');
+    }
+
+    return responseApi(res, 200, 'success', result);
+  })
+);
+
 // Dashboard stats endpoint
 router.get('/api/dashboard/stats',
   defaultRateLimiter,
@@ -483,9 +808,10 @@ router.get('/api/dashboard/stats',
 // Dashboard analytics endpoint
 router.get('/api/dashboard/analytics',
   defaultRateLimiter,
+  validateRequest,
   cacheService.middleware(2 * 60 * 1000), // Cache for 2 minutes
   asyncHandler(async (req, res) => {
-    const { period = '1h', endpoint } = req.query;
+    const { period, endpoint } = req.query;
     
     try {
       const analytics = dashboardService.getAnalytics({ period, endpoint });
@@ -509,6 +835,11 @@ router.get('/api/dashboard/realtime',
     // Send initial connection message
     res.write(`data: ${JSON.stringify({ type: 'connected', timestamp: Date.now() })}\n\n`);
     
+    // Push circuit breaker transitions as they happen
+    const unsubscribe = circuitBreaker.onTransition(transition => {
+      res.write(`event: circuit\ndata: ${JSON.stringify({ type: 'circuit', ...transition })}\n\n`);
+    });
+
     // Send metrics every 2-3 seconds
     const interval = setInterval(() => {
       try {
@@ -522,6 +853,7 @@ router.get('/api/dashboard/realtime',
     // Clean up on client disconnect
     req.on('close', () => {
       clearInterval(interval);
+      unsubscribe();
       res.end();
     });
   }
@@ -530,12 +862,13 @@ router.get('/api/dashboard/realtime',
 // Cache management endpoints
 router.get('/api/dashboard/cache/manage',
   defaultRateLimiter,
+  validateRequest,
   (req, res) => {
     try {
-      const { limit = 50, offset = 0, pattern } = req.query;
+      const { limit, offset, pattern } = req.query;
       const entries = cacheService.getEntries({
-        limit: parseInt(limit),
-        offset: parseInt(offset),
+        limit,
+        offset,
         pattern
       });
       
@@ -544,8 +877,8 @@ router.get('/api/dashboard/cache/manage',
       return responseApi(res, 200, 'success', {
         entries,
         pagination: {
-          limit: parseInt(limit),
-          offset: parseInt(offset),
+          limit,
+          offset,
           total: stats.total.size
         }
       });
@@ -557,6 +890,7 @@ router.get('/api/dashboard/cache/manage',
 
 router.delete('/api/dashboard/cache/manage',
   defaultRateLimiter,
+  validateRequest,
   (req, res) => {
     try {
       const { pattern } = req.query;
@@ -579,25 +913,381 @@ router.delete('/api/dashboard/cache/manage',
   }
 );
 
+// Cache warming - runs route paths (or presets) through the real handlers
+// Body: { paths: ['/terbaru?page=1'], presets: ['front-page'], force, provider, limit, wait }
+// Cache keys are route paths, so `keys` from the entry list is accepted as an alias of `paths`
 router.post('/api/dashboard/cache/manage/warm',
   defaultRateLimiter,
   asyncHandler(async (req, res) => {
-    try {
-      const { keys } = req.body;
-      
-      if (!Array.isArray(keys) || keys.length === 0) {
-        return responseApi(res, 400, 'error', { message: 'Keys array is required' });
-      }
-      
-      // Note: This is a placeholder - actual cache warming would need to fetch data
-      // For now, we'll just return success
-      return responseApi(res, 200, 'success', { 
-        message: `Cache warming requested for ${keys.length} keys`,
-        keys: keys.length
-      });
-    } catch (error) {
-      throw error;
+    const { keys, paths, presets, force, provider, limit, wait } = req.body || {};
+
+    const job = cacheWarmer.start({
+      paths: [...(Array.isArray(paths) ? paths : []), ...(Array.isArray(keys) ? keys : [])],
+      presets: Array.isArray(presets) ? presets : (presets ? [presets] : []),
+      force: force === true,
+      provider,
+      limit
+    });
+
+    // Serverless functions stop after responding, so callers there should wait for the report
+    if (wait === true) {
+      await job.done;
+      return responseApi(res, 200, 'success', cacheWarmer.getJob(job.id));
     }
+
+    return responseApi(res, 202, 'success', cacheWarmer.getJob(job.id));
+  })
+);
+
+router.get('/api/dashboard/cache/manage/warm',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', {
+      presets: cacheWarmer.getPresets(),
+      jobs: cacheWarmer.listJobs()
+    });
+  }
+);
+
+router.get('/api/dashboard/cache/manage/warm/:jobId',
+  defaultRateLimiter,
+  (req, res) => {
+    const job = cacheWarmer.getJob(req.params.jobId);
+    if (!job) {
+      return responseApi(res, 404, 'Warm job not found');
+    }
+    return responseApi(res, 200, 'success', job);
+  }
+);
+
+// Image proxy cache
+router.get('/api/dashboard/images',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', imageProxyService.getStats());
+  }
+);
+
+router.delete('/api/dashboard/images',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const removed = await imageProxyService.clear();
+    return responseApi(res, 200, 'success', { removed });
+  })
+);
+
+// Scheduled jobs endpoints
+router.get('/api/dashboard/jobs',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', jobScheduler.listJobs());
+  }
+);
+
+router.get('/api/dashboard/jobs/:name',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', jobScheduler.getJob(req.params.name, { history: true }));
+  }
+);
+
+// Run a job now; ?wait=true responds with the run record instead of 202
+router.post('/api/dashboard/jobs/:name/run',
+  strictRateLimiter,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { name } = req.params;
+    jobScheduler.getJob(name); // 404 for unknown jobs
+    const run = jobScheduler.run(name, { trigger: 'manual' });
+
+    if (req.query.wait) {
+      return responseApi(res, 200, 'success', await run);
+    }
+    return responseApi(res, 202, 'success', jobScheduler.getJob(name));
+  })
+);
+
+router.post('/api/dashboard/jobs/:name/pause',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', jobScheduler.pause(req.params.name));
+  }
+);
+
+router.post('/api/dashboard/jobs/:name/resume',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', jobScheduler.resume(req.params.name));
+  }
+);
+
+/**
+ * Require an API key or an operator admin on the self-service webhook routes
+ * Sets req.subscriptionOwner to 'key:<apiKeyId>', or 'admin' for admins, who may manage every subscription
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const requireSubscriber = (req, res, next) => {
+  const admin = req.apiKey ? null : resolveAdmin(req);
+  if (!req.apiKey && !admin) {
+    return next(new AppError('An API key or admin login is required for subscriptions', 401, 'UNAUTHORIZED'));
+  }
+  if (admin && !adminAuthService.hasRole(admin.role, 'operator')) {
+    return next(new AppError('This action requires the operator role', 403, 'FORBIDDEN'));
+  }
+
+  req.subscriptionOwner = req.apiKey ? `key:${req.apiKey.id}` : 'admin';
+  next();
+};
+
+/**
+ * Owner filter for subscription lookups (admins see every subscription)
+ * @param {object} req - Express request (after requireSubscriber)
+ * @returns {string|null} Owner, or null for any owner
+ */
+const getSubscriptionScope = (req) => (req.subscriptionOwner === 'admin' ? null : req.subscriptionOwner);
+
+// Webhook subscriptions - new chapters are POSTed to the target URL by the 'notify-new-chapters' job
+// Body: { url, series: ['solo-leveling'], providers: ['shinigami'], secret }
+// Need an API key (limited per key, only its own subscriptions) or an operator admin
+router.post('/api/subscriptions',
+  strictRateLimiter,
+  requireSubscriber,
+  (req, res) => {
+    const { url, series, providers, provider, secret } = req.body || {};
+    const owner = req.subscriptionOwner;
+    return responseApi(res, 201, 'success', webhookService.subscribe({ url, series, providers, provider, secret, owner }));
+  }
+);
+
+router.get('/api/subscriptions/:id',
+  defaultRateLimiter,
+  requireSubscriber,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhookService.getSubscription(req.params.id, getSubscriptionScope(req)));
+  }
+);
+
+router.delete('/api/subscriptions/:id',
+  defaultRateLimiter,
+  requireSubscriber,
+  (req, res) => {
+    webhookService.unsubscribe(req.params.id, getSubscriptionScope(req));
+    return responseApi(res, 200, 'success', { message: `Subscription '${req.params.id}' deleted` });
+  }
+);
+
+router.get('/api/subscriptions/:id/deliveries',
+  defaultRateLimiter,
+  requireSubscriber,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhookService.getDeliveries(req.params.id, getSubscriptionScope(req)));
+  }
+);
+
+// Send a signed 'ping' event once (no retries) to check the endpoint and signature handling
+router.post('/api/subscriptions/:id/test',
+  strictRateLimiter,
+  requireSubscriber,
+  asyncHandler(async (req, res) => {
+    webhookService.getSubscriptionOrThrow(req.params.id, getSubscriptionScope(req));
+    const delivery = await webhookService.deliver(req.params.id, 'ping', { subscription: req.params.id }, { retry: false });
+    return responseApi(res, 200, 'success', delivery);
+  })
+);
+
+router.get('/api/dashboard/subscriptions',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', {
+      stats: webhookService.getStats(),
+      subscriptions: webhookService.listSubscriptions()
+    });
+  }
+);
+
+// Re-enable a subscription that was disabled after repeated failed deliveries
+router.post('/api/dashboard/subscriptions/:id/enable',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhookService.enable(req.params.id));
+  }
+);
+
+// API keys - the key itself is only returned when it is issued. Guarded on the route as well as by
+// the ADMIN_PATHS mount, so the keys never depend on the mount alone
+// Body: { name: 'my-app', tier: 'free' }
+router.post('/api/dashboard/keys',
+  requireAdmin,
+  strictRateLimiter,
+  (req, res) => {
+    const { name, tier } = req.body || {};
+    return responseApi(res, 201, 'success', apiKeyService.issue({ name, tier }));
+  }
+);
+
+router.get('/api/dashboard/keys',
+  requireAdmin,
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', {
+      tiers: apiKeyService.getTiers(),
+      keys: apiKeyService.listKeys()
+    });
+  }
+);
+
+router.get('/api/dashboard/keys/:id',
+  requireAdmin,
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', apiKeyService.getKey(req.params.id));
+  }
+);
+
+// Revoked keys are kept (with their usage) but no longer accepted
+router.delete('/api/dashboard/keys/:id',
+  requireAdmin,
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', apiKeyService.revoke(req.params.id));
+  }
+);
+
+// Audit log of admin actions (logins and non-GET dashboard/system requests)
+router.get('/api/dashboard/audit',
+  defaultRateLimiter,
+  validateRequest,
+  (req, res) => {
+    const { limit, action, role } = req.query;
+    return responseApi(res, 200, 'success', auditLogService.list({ limit, action, role }));
+  }
+);
+
+/**
+ * Check the cron trigger secret (KANAVERSE_CRON_SECRET, or CRON_SECRET as set by Vercel Cron)
+ * @param {object} req - Express request
+ * @returns {boolean} True if authorized (never when no secret is configured)
+ */
+const isCronAuthorized = (req) => {
+  const secret = process.env.KANAVERSE_CRON_SECRET || process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(req.get('authorization') || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Serverless trigger - an external cron (Vercel Cron, GitHub Actions, cron-job.org) runs due jobs
+const cronTick = asyncHandler(async (req, res) => {
+  if (!process.env.KANAVERSE_CRON_SECRET && !process.env.CRON_SECRET) {
+    throw new AppError('Cron trigger is disabled, set KANAVERSE_CRON_SECRET to enable it', 503, 'CRON_NOT_CONFIGURED');
+  }
+  if (!isCronAuthorized(req)) {
+    throw new AppError('Invalid cron secret', 401, 'UNAUTHORIZED');
+  }
+
+  const runs = await jobScheduler.tick({ trigger: 'cron' });
+  return responseApi(res, 200, 'success', {
+    ran: runs.map(({ name, success, duration, error }) => ({ name, success, duration, error })),
+    jobs: jobScheduler.listJobs().map(({ name, paused, nextRunAt }) => ({ name, paused, nextRunAt }))
+  });
+});
+
+router.get('/api/cron/tick', strictRateLimiter, cronTick);
+router.post('/api/cron/tick', strictRateLimiter, cronTick);
+
+/**
+ * Drop cached responses that depend on provider settings
+ * Changing enabled/default affects every route that falls back to the default provider
+ * @param {string} providerId - Provider ID
+ * @param {object} changes - Applied changes
+ */
+const invalidateProviderCache = (providerId, changes = {}) => {
+  if (changes.enabled !== undefined || changes.default !== undefined) {
+    cacheService.clear();
+    return;
+  }
+  cacheService.invalidatePattern('/provider*');
+  cacheService.invalidatePattern(`scrape_${providerId}:*`);
+};
+
+// Provider settings endpoints
+router.get('/api/dashboard/providers',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', listProviderSettings());
+  }
+);
+
+router.patch('/api/dashboard/providers/:id',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const providerId = req.params.id.toLowerCase();
+    const { enabled, baseUrl } = req.body || {};
+    const changes = { enabled, default: req.body?.default, baseUrl };
+
+    const settings = updateProviderSettings(providerId, changes);
+    invalidateProviderCache(providerId, changes);
+
+    return responseApi(res, 200, 'success', settings);
+  })
+);
+
+router.delete('/api/dashboard/providers/:id',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const providerId = req.params.id.toLowerCase();
+
+    const settings = resetProviderSettings(providerId);
+    invalidateProviderCache(providerId, { enabled: true });
+
+    return responseApi(res, 200, 'success', settings);
+  })
+);
+
+// Circuit breakers per provider and operation
+router.get('/api/dashboard/circuits',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', circuitBreaker.getStats());
+  }
+);
+
+router.delete('/api/dashboard/circuits',
+  defaultRateLimiter,
+  validateRequest,
+  (req, res) => {
+    const providerId = req.query.provider ? req.query.provider.toLowerCase() : null;
+    if (providerId && !getProviderInfo(providerId)) {
+      return responseApi(res, 404, 'Provider not found');
+    }
+
+    return responseApi(res, 200, 'success', { provider: providerId, closed: circuitBreaker.reset(providerId) });
+  }
+);
+
+// Manual canonical mapping corrections
+router.put('/api/dashboard/manga/:canonicalId/sources/:provider',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const { canonicalId, provider } = req.params;
+    const series = mangaMappingService.setSource(canonicalId, provider.toLowerCase(), req.body?.id);
+    cacheService.invalidatePattern(`/manga/${canonicalId}*`);
+    return responseApi(res, 200, 'success', mangaMappingService.getSeries(series.id));
+  })
+);
+
+router.delete('/api/dashboard/manga/:canonicalId/sources/:provider',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const { canonicalId, provider } = req.params;
+    if (!mangaMappingService.removeSource(canonicalId, provider.toLowerCase())) {
+      return responseApi(res, 404, 'Source not found');
+    }
+    cacheService.invalidatePattern(`/manga/${canonicalId}*`);
+    return responseApi(res, 200, 'success', mangaMappingService.getSeries(canonicalId));
   })
 );
 
@@ -609,5 +1299,9 @@ router.all('*', (req, res) => {
 // Error handler (must be last)
 router.use(errorHandler);
 
+// Cache warming dispatches through this router
+cacheWarmer.setHandler(router);
+registerDefaultJobs();
+
 module.exports = { router };
     
@@ -0,0 +1,118 @@
+/**
+ * Admin Auth Service
+ * Admin tokens and dashboard sessions for the /api/dashboard and /api/system routes
+ *
+ * Tokens come from the environment: KANAVERSE_ADMIN_TOKEN (operator) and KANAVERSE_VIEWER_TOKEN
+ * (viewer, read-only). Sessions are signed cookies (role, expiry, HMAC keyed with the role's token),
+ * so they work across serverless instances and end when the token is rotated
+ */
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator'];
+const SESSION_COOKIE = 'kanaverse_admin';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+class AdminAuthService {
+  /**
+   * Get configured tokens by role
+   * @returns {object} { operator, viewer } (null when not set)
+   */
+  getTokens() {
+    return {
+      operator: process.env.KANAVERSE_ADMIN_TOKEN || null,
+      viewer: process.env.KANAVERSE_VIEWER_TOKEN || null
+    };
+  }
+
+  /**
+   * Check whether admin access is possible (an operator token is set)
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return !!this.getTokens().operator;
+  }
+
+  /**
+   * Get the role of a token
+   * @param {string} token - Bearer token or login token
+   * @returns {string|null} Role or null when the token is unknown
+   */
+  authenticateToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const tokens = this.getTokens();
+    // Operator first, so a viewer token equal to the admin token still gets operator
+    return ['operator', 'viewer'].find(role => tokens[role] && safeEqual(token, tokens[role])) || null;
+  }
+
+  /**
+   * Sign a session payload
+   * @param {string} payload - `<role>.<expiresAt>`
+   * @param {string} role - Role (its token is the key)
+   * @returns {string} base64url HMAC
+   */
+  sign(payload, role) {
+    return crypto.createHmac('sha256', this.getTokens()[role]).update(payload).digest('base64url');
+  }
+
+  /**
+   * Create a session for a role
+   * @param {string} role - Role
+   * @returns {object} { value, role, expiresAt, maxAge }
+   */
+  createSession(role) {
+    const expiresAt = Date.now() + SESSION_TTL;
+    const payload = `${role}.${expiresAt}`;
+    return { value: `${payload}.${this.sign(payload, role)}`, role, expiresAt, maxAge: SESSION_TTL };
+  }
+
+  /**
+   * Verify a session cookie
+   * @param {string} value - Cookie value
+   * @returns {object|null} { role, expiresAt } or null when invalid or expired
+   */
+  verifySession(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const [role, expires, signature] = value.split('.');
+    const expiresAt = Number(expires);
+    if (!ROLES.includes(role) || !this.getTokens()[role] || !signature) return null;
+    if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) return null;
+    if (!safeEqual(signature, this.sign(`${role}.${expires}`, role))) return null;
+
+    return { role, expiresAt };
+  }
+
+  /**
+   * Check whether a role includes another (operator includes viewer)
+   * @param {string} role - Role of the caller
+   * @param {string} required - Required role
+   * @returns {boolean} True if allowed
+   */
+  hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+}
+
+// Create singleton instance
+const adminAuthService = new AdminAuthService();
+
+module.exports = {
+  AdminAuthService,
+  adminAuthService,
+  ROLES,
+  SESSION_COOKIE
+};
@@ -0,0 +1,283 @@
+/**
+ * API Key Service
+ * Issues API keys with a tier (config/tiers.js) and tracks their daily and monthly quotas
+ *
+ * Only a SHA-256 hash of each key is stored, the key itself is shown once when it is issued.
+ * Usage counters are kept in memory and written to the store at most every few seconds
+ */
+
+const crypto = require('crypto');
+const { JsonStore } = require('../helper/json_store');
+const { NotFoundError, ValidationError } = require('../helper/error_handler');
+const { tiers, defaultKeyTier, getTier } = require('../config/tiers');
+
+const KEY_PREFIX = 'kv_';
+const SAVE_DELAY = 5000;
+
+/**
+ * Hash an API key
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Current UTC day and month
+ * @param {number} now - Timestamp
+ * @returns {object} { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+const getPeriods = (now = Date.now()) => {
+  const iso = new Date(now).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+};
+
+/**
+ * Seconds until the current UTC day or month ends
+ * @param {string} period - daily or monthly
+ * @param {number} now - Timestamp
+ * @returns {number} Seconds
+ */
+const secondsUntilReset = (period, now = Date.now()) => {
+  const date = new Date(now);
+  const reset = period === 'daily'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return Math.ceil((reset - now) / 1000);
+};
+
+class ApiKeyService {
+  constructor() {
+    this.store = new JsonStore('api_keys', { keys: {} });
+    this.index = null; // hash -> key ID
+    this.saveTimer = null;
+  }
+
+  /**
+   * Get key ID by hash (index built on first use)
+   * @param {string} hash - Key hash
+   * @returns {string|undefined} Key ID
+   */
+  findIdByHash(hash) {
+    if (!this.index) {
+      this.index = new Map();
+      Object.values(this.store.load().keys).forEach(record => this.index.set(record.hash, record.id));
+    }
+    return this.index.get(hash);
+  }
+
+  /**
+   * Issue a new key
+   * @param {object} options - Options
+   * @param {string} options.name - Owner/app name
+   * @param {string} options.tier - Tier name (default: free)
+   * @returns {object} Key record including the key itself (only returned here)
+   * @throws {ValidationError} When name or tier is invalid
+   */
+  issue(options = {}) {
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    const tier = options.tier || defaultKeyTier;
+
+    const errors = [];
+    if (!name) {
+      errors.push('name is required');
+    } else if (name.length > 100) {
+      errors.push('name must be at most 100 characters');
+    }
+    if (!getTier(tier) || tier === 'anonymous') {
+      errors.push(`tier must be one of: ${Object.keys(tiers).filter(t => t !== 'anonymous').join(', ')}`);
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid API key request', errors);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      tier,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      createdAt: Date.now(),
+      revokedAt: null,
+      lastUsedAt: null,
+      usage: { day: null, daily: 0, month: null, monthly: 0, total: 0 }
+    };
+
+    this.store.load().keys[record.id] = record;
+    this.store.save();
+    if (this.index) {
+      this.index.set(record.hash, record.id);
+    }
+
+    return { ...this.toPublic(record), key };
+  }
+
+  /**
+   * Revoke a key (kept for inspection, no longer accepted)
+   * @param {string} id - Key ID
+   * @returns {object} Key record
+   * @throws {NotFoundError} When the key doesn't exist
+   */
+  revoke(id) {
+    const record = this.getRecordOrThrow(id);
+    if (!record.revokedAt) {
+      record.revokedAt = Date.now();
+      this.store.save();
+    }
+    return this.toPublic(record);
+  }
+
+  /**
+   * Get key record or throw
+   * @param {string} id - Key ID
+   * @returns {object} Key record
+   */
+  getRecordOrThrow(id) {
+    const record = this.store.load().keys[id];
+    if (!record) {
+      throw new NotFoundError(`API key '${id}' not found`);
+    }
+    return record;
+  }
+
+  /**
+   * Authenticate a key
+   * @param {string} key - API key from the request
+   * @returns {object|null} { id, name, tier } or null when unknown or revoked
+   */
+  authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+    const id = this.findIdByHash(hashKey(key));
+    const record = id && this.store.load().keys[id];
+    if (!record || record.revokedAt) return null;
+
+    return { id: record.id, name: record.name, tier: record.tier };
+  }
+
+  /**
+   * Reset usage counters that belong to a past day or month
+   * @param {object} usage - Usage counters
+   * @param {number} now - Timestamp
+   */
+  rollUsage(usage, now = Date.now()) {
+    const { day, month } = getPeriods(now);
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.daily = 0;
+    }
+    if (usage.month !== month) {
+      usage.month = month;
+      usage.monthly = 0;
+    }
+  }
+
+  /**
+   * Check whether a key has quota left for a request
+   * @param {string} id - Key ID
+   * @param {number} cost - Requests the request counts as
+   * @returns {object} { allowed, period, limit, retryAfter }
+   */
+  checkQuota(id, cost = 1) {
+    const record = this.store.load().keys[id];
+    if (!record) return { allowed: true };
+
+    this.rollUsage(record.usage);
+    const quota = (getTier(record.tier) || tiers.anonymous).quota;
+
+    for (const [period, used] of [['daily', record.usage.daily], ['monthly', record.usage.monthly]]) {
+      if (quota[period] && used + cost > quota[period]) {
+        return { allowed: false, period, limit: quota[period], retryAfter: secondsUntilReset(period) };
+      }
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Count a request against a key's quotas
+   * @param {string} id - Key ID
+   * @param {number} cost - Requests the request counts as
+   */
+  recordUsage(id, cost = 1) {
+    const record = this.store.load().keys[id];
+    if (!record) return;
+
+    this.rollUsage(record.usage);
+    record.usage.daily += cost;
+    record.usage.monthly += cost;
+    record.usage.total += cost;
+    record.lastUsedAt = Date.now();
+    this.scheduleSave();
+  }
+
+  /**
+   * Save usage soon (batches writes from busy keys)
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.store.save();
+    }, SAVE_DELAY);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Key record without its hash, with tier limits and remaining quota
+   * @param {object} record - Key record
+   * @returns {object} Public key info
+   */
+  toPublic(record) {
+    const { hash, ...info } = record;
+    const usage = { ...record.usage };
+    this.rollUsage(usage);
+    const tier = getTier(record.tier) || tiers.anonymous;
+
+    return {
+      ...info,
+      usage,
+      limits: tier.limits,
+      quota: {
+        daily: tier.quota.daily,
+        monthly: tier.quota.monthly,
+        dailyRemaining: tier.quota.daily ? Math.max(0, tier.quota.daily - usage.daily) : null,
+        monthlyRemaining: tier.quota.monthly ? Math.max(0, tier.quota.monthly - usage.monthly) : null
+      }
+    };
+  }
+
+  /**
+   * Get key info
+   * @param {string} id - Key ID
+   * @returns {object} Public key info
+   */
+  getKey(id) {
+    return this.toPublic(this.getRecordOrThrow(id));
+  }
+
+  /**
+   * List keys (newest first)
+   * @returns {Array} Public key info
+   */
+  listKeys() {
+    return Object.values(this.store.load().keys)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(record => this.toPublic(record));
+  }
+
+  /**
+   * List tiers
+   * @returns {object} Tiers by name
+   */
+  getTiers() {
+    return tiers;
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  ApiKeyService,
+  apiKeyService
+};
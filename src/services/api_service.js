@@ -8,10 +8,15 @@ const { DataProcessor, DataEnrichmentService, BatchProcessor, DataAggregationSer
 const QueryBuilder = require('./query_builder');
 const ParallelProcessor = require('./parallel_processor');
 const ResponseOptimizer = require('./response_optimizer');
-const { executeScraper, listProviders } = require('./provider_manager');
+const { executeScraper, listProviders, resolveProvider, providerSupportsFeature } = require('./provider_manager');
+const { providers, mergePriority } = require('../config/providers');
 const { scrapeOrchestrator } = require('./scrape_orchestrator');
 const { dataIntegrityService } = require('./data_integrity');
 const { requestQueue } = require('./request_queue');
+const { getRecorderStats } = require('../helper/http_recorder');
+const { outboundLimiter } = require('../helper/outbound_limiter');
+const cacheService = require('../helper/cache_service');
+const { mangaMappingService } = require('./manga_mapping');
 
 /**
  * Advanced API Service
@@ -600,14 +605,248 @@ class ApiService {
   }
 
   /**
-   * Get orchestrator and integrity statistics
+   * Get comic detail merged from every enabled provider that has the same series
+   * Fields are taken by priority (first non-empty value wins), chapter lists are unioned
+   * by chapter number, and every field and chapter records the provider it came from
+   * @param {object} options - Merge options
+   * @param {string} options.url - Comic URL/ID on the requested provider
+   * @param {string} options.provider - Provider the URL belongs to (default provider when omitted)
+   * @param {Array} options.priority - Provider order overriding mergePriority for every field
+   * @param {boolean} options.forceRefresh - Bypass orchestrator cache
+   * @returns {Promise<object>} Merged comic detail with provenance
+   */
+  async getMergedComicDetail(options = {}) {
+    const {
+      url,
+      provider = null,
+      priority = null,
+      forceRefresh = false
+    } = options;
+
+    if (!url) {
+      throw new Error('URL is required');
+    }
+
+    const requestedId = resolveProvider(provider);
+    const primary = await this.fetchProviderDetail(requestedId, url, forceRefresh);
+
+    if (!primary || !primary.title) {
+      throw new Error('Failed to get comic detail');
+    }
+
+    const series = mangaMappingService.link(requestedId, primary, { id: url });
+    const sources = [{
+      provider: requestedId,
+      id: mangaMappingService.getProviderMangaId(requestedId, url),
+      matchedBy: 'request',
+      detail: primary
+    }];
+    const report = [{ provider: requestedId, id: sources[0].id, status: 'ok', matchedBy: 'request' }];
+
+    const others = Object.keys(providers).filter(id =>
+      id !== requestedId && providers[id].enabled && providerSupportsFeature(id, 'detail'));
+
+    const settled = await Promise.allSettled(
+      others.map(id => this.findMatchedDetail(id, series, forceRefresh))
+    );
+
+    settled.forEach((result, index) => {
+      const providerId = others[index];
+      if (result.status === 'rejected') {
+        report.push({ provider: providerId, status: 'failed', error: result.reason?.message || 'Unknown error' });
+      } else if (!result.value) {
+        report.push({ provider: providerId, status: 'not_found' });
+      } else {
+        sources.push(result.value);
+        report.push({ provider: providerId, id: result.value.id, status: 'ok', matchedBy: result.value.matchedBy });
+      }
+    });
+
+    const comic = this.mergeDetails(sources, priority);
+    comic.canonicalId = series ? series.id : null;
+
+    return {
+      status: 'success',
+      data: comic,
+      metadata: {
+        merged: true,
+        canonicalId: comic.canonicalId,
+        providers: report
+      }
+    };
+  }
+
+  /**
+   * Fetch detail from exactly one provider (no fallback, so provenance stays correct)
+   * @param {string} providerId - Provider ID
+   * @param {string} id - Provider manga ID
+   * @param {boolean} forceRefresh - Bypass orchestrator cache
+   * @returns {Promise<object>} Comic detail
+   */
+  async fetchProviderDetail(providerId, id, forceRefresh = false) {
+    const result = await scrapeOrchestrator.scrape({
+      operation: 'getComicDetail',
+      providerId,
+      args: [id],
+      forceRefresh,
+      deduplication: false,
+      fallback: false
+    });
+
+    return result.data;
+  }
+
+  /**
+   * Find the series on another provider (mapping first, then search by title) and fetch its detail
+   * @param {string} providerId - Provider ID
+   * @param {object} series - Canonical series from mangaMappingService.link
+   * @param {boolean} forceRefresh - Bypass orchestrator cache
+   * @returns {Promise<object|null>} { provider, id, matchedBy, detail } or null when not found
+   */
+  async findMatchedDetail(providerId, series, forceRefresh = false) {
+    if (!series) return null;
+
+    const linked = series.sources[providerId];
+    if (linked) {
+      const detail = await this.fetchProviderDetail(providerId, linked.id, forceRefresh);
+      return detail && detail.title ? { provider: providerId, id: linked.id, matchedBy: 'mapping', detail } : null;
+    }
+
+    if (!providerSupportsFeature(providerId, 'search')) return null;
+
+    const search = await scrapeOrchestrator.scrape({
+      operation: 'searchComics',
+      providerId,
+      args: [series.title],
+      forceRefresh,
+      fallback: false
+    });
+    const items = Array.isArray(search.data) ? search.data : (search.data?.data || []);
+
+    let best = null;
+    items.forEach(item => {
+      const score = mangaMappingService.scoreMatch(mangaMappingService.toCandidate(item), series);
+      if (score >= mangaMappingService.matchThreshold && (!best || score > best.score)) {
+        best = { item, score };
+      }
+    });
+
+    if (!best) return null;
+
+    const id = mangaMappingService.getProviderMangaId(providerId, best.item.href);
+    const detail = await this.fetchProviderDetail(providerId, id, forceRefresh);
+    if (!detail || !detail.title) return null;
+
+    // Detail has author/year, so it can still reject a title-only match; only a confirmed
+    // match is linked, and to this series, so a wrong search hit never becomes a series of its own
+    const score = mangaMappingService.scoreMatch(mangaMappingService.toCandidate(detail), series);
+    if (score < mangaMappingService.matchThreshold) return null;
+    if (!mangaMappingService.linkTo(series.id, providerId, detail, { id, score })) return null;
+
+    return { provider: providerId, id, matchedBy: 'search', detail };
+  }
+
+  /**
+   * Order providers for a field
+   * @param {string} field - Field name
+   * @param {Array} available - Provider IDs that returned a detail
+   * @param {Array} override - Provider order overriding mergePriority
+   * @returns {Array} Ordered provider IDs
+   */
+  getMergeOrder(field, available, override = null) {
+    const preferred = override || mergePriority[field] || mergePriority.default || [];
+    return [
+      ...preferred.filter(id => available.includes(id)),
+      ...available.filter(id => !preferred.includes(id))
+    ];
+  }
+
+  /**
+   * Merge provider details field by field and union their chapter lists
+   * @param {Array} sources - [{ provider, id, detail }]
+   * @param {Array} priority - Provider order overriding mergePriority
+   * @returns {object} Merged detail with `provenance` and `sources`
+   */
+  mergeDetails(sources, priority = null) {
+    const byProvider = new Map(sources.map(source => [source.provider, source]));
+    const available = sources.map(source => source.provider);
+    const fields = new Set();
+    sources.forEach(source => Object.keys(source.detail).forEach(field => fields.add(field)));
+    fields.delete('chapter');
+    fields.delete('canonicalId');
+
+    const merged = {};
+    const provenance = {};
+
+    fields.forEach(field => {
+      this.getMergeOrder(field, available, priority).forEach(providerId => {
+        const value = byProvider.get(providerId).detail[field];
+        const isEmpty = !merged[field] || (Array.isArray(merged[field]) && merged[field].length === 0);
+        if (!isEmpty) return;
+
+        const filled = dataIntegrityService.mergeItems(merged, { [field]: value }, [field]);
+        if (filled[field] !== merged[field] && value !== undefined) {
+          merged[field] = filled[field];
+          provenance[field] = providerId;
+        }
+      });
+    });
+
+    merged.chapter = this.mergeChapters(sources, this.getMergeOrder('chapter', available, priority));
+    provenance.chapter = [...new Set(merged.chapter.map(ch => ch.provider))];
+
+    merged.provenance = provenance;
+    merged.sources = sources.map(({ provider, id, matchedBy }) => ({ provider, id, matchedBy }));
+
+    return merged;
+  }
+
+  /**
+   * Union chapter lists by normalized chapter number
+   * The first provider in order supplies each chapter; the others are listed as alternatives
+   * @param {Array} sources - [{ provider, detail }]
+   * @param {Array} order - Provider order
+   * @returns {Array} Chapters sorted by number (newest first)
+   */
+  mergeChapters(sources, order) {
+    const byProvider = new Map(sources.map(source => [source.provider, source]));
+    const chapters = new Map();
+
+    order.forEach(providerId => {
+      const list = byProvider.get(providerId).detail.chapter;
+      if (!Array.isArray(list)) return;
+
+      list.forEach(ch => {
+        if (!ch || typeof ch !== 'object') return;
+
+        const number = typeof ch.number === 'number' && ch.number > 0
+          ? ch.number
+          : parseFloat((String(ch.title || '').match(/(\d+(?:\.\d+)?)/) || [])[1]) || 0;
+        const key = number > 0 ? `n:${number}` : `t:${String(ch.title || '').toLowerCase().trim()}`;
+
+        if (chapters.has(key)) {
+          chapters.get(key).alternatives.push({ provider: providerId, href: ch.href });
+        } else {
+          chapters.set(key, { ...ch, number, provider: providerId, alternatives: [] });
+        }
+      });
+    });
+
+    return Array.from(chapters.values()).sort((a, b) => b.number - a.number);
+  }
+
+  /**
+   * Get orchestrator, integrity and request coalescing statistics
    * @returns {object} System statistics
    */
   getSystemStats() {
     return {
       orchestrator: scrapeOrchestrator.getStats(),
       requestQueue: requestQueue.getStats(),
-      dataIntegrity: dataIntegrityService.getStats()
+      dataIntegrity: dataIntegrityService.getStats(),
+      http: getRecorderStats(),
+      outbound: outboundLimiter.getStats(),
+      coalescing: cacheService.getCoalescingStats()
     };
   }
 }
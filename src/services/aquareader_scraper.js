@@ -6,6 +6,7 @@
 
 const cheerio = require('cheerio');
 const { AxiosService } = require('../helper/axios_service');
+const { getProvider } = require('../config/providers');
 const { ParseError, NotFoundError } = require('../helper/error_handler');
 const {
   normalizeComicItem,
@@ -17,6 +18,12 @@ const {
 
 const BASE_URL = 'https://aquareader.net';
 
+/**
+ * Get current base URL (honours runtime overrides from the dashboard)
+ * @returns {string} Base URL
+ */
+const getBaseUrl = () => getProvider('aquareader')?.baseUrl || BASE_URL;
+
 /**
  * Extract pagination info from element
  * @param {object} $ - Cheerio instance
@@ -105,16 +112,16 @@ const extractComicList = ($, element, baseSelector) => {
       const date = dateMatch ? dateMatch[0] : 
                   $item.find('.date, .updated, .time, [class*="date"]').text().trim() || '';
 
-      if (title && href && !comics.find(c => c.href === normalizeUrl(href, BASE_URL))) {
+      if (title && href && !comics.find(c => c.href === normalizeUrl(href, getBaseUrl()))) {
         comics.push(normalizeComicItem({
           title,
-          href: normalizeUrl(href, BASE_URL),
-          thumbnail: normalizeUrl(thumbnail, BASE_URL),
+          href: normalizeUrl(href, getBaseUrl()),
+          thumbnail: normalizeUrl(thumbnail, getBaseUrl()),
           type,
           chapter: chapterText ? `Chapter ${chapterText}` : '',
           rating,
           date
-        }, BASE_URL));
+        }, getBaseUrl()));
       }
     } catch (error) {
       console.error('Error extracting comic item:', error);
@@ -149,14 +156,14 @@ const extractComicList = ($, element, baseSelector) => {
         const ratingMatch = itemText.match(/(\d+\.?\d*)\s*(?:star|rating|score)/i);
         const rating = ratingMatch ? ratingMatch[1] : '';
 
-        if (title && href && href.includes('/manga/') && !comics.find(c => c.href === normalizeUrl(href, BASE_URL))) {
+        if (title && href && href.includes('/manga/') && !comics.find(c => c.href === normalizeUrl(href, getBaseUrl()))) {
           comics.push(normalizeComicItem({
             title,
-            href: normalizeUrl(href, BASE_URL),
-            thumbnail: normalizeUrl(thumbnail, BASE_URL),
+            href: normalizeUrl(href, getBaseUrl()),
+            thumbnail: normalizeUrl(thumbnail, getBaseUrl()),
             chapter: chapterText ? `Chapter ${chapterText}` : '',
             rating
-          }, BASE_URL));
+          }, getBaseUrl()));
         }
       } catch (error) {
         console.error('Error extracting comic item:', error);
@@ -176,8 +183,8 @@ const getLatestComics = async (page = 1) => {
   try {
     // Try different URL patterns for latest comics
     const url = page > 1 
-      ? `${BASE_URL}/page/${page}` 
-      : BASE_URL;
+      ? `${getBaseUrl()}/page/${page}` 
+      : getBaseUrl();
     
     const response = await AxiosService(url);
     
@@ -204,7 +211,7 @@ const getLatestComics = async (page = 1) => {
           const thumbnail = $parent.find('img').first().attr('src') || 
                            $el.closest('a').find('img').attr('src') || '';
           
-          if (title && href && href.includes('/manga/') && !comics.find(c => c.href === normalizeUrl(href, BASE_URL))) {
+          if (title && href && href.includes('/manga/') && !comics.find(c => c.href === normalizeUrl(href, getBaseUrl()))) {
             // Try to find chapter info in nearby elements
             const parentText = $parent.text();
             const chapterMatch = parentText.match(/Ch\.?\s*(\d+)|Chapter\s*(\d+)/i);
@@ -212,10 +219,10 @@ const getLatestComics = async (page = 1) => {
             
             comics.push(normalizeComicItem({
               title,
-              href: normalizeUrl(href, BASE_URL),
-              thumbnail: normalizeUrl(thumbnail, BASE_URL),
+              href: normalizeUrl(href, getBaseUrl()),
+              thumbnail: normalizeUrl(thumbnail, getBaseUrl()),
               chapter: chapterText ? `Chapter ${chapterText}` : ''
-            }, BASE_URL));
+            }, getBaseUrl()));
           }
         } catch (error) {
           console.error('Error extracting comic from h4:', error);
@@ -246,8 +253,8 @@ const getLatestComics = async (page = 1) => {
 const getComicsByGenre = async (genreUrl, page = 1) => {
   try {
     const url = page > 1 
-      ? `${BASE_URL}/genre/${genreUrl}/page/${page}`
-      : `${BASE_URL}/genre/${genreUrl}`;
+      ? `${getBaseUrl()}/genre/${genreUrl}/page/${page}`
+      : `${getBaseUrl()}/genre/${genreUrl}`;
     
     const response = await AxiosService(url);
     
@@ -283,7 +290,7 @@ const getComicsByGenre = async (genreUrl, page = 1) => {
  */
 const getGenres = async () => {
   try {
-    const response = await AxiosService(BASE_URL);
+    const response = await AxiosService(getBaseUrl());
     
     if (response.status !== 200) {
       throw new ParseError('Failed to fetch genres');
@@ -303,7 +310,7 @@ const getGenres = async () => {
       // Filter out non-genre links and get clean genre names
       if (title && href && (href.includes('/manga-genre/') || href.includes('/genre/')) && 
           !href.includes('/manga/') && title.length > 1 && title.length < 50) {
-        const normalizedHref = normalizeUrl(href, BASE_URL);
+        const normalizedHref = normalizeUrl(href, getBaseUrl());
         
         if (!seenHrefs.has(normalizedHref) && !title.toLowerCase().includes('all')) {
           seenHrefs.add(normalizedHref);
@@ -322,8 +329,8 @@ const getGenres = async () => {
       const href = $el.attr('href') || '';
       
       if (title && href && (href.includes('/manga-genre/') || href.includes('/genre/')) &&
-          !seenHrefs.has(normalizeUrl(href, BASE_URL))) {
-        const normalizedHref = normalizeUrl(href, BASE_URL);
+          !seenHrefs.has(normalizeUrl(href, getBaseUrl()))) {
+        const normalizedHref = normalizeUrl(href, getBaseUrl());
         seenHrefs.add(normalizedHref);
         genres.push({
           title: title.replace(/[:\-]/g, '').trim(),
@@ -357,7 +364,7 @@ const getComicDetail = async (url) => {
   try {
     // Clean URL - remove leading/trailing slashes and ensure it's a valid path
     const cleanUrl = url.replace(/^\/+|\/+$/g, '');
-    const comicUrl = `${BASE_URL}/${cleanUrl}`;
+    const comicUrl = `${getBaseUrl()}/${cleanUrl}`;
     
     const response = await AxiosService(comicUrl);
     
@@ -419,9 +426,9 @@ const getComicDetail = async (url) => {
         if (chapterTitle && chapterHref) {
           chapters.push(normalizeChapterItem({
             title: chapterTitle,
-            href: normalizeUrl(chapterHref, BASE_URL),
+            href: normalizeUrl(chapterHref, getBaseUrl()),
             date: chapterDate
-          }, BASE_URL));
+          }, getBaseUrl()));
         }
       });
       
@@ -454,7 +461,7 @@ const getComicDetail = async (url) => {
           seenGenres.add(genreTitle.toLowerCase());
           genres.push({
             title: genreTitle,
-            href: normalizeUrl(genreHref, BASE_URL)
+            href: normalizeUrl(genreHref, getBaseUrl())
           });
         }
       });
@@ -478,7 +485,7 @@ const getComicDetail = async (url) => {
       author: author || '',
       genre: genres,
       description: description || '',
-      thumbnail: normalizeUrl(thumbnail, BASE_URL),
+      thumbnail: normalizeUrl(thumbnail, getBaseUrl()),
       chapter: chapters
     };
   } catch (error) {
@@ -498,7 +505,7 @@ const readChapter = async (url) => {
   try {
     // Clean URL
     const cleanUrl = url.replace(/^\/+|\/+$/g, '');
-    const chapterUrl = `${BASE_URL}/${cleanUrl}`;
+    const chapterUrl = `${getBaseUrl()}/${cleanUrl}`;
     
     const response = await AxiosService(chapterUrl);
     
@@ -530,7 +537,7 @@ const readChapter = async (url) => {
                    $el.attr('data-url') || '';
         
         if (src && !src.includes('logo') && !src.includes('avatar') && !src.includes('icon')) {
-          const fullUrl = normalizeUrl(src, BASE_URL);
+          const fullUrl = normalizeUrl(src, getBaseUrl());
           if (!panels.includes(fullUrl)) {
             panels.push(fullUrl);
           }
@@ -565,9 +572,9 @@ const searchComics = async (keyword) => {
   try {
     // Try different search URL patterns
     const searchUrls = [
-      `${BASE_URL}/?s=${encodeURIComponent(keyword)}`,
-      `${BASE_URL}/search?q=${encodeURIComponent(keyword)}`,
-      `${BASE_URL}/search/${encodeURIComponent(keyword)}`
+      `${getBaseUrl()}/?s=${encodeURIComponent(keyword)}`,
+      `${getBaseUrl()}/search?q=${encodeURIComponent(keyword)}`,
+      `${getBaseUrl()}/search/${encodeURIComponent(keyword)}`
     ];
 
     let response = null;
@@ -605,7 +612,7 @@ const searchComics = async (keyword) => {
  */
 const getPopularComics = async () => {
   try {
-    const response = await AxiosService(BASE_URL);
+    const response = await AxiosService(getBaseUrl());
     
     if (response.status !== 200) {
       throw new ParseError('Failed to fetch popular comics');
@@ -658,7 +665,7 @@ const getPopularComics = async () => {
  */
 const getRecommendedComics = async () => {
   try {
-    const response = await AxiosService(BASE_URL);
+    const response = await AxiosService(getBaseUrl());
     
     if (response.status !== 200) {
       throw new ParseError('Failed to fetch recommended comics');
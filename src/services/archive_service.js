@@ -0,0 +1,461 @@
+/**
+ * Archive Service
+ * Exports chapters as CBZ (with ComicInfo.xml) or fixed-layout EPUB, streamed to the client
+ *
+ * Panels are downloaded through AxiosService a few at a time and written to the archive in order,
+ * so at most `concurrency` images are held in memory. A panel that still fails after AxiosService's
+ * retries is left out and listed in ComicInfo.xml or on the EPUB's notes page, so one bad image
+ * doesn't abort the whole export
+ */
+
+const { ZipWriter } = require('../helper/zip_writer');
+const { escapeXml } = require('../helper/feed_builder');
+const { NotFoundError, ValidationError } = require('../helper/error_handler');
+const { readChapter, getComicDetail } = require('./scraper_service');
+const { resolveProvider, getProviderInfo } = require('./provider_manager');
+const { mangaMappingService } = require('./manga_mapping');
+const { imageProxyService } = require('./image_proxy');
+
+// Detect Vercel environment
+const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
+
+const FORMATS = {
+  cbz: { ext: 'cbz', mime: 'application/vnd.comicbook+zip' },
+  epub: { ext: 'epub', mime: 'application/epub+zip' }
+};
+
+// Viewport for EPUB pages whose image size cannot be read
+const DEFAULT_PAGE_SIZE = { width: 800, height: 1200 };
+
+class ArchiveService {
+  constructor() {
+    this.concurrency = isVercel ? 2 : 4; // Panels downloaded at once per archive
+    this.maxChapters = 50; // Per range export
+  }
+
+  /**
+   * Resolve what to export before anything is streamed, so bad requests still get JSON errors
+   * @param {object} options - Options
+   * @param {string} options.url - Chapter ID (single chapter) or series ID (with from/to)
+   * @param {string} options.format - cbz or epub
+   * @param {string} options.provider - Provider ID
+   * @param {string} options.series - Series ID for metadata of a single chapter
+   * @param {string|number} options.from - First chapter number (range export)
+   * @param {string|number} options.to - Last chapter number (range export)
+   * @returns {Promise<object>} Export plan { format, providerId, detail, chapters, title, fileName, range, skipped }
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {NotFoundError} When the series has no chapters in the range
+   */
+  async prepare(options = {}) {
+    const format = String(options.format || 'cbz').toLowerCase();
+    const range = options.from !== undefined || options.to !== undefined;
+    const from = options.from !== undefined ? parseFloat(options.from) : 0;
+    const to = options.to !== undefined ? parseFloat(options.to) : Infinity;
+
+    const errors = [];
+    if (!FORMATS[format]) errors.push(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    if (isNaN(from) || isNaN(to)) errors.push('from and to must be chapter numbers');
+    if (from > to) errors.push('from must not be greater than to');
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid download request', errors);
+    }
+
+    const providerId = resolveProvider(options.provider);
+    const seriesUrl = range ? options.url : options.series;
+    const detail = seriesUrl ? await getComicDetail(seriesUrl, providerId) : null;
+    const chapterList = (Array.isArray(detail?.chapter) ? detail.chapter : []).map(chapter => ({
+      id: mangaMappingService.getProviderPathId(providerId, chapter.href, 'read'),
+      title: chapter.title,
+      number: chapter.number
+    }));
+
+    let chapters;
+    if (range) {
+      chapters = chapterList
+        .filter(chapter => chapter.number >= from && chapter.number <= to)
+        .sort((a, b) => a.number - b.number);
+
+      if (chapters.length === 0) {
+        throw new NotFoundError(`No chapters between ${from} and ${to}`);
+      }
+      if (chapters.length > this.maxChapters) {
+        throw new ValidationError('Invalid download request', [
+          `Range has ${chapters.length} chapters, at most ${this.maxChapters} can be exported at once`
+        ]);
+      }
+    } else {
+      const known = chapterList.find(chapter => chapter.id === options.url);
+      chapters = [known || { id: options.url, title: null, number: null }];
+    }
+
+    // Read the first chapter now: a wrong chapter ID is still a normal JSON 404
+    await this.loadChapter(chapters[0], providerId);
+
+    const label = range
+      ? `Chapters ${chapters[0].number}-${chapters[chapters.length - 1].number}`
+      : (chapters[0].number ? `Chapter ${chapters[0].number}` : chapters[0].id);
+    const title = detail?.title ? `${detail.title} - ${label}` : label;
+
+    return {
+      format,
+      providerId,
+      detail,
+      chapters,
+      range,
+      title,
+      fileName: `${title.replace(/[\\/:*?"<>|]+/g, '').trim() || 'chapter'}.${FORMATS[format].ext}`,
+      skipped: [] // Panels left out after failed downloads, filled while streaming
+    };
+  }
+
+  /**
+   * Read a chapter's panel list (and fill in its title)
+   * @param {object} chapter - Plan chapter { id, title, number }
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Array>} Panel URLs
+   * @throws {NotFoundError} When the chapter has no panels
+   */
+  async loadChapter(chapter, providerId) {
+    const result = await readChapter(chapter.id, providerId);
+    const panels = Array.isArray(result?.panel) ? result.panel : [];
+    if (panels.length === 0) {
+      throw new NotFoundError(`Chapter '${chapter.id}' has no panels`);
+    }
+
+    chapter.title = chapter.title || result.title || chapter.id;
+    chapter.panels = panels;
+    return panels;
+  }
+
+  /**
+   * Download one panel (provider Referer and image headers, see ImageProxyService.fetchImage)
+   * Failed requests are already retried by AxiosService
+   * @param {string} url - Panel URL
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<object>} { data, info }
+   * @throws {ParseError} When the response is not an image
+   */
+  fetchPanel(url, providerId) {
+    return imageProxyService.fetchImage(url, providerId);
+  }
+
+  /**
+   * Download panels with bounded concurrency, yielding them in order
+   * @param {Array} panels - Panel URLs
+   * @param {string} providerId - Provider ID
+   * @yields {object} { number, data, info } or { number, url, error } for a panel that failed
+   */
+  async *fetchPanels(panels, providerId) {
+    const pending = [];
+    let next = 0;
+
+    const startNext = () => {
+      const number = next + 1;
+      const url = panels[next++];
+      pending.push(this.fetchPanel(url, providerId).then(
+        panel => ({ number, ...panel }),
+        error => ({ number, url, error })
+      ));
+    };
+
+    while (next < panels.length && pending.length < this.concurrency) startNext();
+
+    while (pending.length > 0) {
+      const panel = await pending.shift();
+      if (next < panels.length) startNext();
+      yield panel;
+    }
+  }
+
+  /**
+   * Read every chapter of a plan and yield its pages
+   * Failed panels are skipped and added to plan.skipped
+   * @param {object} plan - Export plan
+   * @yields {object} { chapter, chapterIndex, pageIndex, number, data, info }
+   * @throws {Error} When every panel of a chapter failed (the provider's image host is likely down)
+   */
+  async *readPages(plan) {
+    for (let chapterIndex = 0; chapterIndex < plan.chapters.length; chapterIndex++) {
+      const chapter = plan.chapters[chapterIndex];
+      const panels = chapter.panels || await this.loadChapter(chapter, plan.providerId);
+      chapter.panels = null;
+
+      let pageIndex = 0;
+      for await (const panel of this.fetchPanels(panels, plan.providerId)) {
+        if (panel.error) {
+          console.warn(`Archive export skipped panel ${panel.number} of '${chapter.id}':`, panel.error.message);
+          plan.skipped.push({ chapter: chapter.title, number: panel.number, url: panel.url, error: panel.error.message });
+          continue;
+        }
+        yield { chapter, chapterIndex, pageIndex: pageIndex++, ...panel };
+      }
+
+      if (pageIndex === 0) {
+        throw new Error(`Every panel of chapter '${chapter.id}' failed to download`);
+      }
+    }
+  }
+
+  /**
+   * Page file name without extension
+   * @param {object} plan - Export plan
+   * @param {object} page - Page from readPages
+   * @returns {string} e.g. '0001' or '003-0001' for range exports
+   */
+  pageName(plan, page) {
+    const name = String(page.pageIndex + 1).padStart(4, '0');
+    return plan.range ? `${String(page.chapterIndex + 1).padStart(3, '0')}-${name}` : name;
+  }
+
+  /**
+   * Get genres of a detail as strings
+   * @param {object} detail - Comic detail
+   * @returns {Array} Genre names
+   */
+  getGenres(detail) {
+    if (!detail?.genre) return [];
+    if (Array.isArray(detail.genre)) {
+      return detail.genre.map(genre => (typeof genre === 'string' ? genre : genre.title)).filter(Boolean);
+    }
+    return String(detail.genre).split(',').map(genre => genre.trim()).filter(Boolean);
+  }
+
+  /**
+   * Describe panels left out after failed downloads
+   * @param {object} plan - Export plan
+   * @returns {string|null} Note, or null when nothing was skipped
+   */
+  getMissingPanelsNote(plan) {
+    if (plan.skipped.length === 0) return null;
+    return `Missing panels (download failed): ${plan.skipped.map(panel => `${panel.chapter} panel ${panel.number}`).join(', ')}`;
+  }
+
+  /**
+   * Build ComicInfo.xml (ComicRack schema)
+   * @param {object} plan - Export plan
+   * @param {Array} pages - [{ width, height, size }]
+   * @returns {string} XML
+   */
+  buildComicInfo(plan, pages) {
+    const { detail, chapters, range } = plan;
+    const fields = {
+      Title: range ? plan.title : (/^\d/.test(chapters[0].title) ? `Chapter ${chapters[0].title}` : chapters[0].title),
+      Series: detail?.title,
+      Number: range ? null : chapters[0].number,
+      Summary: detail?.description,
+      Year: parseInt(detail?.released) || null,
+      Writer: detail?.author,
+      Genre: this.getGenres(detail).join(', '),
+      PageCount: pages.length,
+      Notes: [
+        `Exported from ${getProviderInfo(plan.providerId)?.name || plan.providerId}: ${chapters.map(chapter => chapter.id).join(', ')}`,
+        this.getMissingPanelsNote(plan)
+      ].filter(Boolean).join('. ')
+    };
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">',
+      ...Object.entries(fields)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>`),
+      '  <Pages>',
+      ...pages.map((page, index) => {
+        const size = page.width ? ` ImageWidth="${page.width}" ImageHeight="${page.height}"` : '';
+        return `    <Page Image="${index}"${index === 0 ? ' Type="FrontCover"' : ''} ImageSize="${page.size}"${size}/>`;
+      }),
+      '  </Pages>',
+      '</ComicInfo>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Write a CBZ (ComicInfo.xml goes last because the page count is only known at the end)
+   * @param {ZipWriter} zip - Zip writer
+   * @param {object} plan - Export plan
+   */
+  async writeCbz(zip, plan) {
+    const pages = [];
+
+    for await (const page of this.readPages(plan)) {
+      await zip.addFile(`${this.pageName(plan, page)}.${page.info.ext}`, page.data);
+      pages.push({ width: page.info.width, height: page.info.height, size: page.data.length });
+    }
+
+    await zip.addFile('ComicInfo.xml', this.buildComicInfo(plan, pages), { compress: true });
+  }
+
+  /**
+   * Build a fixed-layout XHTML page
+   * @param {string} title - Page title
+   * @param {string} image - Image path relative to the page
+   * @param {object} size - { width, height }
+   * @returns {string} XHTML
+   */
+  buildEpubPage(title, image, size) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE html>',
+      '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+      '<head>',
+      `  <title>${escapeXml(title)}</title>`,
+      `  <meta name="viewport" content="width=${size.width}, height=${size.height}"/>`,
+      '  <style>html, body { margin: 0; padding: 0; } img { display: block; width: 100%; height: 100%; }</style>',
+      '</head>',
+      `<body><img src="${image}" alt=""/></body>`,
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build the reflowable notes page listing panels left out after failed downloads
+   * @param {object} plan - Export plan
+   * @returns {string} XHTML
+   */
+  buildEpubNotes(plan) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE html>',
+      '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+      '<head><title>Missing panels</title></head>',
+      '<body>',
+      '  <h1>Missing panels</h1>',
+      '  <p>These panels could not be downloaded and are not in this book:</p>',
+      '  <ul>',
+      ...plan.skipped.map(panel => `    <li>${escapeXml(panel.chapter)} panel ${panel.number}</li>`),
+      '  </ul>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Write a fixed-layout EPUB 3 (package document and nav go last, after every page is known)
+   * Skipped panels get a final notes page and a note in the package metadata
+   * @param {ZipWriter} zip - Zip writer
+   * @param {object} plan - Export plan
+   */
+  async writeEpub(zip, plan) {
+    // The mimetype entry must be first and stored uncompressed
+    await zip.addFile('mimetype', 'application/epub+zip');
+    await zip.addFile('META-INF/container.xml', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+      '  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+      '</container>',
+      ''
+    ].join('\n'), { compress: true });
+
+    const pages = [];
+    for await (const page of this.readPages(plan)) {
+      const name = this.pageName(plan, page);
+      const image = `images/${name}.${page.info.ext}`;
+      const size = page.info.width ? page.info : DEFAULT_PAGE_SIZE;
+
+      await zip.addFile(`OEBPS/${image}`, page.data);
+      await zip.addFile(`OEBPS/pages/${name}.xhtml`, this.buildEpubPage(page.chapter.title, `../${image}`, size), { compress: true });
+      pages.push({ name, image, mime: page.info.mime, chapter: page.chapter, first: page.pageIndex === 0 });
+    }
+
+    const missingNote = this.getMissingPanelsNote(plan);
+    if (missingNote) {
+      await zip.addFile('OEBPS/pages/notes.xhtml', this.buildEpubNotes(plan), { compress: true });
+    }
+
+    const toc = pages
+      .filter(page => page.first)
+      .map(page => `      <li><a href="pages/${page.name}.xhtml">${escapeXml(page.chapter.title)}</a></li>`);
+    if (missingNote) {
+      toc.push('      <li><a href="pages/notes.xhtml">Missing panels</a></li>');
+    }
+    await zip.addFile('OEBPS/nav.xhtml', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE html>',
+      '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+      `<head><title>${escapeXml(plan.title)}</title></head>`,
+      '<body>',
+      '  <nav epub:type="toc" id="toc">',
+      `    <h1>${escapeXml(plan.title)}</h1>`,
+      '    <ol>',
+      ...toc,
+      '    </ol>',
+      '  </nav>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n'), { compress: true });
+
+    const { detail } = plan;
+    const identifier = `urn:kanaverse:${plan.providerId}:${plan.chapters.map(chapter => encodeURIComponent(chapter.id)).join(',')}`;
+    await zip.addFile('OEBPS/content.opf', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" prefix="rendition: http://www.idpf.org/vocab/rendition/#">',
+      '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      `    <dc:identifier id="bookid">${escapeXml(identifier)}</dc:identifier>`,
+      `    <dc:title>${escapeXml(plan.title)}</dc:title>`,
+      '    <dc:language>und</dc:language>',
+      detail?.author ? `    <dc:creator>${escapeXml(detail.author)}</dc:creator>` : null,
+      detail?.description ? `    <dc:description>${escapeXml(detail.description)}</dc:description>` : null,
+      ...this.getGenres(detail).map(genre => `    <dc:subject>${escapeXml(genre)}</dc:subject>`),
+      missingNote ? `    <dc:description id="missing-panels">${escapeXml(missingNote)}</dc:description>` : null,
+      `    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>`,
+      '    <meta property="rendition:layout">pre-paginated</meta>',
+      '    <meta property="rendition:orientation">auto</meta>',
+      '    <meta property="rendition:spread">none</meta>',
+      '  </metadata>',
+      '  <manifest>',
+      '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      ...pages.flatMap((page, index) => [
+        `    <item id="p${page.name}" href="pages/${page.name}.xhtml" media-type="application/xhtml+xml"/>`,
+        `    <item id="i${page.name}" href="${page.image}" media-type="${page.mime}"${index === 0 ? ' properties="cover-image"' : ''}/>`
+      ]),
+      missingNote ? '    <item id="notes" href="pages/notes.xhtml" media-type="application/xhtml+xml"/>' : null,
+      '  </manifest>',
+      '  <spine>',
+      ...pages.map(page => `    <itemref idref="p${page.name}"/>`),
+      missingNote ? '    <itemref idref="notes" properties="rendition:layout-reflowable"/>' : null,
+      '  </spine>',
+      '</package>',
+      ''
+    ].filter(line => line !== null).join('\n'), { compress: true });
+  }
+
+  /**
+   * Stream an export plan to the response
+   * Once streaming has started, errors can only abort the connection (the client sees a truncated download)
+   * @param {object} plan - Export plan from prepare()
+   * @param {object} res - Express response
+   * @returns {Promise<void>}
+   */
+  async stream(plan, res) {
+    const asciiName = plan.fileName.replace(/[^\x20-\x7E]/g, '_');
+    res.status(200);
+    res.set('Content-Type', FORMATS[plan.format].mime);
+    res.set('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(plan.fileName)}`);
+    res.set('Cache-Control', 'no-store');
+
+    const zip = new ZipWriter(res);
+    try {
+      if (plan.format === 'epub') {
+        await this.writeEpub(zip, plan);
+      } else {
+        await this.writeCbz(zip, plan);
+      }
+      await zip.finish();
+    } catch (error) {
+      console.error(`Archive export failed (${plan.fileName}):`, error.message);
+      res.destroy(error);
+    }
+  }
+}
+
+// Singleton instance
+const archiveService = new ArchiveService();
+
+module.exports = {
+  ArchiveService,
+  archiveService
+};
@@ -0,0 +1,92 @@
+/**
+ * Audit Log Service
+ * Records admin actions (logins and every non-GET dashboard/system request), newest first
+ */
+
+const crypto = require('crypto');
+const { JsonStore } = require('../helper/json_store');
+
+// Body fields that are never written to the log
+const REDACTED_FIELDS = /secret|token|password|key$/i;
+
+/**
+ * Copy a request body without secrets
+ * @param {*} body - Request body
+ * @returns {object|null} Redacted body
+ */
+const redact = (body) => {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return null;
+
+  const copy = {};
+  Object.entries(body).forEach(([field, value]) => {
+    copy[field] = REDACTED_FIELDS.test(field) ? '[redacted]' : value;
+  });
+  return copy;
+};
+
+class AuditLogService {
+  constructor() {
+    this.store = new JsonStore('audit_log', { entries: [] });
+    this.maxEntries = 1000;
+  }
+
+  /**
+   * Record an action
+   * @param {object} entry - Entry
+   * @param {string} entry.action - Action (`DELETE /api/dashboard/cache/manage`, `login`)
+   * @param {string} entry.role - Role of the caller (null for failed logins)
+   * @param {string} entry.via - bearer or session
+   * @param {string} entry.ip - Client IP
+   * @param {string} entry.path - Request path
+   * @param {object} entry.query - Query parameters
+   * @param {object} entry.body - Request body (secrets are redacted)
+   * @param {number} entry.statusCode - Response status
+   * @returns {object} Stored entry
+   */
+  record(entry) {
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      timestamp: Date.now(),
+      action: entry.action,
+      role: entry.role || null,
+      via: entry.via || null,
+      ip: entry.ip || null,
+      path: entry.path || null,
+      query: entry.query && Object.keys(entry.query).length > 0 ? entry.query : null,
+      body: redact(entry.body),
+      statusCode: entry.statusCode,
+      success: entry.statusCode < 400
+    };
+
+    const data = this.store.load();
+    data.entries.unshift(record);
+    data.entries = data.entries.slice(0, this.maxEntries);
+    this.store.save();
+
+    return record;
+  }
+
+  /**
+   * List entries
+   * @param {object} options - Options
+   * @param {number} options.limit - Max entries (default: 100)
+   * @param {string} options.action - Only actions containing this text
+   * @param {string} options.role - Only this role
+   * @returns {Array} Entries, newest first
+   */
+  list(options = {}) {
+    const { limit = 100, action, role } = options;
+    return this.store.load().entries
+      .filter(entry => !action || entry.action.includes(action))
+      .filter(entry => !role || entry.role === role)
+      .slice(0, limit);
+  }
+}
+
+// Create singleton instance
+const auditLogService = new AuditLogService();
+
+module.exports = {
+  AuditLogService,
+  auditLogService
+};
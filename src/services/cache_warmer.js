@@ -0,0 +1,329 @@
+/**
+ * Cache Warmer
+ * Fills the response cache by running route paths through the real Express handlers in-process,
+ * so warmed entries are exactly what clients would get (same cache keys, same shaping)
+ *
+ * Targets are plain route paths ('/terbaru?page=1&provider=shinigami') or named presets
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { requestQueue } = require('./request_queue');
+const { listProviders, resolveProvider } = require('./provider_manager');
+const { mangaMappingService } = require('./manga_mapping');
+const { ValidationError } = require('../helper/error_handler');
+
+const PRESETS = {
+  'front-page': {
+    description: 'Latest comics (page 1) for every enabled provider',
+    /**
+     * @returns {Promise<Array>} Paths
+     */
+    resolve: async () => listProviders()
+      .filter(provider => provider.enabled && provider.features?.latest)
+      .map(provider => `/terbaru?page=1&provider=${provider.id}`)
+  },
+  'popular-details': {
+    description: 'Detail pages for the top popular comics of a provider (default: top 50, default provider)',
+    /**
+     * @param {object} options - { provider, limit }
+     * @param {CacheWarmer} warmer - Warmer (used to fetch the popular list)
+     * @returns {Promise<Array>} Paths
+     */
+    resolve: async (options, warmer) => {
+      const providerId = resolveProvider(options.provider);
+      const limit = Math.min(parseInt(options.limit) || 50, 200);
+
+      const popular = await warmer.dispatch(`/popular?provider=${providerId}`);
+      const items = Array.isArray(popular.body?.data) ? popular.body.data : [];
+
+      return items
+        .map(item => mangaMappingService.getProviderMangaId(providerId, item.href))
+        .filter(Boolean)
+        .slice(0, limit)
+        .map(id => `/detail/${encodeURIComponent(id)}?provider=${providerId}`);
+    }
+  }
+};
+
+class CacheWarmer {
+  constructor() {
+    // Express app/router requests are dispatched to (set by router.js)
+    this.handler = null;
+    this.jobs = new Map();
+    this.maxJobs = 20;
+    this.maxTargets = 200;
+  }
+
+  /**
+   * Set request handler
+   * @param {function} handler - Express app or router
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Get available presets
+   * @returns {Array} [{ id, description }]
+   */
+  getPresets() {
+    return Object.entries(PRESETS).map(([id, preset]) => ({ id, description: preset.description }));
+  }
+
+  /**
+   * Validate a route path
+   * @param {string} path - Route path with optional query string
+   * @returns {string|null} Error message or null when valid
+   */
+  validatePath(path) {
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      return `'${path}' must be a route path starting with '/'`;
+    }
+    if (path.startsWith('/api/') || path.startsWith('/dashboard')) {
+      return `'${path}' is not a cacheable content route`;
+    }
+    return null;
+  }
+
+  /**
+   * Run a GET request through the handler without a network connection
+   * @param {string} path - Route path with optional query string
+   * @param {object} options - Options
+   * @param {boolean} options.force - Skip the cache lookup and scrape again
+   * @returns {Promise<object>} { status, cache, size, body }
+   */
+  dispatch(path, options = {}) {
+    if (!this.handler) {
+      return Promise.reject(new Error('Cache warmer has no request handler'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = new http.IncomingMessage(new net.Socket());
+      req.method = 'GET';
+      req.url = path;
+      req.headers = { host: 'localhost', accept: 'application/json', 'user-agent': 'kanaverse-cache-warmer' };
+      req.internal = true;
+      req.skipCache = options.force === true;
+      req.push(null);
+
+      const res = new http.ServerResponse(req);
+      const end = res.end;
+
+      res.end = function (chunk, encoding, callback) {
+        const payload = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk || '', typeof encoding === 'string' ? encoding : 'utf8');
+        let body = null;
+        try {
+          body = JSON.parse(payload.toString('utf8'));
+        } catch (error) {
+          // Not JSON, keep body null
+        }
+
+        resolve({
+          status: res.statusCode,
+          cache: res.getHeader('X-Cache') || null,
+          size: payload.length,
+          body
+        });
+
+        const result = end.call(this, chunk, encoding, callback);
+        // No socket to flush to, so finish has to be signalled here
+        res.emit('finish');
+        return result;
+      };
+
+      this.handler.handle(req, res, (error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ status: 404, cache: null, size: 0, body: null });
+        }
+      });
+    });
+  }
+
+  /**
+   * Resolve paths and presets to a unique list of paths
+   * @param {object} job - Warm job
+   * @returns {Promise<Array>} Paths
+   */
+  async resolveTargets(job) {
+    const paths = [...job.paths];
+
+    for (const name of job.presets) {
+      paths.push(...await PRESETS[name].resolve(job.options, this));
+    }
+
+    return Array.from(new Set(paths)).slice(0, this.maxTargets);
+  }
+
+  /**
+   * Start a warm job
+   * @param {object} options - Job options
+   * @param {Array} options.paths - Route paths
+   * @param {Array} options.presets - Preset names
+   * @param {boolean} options.force - Re-scrape entries that are already cached
+   * @param {string} options.provider - Provider for provider-specific presets
+   * @param {number} options.limit - Item limit for presets
+   * @returns {object} Job (job.done resolves when finished)
+   */
+  start(options = {}) {
+    const paths = Array.isArray(options.paths) ? options.paths : [];
+    const presets = Array.isArray(options.presets) ? options.presets : [];
+
+    const errors = [
+      ...paths.map(path => this.validatePath(path)),
+      ...presets.map(name => (PRESETS[name] ? null : `Unknown preset '${name}'`))
+    ].filter(Boolean);
+
+    if (paths.length === 0 && presets.length === 0) {
+      errors.push('paths or presets is required');
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid warm request', errors);
+    }
+
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      status: 'resolving',
+      paths,
+      presets,
+      force: options.force === true,
+      options: { provider: options.provider, limit: options.limit },
+      total: 0,
+      completed: 0,
+      succeeded: 0,
+      failed: 0,
+      results: [],
+      error: null,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pruneJobs();
+
+    job.done = this.runJob(job);
+    return job;
+  }
+
+  /**
+   * Run a job with at most requestQueue.maxConcurrent - 1 paths at once
+   * The handlers queue their own scrapes, so this leaves a queue slot for client traffic
+   * @param {object} job - Warm job
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    try {
+      const targets = await this.resolveTargets(job);
+      job.total = targets.length;
+      job.status = 'running';
+
+      const concurrency = Math.max(1, requestQueue.maxConcurrent - 1);
+      let next = 0;
+
+      const worker = async () => {
+        while (next < targets.length) {
+          const path = targets[next++];
+          job.results.push(await this.warmPath(path, job.force));
+          job.completed++;
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+      job.succeeded = job.results.filter(result => result.success).length;
+      job.failed = job.results.length - job.succeeded;
+      job.status = 'done';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = Date.now();
+    }
+  }
+
+  /**
+   * Warm one path
+   * Dispatched directly: wrapping it in requestQueue as well would hold a second slot while the
+   * route waits for its own scrape, and the queue's timeout/retries would re-run whole routes
+   * @param {string} path - Route path
+   * @param {boolean} force - Skip the cache lookup
+   * @returns {Promise<object>} { path, success, status, cache, duration, size, error }
+   */
+  async warmPath(path, force) {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.dispatch(path, { force });
+
+      return {
+        path,
+        success: response.status < 400,
+        status: response.status,
+        cache: response.cache,
+        duration: Date.now() - startTime,
+        size: response.size,
+        error: response.status < 400 ? null : (response.body?.message || `HTTP ${response.status}`)
+      };
+    } catch (error) {
+      return {
+        path,
+        success: false,
+        status: null,
+        cache: null,
+        duration: Date.now() - startTime,
+        size: 0,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Drop oldest finished jobs above maxJobs
+   */
+  pruneJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    while (this.jobs.size > this.maxJobs && finished.length > 0) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+
+  /**
+   * Get job view
+   * @param {string} id - Job ID
+   * @returns {object|null} Job without internals
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const { done, options, ...view } = job;
+    return {
+      ...view,
+      provider: options.provider || null,
+      duration: (job.finishedAt || Date.now()) - job.startedAt
+    };
+  }
+
+  /**
+   * List jobs (newest first, without per-key results)
+   * @returns {Array} Jobs
+   */
+  listJobs() {
+    return Array.from(this.jobs.keys())
+      .reverse()
+      .map(id => {
+        const { results, ...summary } = this.getJob(id);
+        return summary;
+      });
+  }
+}
+
+// Singleton instance
+const cacheWarmer = new CacheWarmer();
+
+module.exports = {
+  CacheWarmer,
+  cacheWarmer
+};
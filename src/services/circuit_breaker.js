@@ -0,0 +1,388 @@
+/**
+ * Circuit Breaker Service
+ * One circuit per provider and scraper operation (e.g. shinigami:searchComics):
+ * - closed     calls go through; too many failures open the circuit
+ * - open       calls fail at once with CIRCUIT_OPEN (executeScraper falls back to the default provider)
+ * - half-open  after the cooldown a few trial calls go through; successes close the circuit,
+ *              a failure opens it again with twice the cooldown
+ *
+ * Only provider failures count: network, parse and 5xx errors, timeouts and plain errors.
+ * A 404 or a validation error means the provider answered, so it counts as a success.
+ * Transitions are kept (last 50) and pushed to subscribers (the dashboard realtime stream)
+ */
+
+const { getProvider } = require('../config/providers');
+const { AppError, CircuitOpenError } = require('../helper/error_handler');
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Value
+ */
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Defaults, overridable per provider with `circuitBreaker` in providers.js
+const DEFAULT_OPTIONS = {
+  failureThreshold: envNumber('KANAVERSE_CIRCUIT_FAILURE_THRESHOLD', 5), // Consecutive failures
+  failureRate: envNumber('KANAVERSE_CIRCUIT_FAILURE_RATE', 0.5),         // Share of failures in the window
+  minimumRequests: envNumber('KANAVERSE_CIRCUIT_MINIMUM_REQUESTS', 10),  // Calls before failureRate applies
+  windowSize: 20,                                                        // Last calls the rate is taken over
+  openDuration: envNumber('KANAVERSE_CIRCUIT_OPEN_MS', 30 * 1000),       // First cooldown
+  maxOpenDuration: 5 * 60 * 1000,
+  halfOpenMaxCalls: 1,                                                   // Concurrent trial calls
+  successThreshold: 2                                                    // Trial successes to close
+};
+
+const STATES = ['closed', 'open', 'half-open'];
+
+/**
+ * Check whether an error is the provider's fault
+ * @param {Error} error - Error thrown by the scraper
+ * @returns {boolean} True if it counts as a failure
+ */
+const isFailure = (error) => !(error instanceof AppError) || error.statusCode >= 500;
+
+class CircuitBreaker {
+  /**
+   * @param {object} options - Default thresholds (see DEFAULT_OPTIONS)
+   */
+  constructor(options = {}) {
+    this.defaults = { ...DEFAULT_OPTIONS, ...options };
+    this.circuits = new Map(); // providerId:operation -> circuit
+    this.transitions = [];
+    this.maxTransitions = 50;
+    this.transitionCount = 0;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Get the thresholds of a provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Options
+   */
+  getOptions(providerId) {
+    return { ...this.defaults, ...(getProvider(providerId)?.circuitBreaker || {}) };
+  }
+
+  /**
+   * Get or create a circuit
+   * @param {string} providerId - Provider ID
+   * @param {string} operation - Scraper operation
+   * @returns {object} Circuit
+   */
+  getCircuit(providerId, operation) {
+    const key = `${providerId}:${operation}`;
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        key,
+        providerId,
+        operation,
+        state: 'closed',
+        consecutiveFailures: 0,
+        outcomes: [], // true = success, last windowSize calls
+        openDuration: this.getOptions(providerId).openDuration,
+        openedAt: null,
+        openUntil: null,
+        halfOpenCalls: 0,
+        halfOpenSuccesses: 0,
+        calls: 0,
+        failures: 0,
+        rejected: 0,
+        lastError: null,
+        lastTransitionAt: null
+      });
+    }
+    return this.circuits.get(key);
+  }
+
+  /**
+   * Check whether a call may go through, moving an open circuit to half-open after its cooldown
+   * @param {object} circuit - Circuit
+   * @param {number} now - Timestamp
+   * @returns {boolean} True if allowed
+   */
+  allowRequest(circuit, now = Date.now()) {
+    if (circuit.state === 'open' && now >= circuit.openUntil) {
+      this.transition(circuit, 'half-open', 'cooldown elapsed');
+    }
+    if (circuit.state === 'open') return false;
+    if (circuit.state === 'half-open') {
+      return circuit.halfOpenCalls < this.getOptions(circuit.providerId).halfOpenMaxCalls;
+    }
+    return true;
+  }
+
+  /**
+   * Run a provider call through its circuit
+   * @param {string} providerId - Provider ID
+   * @param {string} operation - Scraper operation
+   * @param {function} fn - Async call
+   * @returns {Promise<*>} Call result
+   * @throws {CircuitOpenError} When the circuit is open (or half-open with its trial calls in flight)
+   */
+  async execute(providerId, operation, fn) {
+    const circuit = this.getCircuit(providerId, operation);
+    const now = Date.now();
+
+    if (!this.allowRequest(circuit, now)) {
+      circuit.rejected++;
+      const retryAfter = circuit.state === 'open' ? Math.max(1, Math.ceil((circuit.openUntil - now) / 1000)) : 1;
+      throw new CircuitOpenError(`Provider '${providerId}' is unavailable for ${operation}, retry in ${retryAfter}s`, retryAfter);
+    }
+
+    const trial = circuit.state === 'half-open';
+    if (trial) circuit.halfOpenCalls++;
+
+    try {
+      const result = await fn();
+      this.recordSuccess(circuit, trial);
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure(circuit, trial, error);
+      } else {
+        this.recordSuccess(circuit, trial);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add a call outcome to the circuit's window
+   * @param {object} circuit - Circuit
+   * @param {boolean} success - Call outcome
+   */
+  pushOutcome(circuit, success) {
+    circuit.calls++;
+    circuit.outcomes.push(success);
+    if (circuit.outcomes.length > this.getOptions(circuit.providerId).windowSize) {
+      circuit.outcomes.shift();
+    }
+  }
+
+  /**
+   * Record a successful call
+   * @param {object} circuit - Circuit
+   * @param {boolean} trial - Call was a half-open trial
+   */
+  recordSuccess(circuit, trial) {
+    this.pushOutcome(circuit, true);
+    circuit.consecutiveFailures = 0;
+
+    if (trial && circuit.state === 'half-open') {
+      circuit.halfOpenCalls = Math.max(0, circuit.halfOpenCalls - 1);
+      circuit.halfOpenSuccesses++;
+      if (circuit.halfOpenSuccesses >= this.getOptions(circuit.providerId).successThreshold) {
+        this.transition(circuit, 'closed', `${circuit.halfOpenSuccesses} trial calls succeeded`);
+      }
+    }
+  }
+
+  /**
+   * Record a failed call
+   * @param {object} circuit - Circuit
+   * @param {boolean} trial - Call was a half-open trial
+   * @param {Error} error - Call error
+   */
+  recordFailure(circuit, trial, error) {
+    const options = this.getOptions(circuit.providerId);
+    this.pushOutcome(circuit, false);
+    circuit.failures++;
+    circuit.consecutiveFailures++;
+    circuit.lastError = error.message;
+
+    if (trial && circuit.state === 'half-open') {
+      circuit.openDuration = Math.min(options.maxOpenDuration, circuit.openDuration * 2);
+      this.transition(circuit, 'open', `trial call failed: ${error.message}`);
+      return;
+    }
+    if (circuit.state !== 'closed') return;
+
+    const failed = circuit.outcomes.filter(success => !success).length;
+    if (circuit.consecutiveFailures >= options.failureThreshold) {
+      this.transition(circuit, 'open', `${circuit.consecutiveFailures} consecutive failures: ${error.message}`);
+    } else if (circuit.outcomes.length >= options.minimumRequests && failed / circuit.outcomes.length >= options.failureRate) {
+      this.transition(circuit, 'open', `${failed}/${circuit.outcomes.length} recent calls failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a circuit's state and notify subscribers
+   * @param {object} circuit - Circuit
+   * @param {string} state - closed | open | half-open
+   * @param {string} reason - Why the state changed
+   * @returns {object} Transition
+   */
+  transition(circuit, state, reason) {
+    const now = Date.now();
+    const from = circuit.state;
+    circuit.state = state;
+    circuit.lastTransitionAt = now;
+
+    if (state === 'open') {
+      circuit.openedAt = now;
+      circuit.openUntil = now + circuit.openDuration;
+      circuit.halfOpenCalls = 0;
+    } else if (state === 'half-open') {
+      circuit.halfOpenCalls = 0;
+      circuit.halfOpenSuccesses = 0;
+    } else {
+      circuit.openDuration = this.getOptions(circuit.providerId).openDuration;
+      circuit.openedAt = null;
+      circuit.openUntil = null;
+      circuit.outcomes = [];
+      circuit.consecutiveFailures = 0;
+    }
+
+    const entry = {
+      id: ++this.transitionCount,
+      key: circuit.key,
+      providerId: circuit.providerId,
+      operation: circuit.operation,
+      from,
+      to: state,
+      reason,
+      openUntil: circuit.openUntil,
+      timestamp: now
+    };
+    this.transitions.unshift(entry);
+    if (this.transitions.length > this.maxTransitions) {
+      this.transitions.pop();
+    }
+
+    console.warn(`Circuit ${circuit.key}: ${from} -> ${state} (${reason})`);
+    this.listeners.forEach(listener => {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error('Circuit listener error:', error.message);
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Subscribe to state transitions
+   * @param {function} listener - Called with each transition
+   * @returns {function} Unsubscribe function
+   */
+  onTransition(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get a circuit's state
+   * @param {string} providerId - Provider ID
+   * @param {string} operation - Scraper operation
+   * @returns {string} closed | open | half-open
+   */
+  getState(providerId, operation) {
+    return this.circuits.get(`${providerId}:${operation}`)?.state || 'closed';
+  }
+
+  /**
+   * Check whether calls to a provider are being refused
+   * @param {string} providerId - Provider ID
+   * @param {string} operation - Scraper operation (any operation when omitted)
+   * @returns {boolean} True if the circuit (or any of the provider's circuits) is open and cooling down
+   */
+  isOpen(providerId, operation = null) {
+    const now = Date.now();
+    return Array.from(this.circuits.values()).some(circuit =>
+      circuit.providerId === providerId &&
+      (!operation || circuit.operation === operation) &&
+      circuit.state === 'open' &&
+      now < circuit.openUntil
+    );
+  }
+
+  /**
+   * Close circuits by hand
+   * @param {string} providerId - Provider ID (all providers when omitted)
+   * @returns {number} Number of circuits closed
+   */
+  reset(providerId = null) {
+    let closed = 0;
+    this.circuits.forEach(circuit => {
+      if (providerId && circuit.providerId !== providerId) return;
+      if (circuit.state !== 'closed') {
+        this.transition(circuit, 'closed', 'reset by admin');
+        closed++;
+      }
+    });
+    return closed;
+  }
+
+  /**
+   * Get circuit summary
+   * @param {object} circuit - Circuit
+   * @param {number} now - Timestamp
+   * @returns {object} Summary
+   */
+  getCircuitStats(circuit, now = Date.now()) {
+    const failed = circuit.outcomes.filter(success => !success).length;
+    return {
+      key: circuit.key,
+      providerId: circuit.providerId,
+      operation: circuit.operation,
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      failureRate: circuit.outcomes.length > 0 ? Math.round((failed / circuit.outcomes.length) * 100) / 100 : 0,
+      calls: circuit.calls,
+      failures: circuit.failures,
+      rejected: circuit.rejected,
+      openUntil: circuit.openUntil,
+      retryIn: circuit.state === 'open' ? Math.max(0, circuit.openUntil - now) : 0,
+      lastError: circuit.lastError,
+      lastTransitionAt: circuit.lastTransitionAt
+    };
+  }
+
+  /**
+   * Get the circuits of a provider
+   * @param {string} providerId - Provider ID
+   * @returns {Array} Circuit summaries
+   */
+  getProviderCircuits(providerId) {
+    const now = Date.now();
+    return Array.from(this.circuits.values())
+      .filter(circuit => circuit.providerId === providerId)
+      .map(circuit => this.getCircuitStats(circuit, now));
+  }
+
+  /**
+   * Get all circuits, the default thresholds and the latest transitions
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const now = Date.now();
+    const circuits = Array.from(this.circuits.values()).map(circuit => this.getCircuitStats(circuit, now));
+    const counts = STATES.reduce((result, state) => {
+      result[state] = circuits.filter(circuit => circuit.state === state).length;
+      return result;
+    }, {});
+
+    return {
+      defaults: this.defaults,
+      counts,
+      circuits,
+      transitions: this.transitions.slice(0, 20)
+    };
+  }
+}
+
+// Singleton instance
+const circuitBreaker = new CircuitBreaker();
+
+module.exports = {
+  CircuitBreaker,
+  circuitBreaker,
+  isFailure,
+  DEFAULT_OPTIONS
+};
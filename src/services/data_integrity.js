@@ -479,9 +479,10 @@ class DataIntegrityService {
    * Detect new items from current vs previous data
    * @param {Array} currentData - Current data
    * @param {string} context - Context key
+   * @param {Array} fields - Fields that identify an item (e.g. add 'chapter' to treat new chapters as new)
    * @returns {object} New items detection result
    */
-  detectNewItems(currentData, context = 'default') {
+  detectNewItems(currentData, context = 'default', fields = ['title', 'href']) {
     if (!Array.isArray(currentData)) {
       return { newItems: [], existingItems: [], allNew: false };
     }
@@ -494,7 +495,7 @@ class DataIntegrityService {
     const existingItems = [];
 
     currentData.forEach(item => {
-      const hash = this.generateHash(item);
+      const hash = this.generateHash(item, fields);
       currentHashes.add(hash);
 
       if (previousHashes.has(hash)) {
@@ -522,6 +523,25 @@ class DataIntegrityService {
     };
   }
 
+  /**
+   * Get item hashes seen by the last detectNewItems call
+   * @param {string} context - Context key
+   * @returns {Array|null} Hashes, or null if nothing was detected yet for this context
+   */
+  getKnownHashes(context = 'default') {
+    const hashes = this.dedupeIndex.get(`dedupe_${context}`);
+    return hashes ? Array.from(hashes) : null;
+  }
+
+  /**
+   * Restore item hashes for a context (e.g. persisted across restarts)
+   * @param {string} context - Context key
+   * @param {Array} hashes - Hashes from getKnownHashes
+   */
+  setKnownHashes(context, hashes) {
+    this.dedupeIndex.set(`dedupe_${context}`, new Set(hashes));
+  }
+
   /**
    * Get statistics
    * @returns {object} Statistics
@@ -0,0 +1,155 @@
+/**
+ * Feed Service
+ * Builds feed models for latest updates and per-series chapter lists (rendered by middleware/feed.js)
+ *
+ * Item IDs are URNs built from provider IDs, so they stay the same across scrapes and hosts
+ */
+
+const { getLatestComics, getComicDetail } = require('./scraper_service');
+const { resolveProvider, getProviderInfo } = require('./provider_manager');
+const { mangaMappingService } = require('./manga_mapping');
+const { filterItems, parseDate, normalizeChapter } = require('../helper/data_validator');
+const { JsonStore } = require('../helper/json_store');
+
+// Latest lists have no dates, so items are dated by when they were first seen (keeps ETags stable).
+// Persisted so a restart or cold start doesn't re-date every item; oldest entries are dropped first
+const firstSeenStore = new JsonStore('feed_first_seen', { items: {} });
+const MAX_FIRST_SEEN = 5000;
+const MAX_SERIES_ITEMS = 50;
+// New dates are written at most this often (one feed request can add a whole page)
+const SAVE_DELAY = 5000;
+let saveTimer = null;
+
+/**
+ * Save first-seen dates soon (batches the items of one or more feed requests)
+ */
+const scheduleSave = () => {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    firstSeenStore.save();
+  }, SAVE_DELAY);
+  saveTimer.unref?.();
+};
+
+/**
+ * Get (or record) the first time an item was seen
+ * @param {string} id - Item ID
+ * @returns {string} ISO date
+ */
+const getFirstSeen = (id) => {
+  const { items } = firstSeenStore.load();
+  if (!items[id]) {
+    items[id] = new Date().toISOString();
+    // Item IDs are URNs, so keys keep insertion order and the first key is the oldest
+    const ids = Object.keys(items);
+    ids.slice(0, Math.max(0, ids.length - MAX_FIRST_SEEN)).forEach(oldest => delete items[oldest]);
+    scheduleSave();
+  }
+  return items[id];
+};
+
+/**
+ * Newest item date, or now when there are no items
+ * @param {Array} items - Feed items
+ * @returns {string} ISO date
+ */
+const getUpdated = (items) => {
+  const times = items.map(item => Date.parse(item.date)).filter(time => !isNaN(time));
+  return new Date(times.length > 0 ? Math.max(...times) : Date.now()).toISOString();
+};
+
+/**
+ * Build latest updates feed (page 1 of getLatestComics)
+ * @param {object} options - Options
+ * @param {string} options.provider - Provider ID (default provider when empty)
+ * @param {string} options.genre - Genre filter
+ * @returns {Promise<object>} Feed model
+ */
+const buildLatestFeed = async (options = {}) => {
+  const providerId = resolveProvider(options.provider);
+  const providerName = getProviderInfo(providerId)?.name || providerId;
+  const result = await getLatestComics(1, providerId);
+
+  let comics = result?.data || [];
+  if (options.genre) {
+    comics = filterItems(comics, { genre: options.genre });
+  }
+
+  const items = comics.map(comic => {
+    const mangaId = mangaMappingService.getProviderMangaId(providerId, comic.href);
+    const chapter = normalizeChapter(comic.chapter);
+    const chapterKey = chapter.number || chapter.title.toLowerCase().replace(/\s+/g, '-') || 'latest';
+    const id = `urn:kanaverse:${providerId}:${encodeURIComponent(mangaId)}:chapter:${chapterKey}`;
+
+    return {
+      id,
+      title: comic.chapter ? `${comic.title} - ${comic.chapter}` : comic.title,
+      link: `/detail/${encodeURIComponent(mangaId)}?provider=${providerId}`,
+      summary: comic.description || '',
+      image: comic.thumbnail || '',
+      date: getFirstSeen(id)
+    };
+  });
+
+  return {
+    status: 'success',
+    feed: {
+      id: `urn:kanaverse:feed:latest:${providerId}${options.genre ? `:${String(options.genre).toLowerCase()}` : ''}`,
+      title: `${providerName} - Latest Updates${options.genre ? ` (${options.genre})` : ''}`,
+      description: `Latest comic updates from ${providerName}`,
+      link: `/terbaru?provider=${providerId}`,
+      image: '',
+      updated: getUpdated(items)
+    },
+    items
+  };
+};
+
+/**
+ * Build series chapter feed from getComicDetail's chapter list
+ * @param {object} options - Options
+ * @param {string} options.url - Series URL/ID (same as /detail/:url)
+ * @param {string} options.provider - Provider ID (default provider when empty)
+ * @returns {Promise<object>} Feed model
+ */
+const buildSeriesFeed = async (options = {}) => {
+  const providerId = resolveProvider(options.provider);
+  const providerName = getProviderInfo(providerId)?.name || providerId;
+  const detail = await getComicDetail(options.url, providerId);
+  const chapters = Array.isArray(detail?.chapter) ? detail.chapter : [];
+
+  const items = chapters.slice(0, MAX_SERIES_ITEMS).map(chapter => {
+    const chapterId = mangaMappingService.getProviderPathId(providerId, chapter.href, 'read');
+    const id = `urn:kanaverse:${providerId}:chapter:${encodeURIComponent(chapterId)}`;
+    const label = /^\d/.test(chapter.title) ? `Chapter ${chapter.title}` : chapter.title;
+    const date = parseDate(chapter.date);
+
+    return {
+      id,
+      title: `${detail.title} - ${label}`,
+      link: `/read/${encodeURIComponent(chapterId)}?provider=${providerId}`,
+      summary: '',
+      image: '',
+      date: date ? date.toISOString() : getFirstSeen(id)
+    };
+  });
+
+  return {
+    status: 'success',
+    feed: {
+      id: `urn:kanaverse:feed:series:${providerId}:${encodeURIComponent(options.url)}`,
+      title: `${detail?.title || options.url} (${providerName})`,
+      description: detail?.description || '',
+      link: `/detail/${encodeURIComponent(options.url)}?provider=${providerId}`,
+      image: detail?.thumbnail || '',
+      updated: getUpdated(items)
+    },
+    items
+  };
+};
+
+module.exports = {
+  buildLatestFeed,
+  buildSeriesFeed
+};
@@ -0,0 +1,478 @@
+/**
+ * Generic Scraper Service
+ * Declarative HTML scraper driven by `urlPatterns` and `selectors` in providers.js
+ * Any WordPress/Madara-style site can be added as a config entry without a dedicated module
+ */
+
+const cheerio = require('cheerio');
+const { AxiosService } = require('../helper/axios_service');
+const { ParseError, NotFoundError } = require('../helper/error_handler');
+const {
+  normalizeComicItem,
+  normalizeChapterItem,
+  normalizeUrl,
+  normalizeRating
+} = require('../helper/data_validator');
+
+// Attributes checked (in order) when reading image URLs from lazy-loaded <img> tags
+const IMAGE_ATTRIBUTES = ['src', 'data-src', 'data-lazy-src', 'data-url'];
+
+// Operation name -> scraper function name
+const OPERATIONS = {
+  latest: 'getLatestComics',
+  popular: 'getPopularComics',
+  recommended: 'getRecommendedComics',
+  search: 'searchComics',
+  detail: 'getComicDetail',
+  read: 'readChapter',
+  genre: 'getComicsByGenre',
+  genreList: 'getGenres'
+};
+
+/**
+ * Build absolute URL from a provider URL pattern
+ * @param {string} baseUrl - Provider base URL
+ * @param {string} pattern - URL pattern (e.g. '/genres/{genre}/page/{page}')
+ * @param {object} params - Placeholder values
+ * @returns {string} Absolute URL
+ */
+const buildUrl = (baseUrl, pattern, params = {}) => {
+  const path = pattern.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return '';
+    // Keywords are user input; slugs/ids are already URL paths
+    return name === 'keyword'
+      ? encodeURIComponent(value)
+      : String(value).replace(/^\/+|\/+$/g, '');
+  });
+
+  return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Read text from the first element matching a selector
+ * @param {object} $el - Cheerio element to search within
+ * @param {string|null} selector - Selector (null means field not available)
+ * @returns {string} Trimmed text
+ */
+const readText = ($el, selector) => {
+  if (!selector) return '';
+  return $el.find(selector).first().text().trim();
+};
+
+/**
+ * Read href from the first element matching a selector (or the element itself)
+ * @param {object} $el - Cheerio element
+ * @param {string|null} selector - Selector
+ * @returns {string} Href value
+ */
+const readHref = ($el, selector) => {
+  if (!selector) return '';
+  const found = $el.find(selector).first();
+  if (found.length) return found.attr('href') || '';
+  // Items that are links themselves (e.g. `a[href^="/series/"]`)
+  return $el.is(selector) ? ($el.attr('href') || '') : '';
+};
+
+/**
+ * Read image URL from an <img> element, honouring lazy-load attributes
+ * @param {object} $img - Cheerio element
+ * @returns {string} Image URL
+ */
+const readImage = ($img) => {
+  if (!$img || !$img.length) return '';
+  for (const attr of IMAGE_ATTRIBUTES) {
+    const value = $img.attr(attr);
+    if (value && !value.startsWith('data:')) return value.trim();
+  }
+  return '';
+};
+
+/**
+ * Strip "Label:" prefixes that themes put in front of metadata values
+ * @param {string} text - Raw text (e.g. "Status: Ongoing")
+ * @returns {string} Value only
+ */
+const stripLabel = (text) => {
+  if (!text) return '';
+  return text.replace(/^[^:]{1,20}:\s*/, '').trim();
+};
+
+/**
+ * Make an absolute URL for assets (thumbnails, panels)
+ * @param {string} url - Possibly relative URL
+ * @param {string} baseUrl - Provider base URL
+ * @returns {string} Absolute URL
+ */
+const toAbsolute = (url, baseUrl) => {
+  if (!url) return '';
+  if (/^https?:\/\//i.test(url)) return url;
+  if (url.startsWith('//')) return `https:${url}`;
+  return `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Resolve the container element for an operation
+ * @param {object} $ - Cheerio instance
+ * @param {object} selectors - Operation selectors
+ * @returns {object} Cheerio element
+ */
+const getContainer = ($, selectors) => {
+  if (!selectors.container) return $('body');
+  const container = $(selectors.container).first();
+  return container.length ? container : $('body');
+};
+
+/**
+ * Create a generic scraper for a provider
+ * @param {string} providerId - Provider ID
+ * @param {object} config - Provider config with `baseUrl`, `urlPatterns` and `selectors`
+ * @returns {object} Scraper module with the standard eight functions
+ */
+const createGenericScraper = (providerId, config) => {
+  if (!config || !config.selectors || !config.urlPatterns) {
+    throw new ParseError(`Provider '${providerId}' has no selectors/urlPatterns for the generic scraper`);
+  }
+
+  const { urlPatterns, selectors } = config;
+  const name = config.name || providerId;
+  // Read baseUrl lazily so runtime config changes are picked up
+  const getBaseUrl = () => config.baseUrl;
+
+  /**
+   * Fetch and parse a page for an operation
+   * @param {string} operation - Operation name (key in urlPatterns)
+   * @param {object} params - URL placeholder values
+   * @returns {Promise<object>} Cheerio instance and selectors
+   */
+  const loadPage = async (operation, params = {}) => {
+    const pattern = urlPatterns[operation];
+    const opSelectors = selectors[operation];
+
+    if (!pattern || !opSelectors) {
+      throw new ParseError(`Operation '${operation}' is not supported by ${name} provider`);
+    }
+
+    const response = await AxiosService(buildUrl(getBaseUrl(), pattern, params));
+    if (response.status !== 200) {
+      throw new ParseError(`Failed to fetch ${operation} page`);
+    }
+
+    return { $: cheerio.load(response.data), opSelectors };
+  };
+
+  /**
+   * Extract comic list items using operation selectors
+   * @param {object} $ - Cheerio instance
+   * @param {object} opSelectors - Operation selectors
+   * @returns {Array} Normalized comic items
+   */
+  const extractList = ($, opSelectors) => {
+    const baseUrl = getBaseUrl();
+    const container = getContainer($, opSelectors);
+    const comics = [];
+    const seen = new Set();
+
+    container.find(opSelectors.items).each((i, data) => {
+      try {
+        const $item = $(data);
+        const title = readText($item, opSelectors.title) || $item.find('a').first().attr('title') || '';
+        const href = readHref($item, opSelectors.href);
+        const normalizedHref = normalizeUrl(href, baseUrl);
+
+        if (!title || !normalizedHref || seen.has(normalizedHref)) return;
+        seen.add(normalizedHref);
+
+        comics.push(normalizeComicItem({
+          title,
+          href: normalizedHref,
+          thumbnail: toAbsolute(readImage(opSelectors.thumbnail ? $item.find(opSelectors.thumbnail).first() : null), baseUrl),
+          type: readText($item, opSelectors.type),
+          chapter: readText($item, opSelectors.chapter),
+          rating: readText($item, opSelectors.rating),
+          genre: stripLabel(readText($item, opSelectors.genre)),
+          year: readText($item, opSelectors.year)
+        }, baseUrl));
+      } catch (error) {
+        console.error(`Error extracting ${providerId} comic item:`, error);
+      }
+    });
+
+    return comics;
+  };
+
+  /**
+   * Extract pagination from operation selectors
+   * @param {object} $ - Cheerio instance
+   * @param {object} opSelectors - Operation selectors
+   * @param {number} page - Requested page
+   * @returns {object} Pagination info
+   */
+  const extractPagination = ($, opSelectors, page) => {
+    const currentPage = parseInt(page) || 1;
+    if (!opSelectors.pagination) {
+      return { current_page: currentPage, length_page: currentPage };
+    }
+
+    const current = $(opSelectors.pagination).first();
+    const parsedCurrent = parseInt(current.text().trim()) || currentPage;
+
+    // Highest page number among the pagination siblings is the last page
+    let lengthPage = parsedCurrent;
+    current.parent().find('a, span').each((i, el) => {
+      const num = parseInt($(el).text().trim());
+      if (!isNaN(num) && num > lengthPage) lengthPage = num;
+    });
+
+    return { current_page: parsedCurrent, length_page: lengthPage };
+  };
+
+  /**
+   * Build paginated list result
+   */
+  const paginatedList = async (operation, params, page) => {
+    const { $, opSelectors } = await loadPage(operation, { ...params, page });
+    const pagination = extractPagination($, opSelectors, page);
+
+    return {
+      ...pagination,
+      has_next: pagination.current_page < pagination.length_page,
+      has_prev: pagination.current_page > 1,
+      data: extractList($, opSelectors)
+    };
+  };
+
+  /**
+   * Get latest comics
+   * @param {number} page - Page number
+   * @returns {Promise<object>} Latest comics with pagination
+   */
+  const getLatestComics = async (page = 1) => {
+    try {
+      return await paginatedList('latest', {}, page || 1);
+    } catch (error) {
+      throw new ParseError(`Error scraping latest comics: ${error.message}`, error);
+    }
+  };
+
+  /**
+   * Get comics by genre
+   * @param {string} genreUrl - Genre URL slug
+   * @param {number} page - Page number
+   * @returns {Promise<object>} Comics by genre with pagination
+   */
+  const getComicsByGenre = async (genreUrl, page = 1) => {
+    try {
+      return await paginatedList('genre', { genre: genreUrl }, page || 1);
+    } catch (error) {
+      throw new ParseError(`Error scraping comics by genre: ${error.message}`, error);
+    }
+  };
+
+  /**
+   * Get all genres
+   * @returns {Promise<Array>} Array of genres
+   */
+  const getGenres = async () => {
+    try {
+      const { $, opSelectors } = await loadPage('genreList');
+      const baseUrl = getBaseUrl();
+      const container = getContainer($, opSelectors);
+      const genres = [];
+      const seen = new Set();
+
+      container.find(opSelectors.items).each((i, data) => {
+        const $item = $(data);
+        const title = readText($item, opSelectors.title) || $item.text().trim();
+        const href = normalizeUrl(readHref($item, opSelectors.href), baseUrl);
+
+        if (title && href && !seen.has(href)) {
+          seen.add(href);
+          genres.push({ title, href });
+        }
+      });
+
+      return genres;
+    } catch (error) {
+      throw new ParseError(`Error scraping genres: ${error.message}`, error);
+    }
+  };
+
+  /**
+   * Get comic detail
+   * @param {string} url - Comic URL slug
+   * @returns {Promise<object>} Comic detail
+   */
+  const getComicDetail = async (url) => {
+    try {
+      const { $, opSelectors } = await loadPage('detail', { slug: url, uuid: url });
+      const baseUrl = getBaseUrl();
+      const element = getContainer($, opSelectors);
+
+      const title = readText(element, opSelectors.title);
+      if (!title) {
+        throw new NotFoundError('Comic not found');
+      }
+
+      const chapters = [];
+      if (opSelectors.chapters) {
+        element.find(opSelectors.chapters).each((i, data) => {
+          const $item = $(data);
+          const chapterTitle = readText($item, opSelectors.chapterTitle) || $item.text().trim();
+          const chapterHref = readHref($item, opSelectors.chapterHref || 'a');
+
+          if (chapterTitle && chapterHref) {
+            chapters.push(normalizeChapterItem({
+              title: chapterTitle,
+              href: normalizeUrl(chapterHref, baseUrl),
+              date: readText($item, opSelectors.chapterDate)
+            }, baseUrl));
+          }
+        });
+      }
+
+      const genres = [];
+      if (opSelectors.genres) {
+        element.find(opSelectors.genres).each((i, data) => {
+          const genreTitle = $(data).text().trim();
+          const genreHref = $(data).attr('href') || '';
+
+          if (genreTitle) {
+            genres.push({
+              title: genreTitle,
+              href: normalizeUrl(genreHref, baseUrl)
+            });
+          }
+        });
+      }
+
+      const thumbnail = opSelectors.thumbnail
+        ? readImage(element.find(opSelectors.thumbnail).first())
+        : '';
+
+      return {
+        title,
+        rating: normalizeRating(readText(element, opSelectors.rating)),
+        status: stripLabel(readText(element, opSelectors.status)) || 'Unknown',
+        type: stripLabel(readText(element, opSelectors.type)),
+        released: stripLabel(readText(element, opSelectors.released)),
+        author: stripLabel(readText(element, opSelectors.author)),
+        genre: genres,
+        description: readText(element, opSelectors.description),
+        thumbnail: toAbsolute(thumbnail, baseUrl),
+        chapter: chapters
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new ParseError(`Error scraping comic detail: ${error.message}`, error);
+    }
+  };
+
+  /**
+   * Read chapter (get images)
+   * @param {string} url - Chapter URL
+   * @returns {Promise<object>} Chapter data with images
+   */
+  const readChapter = async (url) => {
+    try {
+      const { $, opSelectors } = await loadPage('read', { slug: url, uuid: url });
+      const baseUrl = getBaseUrl();
+      const element = getContainer($, opSelectors);
+      const panels = [];
+
+      element.find(opSelectors.panels).each((i, data) => {
+        const src = toAbsolute(readImage($(data)), baseUrl);
+        if (src && !panels.includes(src)) {
+          panels.push(src);
+        }
+      });
+
+      if (panels.length === 0) {
+        throw new NotFoundError('No images found in chapter');
+      }
+
+      return {
+        title: readText(element, opSelectors.title) || 'Chapter',
+        panel: panels
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new ParseError(`Error scraping chapter: ${error.message}`, error);
+    }
+  };
+
+  /**
+   * Search comics
+   * @param {string} keyword - Search keyword
+   * @returns {Promise<Array>} Array of search results
+   */
+  const searchComics = async (keyword) => {
+    try {
+      const { $, opSelectors } = await loadPage('search', { keyword });
+      return extractList($, opSelectors);
+    } catch (error) {
+      throw new ParseError(`Error searching comics: ${error.message}`, error);
+    }
+  };
+
+  /**
+   * Get popular comics
+   * @returns {Promise<Array>} Array of popular comics
+   */
+  const getPopularComics = async () => {
+    try {
+      const { $, opSelectors } = await loadPage('popular');
+      return extractList($, opSelectors);
+    } catch (error) {
+      throw new ParseError(`Error scraping popular comics: ${error.message}`, error);
+    }
+  };
+
+  /**
+   * Get recommended comics
+   * @returns {Promise<Array>} Array of recommended comics
+   */
+  const getRecommendedComics = async () => {
+    try {
+      const { $, opSelectors } = await loadPage('recommended');
+      return extractList($, opSelectors);
+    } catch (error) {
+      throw new ParseError(`Error scraping recommended comics: ${error.message}`, error);
+    }
+  };
+
+  return {
+    getLatestComics,
+    getComicsByGenre,
+    getGenres,
+    getComicDetail,
+    readChapter,
+    searchComics,
+    getPopularComics,
+    getRecommendedComics,
+    BASE_URL: config.baseUrl
+  };
+};
+
+/**
+ * Check whether a provider config can be served by the generic scraper
+ * @param {object} config - Provider config
+ * @returns {boolean} True if selectors and URL patterns are present
+ */
+const canUseGenericScraper = (config) => {
+  return !!(config && config.selectors && config.urlPatterns &&
+    Object.keys(OPERATIONS).some(op => config.urlPatterns[op] && config.selectors[op]));
+};
+
+module.exports = {
+  createGenericScraper,
+  canUseGenericScraper,
+  buildUrl,
+  readText,
+  readHref,
+  OPERATIONS
+};
@@ -0,0 +1,499 @@
+/**
+ * GraphQL Service
+ * Schema and resolvers for /graphql over the provider layer: one query can fetch a series page
+ * (detail, chapters, panels, related lists) that takes several REST calls
+ *
+ * Provider data is fetched through per-request DataLoaders backed by scrapeOrchestrator
+ * (executeScraper with its cache and in-flight sharing), so the same scrape is never run twice
+ * for one query. Multi-provider lists go through apiService
+ *
+ * Queries are measured before execution (measure): complexity and depth are limited, and the
+ * estimated number of scrapes is what the request costs against the rate limiter
+ */
+
+const DataLoader = require('dataloader');
+const {
+  buildSchema,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  isLeafType,
+  isListType,
+  Kind,
+  valueFromASTUntyped
+} = require('graphql');
+const apiService = require('./api_service');
+const { scrapeOrchestrator } = require('./scrape_orchestrator');
+const { listProviders, getProviderInfo, resolveProvider } = require('./provider_manager');
+const { mangaMappingService } = require('./manga_mapping');
+const { filterItems, sortItems } = require('../helper/data_validator');
+const { ValidationError } = require('../helper/error_handler');
+
+const typeDefs = `
+  enum SortField { title rating date released author }
+  enum SortOrder { asc desc }
+
+  "Provider (source site)"
+  type Provider {
+    id: ID!
+    name: String!
+    baseUrl: String
+    enabled: Boolean!
+    default: Boolean!
+    "Supported features (latest, search, popular, ...)"
+    features: [String!]!
+  }
+
+  type Genre {
+    "Genre ID, what genre(id:) takes"
+    id: ID!
+    title: String!
+    href: String
+  }
+
+  "Series. List entries load the detail page when a detail field is selected"
+  type Comic {
+    "Series ID on its provider, what comic(id:) takes"
+    id: ID!
+    title: String
+    href: String
+    thumbnail: String
+    type: String
+    rating: Float
+    "Latest chapter label"
+    latestChapter: String
+    provider: Provider
+    status: String
+    description: String
+    author: String
+    released: String
+    genres: [Genre!]
+    chapters(limit: Int): [Chapter!]
+    "Canonical series ID, the same for this series on every provider"
+    canonicalId: ID
+  }
+
+  type Chapter {
+    "Chapter ID on its provider, what chapter(id:) takes"
+    id: ID!
+    title: String
+    number: Float
+    href: String
+    date: String
+    "Panel image URLs (loads the chapter)"
+    panels: [String!]
+  }
+
+  type ComicPage {
+    currentPage: Int!
+    lengthPage: Int!
+    hasNext: Boolean!
+    hasPrev: Boolean!
+    comics(limit: Int): [Comic!]!
+  }
+
+  type Query {
+    "Latest updates. providers: aggregate several providers (processing pipeline)"
+    latest(
+      page: Int = 1
+      provider: String
+      providers: [String!]
+      sortBy: SortField
+      sortOrder: SortOrder = asc
+      genre: String
+      type: String
+      status: String
+      minRating: Float
+    ): ComicPage!
+    search(keyword: String!, provider: String, providers: [String!], limit: Int): [Comic!]!
+    popular(provider: String, providers: [String!], limit: Int): [Comic!]!
+    recommended(provider: String, limit: Int): [Comic!]!
+    comic(id: ID!, provider: String): Comic
+    chapter(id: ID!, provider: String): Chapter
+    genres(provider: String): [Genre!]!
+    genre(id: ID!, page: Int = 1, provider: String): ComicPage!
+    providers: [Provider!]!
+    provider(id: ID!): Provider
+  }
+`;
+
+// Complexity: objects cost 1, fields that scrape cost SCRAPE_COST, both times the enclosing list sizes
+const SCRAPE_COST = 10;
+const DEFAULT_LIST_SIZE = 20;
+const MAX_LIST_SIZE = 100;
+
+// Root fields that run a scrape
+const SCRAPE_FIELDS = [
+  'Query.latest', 'Query.search', 'Query.popular', 'Query.recommended',
+  'Query.comic', 'Query.chapter', 'Query.genres', 'Query.genre'
+];
+
+// Fields that need the detail/chapter page, unless the object came from the field that loads it
+const LAZY_FIELDS = {
+  Comic: { loadedBy: 'Query.comic', fields: ['status', 'description', 'author', 'released', 'genres', 'chapters', 'canonicalId'] },
+  Chapter: { loadedBy: 'Query.chapter', fields: ['panels'] }
+};
+
+/**
+ * Last path segment of an href (genre IDs)
+ * @param {string} href - Href
+ * @returns {string} ID
+ */
+const lastSegment = (href) => String(href || '').split('?')[0].split('/').filter(Boolean).pop() || '';
+
+/**
+ * Check a list limit argument
+ * @param {number} limit - limit argument
+ * @returns {number|null} Limit, null when not given
+ * @throws {ValidationError} When not an integer between 1 and MAX_LIST_SIZE
+ */
+const checkLimit = (limit) => {
+  if (limit === undefined || limit === null) return null;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_SIZE) {
+    throw new ValidationError('Invalid limit', [`limit must be between 1 and ${MAX_LIST_SIZE}`]);
+  }
+  return limit;
+};
+
+/**
+ * Apply a limit argument to a list (DEFAULT_LIST_SIZE when not given, the size measure() assumes)
+ * @param {Array} items - Items
+ * @param {number} limit - limit argument
+ * @returns {Array} Items
+ */
+const applyLimit = (items, limit) => items.slice(0, checkLimit(limit) || DEFAULT_LIST_SIZE);
+
+/**
+ * Tag a scraped comic with its provider and ID
+ * @param {object} item - Comic list item or detail
+ * @param {string} providerId - Provider it came from
+ * @param {string} id - Series ID (derived from href when omitted)
+ * @returns {object} Comic source object
+ */
+const toComic = (item, providerId, id = null) => {
+  const provider = item._source || providerId;
+  return {
+    ...item,
+    _provider: provider,
+    _id: id || mangaMappingService.getProviderMangaId(provider, item.href)
+  };
+};
+
+/**
+ * Tag a chapter with its provider and ID
+ * @param {object} item - Chapter list item or chapter content
+ * @param {string} providerId - Provider ID
+ * @param {string} id - Chapter ID (derived from href when omitted)
+ * @returns {object} Chapter source object
+ */
+const toChapter = (item, providerId, id = null) => ({
+  ...item,
+  _provider: providerId,
+  _id: id || mangaMappingService.getProviderPathId(providerId, item.href, 'read')
+});
+
+/**
+ * Build a ComicPage from a paginated scraper result
+ * @param {object} result - { current_page, length_page, data }
+ * @param {Array} comics - Comic source objects
+ * @returns {object} ComicPage
+ */
+const toComicPage = (result, comics) => {
+  const currentPage = result?.current_page || 1;
+  const lengthPage = result?.length_page || 1;
+  return {
+    currentPage,
+    lengthPage,
+    hasNext: currentPage < lengthPage,
+    hasPrev: currentPage > 1,
+    comics
+  };
+};
+
+/**
+ * Collect the field nodes of a selection set, expanding fragments
+ * @param {object} selectionSet - Selection set AST node
+ * @param {object} fragments - Fragment definitions by name
+ * @param {Set} visited - Fragment names already expanded
+ * @returns {Array} Field nodes
+ */
+const collectFields = (selectionSet, fragments, visited = new Set()) => {
+  const fields = [];
+  (selectionSet?.selections || []).forEach(selection => {
+    if (selection.kind === Kind.FIELD) {
+      fields.push(selection);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      fields.push(...collectFields(selection.selectionSet, fragments, visited));
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD && !visited.has(selection.name.value)) {
+      visited.add(selection.name.value);
+      fields.push(...collectFields(fragments[selection.name.value]?.selectionSet, fragments, visited));
+    }
+  });
+  return fields;
+};
+
+class GraphQLService {
+  constructor() {
+    this.maxComplexity = parseInt(process.env.KANAVERSE_GRAPHQL_MAX_COMPLEXITY) || 250;
+    this.maxDepth = parseInt(process.env.KANAVERSE_GRAPHQL_MAX_DEPTH) || 8;
+    this.schema = buildSchema(typeDefs);
+    this.attachResolvers(this.getResolvers());
+  }
+
+  /**
+   * Set field resolvers on the schema
+   * @param {object} resolvers - { TypeName: { fieldName: resolve } }
+   */
+  attachResolvers(resolvers) {
+    Object.entries(resolvers).forEach(([typeName, fields]) => {
+      const typeFields = this.schema.getType(typeName).getFields();
+      Object.entries(fields).forEach(([fieldName, resolve]) => {
+        typeFields[fieldName].resolve = resolve;
+      });
+    });
+  }
+
+  /**
+   * Create the per-request context (loaders are not shared between requests)
+   * @returns {object} Context with loaders and loadDetail/loadChapter
+   */
+  createContext() {
+    const scrape = new DataLoader(
+      keys => Promise.all(keys.map(key => scrapeOrchestrator.scrape({ ...key, deduplication: false })
+        .then(result => result.data)
+        .catch(error => error))),
+      { cacheKeyFn: key => JSON.stringify([key.operation, key.providerId, key.args]) }
+    );
+    const aggregate = new DataLoader(
+      keys => Promise.all(keys.map(({ operation, options }) => apiService[operation](options).catch(error => error))),
+      { cacheKeyFn: key => JSON.stringify([key.operation, key.options]) }
+    );
+
+    return {
+      loaders: { scrape, aggregate },
+      loadDetail: (comic) => (Array.isArray(comic.chapter)
+        ? Promise.resolve(comic)
+        : scrape.load({ operation: 'getComicDetail', providerId: comic._provider, args: [comic._id] })),
+      loadChapter: (chapter) => (Array.isArray(chapter.panel)
+        ? Promise.resolve(chapter)
+        : scrape.load({ operation: 'readChapter', providerId: chapter._provider, args: [chapter._id] }))
+    };
+  }
+
+  /**
+   * Load a comic list from one provider, or from several through apiService
+   * @param {object} context - Request context
+   * @param {string} operation - Scraper/apiService operation
+   * @param {object} args - Field arguments (provider, providers)
+   * @param {Array} scrapeArgs - Scraper arguments
+   * @returns {Promise<object>} { result, comics } with paginated results unwrapped
+   */
+  async loadComics(context, operation, args, scrapeArgs = []) {
+    if (args.providers && args.providers.length > 0) {
+      const response = await context.loaders.aggregate.load({
+        operation,
+        options: { providers: args.providers, keyword: args.keyword, page: args.page, enrich: false, optimize: false }
+      });
+      const comics = (response.data || []).map(item => toComic(item, null));
+      return { result: response.pagination, comics };
+    }
+
+    const providerId = resolveProvider(args.provider);
+    const result = await context.loaders.scrape.load({ operation, providerId, args: scrapeArgs });
+    const items = Array.isArray(result) ? result : (result?.data || []);
+    return { result, comics: items.map(item => toComic(item, providerId)) };
+  }
+
+  /**
+   * Field resolvers
+   * @returns {object} Resolvers by type and field
+   */
+  getResolvers() {
+    // Detail fields fall back to the detail page for list entries that don't have them
+    const detailField = (name) => async (comic, args, context) => {
+      if (Array.isArray(comic.chapter) || comic[name]) return comic[name] || null;
+      const detail = await context.loadDetail(comic);
+      return detail?.[name] || null;
+    };
+
+    return {
+      Query: {
+        latest: async (root, args, context) => {
+          const { result, comics } = await this.loadComics(context, 'getLatestComics', args, [args.page]);
+          let items = comics;
+          if (args.genre || args.type || args.status || args.minRating) {
+            items = filterItems(items, { genre: args.genre, type: args.type, status: args.status, minRating: args.minRating });
+          }
+          if (args.sortBy) {
+            items = sortItems(items, args.sortBy, args.sortOrder);
+          }
+          return toComicPage(result, items);
+        },
+        search: async (root, args, context) => {
+          checkLimit(args.limit);
+          if (args.keyword.trim().length < 2) {
+            throw new ValidationError('Invalid keyword', ['keyword must be at least 2 characters']);
+          }
+          const { comics } = await this.loadComics(context, 'searchComics', args, [args.keyword]);
+          return applyLimit(comics, args.limit);
+        },
+        popular: async (root, args, context) => {
+          checkLimit(args.limit);
+          const { comics } = await this.loadComics(context, 'getPopularComics', args);
+          return applyLimit(comics, args.limit);
+        },
+        recommended: async (root, args, context) => {
+          checkLimit(args.limit);
+          const { comics } = await this.loadComics(context, 'getRecommendedComics', args);
+          return applyLimit(comics, args.limit);
+        },
+        comic: async (root, args, context) => {
+          const providerId = resolveProvider(args.provider);
+          const detail = await context.loaders.scrape.load({ operation: 'getComicDetail', providerId, args: [args.id] });
+          return detail && detail.title ? toComic(detail, providerId, args.id) : null;
+        },
+        chapter: async (root, args, context) => {
+          const providerId = resolveProvider(args.provider);
+          const chapter = await context.loaders.scrape.load({ operation: 'readChapter', providerId, args: [args.id] });
+          return chapter ? toChapter(chapter, providerId, args.id) : null;
+        },
+        genres: async (root, args, context) => {
+          const providerId = resolveProvider(args.provider);
+          const genres = await context.loaders.scrape.load({ operation: 'getGenres', providerId, args: [] });
+          return Array.isArray(genres) ? genres : [];
+        },
+        genre: async (root, args, context) => {
+          const { result, comics } = await this.loadComics(context, 'getComicsByGenre', { provider: args.provider }, [args.id, args.page]);
+          return toComicPage(result, comics);
+        },
+        providers: () => listProviders(),
+        provider: (root, args) => getProviderInfo(args.id.toLowerCase())
+      },
+      ComicPage: {
+        comics: (page, args) => applyLimit(page.comics, args.limit)
+      },
+      Provider: {
+        features: (provider) => Object.keys(provider.features || {}).filter(feature => provider.features[feature])
+      },
+      Genre: {
+        id: (genre) => genre.id || lastSegment(genre.href)
+      },
+      Comic: {
+        id: (comic) => comic._id,
+        latestChapter: (comic) => (Array.isArray(comic.chapter) ? comic.chapter[0]?.title : comic.chapter) || null,
+        provider: (comic) => getProviderInfo(comic._provider),
+        status: detailField('status'),
+        description: detailField('description'),
+        author: detailField('author'),
+        released: detailField('released'),
+        genres: async (comic, args, context) => {
+          const detail = await context.loadDetail(comic);
+          return Array.isArray(detail?.genre) ? detail.genre : [];
+        },
+        chapters: async (comic, args, context) => {
+          checkLimit(args.limit);
+          const detail = await context.loadDetail(comic);
+          const chapters = Array.isArray(detail?.chapter) ? detail.chapter : [];
+          return applyLimit(chapters, args.limit).map(chapter => toChapter(chapter, comic._provider));
+        },
+        canonicalId: async (comic, args, context) => {
+          const detail = await context.loadDetail(comic);
+          if (!detail?.title) return null;
+          const series = mangaMappingService.link(detail._source || comic._provider, detail, { id: comic._id });
+          return series ? series.id : null;
+        }
+      },
+      Chapter: {
+        id: (chapter) => chapter._id,
+        number: (chapter) => (typeof chapter.number === 'number' ? chapter.number : null),
+        panels: async (chapter, args, context) => {
+          const content = await context.loadChapter(chapter);
+          return Array.isArray(content?.panel) ? content.panel : [];
+        }
+      }
+    };
+  }
+
+  /**
+   * Measure a query before executing it
+   * @param {object} document - Parsed and validated query
+   * @param {string} operationName - Operation to run (optional when there is one)
+   * @param {object} variables - Variable values
+   * @returns {object} { complexity, depth, scrapes }
+   * @throws {ValidationError} When a limit argument is out of range
+   */
+  measure(document, operationName, variables = {}) {
+    const operation = getOperationAST(document, operationName);
+    const fragments = {};
+    document.definitions
+      .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .forEach(definition => { fragments[definition.name.value] = definition; });
+
+    const totals = { complexity: 0, depth: 0, scrapes: 0 };
+    if (!operation) return totals;
+
+    const walk = (selectionSet, parentType, multiplier, depth) => {
+      totals.depth = Math.max(totals.depth, depth);
+
+      collectFields(selectionSet, fragments).forEach(node => {
+        const fieldName = node.name.value;
+        const field = parentType.getFields?.()[fieldName];
+        if (!field) return; // __typename and introspection fields
+
+        const key = `${parentType.name}.${fieldName}`;
+        const type = getNamedType(field.type);
+        if (SCRAPE_FIELDS.includes(key)) {
+          totals.complexity += SCRAPE_COST * multiplier;
+          totals.scrapes += multiplier;
+        } else if (!isLeafType(type)) {
+          totals.complexity += multiplier;
+        }
+        if (!node.selectionSet) return;
+
+        const limitArg = node.arguments.find(arg => arg.name.value === 'limit');
+        // Same bounds as the resolvers, so a negative or huge limit can't lower the estimate
+        const limit = checkLimit(limitArg ? valueFromASTUntyped(limitArg.value, variables) : null);
+        const childMultiplier = isListType(getNullableType(field.type))
+          ? multiplier * (limit || DEFAULT_LIST_SIZE)
+          : multiplier;
+
+        // One detail/chapter scrape per object that selects a lazy field
+        const lazy = LAZY_FIELDS[type.name];
+        if (lazy && lazy.loadedBy !== key
+          && collectFields(node.selectionSet, fragments).some(child => lazy.fields.includes(child.name.value))) {
+          totals.complexity += SCRAPE_COST * childMultiplier;
+          totals.scrapes += childMultiplier;
+        }
+
+        walk(node.selectionSet, type, childMultiplier, depth + 1);
+      });
+    };
+
+    walk(operation.selectionSet, this.schema.getRootType(operation.operation), 1, 1);
+    return totals;
+  }
+
+  /**
+   * Check a measured query against the limits
+   * @param {object} measured - measure() result
+   * @returns {Array} Error messages, empty when within limits
+   */
+  checkLimits(measured) {
+    const errors = [];
+    if (measured.complexity > this.maxComplexity) {
+      errors.push(`Query complexity ${measured.complexity} exceeds the limit of ${this.maxComplexity}`);
+    }
+    if (measured.depth > this.maxDepth) {
+      errors.push(`Query depth ${measured.depth} exceeds the limit of ${this.maxDepth}`);
+    }
+    return errors;
+  }
+}
+
+// Create singleton instance
+const graphqlService = new GraphQLService();
+
+module.exports = {
+  GraphQLService,
+  graphqlService
+};
@@ -0,0 +1,544 @@
+/**
+ * Image Proxy Service
+ * Fetches provider images with the provider's Referer/headers (CDNs that reject hotlinks),
+ * caches them on disk with an LRU size cap and optionally resizes or transcodes them
+ *
+ * Only hosts of registered providers are proxied (see findProviderByHost), so this is not an open proxy;
+ * URLs signed by this server (sign, used by the proxyImages rewrite) are trusted for any public host.
+ * Every fetch (proxy and archive panels) refuses private/local addresses, after DNS and on redirects
+ * Resizing and transcoding use the optional `sharp` package; without it the original image is served.
+ * Each source gets at most maxVariants resized/transcoded versions, later ones get the original
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AxiosService } = require('../helper/axios_service');
+const { getImageInfo } = require('../helper/image_info');
+const { DATA_DIR, JsonStore } = require('../helper/json_store');
+const { AppError, ParseError, ValidationError } = require('../helper/error_handler');
+const { getProvider } = require('../config/providers');
+const { findProviderByHost, resolveProvider } = require('./provider_manager');
+const { isPrivateHost } = require('../helper/public_address');
+
+// Detect Vercel environment
+const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
+
+/**
+ * Check if private image hosts are allowed (KANAVERSE_IMAGE_ALLOW_PRIVATE=true, for local testing)
+ * @returns {boolean} True if allowed
+ */
+const allowPrivateHosts = () => process.env.KANAVERSE_IMAGE_ALLOW_PRIVATE === 'true';
+
+const OUTPUT_FORMATS = {
+  webp: { ext: 'webp', mime: 'image/webp' },
+  jpeg: { ext: 'jpg', mime: 'image/jpeg' },
+  png: { ext: 'png', mime: 'image/png' }
+};
+const MIME_BY_EXT = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+const MIN_WIDTH = 16;
+const MAX_WIDTH = 2048;
+const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+
+let sharpModule;
+
+/**
+ * Load sharp once (optional dependency)
+ * @returns {function|null} sharp, or null when not installed
+ */
+const loadSharp = () => {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+};
+
+class ImageProxyService {
+  constructor() {
+    this.dir = process.env.KANAVERSE_IMAGE_CACHE_DIR || path.join(DATA_DIR, 'images');
+    // Vercel's /tmp is small and per instance
+    this.maxBytes = (parseInt(process.env.KANAVERSE_IMAGE_CACHE_MB) || (isVercel ? 64 : 512)) * 1024 * 1024;
+    this.index = new Map(); // key -> { filePath, size, mime }, least recently used first
+    this.bytes = 0;
+    this.inFlight = new Map();
+    // Source URL -> keys of its variants, and variant key -> source URL (for eviction)
+    this.variants = new Map();
+    this.variantSources = new Map();
+    this.maxVariants = parseInt(process.env.KANAVERSE_IMAGE_MAX_VARIANTS) || 6;
+    this.stats = { hits: 0, misses: 0, coalesced: 0, transforms: 0, limited: 0, errors: 0 };
+    // Generated signing secret when KANAVERSE_IMAGE_PROXY_SECRET is not set
+    this.store = new JsonStore('image_proxy', { secret: null });
+    this.signedOnly = process.env.KANAVERSE_IMAGE_PROXY_SIGNED_ONLY === 'true';
+    this.loadIndex();
+  }
+
+  /**
+   * Get the URL signing secret (generated and stored on first use when not configured)
+   * @returns {string} Secret
+   */
+  getSecret() {
+    if (process.env.KANAVERSE_IMAGE_PROXY_SECRET) {
+      return process.env.KANAVERSE_IMAGE_PROXY_SECRET;
+    }
+
+    let secret = this.store.get('secret');
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString('hex');
+      this.store.set('secret', secret);
+    }
+    return secret;
+  }
+
+  /**
+   * Sign an image URL for a provider
+   * @param {string} url - Image URL
+   * @param {string} providerId - Provider ID (Referer and headers)
+   * @returns {string} Signature (base64url HMAC-SHA256)
+   */
+  sign(url, providerId) {
+    return crypto.createHmac('sha256', this.getSecret()).update(`${providerId}:${url}`).digest('base64url');
+  }
+
+  /**
+   * Check a signature
+   * @param {string} url - Image URL
+   * @param {string} providerId - Provider ID
+   * @param {string} signature - Signature from the request
+   * @returns {boolean} True when valid
+   */
+  verify(url, providerId, signature) {
+    const expected = Buffer.from(this.sign(url, providerId));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Build a signed proxy URL
+   * @param {string} url - Image URL
+   * @param {object} options - Options
+   * @param {string} options.baseUrl - Server origin (e.g. https://api.example.com)
+   * @param {string} options.provider - Provider the response came from, used when the host matches none
+   * @returns {string} Proxy URL, or the URL unchanged when it is not an http(s) URL, points to a
+   *   private/local host or is already proxied
+   */
+  buildProxyUrl(url, options = {}) {
+    const baseUrl = options.baseUrl || '';
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || url.startsWith(`${baseUrl}/image?`)) {
+      return url;
+    }
+
+    let providerId = null;
+    try {
+      const { hostname } = new URL(url);
+      // Scraped HTML must not get the server to sign its own network
+      if (!allowPrivateHosts() && isPrivateHost(hostname)) return url;
+      providerId = findProviderByHost(hostname);
+    } catch (error) {
+      return url;
+    }
+    providerId = providerId || resolveProvider(options.provider);
+
+    const params = new URLSearchParams({ url, p: providerId, sig: this.sign(url, providerId) });
+    return `${baseUrl}/image?${params}`;
+  }
+
+  /**
+   * Rebuild the LRU index from the cache directory, oldest access time first
+   */
+  loadIndex() {
+    if (!fs.existsSync(this.dir)) return;
+
+    const files = [];
+    fs.readdirSync(this.dir).forEach(shard => {
+      const shardDir = path.join(this.dir, shard);
+      if (!fs.statSync(shardDir).isDirectory()) return;
+
+      fs.readdirSync(shardDir).forEach(file => {
+        const filePath = path.join(shardDir, file);
+        const match = file.match(/^([0-9a-f]{40})\.(\w+)$/);
+        // Leftover temp files and unknown files are removed
+        if (!match || !MIME_BY_EXT[match[2]]) {
+          fs.rmSync(filePath, { force: true });
+          return;
+        }
+        const stat = fs.statSync(filePath);
+        files.push({ key: match[1], filePath, size: stat.size, mime: MIME_BY_EXT[match[2]], mtime: stat.mtimeMs });
+      });
+    });
+
+    files.sort((a, b) => a.mtime - b.mtime).forEach(({ key, filePath, size, mime }) => {
+      this.index.set(key, { filePath, size, mime });
+      this.bytes += size;
+    });
+    this.evict();
+  }
+
+  /**
+   * Validate proxy parameters
+   * @param {object} query - Request query
+   * @param {string} query.url - Image URL
+   * @param {string|number} query.w - Target width (optional)
+   * @param {string} query.format - Output format: webp, jpeg or png (optional)
+   * @param {string} query.p - Provider ID (signed URLs)
+   * @param {string} query.sig - Signature from buildProxyUrl (optional unless signedOnly)
+   * @returns {object} { url, providerId, width, format, signed }
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {AppError} 403 INVALID_SIGNATURE for forged or missing (signedOnly) signatures,
+   *   403 FORBIDDEN_HOST when an unsigned URL's host does not belong to a registered provider
+   */
+  parseRequest(query = {}) {
+    const errors = [];
+    let target = null;
+
+    try {
+      target = new URL(String(query.url || ''));
+      if (!['http:', 'https:'].includes(target.protocol)) {
+        errors.push('url must be an http(s) URL');
+      }
+    } catch (error) {
+      errors.push('url must be an absolute URL');
+    }
+
+    const width = query.w !== undefined && query.w !== '' ? Number(query.w) : null;
+    if (width !== null && (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH)) {
+      errors.push(`w must be an integer between ${MIN_WIDTH} and ${MAX_WIDTH}`);
+    }
+
+    let format = query.format ? String(query.format).toLowerCase() : null;
+    if (format === 'jpg') format = 'jpeg';
+    if (format && !OUTPUT_FORMATS[format]) {
+      errors.push(`format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid image request', errors);
+    }
+
+    if (query.sig !== undefined) {
+      const providerId = String(query.p || '');
+      if (!getProvider(providerId) || !this.verify(String(query.url), providerId, query.sig)) {
+        throw new AppError('Invalid image URL signature', 403, 'INVALID_SIGNATURE');
+      }
+      return { url: target.href, providerId, width, format, signed: true };
+    }
+
+    if (this.signedOnly) {
+      throw new AppError('Only signed image URLs are accepted', 403, 'INVALID_SIGNATURE');
+    }
+
+    const providerId = findProviderByHost(target.hostname);
+    if (!providerId) {
+      throw new AppError(`Host '${target.hostname}' does not belong to a registered provider`, 403, 'FORBIDDEN_HOST');
+    }
+
+    return { url: target.href, providerId, width, format, signed: false };
+  }
+
+  /**
+   * Download an image with the provider's Referer and image headers
+   * Shared by the proxy and archive exports
+   * @param {string} url - Image URL
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<object>} { data, info } (info from getImageInfo)
+   * @throws {ParseError} When the response is not a supported image
+   * @throws {AppError} 403 FORBIDDEN_HOST when the URL, its resolved address or a redirect is
+   *   private/local, or when redirected to another host outside the provider
+   */
+  async fetchImage(url, providerId) {
+    const allowPrivate = allowPrivateHosts();
+    if (!allowPrivate && isPrivateHost(new URL(url).hostname)) {
+      throw new AppError(`Host '${new URL(url).hostname}' is a private or local address`, 403, 'FORBIDDEN_HOST');
+    }
+
+    let target = url;
+    try {
+      // AxiosService encodes the URL itself
+      target = decodeURI(url);
+    } catch (error) {
+      // Keep malformed escapes as-is
+    }
+
+    const provider = getProvider(providerId);
+    const response = await AxiosService(target, {
+      responseType: 'arraybuffer',
+      verify: false,
+      maxContentLength: MAX_SOURCE_BYTES,
+      // Signed URLs may point to any host scraped HTML named, so resolved addresses are checked too
+      publicOnly: !allowPrivate,
+      headers: {
+        Accept: 'image/webp,image/png,image/jpeg,image/*;q=0.8,*/*;q=0.5',
+        ...(provider?.baseUrl ? { Referer: `${provider.baseUrl}/` } : {}),
+        ...(provider?.imageHeaders || {})
+      }
+    });
+
+    // Redirects to another host must stay on the provider's hosts
+    const finalHost = response.request?.res?.responseUrl ? new URL(response.request.res.responseUrl).hostname : null;
+    if (finalHost && finalHost !== new URL(url).hostname && findProviderByHost(finalHost) !== providerId) {
+      throw new AppError(`Image redirected to a host outside provider '${providerId}'`, 403, 'FORBIDDEN_HOST');
+    }
+
+    const data = Buffer.from(response.data);
+    const info = getImageInfo(data);
+    if (!info) {
+      throw new ParseError(`Not a supported image: ${url}`);
+    }
+    return { data, info };
+  }
+
+  /**
+   * Resize and/or transcode an image
+   * @param {Buffer} data - Source image
+   * @param {object} options - Options
+   * @param {number} options.width - Target width (never enlarged)
+   * @param {string} options.format - Output format
+   * @returns {Promise<Buffer|null>} Transformed image, null when sharp is not installed
+   */
+  async transform(data, options) {
+    const sharp = loadSharp();
+    if (!sharp) return null;
+
+    let pipeline = sharp(data, { animated: true });
+    if (options.width) {
+      pipeline = pipeline.resize({ width: options.width, withoutEnlargement: true });
+    }
+    if (options.format) {
+      pipeline = pipeline.toFormat(options.format, { quality: 80 });
+    }
+
+    this.stats.transforms++;
+    return pipeline.toBuffer();
+  }
+
+  /**
+   * Get cache key for a request
+   * @param {object} request - Parsed request
+   * @returns {string} Key (hex)
+   */
+  getKey(request) {
+    return crypto.createHash('sha1')
+      .update(`${request.url}|${request.width || ''}|${request.format || ''}`)
+      .digest('hex');
+  }
+
+  /**
+   * Read a cached image and mark it recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} { data, mime }
+   */
+  async readCache(key) {
+    const entry = this.index.get(key);
+    if (!entry) return null;
+
+    try {
+      const data = await fs.promises.readFile(entry.filePath);
+      this.index.delete(key);
+      this.index.set(key, entry);
+      const now = new Date();
+      fs.promises.utimes(entry.filePath, now, now).catch(() => {});
+      return { data, mime: entry.mime };
+    } catch (error) {
+      this.index.delete(key);
+      this.bytes -= entry.size;
+      return null;
+    }
+  }
+
+  /**
+   * Store an image in the disk cache
+   * @param {string} key - Cache key
+   * @param {Buffer} data - Image data
+   * @param {string} ext - File extension
+   * @returns {Promise<void>}
+   */
+  async writeCache(key, data, ext) {
+    // A single image may use at most a quarter of the cache
+    if (data.length > this.maxBytes / 4) return;
+
+    const filePath = path.join(this.dir, key.slice(0, 2), `${key}.${ext}`);
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+
+    const previous = this.index.get(key);
+    if (previous) {
+      this.index.delete(key);
+      this.bytes -= previous.size;
+    }
+    this.index.set(key, { filePath, size: data.length, mime: MIME_BY_EXT[ext] });
+    this.bytes += data.length;
+    this.evict();
+  }
+
+  /**
+   * Remove least recently used images until the cache fits maxBytes
+   */
+  evict() {
+    for (const [key, entry] of this.index) {
+      if (this.bytes <= this.maxBytes) break;
+      this.index.delete(key);
+      this.bytes -= entry.size;
+      this.releaseVariant(key);
+      fs.promises.rm(entry.filePath, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Reserve a variant slot for a source image
+   * @param {string} url - Source image URL
+   * @param {string} key - Variant cache key
+   * @returns {boolean} False when the source already has maxVariants other variants
+   */
+  reserveVariant(url, key) {
+    const keys = this.variants.get(url) || new Set();
+    if (!keys.has(key) && keys.size >= this.maxVariants) {
+      return false;
+    }
+    keys.add(key);
+    this.variants.set(url, keys);
+    this.variantSources.set(key, url);
+    return true;
+  }
+
+  /**
+   * Free a variant slot (variant evicted or not produced)
+   * @param {string} key - Variant cache key
+   */
+  releaseVariant(key) {
+    const url = this.variantSources.get(key);
+    if (!url) return;
+
+    this.variantSources.delete(key);
+    const keys = this.variants.get(url);
+    keys.delete(key);
+    if (keys.size === 0) {
+      this.variants.delete(url);
+    }
+  }
+
+  /**
+   * Get an image (cache, then upstream), concurrent requests for the same image share one fetch
+   * @param {object} request - Parsed request from parseRequest
+   * @returns {Promise<object>} { data, mime, cache: 'HIT' | 'MISS' | 'COALESCED', transformed, limited }
+   */
+  async get(request) {
+    const key = this.getKey(request);
+
+    const cached = await this.readCache(key);
+    if (cached) {
+      this.stats.hits++;
+      return { ...cached, cache: 'HIT', transformed: true };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      return { ...(await this.inFlight.get(key)), cache: 'COALESCED' };
+    }
+
+    this.stats.misses++;
+    const promise = this.load(request, key);
+    this.inFlight.set(key, promise);
+    try {
+      return { ...(await promise), cache: 'MISS' };
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Fetch, transform and cache an image
+   * Variants are derived from the cached original, so other sizes don't refetch it
+   * @param {object} request - Parsed request
+   * @param {string} key - Cache key
+   * @returns {Promise<object>} { data, mime, transformed, limited }
+   */
+  async load(request, key) {
+    const wantsTransform = Boolean(request.width || request.format);
+    const originalKey = wantsTransform ? this.getKey({ url: request.url }) : key;
+
+    let original = await this.readCache(originalKey);
+    if (!original) {
+      const { data, info } = await this.fetchImage(request.url, request.providerId);
+      original = { data, mime: info.mime };
+      await this.writeCache(originalKey, data, info.ext);
+    }
+
+    if (!wantsTransform) {
+      return { ...original, transformed: true };
+    }
+    if (!this.reserveVariant(request.url, key)) {
+      this.stats.limited++;
+      return { ...original, transformed: false, limited: true };
+    }
+
+    try {
+      const output = await this.transform(original.data, request);
+      if (!output) {
+        this.releaseVariant(key);
+        return { ...original, transformed: false };
+      }
+
+      const info = getImageInfo(output);
+      if (!info) {
+        throw new ParseError(`Transformed image is not readable: ${request.url}`);
+      }
+      await this.writeCache(key, output, info.ext);
+      return { data: output, mime: info.mime, transformed: true };
+    } catch (error) {
+      this.releaseVariant(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every cached image
+   * @returns {Promise<number>} Number of removed images
+   */
+  async clear() {
+    const count = this.index.size;
+    this.index.clear();
+    this.variants.clear();
+    this.variantSources.clear();
+    this.bytes = 0;
+    await fs.promises.rm(this.dir, { recursive: true, force: true });
+    return count;
+  }
+
+  /**
+   * Get cache and transform statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      dir: this.dir,
+      entries: this.index.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      transformsAvailable: loadSharp() !== null,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const imageProxyService = new ImageProxyService();
+
+module.exports = {
+  ImageProxyService,
+  imageProxyService
+};
@@ -0,0 +1,322 @@
+/**
+ * Job Scheduler
+ * Runs named background jobs on cron schedules with run history and failure backoff
+ *
+ * Long-running servers tick every 30 seconds. On Vercel nothing runs in the background,
+ * so an external cron calls /api/cron/tick, which runs whatever is due
+ */
+
+const { parseCron, getNextRun } = require('../helper/cron');
+const { JsonStore } = require('../helper/json_store');
+const { NotFoundError, ValidationError } = require('../helper/error_handler');
+
+// Detect Vercel environment
+const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
+
+class JobScheduler {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.running = new Map();
+
+    // Persisted per job: paused flag, last run and backoff state (survives restarts and cold starts)
+    this.store = new JsonStore('scheduler', { jobs: {} });
+
+    this.tickInterval = options.tickInterval || 30 * 1000;
+    this.historySize = options.historySize || 20;
+    this.baseBackoff = options.baseBackoff || 60 * 1000; // 1 minute
+    this.maxBackoff = options.maxBackoff || 60 * 60 * 1000; // 1 hour
+    this.defaultTimeout = options.defaultTimeout || (isVercel ? 8000 : 5 * 60 * 1000);
+    // Total time a tick may spend; jobs that don't fit stay due for the next tick (Vercel: 10s function limit)
+    this.tickBudget = options.tickBudget || (isVercel ? 8000 : 15 * 60 * 1000);
+
+    // Only tick in non-serverless environments (KANAVERSE_SCHEDULER=off disables it, e.g. for local development)
+    if (!isVercel && process.env.KANAVERSE_SCHEDULER !== 'off') {
+      this.start();
+    }
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Job name
+   * @param {object} definition - Job definition
+   * @param {string} definition.schedule - Cron expression
+   * @param {string} definition.description - Description
+   * @param {function} definition.handler - Async function returning a result summary
+   * @param {number} definition.timeout - Timeout in milliseconds
+   */
+  register(name, definition) {
+    if (typeof definition.handler !== 'function') {
+      throw new ValidationError(`Job '${name}' must have a handler function`);
+    }
+
+    const schedule = parseCron(definition.schedule);
+    const state = this.getState(name);
+
+    this.jobs.set(name, {
+      name,
+      description: definition.description || '',
+      schedule,
+      handler: definition.handler,
+      timeout: definition.timeout || this.defaultTimeout,
+      history: []
+    });
+
+    // A job that never ran is due on the first tick: serverless instances start with an empty
+    // store, so waiting for the next cron slot would mean it never runs
+    if (!state.lastRunAt && (!state.nextRunAt || state.nextRunAt > Date.now())) {
+      state.nextRunAt = Date.now();
+      this.store.save();
+    } else if (!state.nextRunAt) {
+      state.nextRunAt = getNextRun(schedule);
+      this.store.save();
+    }
+  }
+
+  /**
+   * Get persisted state for a job
+   * @param {string} name - Job name
+   * @returns {object} State (mutable, call store.save after changes)
+   */
+  getState(name) {
+    const data = this.store.load();
+    if (!data.jobs[name]) {
+      data.jobs[name] = {
+        paused: false,
+        nextRunAt: null,
+        lastRunAt: null,
+        lastStatus: null,
+        consecutiveFailures: 0,
+        runs: 0,
+        failures: 0
+      };
+    }
+    return data.jobs[name];
+  }
+
+  /**
+   * Get job or throw
+   * @param {string} name - Job name
+   * @returns {object} Job
+   */
+  getJobOrThrow(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new NotFoundError(`Job '${name}' not found`);
+    }
+    return job;
+  }
+
+  /**
+   * Calculate backoff after consecutive failures
+   * @param {number} failures - Consecutive failures
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoff(failures) {
+    if (failures <= 0) return 0;
+    return Math.min(this.baseBackoff * Math.pow(2, failures - 1), this.maxBackoff);
+  }
+
+  /**
+   * Run a job now
+   * @param {string} name - Job name
+   * @param {object} options - Options
+   * @param {string} options.trigger - What started the run (schedule, manual, cron)
+   * @param {number} options.timeout - Timeout in milliseconds (default: the job's)
+   * @returns {Promise<object>} Run record
+   */
+  async run(name, options = {}) {
+    const job = this.getJobOrThrow(name);
+
+    // Never run the same job twice at once
+    if (this.running.has(name)) {
+      return this.running.get(name);
+    }
+
+    const handler = Promise.resolve().then(() => job.handler());
+    const promise = this.execute(job, handler, options.trigger || 'manual', options.timeout || job.timeout);
+
+    // A timeout only stops the wait: the job stays running until its handler settles
+    this.running.set(name, promise);
+    Promise.allSettled([handler, promise]).then(() => {
+      this.running.delete(name);
+    });
+
+    return promise;
+  }
+
+  /**
+   * Wait for a job handler and record the outcome
+   * @param {object} job - Job
+   * @param {Promise} handler - Running handler
+   * @param {string} trigger - What started the run
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<object>} Run record
+   */
+  async execute(job, handler, trigger, timeout) {
+    const startedAt = Date.now();
+    const record = { trigger, startedAt, finishedAt: null, duration: 0, success: false, result: null, error: null };
+
+    let timer;
+    try {
+      record.result = await Promise.race([
+        handler,
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Job timed out after ${timeout}ms`)), timeout);
+        })
+      ]) ?? null;
+      record.success = true;
+    } catch (error) {
+      record.error = error.message;
+      console.error(`Job '${job.name}' failed:`, error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    record.finishedAt = Date.now();
+    record.duration = record.finishedAt - startedAt;
+
+    job.history.unshift(record);
+    job.history.length = Math.min(job.history.length, this.historySize);
+
+    const state = this.getState(job.name);
+    state.runs++;
+    state.lastRunAt = startedAt;
+    state.lastStatus = record.success ? 'success' : 'failed';
+
+    if (record.success) {
+      state.consecutiveFailures = 0;
+      state.nextRunAt = getNextRun(job.schedule, record.finishedAt);
+    } else {
+      state.failures++;
+      state.consecutiveFailures++;
+      // Back off: wait for the later of the next cron slot and the backoff delay
+      state.nextRunAt = Math.max(
+        getNextRun(job.schedule, record.finishedAt),
+        record.finishedAt + this.getBackoff(state.consecutiveFailures)
+      );
+    }
+
+    this.store.save();
+    return record;
+  }
+
+  /**
+   * Run all due, unpaused jobs
+   * @param {object} options - Options
+   * @param {string} options.trigger - What started the tick (schedule, cron)
+   * @param {number} options.now - Current time (default Date.now())
+   * @returns {Promise<Array>} [{ name, ...run record }]
+   */
+  async tick(options = {}) {
+    const { trigger = 'schedule', now = Date.now() } = options;
+
+    const due = Array.from(this.jobs.keys()).filter(name => {
+      const state = this.getState(name);
+      return !state.paused && !this.running.has(name) && state.nextRunAt && state.nextRunAt <= now;
+    });
+
+    // Sequential: jobs share requestQueue and the scrapers behind it. Each job gets at most what is
+    // left of the tick budget; the rest stay due for the next tick
+    const startedAt = Date.now();
+    const results = [];
+    for (const name of due) {
+      const remaining = this.tickBudget - (Date.now() - startedAt);
+      if (remaining < 1000) {
+        console.warn(`Scheduler tick budget used up, deferring: ${due.slice(due.indexOf(name)).join(', ')}`);
+        break;
+      }
+      const timeout = Math.min(this.getJobOrThrow(name).timeout, remaining);
+      results.push({ name, ...await this.run(name, { trigger, timeout }) });
+    }
+    return results;
+  }
+
+  /**
+   * Pause a job (manual runs still work)
+   * @param {string} name - Job name
+   * @returns {object} Job view
+   */
+  pause(name) {
+    this.getJobOrThrow(name);
+    this.getState(name).paused = true;
+    this.store.save();
+    return this.getJob(name);
+  }
+
+  /**
+   * Resume a paused job, scheduling it from now
+   * @param {string} name - Job name
+   * @returns {object} Job view
+   */
+  resume(name) {
+    const job = this.getJobOrThrow(name);
+    const state = this.getState(name);
+    state.paused = false;
+    state.consecutiveFailures = 0;
+    state.nextRunAt = getNextRun(job.schedule);
+    this.store.save();
+    return this.getJob(name);
+  }
+
+  /**
+   * Get job view
+   * @param {string} name - Job name
+   * @param {object} options - Options
+   * @param {boolean} options.history - Include run history
+   * @returns {object} Job view
+   */
+  getJob(name, options = {}) {
+    const job = this.getJobOrThrow(name);
+    const state = this.getState(name);
+
+    return {
+      name,
+      description: job.description,
+      schedule: job.schedule.expression,
+      running: this.running.has(name),
+      ...state,
+      backoff: this.getBackoff(state.consecutiveFailures),
+      lastRun: job.history[0] || null,
+      ...(options.history ? { history: job.history } : {})
+    };
+  }
+
+  /**
+   * List jobs
+   * @returns {Array} Job views
+   */
+  listJobs() {
+    return Array.from(this.jobs.keys()).map(name => this.getJob(name));
+  }
+
+  /**
+   * Start ticking
+   */
+  start() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+    }
+
+    this.tickTimer = setInterval(() => {
+      this.tick().catch(error => console.error('Scheduler tick error:', error.message));
+    }, this.tickInterval);
+  }
+
+  /**
+   * Stop ticking
+   */
+  stop() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+}
+
+// Singleton instance
+const jobScheduler = new JobScheduler();
+
+module.exports = {
+  JobScheduler,
+  jobScheduler
+};
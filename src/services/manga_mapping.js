@@ -0,0 +1,558 @@
+/**
+ * Manga Mapping Service
+ * Assigns each series a stable canonical ID and links every provider's slug/UUID to it,
+ * so clients can bookmark one ID and switch providers freely
+ *
+ * Matching uses title similarity (including alt titles), author and release year.
+ * Titles that differ by a number or a season/part marker are never the same series
+ */
+
+const crypto = require('crypto');
+const { getProvider } = require('../config/providers');
+const { JsonStore } = require('../helper/json_store');
+const { NotFoundError, ValidationError } = require('../helper/error_handler');
+const { dataIntegrityService } = require('./data_integrity');
+
+// Automatic links are written at most this often (every detail cache miss links one)
+const SAVE_DELAY = 5000;
+
+// Title tokens that mark a sequel or another part ('Tower of God 2', 'Season 2', 'Part II')
+const SEQUEL_TOKEN = /^(\d+(st|nd|rd|th)?|s\d+|(season|part|vol|volume|musim|bagian)\d*|ii|iii|iv|vi|vii|viii|ix)$/;
+// Tokens too common to narrow down match candidates
+const STOP_TOKENS = new Set(['the', 'of', 'and', 'a', 'an', 'to', 'in', 'no', 'wa', 'ga', 'de']);
+
+class MangaMappingService {
+  constructor() {
+    this.store = new JsonStore('manga_mappings', {
+      series: {},
+      index: {}
+    });
+    this.saveTimer = null;
+    // Normalized title / title token -> Set of canonical IDs, built from the store on first use
+    this.titleIndex = null;
+
+    // Minimum score for linking a provider entry to an existing series
+    this.matchThreshold = 0.85;
+    // Score adjustments when both sides know the author/year
+    this.authorBonus = 0.1;
+    this.authorPenalty = 0.3;
+    this.yearBonus = 0.05;
+    this.yearPenalty = 0.3;
+  }
+
+  /**
+   * Normalize title for comparison
+   * Like dataIntegrityService.isFuzzyMatch, but keeps non-Latin letters so native alt titles still match
+   * @param {string} title - Title
+   * @returns {string} Lowercase title with letters and digits only
+   */
+  normalizeTitle(title) {
+    return (title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  /**
+   * Split a title into lowercase word tokens
+   * @param {string} title - Title
+   * @returns {Array<string>} Tokens
+   */
+  tokenizeTitle(title) {
+    return (title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  /**
+   * Check if two titles differ by a number or season/part marker (a sequel, not the same series)
+   * @param {string} a - Title
+   * @param {string} b - Title
+   * @returns {boolean} True if only one side has some sequel token
+   */
+  isSequelPair(a, b) {
+    const tokensA = new Set(this.tokenizeTitle(a));
+    const tokensB = new Set(this.tokenizeTitle(b));
+    const differs = (from, to) => [...from].some(token => !to.has(token) && SEQUEL_TOKEN.test(token));
+    return differs(tokensA, tokensB) || differs(tokensB, tokensA);
+  }
+
+  /**
+   * Normalize author for comparison
+   * @param {string} author - Author name(s)
+   * @returns {string} Normalized author
+   */
+  normalizeAuthor(author) {
+    return (author || '').toLowerCase().replace(/[^a-z0-9,]/g, '');
+  }
+
+  /**
+   * Extract 4-digit year from release info
+   * @param {string|number} value - Year or date string
+   * @returns {number|null} Year
+   */
+  parseYear(value) {
+    const match = String(value || '').match(/\b(19|20)\d{2}\b/);
+    return match ? parseInt(match[0]) : null;
+  }
+
+  /**
+   * Get the ID a provider's detail endpoint expects from an href or ID
+   * Strips the static prefix of the provider's detail URL pattern (e.g. '/manga/{slug}' -> slug),
+   * or keeps the last path segment for API providers
+   * @param {string} providerId - Provider ID
+   * @param {string} hrefOrId - Item href, full URL or bare ID
+   * @returns {string} Provider manga ID
+   */
+  getProviderMangaId(providerId, hrefOrId) {
+    return this.getProviderPathId(providerId, hrefOrId, 'detail');
+  }
+
+  /**
+   * Get the ID a provider's route expects from an href, using one of its URL patterns
+   * @param {string} providerId - Provider ID
+   * @param {string} hrefOrId - Href, full URL or bare ID
+   * @param {string} patternName - urlPatterns key (detail, read)
+   * @returns {string} Provider ID for that route
+   */
+  getProviderPathId(providerId, hrefOrId, patternName) {
+    if (!hrefOrId || typeof hrefOrId !== 'string') return '';
+
+    let pathname = hrefOrId.trim();
+    if (/^https?:\/\//i.test(pathname)) {
+      try {
+        pathname = new URL(pathname).pathname;
+      } catch (error) {
+        return '';
+      }
+    }
+    try {
+      pathname = decodeURIComponent(pathname);
+    } catch (error) {
+      // Keep malformed escapes as-is
+    }
+    pathname = pathname.replace(/^\/+|\/+$/g, '');
+
+    const pattern = getProvider(providerId)?.urlPatterns?.[patternName];
+    if (!pattern) {
+      return pathname.split('/').pop();
+    }
+
+    const prefix = pattern.split('{')[0].replace(/^\/+/, '');
+    return prefix && pathname.startsWith(prefix) ? pathname.slice(prefix.length) : pathname;
+  }
+
+  /**
+   * Build matching candidate from a comic item or detail
+   * @param {object} item - Comic item/detail
+   * @returns {object} Candidate
+   */
+  toCandidate(item) {
+    const altTitles = Array.isArray(item.altTitles) ? item.altTitles : [];
+    return {
+      title: item.title || '',
+      altTitles,
+      author: item.author || '',
+      year: this.parseYear(item.year || item.released)
+    };
+  }
+
+  /**
+   * Score how likely a candidate is the same series
+   * @param {object} candidate - Candidate from toCandidate
+   * @param {object} series - Stored series
+   * @returns {number} Score (>= matchThreshold means same series)
+   */
+  scoreMatch(candidate, series) {
+    const candidateTitles = [candidate.title, ...candidate.altTitles].filter(Boolean);
+    const seriesTitles = [series.title, ...(series.altTitles || [])].filter(Boolean);
+
+    // An exact normalized title wins; otherwise sequel pairs are skipped before fuzzy similarity
+    let titleScore = 0;
+    candidateTitles.forEach(a => {
+      const normalizedA = this.normalizeTitle(a);
+      seriesTitles.forEach(b => {
+        const normalizedB = this.normalizeTitle(b);
+        if (!normalizedA || !normalizedB) return;
+        if (normalizedA === normalizedB) {
+          titleScore = 1;
+        } else if (!this.isSequelPair(a, b)) {
+          titleScore = Math.max(titleScore, dataIntegrityService.calculateSimilarity(normalizedA, normalizedB));
+        }
+      });
+    });
+
+    if (titleScore === 0) return 0;
+
+    let score = titleScore;
+
+    const authorA = this.normalizeAuthor(candidate.author);
+    const authorB = this.normalizeAuthor(series.author);
+    if (authorA && authorB) {
+      score += (authorA.includes(authorB) || authorB.includes(authorA)) ? this.authorBonus : -this.authorPenalty;
+    }
+
+    if (candidate.year && series.year) {
+      score += Math.abs(candidate.year - series.year) <= 1 ? this.yearBonus : -this.yearPenalty;
+    }
+
+    return score;
+  }
+
+  /**
+   * Get the title index, building it from the store on first use
+   * @returns {Map} Key ('=' + normalized title, or a title token) -> Set of canonical IDs
+   */
+  getTitleIndex() {
+    if (!this.titleIndex) {
+      this.titleIndex = new Map();
+      Object.values(this.store.load().series).forEach(series => this.indexTitles(series));
+    }
+    return this.titleIndex;
+  }
+
+  /**
+   * Get the title index keys for a title: its normalized form plus its distinctive tokens
+   * @param {string} title - Title
+   * @returns {Array<string>} Index keys
+   */
+  getTitleKeys(title) {
+    const normalized = this.normalizeTitle(title);
+    if (!normalized) return [];
+    return [`=${normalized}`, ...this.tokenizeTitle(title).filter(token => !STOP_TOKENS.has(token))];
+  }
+
+  /**
+   * Add a series' title and alt titles to the title index
+   * @param {object} series - Stored series
+   */
+  indexTitles(series) {
+    if (!this.titleIndex) return;
+    [series.title, ...(series.altTitles || [])].forEach(title => {
+      this.getTitleKeys(title).forEach(key => {
+        if (!this.titleIndex.has(key)) this.titleIndex.set(key, new Set());
+        this.titleIndex.get(key).add(series.id);
+      });
+    });
+  }
+
+  /**
+   * Find best matching series for a candidate
+   * Only series sharing the normalized title or a title token are scored (see getTitleIndex);
+   * series that already have a different entry from the same provider are skipped
+   * @param {string} providerId - Provider ID
+   * @param {object} candidate - Candidate from toCandidate
+   * @returns {object|null} { series, score }
+   */
+  findMatch(providerId, candidate) {
+    const { series } = this.store.load();
+    const index = this.getTitleIndex();
+    const ids = new Set();
+    [candidate.title, ...candidate.altTitles].forEach(title => {
+      this.getTitleKeys(title).forEach(key => index.get(key)?.forEach(id => ids.add(id)));
+    });
+
+    let best = null;
+    ids.forEach(id => {
+      const entry = series[id];
+      if (!entry || entry.sources[providerId]) return;
+
+      const score = this.scoreMatch(candidate, entry);
+      if (score >= this.matchThreshold && (!best || score > best.score)) {
+        best = { series: entry, score };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Create a canonical ID (readable slug + random suffix, never reused)
+   * @param {string} title - Series title
+   * @returns {string} Canonical ID
+   */
+  createCanonicalId(title) {
+    const { series } = this.store.load();
+    const slug = (title || 'series')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'series';
+
+    let id;
+    do {
+      id = `${slug}-${crypto.randomBytes(3).toString('hex')}`;
+    } while (series[id]);
+
+    return id;
+  }
+
+  /**
+   * Fill in series metadata that is still missing
+   * @param {object} series - Stored series
+   * @param {object} candidate - Candidate from toCandidate
+   */
+  mergeMetadata(series, candidate) {
+    if (!series.author && candidate.author) series.author = candidate.author;
+    if (!series.year && candidate.year) series.year = candidate.year;
+
+    const known = new Set([series.title, ...series.altTitles].map(t => this.normalizeTitle(t)));
+    [candidate.title, ...candidate.altTitles].forEach(title => {
+      const normalized = this.normalizeTitle(title);
+      if (normalized && !known.has(normalized)) {
+        series.altTitles.push(title);
+        known.add(normalized);
+      }
+    });
+    this.indexTitles(series);
+  }
+
+  /**
+   * Link a provider entry to its canonical series, creating the series if nothing matches
+   * @param {string} providerId - Provider ID
+   * @param {object} item - Comic item/detail (title, href, altTitles, author, year/released)
+   * @param {object} options - Options
+   * @param {string} options.id - Provider manga ID (defaults to the one derived from item.href)
+   * @param {boolean} options.save - Persist (debounced, default true)
+   * @returns {object|null} Series or null when the item has no title/ID
+   */
+  link(providerId, item, options = {}) {
+    const { save = true } = options;
+    const providerMangaId = this.getProviderMangaId(providerId, options.id || item?.href);
+    if (!item || !item.title || !providerMangaId) return null;
+
+    const data = this.store.load();
+    const indexKey = `${providerId}:${providerMangaId}`;
+    const candidate = this.toCandidate(item);
+    const now = Date.now();
+
+    let series = data.series[data.index[indexKey]];
+
+    if (!series) {
+      const match = this.findMatch(providerId, candidate);
+      series = match ? match.series : null;
+
+      if (!series) {
+        const id = this.createCanonicalId(candidate.title);
+        series = {
+          id,
+          title: candidate.title,
+          altTitles: [],
+          author: '',
+          year: null,
+          sources: {},
+          createdAt: now,
+          updatedAt: now
+        };
+        data.series[id] = series;
+      }
+
+      this.addSource(series, providerId, providerMangaId, candidate.title, match ? match.score : 1);
+    }
+
+    this.mergeMetadata(series, candidate);
+    series.updatedAt = now;
+
+    if (save) this.scheduleSave();
+    return series;
+  }
+
+  /**
+   * Automatically link a provider entry to a known series (a match found by the caller)
+   * Unlike setSource, an entry already linked elsewhere is never moved
+   * @param {string} canonicalId - Canonical ID
+   * @param {string} providerId - Provider ID
+   * @param {object} item - Comic item/detail
+   * @param {object} options - Options
+   * @param {string} options.id - Provider manga ID (defaults to the one derived from item.href)
+   * @param {number} options.score - Match score, stored as the link's confidence (default 1)
+   * @returns {object|null} Series, or null when the entry belongs to another series or the series
+   *   already has a different entry from this provider
+   */
+  linkTo(canonicalId, providerId, item, options = {}) {
+    const { score = 1 } = options;
+    const providerMangaId = this.getProviderMangaId(providerId, options.id || item?.href);
+    const data = this.store.load();
+    const series = data.series[canonicalId];
+    if (!series || !item || !item.title || !providerMangaId) return null;
+
+    const linkedId = data.index[`${providerId}:${providerMangaId}`];
+    if (linkedId && linkedId !== canonicalId) return null;
+    if (!linkedId) {
+      if (series.sources[providerId]) return null;
+      this.addSource(series, providerId, providerMangaId, item.title, score);
+    }
+
+    this.mergeMetadata(series, this.toCandidate(item));
+    series.updatedAt = Date.now();
+
+    this.scheduleSave();
+    return series;
+  }
+
+  /**
+   * Record an automatic provider link on a series and in the index
+   * @param {object} series - Stored series
+   * @param {string} providerId - Provider ID
+   * @param {string} providerMangaId - Provider manga ID
+   * @param {string} title - Title on the provider
+   * @param {number} score - Match score (1 for new series)
+   */
+  addSource(series, providerId, providerMangaId, title, score) {
+    series.sources[providerId] = {
+      id: providerMangaId,
+      title,
+      confidence: Math.min(1, Math.round(score * 100) / 100),
+      manual: false,
+      linkedAt: Date.now()
+    };
+    this.store.load().index[`${providerId}:${providerMangaId}`] = series.id;
+  }
+
+  /**
+   * Save automatic links soon (batches writes from busy detail routes)
+   * Manual changes are saved immediately
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.store.save();
+    }, SAVE_DELAY);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Link many items from one provider with a single (debounced) write
+   * @param {string} providerId - Provider ID
+   * @param {Array} items - Comic items
+   * @returns {Array} Series (null for items that could not be linked)
+   */
+  linkMany(providerId, items = []) {
+    const linked = items.map(item => this.link(providerId, item, { save: false }));
+    this.scheduleSave();
+    return linked;
+  }
+
+  /**
+   * Manually attach a provider entry to a series (moves it if it was linked elsewhere)
+   * @param {string} canonicalId - Canonical ID
+   * @param {string} providerId - Provider ID
+   * @param {string} hrefOrId - Provider manga ID or href
+   * @returns {object} Updated series
+   */
+  setSource(canonicalId, providerId, hrefOrId) {
+    const data = this.store.load();
+    const series = data.series[canonicalId];
+    if (!series) {
+      throw new NotFoundError(`Series '${canonicalId}' not found`);
+    }
+    if (!getProvider(providerId)) {
+      throw new ValidationError(`Provider '${providerId}' not found`);
+    }
+
+    const providerMangaId = this.getProviderMangaId(providerId, hrefOrId);
+    if (!providerMangaId) {
+      throw new ValidationError('Provider manga ID is required', ['id is required']);
+    }
+
+    this.removeSource(canonicalId, providerId, { save: false });
+
+    // Detach the entry from any other series it was linked to
+    const indexKey = `${providerId}:${providerMangaId}`;
+    const previous = data.series[data.index[indexKey]];
+    if (previous && previous.id !== canonicalId) {
+      delete previous.sources[providerId];
+    }
+
+    series.sources[providerId] = {
+      id: providerMangaId,
+      title: series.title,
+      confidence: 1,
+      manual: true,
+      linkedAt: Date.now()
+    };
+    data.index[indexKey] = canonicalId;
+    series.updatedAt = Date.now();
+
+    this.store.save();
+    return series;
+  }
+
+  /**
+   * Remove a provider entry from a series
+   * @param {string} canonicalId - Canonical ID
+   * @param {string} providerId - Provider ID
+   * @param {object} options - Options
+   * @param {boolean} options.save - Persist immediately (default true)
+   * @returns {boolean} True if a source was removed
+   */
+  removeSource(canonicalId, providerId, options = {}) {
+    const { save = true } = options;
+    const data = this.store.load();
+    const source = data.series[canonicalId]?.sources[providerId];
+    if (!source) return false;
+
+    delete data.index[`${providerId}:${source.id}`];
+    delete data.series[canonicalId].sources[providerId];
+
+    if (save) this.store.save();
+    return true;
+  }
+
+  /**
+   * Look up canonical ID for a provider entry
+   * @param {string} providerId - Provider ID
+   * @param {string} hrefOrId - Provider manga ID or href
+   * @returns {string|null} Canonical ID
+   */
+  getCanonicalId(providerId, hrefOrId) {
+    const providerMangaId = this.getProviderMangaId(providerId, hrefOrId);
+    return this.store.load().index[`${providerId}:${providerMangaId}`] || null;
+  }
+
+  /**
+   * Get series with its sources as an array
+   * @param {string} canonicalId - Canonical ID
+   * @returns {object|null} Series view
+   */
+  getSeries(canonicalId) {
+    const series = this.store.load().series[canonicalId];
+    if (!series) return null;
+
+    const { sources, ...rest } = series;
+    return {
+      ...rest,
+      sources: Object.entries(sources).map(([provider, source]) => ({
+        provider,
+        ...source,
+        enabled: getProvider(provider)?.enabled === true,
+        detail: `/detail/${encodeURIComponent(source.id)}?provider=${provider}`
+      }))
+    };
+  }
+
+  /**
+   * Get mapping statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const { series, index } = this.store.load();
+    return {
+      series: Object.keys(series).length,
+      links: Object.keys(index).length
+    };
+  }
+}
+
+// Singleton instance
+const mangaMappingService = new MangaMappingService();
+
+module.exports = {
+  MangaMappingService,
+  mangaMappingService
+};
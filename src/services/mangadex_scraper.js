@@ -6,22 +6,34 @@
 
 const axios = require('axios');
 const { ParseError, NotFoundError, NetworkError } = require('../helper/error_handler');
+const { attachRecorder } = require('../helper/http_recorder');
+const { attachOutboundLimiter } = require('../helper/outbound_limiter');
 const {
   normalizeComicItem,
   normalizeChapterItem,
   normalizeRating
 } = require('../helper/data_validator');
+const { getProvider } = require('../config/providers');
 
 const BASE_URL = 'https://mangadex.org';
 const API_BASE_URL = 'https://api.mangadex.org';
 const COVER_BASE_URL = 'https://uploads.mangadex.org/covers';
 
-// Rate limiting configuration
-const RATE_LIMIT = {
-  requestsPerSecond: 5,
-  lastRequestTime: 0,
-  minInterval: 200 // ms between requests
-};
+/**
+ * Get current base URL (honours runtime overrides from the dashboard)
+ * @returns {string} Base URL
+ */
+const getBaseUrl = () => getProvider('mangadex')?.baseUrl || BASE_URL;
+
+/**
+ * Get current API base URL (honours runtime overrides from the dashboard)
+ * @returns {string} API base URL
+ */
+const getApiBaseUrl = () => getProvider('mangadex')?.apiUrl || API_BASE_URL;
+
+// Plain client (no browser headers) sharing the record/replay layer and the outbound limiter
+// (rateLimit in providers.js, X-RateLimit-* from the API) with AxiosService
+const apiClient = attachOutboundLimiter(attachRecorder(axios.create()));
 
 /**
  * Rate-limited API request
@@ -30,16 +42,8 @@ const RATE_LIMIT = {
  * @returns {Promise<object>} API response data
  */
 const apiRequest = async (endpoint, params = {}) => {
-  // Rate limiting
-  const now = Date.now();
-  const timeSinceLastRequest = now - RATE_LIMIT.lastRequestTime;
-  if (timeSinceLastRequest < RATE_LIMIT.minInterval) {
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT.minInterval - timeSinceLastRequest));
-  }
-  RATE_LIMIT.lastRequestTime = Date.now();
-
   try {
-    const response = await axios.get(`${API_BASE_URL}${endpoint}`, {
+    const response = await apiClient.get(`${getApiBaseUrl()}${endpoint}`, {
       params,
       headers: {
         'User-Agent': 'MangaAPI/2.1.0 (https://github.com/KanekiCraynet/api-manga)',
@@ -54,6 +58,9 @@ const apiRequest = async (endpoint, params = {}) => {
 
     return response.data;
   } catch (error) {
+    if (error.code === 'UPSTREAM_RATE_LIMITED') {
+      throw error;
+    }
     if (error.response?.status === 404) {
       throw new NotFoundError('Resource not found on MangaDex');
     }
@@ -155,7 +162,7 @@ const transformManga = (manga) => {
     author: extractAuthor(manga),
     released: attributes.year ? String(attributes.year) : '',
     description: getLocalizedDescription(attributes)
-  }, BASE_URL);
+  }, getBaseUrl());
 };
 
 /**
@@ -306,7 +313,7 @@ const getComicDetail = async (url) => {
         date: ch.attributes?.publishAt 
           ? new Date(ch.attributes.publishAt).toLocaleDateString()
           : ''
-      }, BASE_URL));
+      }, getBaseUrl()));
 
     // Extract genres
     const genres = (attributes.tags || [])
@@ -319,6 +326,7 @@ const getComicDetail = async (url) => {
 
     return {
       title: getLocalizedTitle(attributes),
+      altTitles: (attributes.altTitles || []).map(alt => Object.values(alt)[0]).filter(Boolean),
       rating: normalizeRating(attributes.rating?.average || 0),
       status: mapStatus(attributes.status),
       type: attributes.originalLanguage === 'ja' ? 'Manga' : 
@@ -3,8 +3,20 @@
  * Manages multiple providers and handles provider selection
  */
 
-const { getProvider, getDefaultProvider, supportsFeature } = require('../config/providers');
+const fs = require('fs');
+const path = require('path');
+const psl = require('psl');
+const { providers, addProvider, getProvider, getDefaultProviderId, supportsFeature } = require('../config/providers');
+const { applyProviderOverrides } = require('./provider_settings');
 const { ValidationError } = require('../helper/error_handler');
+const { circuitBreaker } = require('./circuit_breaker');
+const { createGenericScraper, canUseGenericScraper, OPERATIONS } = require('./generic_scraper');
+
+// Directory scanned for in-house provider modules (one file or folder per provider)
+const PROVIDERS_DIR = process.env.KANAVERSE_PROVIDERS_DIR || path.join(__dirname, '../../providers');
+
+// npm packages named like this are registered automatically when listed in package.json
+const PROVIDER_PACKAGE_PATTERN = /^(@[^/]+\/)?kanaverse-provider-[a-z0-9-]+$/;
 
 /**
  * Provider registry mapping with lazy loading to avoid circular dependencies
@@ -16,6 +28,183 @@ const providerRegistry = {
   aquareader: () => require('./aquareader_scraper')
 };
 
+/**
+ * Create a memoized loader that builds a generic scraper from provider config
+ * @param {string} providerId - Provider ID
+ * @returns {function} Loader returning the scraper module
+ */
+const createGenericLoader = (providerId) => {
+  let scraper = null;
+  return () => {
+    if (!scraper) {
+      scraper = createGenericScraper(providerId, getProvider(providerId));
+    }
+    return scraper;
+  };
+};
+
+// Providers with selectors but no dedicated module are served by the generic scraper
+Object.keys(providers).forEach(providerId => {
+  if (!providerRegistry[providerId] && canUseGenericScraper(providers[providerId])) {
+    providerRegistry[providerId] = createGenericLoader(providerId);
+  }
+});
+
+/**
+ * Validate that a scraper module implements every feature its config claims
+ * @param {string} providerId - Provider ID
+ * @param {object} config - Provider configuration
+ * @param {object} scraperModule - Scraper module
+ * @throws {ValidationError} When the module and the feature flags do not match
+ */
+const validateScraperModule = (providerId, config, scraperModule) => {
+  if (!scraperModule || typeof scraperModule !== 'object') {
+    throw new ValidationError(`Scraper module for provider '${providerId}' must be an object`);
+  }
+
+  const errors = Object.keys(OPERATIONS)
+    .filter(feature => config.features[feature] === true)
+    .filter(feature => typeof scraperModule[OPERATIONS[feature]] !== 'function')
+    .map(feature => `feature '${feature}' requires function '${OPERATIONS[feature]}'`);
+
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Scraper module for provider '${providerId}' does not match its features: ${errors.join('; ')}`,
+      errors
+    );
+  }
+};
+
+/**
+ * Register a provider at runtime
+ * @param {string} id - Provider ID (lowercase letters, digits, '-' and '_')
+ * @param {object} config - Provider configuration (same shape as providers.js entries)
+ * @param {object} scraperModule - Scraper module (optional when config has selectors)
+ * @returns {object} Registered provider info
+ */
+const registerProvider = (id, config, scraperModule = null) => {
+  const providerId = typeof id === 'string' ? id.toLowerCase() : '';
+
+  if (!/^[a-z0-9_-]+$/.test(providerId)) {
+    throw new ValidationError(`Invalid provider id '${id}'`);
+  }
+  if (providerRegistry[providerId] || getProvider(providerId)) {
+    throw new ValidationError(`Provider '${providerId}' is already registered`);
+  }
+  if (!config || typeof config !== 'object') {
+    throw new ValidationError(`Provider '${providerId}' requires a config object`);
+  }
+
+  const missing = ['name', 'baseUrl', 'features'].filter(field => !config[field]);
+  if (missing.length > 0) {
+    throw new ValidationError(
+      `Provider '${providerId}' config is missing: ${missing.join(', ')}`,
+      missing.map(field => `${field} is required`)
+    );
+  }
+
+  const providerConfig = {
+    ...config,
+    enabled: config.enabled !== false,
+    // The default provider is only chosen in providers.js
+    default: false
+  };
+
+  if (scraperModule) {
+    validateScraperModule(providerId, providerConfig, scraperModule);
+  } else {
+    if (!canUseGenericScraper(providerConfig)) {
+      throw new ValidationError(`Provider '${providerId}' needs a scraper module or selectors/urlPatterns`);
+    }
+
+    const errors = Object.keys(OPERATIONS)
+      .filter(feature => providerConfig.features[feature] === true)
+      .filter(feature => !providerConfig.urlPatterns[feature] || !providerConfig.selectors[feature])
+      .map(feature => `feature '${feature}' requires urlPatterns.${feature} and selectors.${feature}`);
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Provider '${providerId}' config does not match its features: ${errors.join('; ')}`,
+        errors
+      );
+    }
+  }
+
+  addProvider(providerId, providerConfig);
+  applyProviderOverrides(providerId);
+  providerRegistry[providerId] = scraperModule || createGenericLoader(providerId);
+
+  return getProviderInfo(providerId);
+};
+
+/**
+ * Register a provider from a discovered module
+ * Modules export `{ id, config, scraper }`; `scraper` may be omitted for selector-only providers
+ * @param {object} mod - Loaded module
+ * @param {string} source - Where the module was found (for logging)
+ * @returns {object|null} Registered provider info or null on failure
+ */
+const registerDiscoveredModule = (mod, source) => {
+  try {
+    if (!mod || !mod.id || !mod.config) {
+      throw new ValidationError('module must export { id, config, scraper }');
+    }
+    return registerProvider(mod.id, mod.config, mod.scraper || null);
+  } catch (error) {
+    console.warn(`Skipping provider from ${source}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Discover providers from the providers directory and kanaverse-provider-* packages
+ * @param {object} options - Discovery options
+ * @param {string} options.dir - Directory to scan
+ * @param {string} options.packageJson - package.json whose dependencies are scanned
+ * @returns {Array} Registered provider info
+ */
+const discoverProviders = (options = {}) => {
+  const {
+    dir = PROVIDERS_DIR,
+    packageJson = path.join(__dirname, '../../package.json')
+  } = options;
+
+  const registered = [];
+
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter(entry => !entry.startsWith('.') && !entry.startsWith('_'))
+      .filter(entry => entry.endsWith('.js') || fs.statSync(path.join(dir, entry)).isDirectory())
+      .forEach(entry => {
+        const modulePath = path.join(dir, entry);
+        try {
+          registered.push(registerDiscoveredModule(require(modulePath), modulePath));
+        } catch (error) {
+          console.warn(`Failed to load provider module ${modulePath}: ${error.message}`);
+        }
+      });
+  }
+
+  if (fs.existsSync(packageJson)) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(packageJson, 'utf8'));
+      Object.keys({ ...pkg.dependencies, ...pkg.optionalDependencies })
+        .filter(name => PROVIDER_PACKAGE_PATTERN.test(name))
+        .forEach(name => {
+          try {
+            registered.push(registerDiscoveredModule(require(name), name));
+          } catch (error) {
+            console.warn(`Failed to load provider package ${name}: ${error.message}`);
+          }
+        });
+    } catch (error) {
+      console.warn(`Failed to read ${packageJson}: ${error.message}`);
+    }
+  }
+
+  return registered.filter(Boolean);
+};
+
 /**
  * Get scraper service for provider
  * @param {string} providerId - Provider ID
@@ -49,7 +238,7 @@ const getScraperService = (providerId) => {
  */
 const resolveProvider = (requestedProvider) => {
   if (!requestedProvider) {
-    return getDefaultProvider().name.toLowerCase();
+    return getDefaultProviderId();
   }
   
   const providerId = requestedProvider.toLowerCase();
@@ -57,8 +246,7 @@ const resolveProvider = (requestedProvider) => {
   
   if (!provider || !provider.enabled) {
     // Fallback to default provider
-    const defaultProvider = getDefaultProvider();
-    return defaultProvider.name.toLowerCase();
+    return getDefaultProviderId();
   }
   
   return providerId;
@@ -75,35 +263,53 @@ const providerSupportsFeature = (providerId, feature) => {
 };
 
 /**
- * Execute scraper function with provider
+ * Execute scraper function on one provider only (no fallback to the default provider)
+ * Use when the result must come from that provider, e.g. for provenance or ID mapping
+ * Calls go through the provider's circuit for the operation and fail with CIRCUIT_OPEN while it is open
  * @param {string} providerId - Provider ID
  * @param {string} functionName - Scraper function name
  * @param {Array} args - Function arguments
  * @returns {Promise} Scraper result
  */
-const executeScraper = async (providerId, functionName, ...args) => {
+const executeProviderScraper = async (providerId, functionName, ...args) => {
   const scraper = getScraperService(providerId);
-  
+
   if (typeof scraper[functionName] !== 'function') {
     throw new ValidationError(`Function '${functionName}' not found in provider '${providerId}'`);
   }
-  
+
+  return circuitBreaker.execute(providerId, functionName, () => scraper[functionName](...args));
+};
+
+/**
+ * Execute scraper function with provider
+ * @param {string} providerId - Provider ID
+ * @param {string} functionName - Scraper function name
+ * @param {Array} args - Function arguments
+ * @returns {Promise} Scraper result (object results from the default provider fallback carry `_source`)
+ */
+const executeScraper = async (providerId, functionName, ...args) => {
   try {
-    return await scraper[functionName](...args);
+    return await executeProviderScraper(providerId, functionName, ...args);
   } catch (error) {
-    // Only fallback if it's a network/parse error, not validation errors
-    const defaultProvider = getDefaultProvider();
+    // Only fallback if it's a network/parse error or an open circuit, not validation errors
+    const defaultProviderId = getDefaultProviderId();
     const isNetworkError = error.code === 'NETWORK_ERROR' || 
+                          error.code === 'CIRCUIT_OPEN' ||
                           error.code === 'PARSE_ERROR' || 
                           error.code === 'NOT_FOUND' ||
                           error.message?.includes('Failed to') ||
                           error.message?.includes('Error scraping');
     
-    if (providerId !== defaultProvider.name.toLowerCase() && isNetworkError) {
+    if (providerId !== defaultProviderId && isNetworkError) {
       console.warn(`Provider '${providerId}' failed with ${error.code || error.message}, falling back to default provider`);
-      const defaultScraper = getScraperService(defaultProvider.name.toLowerCase());
+      const defaultScraper = getScraperService(defaultProviderId);
       if (typeof defaultScraper[functionName] === 'function') {
-        return await defaultScraper[functionName](...args);
+        const result = await executeProviderScraper(defaultProviderId, functionName, ...args);
+        // Tag the result so callers don't attribute it (or link its ID) to the requested provider
+        return result && typeof result === 'object' && !Array.isArray(result)
+          ? { ...result, _source: defaultProviderId }
+          : result;
       }
     }
     throw error;
@@ -124,10 +330,47 @@ const getProviderInfo = (providerId) => {
     name: provider.name,
     baseUrl: provider.baseUrl,
     enabled: provider.enabled,
+    default: provider.default === true,
     features: provider.features
   };
 };
 
+/**
+ * Get the domains a provider serves pages and images from
+ * Registrable domains of baseUrl and apiUrl (08.shinigami.asia -> shinigami.asia) plus config.imageHosts
+ * @param {string} providerId - Provider ID
+ * @returns {Array} Domain names
+ */
+const getProviderDomains = (providerId) => {
+  const provider = getProvider(providerId);
+  if (!provider) return [];
+
+  const domains = [provider.baseUrl, provider.apiUrl].filter(Boolean).map(url => {
+    try {
+      const { hostname } = new URL(url);
+      return psl.get(hostname) || hostname;
+    } catch (error) {
+      return null;
+    }
+  });
+
+  return [...new Set([...domains, ...(provider.imageHosts || [])].filter(Boolean).map(domain => domain.toLowerCase()))];
+};
+
+/**
+ * Find the registered provider a host belongs to (the host or one of its subdomains)
+ * @param {string} hostname - Host name
+ * @returns {string|null} Provider ID
+ */
+const findProviderByHost = (hostname) => {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host) return null;
+
+  return Object.keys(providerRegistry).find(providerId =>
+    getProviderDomains(providerId).some(domain => host === domain || host.endsWith(`.${domain}`))
+  ) || null;
+};
+
 /**
  * List all available providers
  * @returns {Array} Array of provider info
@@ -136,12 +379,19 @@ const listProviders = () => {
   return Object.keys(providerRegistry).map(id => getProviderInfo(id)).filter(Boolean);
 };
 
+discoverProviders();
+
 module.exports = {
+  registerProvider,
+  discoverProviders,
   getScraperService,
   resolveProvider,
   providerSupportsFeature,
   executeScraper,
+  executeProviderScraper,
   getProviderInfo,
+  getProviderDomains,
+  findProviderByHost,
   listProviders
 };
 
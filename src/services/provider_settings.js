@@ -0,0 +1,241 @@
+/**
+ * Provider Settings Service
+ * Runtime overrides for provider `enabled`, `default` and `baseUrl`, persisted to a local JSON store
+ * Lets operators follow domain rotations without editing providers.js and redeploying
+ */
+
+const { providers, getProvider } = require('../config/providers');
+const { JsonStore } = require('../helper/json_store');
+const { ValidationError, NotFoundError } = require('../helper/error_handler');
+
+const store = new JsonStore('provider_settings', {
+  defaultProvider: null,
+  providers: {}
+});
+
+// Original values from providers.js, used when overrides are reset
+const originals = new Map();
+
+/**
+ * Remember the providers.js values for a provider before overriding them
+ * @param {string} providerId - Provider ID
+ */
+const rememberOriginal = (providerId) => {
+  const provider = getProvider(providerId);
+  if (provider && !originals.has(providerId)) {
+    originals.set(providerId, {
+      enabled: provider.enabled,
+      default: provider.default === true,
+      baseUrl: provider.baseUrl
+    });
+  }
+};
+
+/**
+ * Make a provider the only default provider
+ * @param {string} providerId - Provider ID
+ */
+const setDefaultFlag = (providerId) => {
+  Object.keys(providers).forEach(id => {
+    rememberOriginal(id);
+    providers[id].default = id === providerId;
+  });
+};
+
+/**
+ * Apply stored overrides to provider configuration
+ * @param {string} providerId - Provider ID (optional, all providers when omitted)
+ */
+const applyProviderOverrides = (providerId = null) => {
+  const data = store.load();
+  const ids = providerId ? [providerId] : Object.keys(data.providers || {});
+
+  ids.forEach(id => {
+    const provider = getProvider(id);
+    const override = data.providers?.[id];
+    if (!provider || !override) return;
+
+    rememberOriginal(id);
+    if (typeof override.enabled === 'boolean') provider.enabled = override.enabled;
+    if (override.baseUrl) provider.baseUrl = override.baseUrl;
+  });
+
+  const defaultId = data.defaultProvider;
+  if (defaultId && getProvider(defaultId) && (!providerId || providerId === defaultId)) {
+    setDefaultFlag(defaultId);
+  }
+};
+
+/**
+ * Validate and normalize base URL
+ * @param {string} baseUrl - Base URL
+ * @returns {string} Normalized base URL without trailing slash
+ */
+const normalizeBaseUrl = (baseUrl) => {
+  let parsed;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (error) {
+    throw new ValidationError('baseUrl must be a valid URL', ['baseUrl must be a valid URL']);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new ValidationError('baseUrl must use http or https', ['baseUrl must use http or https']);
+  }
+
+  return `${parsed.origin}${parsed.pathname}`.replace(/\/+$/, '');
+};
+
+/**
+ * Get settings view for a provider
+ * @param {string} providerId - Provider ID
+ * @returns {object} Current settings with overrides and original values
+ */
+const getProviderSettings = (providerId) => {
+  const provider = getProvider(providerId);
+  if (!provider) return null;
+
+  const data = store.load();
+  return {
+    id: providerId,
+    name: provider.name,
+    enabled: provider.enabled,
+    default: provider.default === true,
+    baseUrl: provider.baseUrl,
+    features: provider.features,
+    overrides: {
+      ...(data.providers?.[providerId] || {}),
+      ...(data.defaultProvider === providerId ? { default: true } : {})
+    },
+    original: originals.get(providerId) || {
+      enabled: provider.enabled,
+      default: provider.default === true,
+      baseUrl: provider.baseUrl
+    }
+  };
+};
+
+/**
+ * List settings for all providers
+ * @returns {Array} Provider settings
+ */
+const listProviderSettings = () => {
+  return Object.keys(providers).map(getProviderSettings).filter(Boolean);
+};
+
+/**
+ * Update provider settings and persist them
+ * @param {string} providerId - Provider ID
+ * @param {object} changes - Changes to apply
+ * @param {boolean} changes.enabled - Enable/disable provider
+ * @param {boolean} changes.default - Make provider the default (only `true` is accepted)
+ * @param {string} changes.baseUrl - Override base URL
+ * @returns {object} Updated provider settings
+ */
+const updateProviderSettings = (providerId, changes = {}) => {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new NotFoundError(`Provider '${providerId}' not found`);
+  }
+
+  const errors = [];
+  const { enabled, baseUrl } = changes;
+  const makeDefault = changes.default;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (makeDefault !== undefined && makeDefault !== true) {
+    errors.push('default can only be set to true; make another provider default instead');
+  }
+  // Normalized before anything is applied, so an invalid baseUrl leaves every setting untouched
+  let normalizedBaseUrl;
+  if (baseUrl !== undefined && typeof baseUrl !== 'string') {
+    errors.push('baseUrl must be a string');
+  } else if (baseUrl !== undefined) {
+    try {
+      normalizedBaseUrl = normalizeBaseUrl(baseUrl);
+    } catch (error) {
+      errors.push(...error.errors);
+    }
+  }
+
+  const willBeEnabled = enabled !== undefined ? enabled : provider.enabled;
+  const willBeDefault = makeDefault === true || provider.default === true;
+  if (willBeDefault && !willBeEnabled) {
+    errors.push('the default provider cannot be disabled');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), errors);
+  }
+
+  const data = store.load();
+  const override = { ...(data.providers[providerId] || {}) };
+
+  rememberOriginal(providerId);
+
+  if (enabled !== undefined) {
+    provider.enabled = enabled;
+    override.enabled = enabled;
+  }
+
+  if (baseUrl !== undefined) {
+    provider.baseUrl = normalizedBaseUrl;
+    override.baseUrl = normalizedBaseUrl;
+  }
+
+  if (makeDefault === true) {
+    setDefaultFlag(providerId);
+    data.defaultProvider = providerId;
+  }
+
+  data.providers[providerId] = override;
+  store.save();
+
+  return getProviderSettings(providerId);
+};
+
+/**
+ * Remove overrides for a provider and restore providers.js values
+ * @param {string} providerId - Provider ID
+ * @returns {object} Restored provider settings
+ */
+const resetProviderSettings = (providerId) => {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new NotFoundError(`Provider '${providerId}' not found`);
+  }
+
+  const data = store.load();
+  const original = originals.get(providerId);
+
+  if (original) {
+    provider.enabled = original.enabled;
+    provider.baseUrl = original.baseUrl;
+  }
+
+  if (data.defaultProvider === providerId) {
+    data.defaultProvider = null;
+    // Restore the providers.js default flags
+    originals.forEach((value, id) => {
+      if (providers[id]) providers[id].default = value.default;
+    });
+  }
+
+  delete data.providers[providerId];
+  store.save();
+
+  return getProviderSettings(providerId);
+};
+
+// Apply persisted overrides on startup
+applyProviderOverrides();
+
+module.exports = {
+  applyProviderOverrides,
+  getProviderSettings,
+  listProviderSettings,
+  updateProviderSettings,
+  resetProviderSettings
+};
@@ -3,6 +3,9 @@
  * Manages concurrent requests to prevent overload and ensure data integrity
  */
 
+// Errors a retry can't fix before they clear up on their own (open circuit, paused upstream host)
+const NON_RETRYABLE_CODES = ['CIRCUIT_OPEN', 'UPSTREAM_RATE_LIMITED'];
+
 class RequestQueue {
   constructor(options = {}) {
     this.maxConcurrent = options.maxConcurrent || 5;
@@ -21,11 +24,6 @@ class RequestQueue {
       avgProcessingTime: 0,
       lastProcessed: null
     };
-
-    // Provider-specific rate limiting
-    this.providerLimits = new Map();
-    this.providerLastRequest = new Map();
-    this.providerMinDelay = options.providerMinDelay || 500; // Min delay between requests to same provider
   }
 
   /**
@@ -84,28 +82,11 @@ class RequestQueue {
   }
 
   /**
-   * Get next request respecting provider rate limits
+   * Get next request (per-host pacing happens in outbound_limiter, on the HTTP requests themselves)
    * @returns {object|null} Next request or null
    */
   getNextRequest() {
-    const now = Date.now();
-
-    for (let i = 0; i < this.queue.length; i++) {
-      const request = this.queue[i];
-      const providerId = request.providerId;
-      const lastRequest = this.providerLastRequest.get(providerId) || 0;
-
-      if (now - lastRequest >= this.providerMinDelay) {
-        return this.queue.splice(i, 1)[0];
-      }
-    }
-
-    // If all requests need to wait, schedule next check
-    if (this.queue.length > 0) {
-      setTimeout(() => this.processQueue(), this.providerMinDelay);
-    }
-
-    return null;
+    return this.queue.shift() || null;
   }
 
   /**
@@ -116,9 +97,6 @@ class RequestQueue {
     const startTime = Date.now();
 
     try {
-      // Update provider last request time
-      this.providerLastRequest.set(request.providerId, Date.now());
-
       // Execute with timeout
       const result = await Promise.race([
         request.fn(),
@@ -155,7 +133,7 @@ class RequestQueue {
   async handleError(request, error, startTime) {
     request.attempts++;
 
-    if (request.attempts < this.retryAttempts) {
+    if (request.attempts < this.retryAttempts && !NON_RETRYABLE_CODES.includes(error.code)) {
       // Exponential backoff
       const delay = this.retryDelay * Math.pow(2, request.attempts - 1);
 
@@ -235,8 +213,7 @@ const requestQueue = new RequestQueue({
   maxQueueSize: isVercel ? 50 : 100,         // Smaller queue for memory efficiency
   retryAttempts: isVercel ? 1 : 3,           // Minimal retries to avoid timeout
   retryDelay: isVercel ? 500 : 1000,         // Faster retry
-  timeout: isVercel ? 8000 : 30000,          // 8s for Vercel Hobby (10s limit)
-  providerMinDelay: isVercel ? 100 : 500     // Faster provider cycling
+  timeout: isVercel ? 8000 : 30000           // 8s for Vercel Hobby (10s limit)
 });
 
 module.exports = {
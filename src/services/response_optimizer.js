@@ -3,6 +3,9 @@
  * Optimize API responses dengan compression dan formatting
  */
 
+// Fields holding image URLs (a string or an array of strings)
+const IMAGE_FIELDS = ['thumbnail', 'panel', 'panels', 'image', 'cover', 'images'];
+
 /**
  * Response Optimizer
  */
@@ -19,8 +22,8 @@ class ResponseOptimizer {
       minify = false,
       removeNulls = false,
       removeEmpty = false,
-      fields = null, // Specific fields to include
-      excludeFields = null // Fields to exclude
+      excludeFields = null, // Fields to exclude
+      proxyImages = null // { rewriteUrl, provider } - see proxyImages()
     } = options;
 
     let optimized = data;
@@ -35,11 +38,6 @@ class ResponseOptimizer {
       optimized = this.removeEmpty(optimized);
     }
 
-    // Filter fields
-    if (fields && Array.isArray(fields)) {
-      optimized = this.filterFields(optimized, fields);
-    }
-
     // Exclude fields
     if (excludeFields && Array.isArray(excludeFields)) {
       optimized = this.excludeFields(optimized, excludeFields);
@@ -50,6 +48,11 @@ class ResponseOptimizer {
       optimized = this.minify(optimized);
     }
 
+    // Point image URLs at the image proxy
+    if (proxyImages) {
+      optimized = this.proxyImages(optimized, proxyImages);
+    }
+
     return optimized;
   }
 
@@ -127,30 +130,6 @@ class ResponseOptimizer {
     return data;
   }
 
-  /**
-   * Filter fields from object
-   * @param {*} data - Data to filter
-   * @param {Array} fields - Fields to include
-   * @returns {*} Filtered data
-   */
-  static filterFields(data, fields) {
-    if (Array.isArray(data)) {
-      return data.map(item => this.filterFields(item, fields));
-    }
-
-    if (typeof data === 'object' && data !== null) {
-      const result = {};
-      for (const field of fields) {
-        if (data.hasOwnProperty(field)) {
-          result[field] = data[field];
-        }
-      }
-      return result;
-    }
-
-    return data;
-  }
-
   /**
    * Exclude fields from object
    * @param {*} data - Data to filter
@@ -202,6 +181,50 @@ class ResponseOptimizer {
     return data;
   }
 
+  /**
+   * Rewrite image URLs (thumbnail, panel, image, cover, images) at any depth
+   * An object's `provider` field applies to the URLs inside it (multi-provider responses)
+   * @param {*} data - Data to process
+   * @param {object} options - Options
+   * @param {function} options.rewriteUrl - (url, providerId) => new URL
+   * @param {string} options.provider - Provider of the response (default for objects without one)
+   * @returns {*} Data with rewritten URLs
+   */
+  static proxyImages(data, options) {
+    if (Array.isArray(data)) {
+      return data.map(item => this.proxyImages(item, options));
+    }
+
+    if (typeof data === 'object' && data !== null) {
+      const context = typeof data.provider === 'string' ? { ...options, provider: data.provider } : options;
+      const result = {};
+      for (const [key, value] of Object.entries(data)) {
+        result[key] = IMAGE_FIELDS.includes(key)
+          ? this.rewriteImageUrls(value, context)
+          : this.proxyImages(value, context);
+      }
+      return result;
+    }
+
+    return data;
+  }
+
+  /**
+   * Rewrite the value of an image field
+   * @param {*} value - URL, array of URLs or nested object
+   * @param {object} options - Options from proxyImages
+   * @returns {*} Rewritten value
+   */
+  static rewriteImageUrls(value, options) {
+    if (typeof value === 'string') {
+      return value ? options.rewriteUrl(value, options.provider) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.rewriteImageUrls(item, options));
+    }
+    return this.proxyImages(value, options);
+  }
+
   /**
    * Format response with metadata
    * @param {*} data - Response data
@@ -0,0 +1,83 @@
+/**
+ * Scheduled Jobs
+ * Default background jobs registered with the job scheduler
+ */
+
+const cacheService = require('../helper/cache_service');
+const { jobScheduler } = require('./job_scheduler');
+const { cacheWarmer } = require('./cache_warmer');
+const { dataIntegrityService } = require('./data_integrity');
+const { webhookService } = require('./webhook_service');
+
+/**
+ * Run a cache warm job to completion and summarize it
+ * @param {object} options - cacheWarmer.start options
+ * @returns {Promise<object>} Summary
+ * @throws {Error} When nothing could be warmed
+ */
+const runWarmJob = async (options) => {
+  const job = cacheWarmer.start(options);
+  await job.done;
+
+  const { status, total, succeeded, failed, error } = cacheWarmer.getJob(job.id);
+  if (status === 'failed' || (total > 0 && succeeded === 0)) {
+    throw new Error(error || `All ${total} paths failed`);
+  }
+
+  return { warmJob: job.id, total, succeeded, failed };
+};
+
+const DEFAULT_JOBS = {
+  'refresh-latest': {
+    schedule: '*/10 * * * *',
+    description: 'Re-scrape page 1 of latest comics for every enabled provider',
+    handler: () => runWarmJob({ presets: ['front-page'], force: true })
+  },
+  'prefetch-popular-details': {
+    schedule: '0 */3 * * *',
+    description: 'Pre-fetch detail pages for the top 50 popular comics of the default provider',
+    handler: () => runWarmJob({ presets: ['popular-details'], limit: 50 }),
+    timeout: 30 * 60 * 1000
+  },
+  'notify-new-chapters': {
+    schedule: '*/5 * * * *',
+    description: 'Scan latest lists for new chapters and deliver them to webhook subscriptions',
+    handler: () => webhookService.scan()
+  },
+  'prune-integrity-hashes': {
+    schedule: '*/15 * * * *',
+    description: 'Drop expired deduplication hashes and old freshness records',
+    handler: async () => {
+      const before = dataIntegrityService.getStats();
+      dataIntegrityService.cleanup();
+      const after = dataIntegrityService.getStats();
+      return {
+        hashesRemoved: before.hashMapSize - after.hashMapSize,
+        freshnessRemoved: before.freshnessMapSize - after.freshnessMapSize
+      };
+    }
+  },
+  'cleanup-cache': {
+    schedule: '*/5 * * * *',
+    description: 'Drop cache entries past their stale window (L1 and L2)',
+    handler: async () => {
+      const before = cacheService.getStats().total.size;
+      cacheService.cleanup();
+      return { removed: before - cacheService.getStats().total.size };
+    }
+  }
+};
+
+/**
+ * Register default jobs (idempotent)
+ */
+const registerDefaultJobs = () => {
+  Object.entries(DEFAULT_JOBS).forEach(([name, definition]) => {
+    jobScheduler.register(name, definition);
+  });
+};
+
+module.exports = {
+  DEFAULT_JOBS,
+  registerDefaultJobs
+};
@@ -6,7 +6,8 @@
 const { requestQueue } = require('./request_queue');
 const { dataIntegrityService } = require('./data_integrity');
 const cacheService = require('../helper/cache_service');
-const { executeScraper, listProviders } = require('./provider_manager');
+const { executeScraper, executeProviderScraper, listProviders } = require('./provider_manager');
+const { circuitBreaker } = require('./circuit_breaker');
 
 // Detect Vercel environment
 const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
@@ -53,21 +54,31 @@ class ScrapeOrchestrator {
       forceRefresh = false,
       priority = false,
       skipCache = false,
-      deduplication = true
+      deduplication = true,
+      fallback = true // false: never answer with the default provider's data
     } = options;
 
-    const operationKey = this.generateOperationKey(operation, providerId, args);
+    // Fallback results may come from another provider, so strict results are keyed separately
+    const operationKey = this.generateOperationKey(operation, providerId, args) + (fallback ? '' : ':strict');
     const startTime = Date.now();
 
     try {
-      // Check if operation is already running
+      // Check if operation is already running (share its result, same shape as a fresh scrape)
       if (this.activeOperations.has(operationKey)) {
-        return this.activeOperations.get(operationKey);
+        const data = await this.activeOperations.get(operationKey);
+        return {
+          success: true,
+          data,
+          source: 'scrape',
+          provider: providerId,
+          fromCache: false,
+          shared: true
+        };
       }
 
       // Check cache first (unless skipped or force refresh)
       if (!skipCache && !forceRefresh) {
-        const cached = this.getCachedData(operationKey, operation);
+        const cached = await this.getCachedData(operationKey, operation);
         if (cached) {
           return {
             success: true,
@@ -85,7 +96,7 @@ class ScrapeOrchestrator {
       const isStale = dataIntegrityService.isStale(freshnessKey, threshold);
 
       if (!isStale && !forceRefresh) {
-        const cached = this.getCachedData(operationKey, operation);
+        const cached = await this.getCachedData(operationKey, operation);
         if (cached) {
           return {
             success: true,
@@ -104,7 +115,8 @@ class ScrapeOrchestrator {
         providerId,
         args,
         priority,
-        operationKey
+        operationKey,
+        fallback
       });
 
       // Track active operation
@@ -180,8 +192,10 @@ class ScrapeOrchestrator {
       };
 
     } catch (error) {
-      // Update provider health
-      this.updateProviderHealth(providerId, false, Date.now() - startTime);
+      // Update provider health (a refused call says nothing new about the provider)
+      if (error.code !== 'CIRCUIT_OPEN') {
+        this.updateProviderHealth(providerId, false, Date.now() - startTime);
+      }
 
       // Log to history
       this.logOperation({
@@ -201,10 +215,12 @@ class ScrapeOrchestrator {
   /**
    * Execute scrape operation through request queue
    */
-  async executeScrape({ operation, providerId, args, priority, operationKey }) {
+  async executeScrape({ operation, providerId, args, priority, operationKey, fallback = true }) {
     return requestQueue.enqueue(
       async () => {
-        return executeScraper(providerId, operation, ...args);
+        return fallback
+          ? executeScraper(providerId, operation, ...args)
+          : executeProviderScraper(providerId, operation, ...args);
       },
       {
         priority,
@@ -233,7 +249,7 @@ class ScrapeOrchestrator {
     let providersList = providers;
     if (!providersList || providersList.length === 0) {
       providersList = listProviders()
-        .filter(p => this.isProviderHealthy(p.id))
+        .filter(p => this.isProviderHealthy(p.id, operation))
         .map(p => p.id);
     }
 
@@ -491,11 +507,11 @@ class ScrapeOrchestrator {
   }
 
   /**
-   * Get cached data
+   * Get cached data (reads through to async L2 backends)
    */
-  getCachedData(key, operation) {
+  async getCachedData(key, operation) {
     const cacheKey = `scrape_${key}`;
-    return cacheService.get(cacheKey);
+    return cacheService.getAsync(cacheKey);
   }
 
   /**
@@ -509,6 +525,9 @@ class ScrapeOrchestrator {
 
   /**
    * Update provider health metrics
+   * @param {string} providerId - Provider ID
+   * @param {boolean} success - Whether the request succeeded
+   * @param {number} responseTime - Response time in ms
    */
   updateProviderHealth(providerId, success, responseTime) {
     let health = this.providerHealth.get(providerId) || {
@@ -536,8 +555,13 @@ class ScrapeOrchestrator {
 
   /**
    * Check if provider is healthy
+   * @param {string} providerId - Provider ID
+   * @param {string} operation - Scraper operation (any open circuit of the provider counts when omitted)
+   * @returns {boolean} True if healthy
    */
-  isProviderHealthy(providerId) {
+  isProviderHealthy(providerId, operation = null) {
+    if (circuitBreaker.isOpen(providerId, operation)) return false;
+
     const health = this.providerHealth.get(providerId);
     if (!health) return true; // New provider, assume healthy
 
@@ -581,7 +605,8 @@ class ScrapeOrchestrator {
         successRate: total > 0 ? ((health.successCount / total) * 100).toFixed(2) + '%' : 'N/A',
         avgResponseTime: health.successCount > 0 ?
           Math.round(health.totalResponseTime / health.successCount) + 'ms' : 'N/A',
-        healthy: this.isProviderHealthy(providerId)
+        healthy: this.isProviderHealthy(providerId),
+        circuits: circuitBreaker.getProviderCircuits(providerId)
       };
     });
 
@@ -6,6 +6,7 @@
 
 const cheerio = require('cheerio');
 const { AxiosService } = require('../helper/axios_service');
+const { getProvider } = require('../config/providers');
 const { ParseError } = require('../helper/error_handler');
 const {
   normalizeComicItem,
@@ -17,6 +18,12 @@ const { resolveProvider, executeScraper } = require('./provider_manager');
 
 const BASE_URL = 'https://komikcast03.com';
 
+/**
+ * Get current base URL (honours runtime overrides from the dashboard)
+ * @returns {string} Base URL
+ */
+const getBaseUrl = () => getProvider('komikcast')?.baseUrl || BASE_URL;
+
 /**
  * Extract pagination info from element
  * @param {object} $ - Cheerio instance
@@ -93,12 +100,12 @@ const extractComicList = ($, element, selector = '.list-update_item') => {
       if (title && href) {
         comics.push(normalizeComicItem({
           title,
-          href: normalizeUrl(href, `${BASE_URL}/komik`),
+          href: normalizeUrl(href, `${getBaseUrl()}/komik`),
           thumbnail,
           type,
           chapter,
           rating
-        }, BASE_URL));
+        }, getBaseUrl()));
       }
     } catch (error) {
       console.error('Error extracting comic item:', error);
@@ -122,7 +129,7 @@ const getLatestComics = async (page, provider = null) => {
   }
   
   try {
-    const url = `${BASE_URL}/project-list/page/${page}`;
+    const url = `${getBaseUrl()}/project-list/page/${page}`;
     const response = await AxiosService(url);
     
     if (response.status !== 200) {
@@ -159,7 +166,7 @@ const getComicsByGenre = async (genreUrl, page, provider = null) => {
   }
   
   try {
-    const url = `${BASE_URL}/genres/${genreUrl}/page/${page}`;
+    const url = `${getBaseUrl()}/genres/${genreUrl}/page/${page}`;
     const response = await AxiosService(url);
     
     if (response.status !== 200) {
@@ -202,7 +209,7 @@ const getGenres = async (provider = null) => {
   }
   
   try {
-    const response = await AxiosService(BASE_URL);
+    const response = await AxiosService(getBaseUrl());
     
     if (response.status !== 200) {
       throw new ParseError('Failed to fetch genres');
@@ -219,7 +226,7 @@ const getGenres = async (provider = null) => {
       if (title && href) {
         genres.push({
           title,
-          href: normalizeUrl(href, `${BASE_URL}/genres`)
+          href: normalizeUrl(href, `${getBaseUrl()}/genres`)
         });
       }
     });
@@ -244,7 +251,7 @@ const getComicDetail = async (url, provider = null) => {
   }
   
   try {
-    const comicUrl = `${BASE_URL}/manga/${url}`;
+    const comicUrl = `${getBaseUrl()}/manga/${url}`;
     const response = await AxiosService(comicUrl);
     
     if (response.status !== 200) {
@@ -273,9 +280,9 @@ const getComicDetail = async (url, provider = null) => {
       if (title && href) {
         chapters.push(normalizeChapterItem({
           title: `Chapter ${title.replace('Chapter', '').trim()}`,
-          href: normalizeUrl(href, `${BASE_URL}/chapter`),
+          href: normalizeUrl(href, `${getBaseUrl()}/chapter`),
           date
-        }, BASE_URL));
+        }, getBaseUrl()));
       }
     });
 
@@ -287,7 +294,7 @@ const getComicDetail = async (url, provider = null) => {
       if (title && href) {
         genres.push({
           title,
-          href: normalizeUrl(href, `${BASE_URL}/genres`)
+          href: normalizeUrl(href, `${getBaseUrl()}/genres`)
         });
       }
     });
@@ -303,7 +310,7 @@ const getComicDetail = async (url, provider = null) => {
       description,
       thumbnail,
       chapter: chapters
-    }, BASE_URL);
+    }, getBaseUrl());
   } catch (error) {
     throw new ParseError(`Error scraping comic detail: ${error.message}`, error);
   }
@@ -323,7 +330,7 @@ const readChapter = async (url, provider = null) => {
   }
   
   try {
-    const chapterUrl = `${BASE_URL}/${url}`;
+    const chapterUrl = `${getBaseUrl()}/${url}`;
     const response = await AxiosService(chapterUrl);
     
     if (response.status !== 200) {
@@ -366,7 +373,7 @@ const searchComics = async (keyword, provider = null) => {
   }
   
   try {
-    const url = `${BASE_URL}/?s=${encodeURIComponent(keyword)}`;
+    const url = `${getBaseUrl()}/?s=${encodeURIComponent(keyword)}`;
     const response = await AxiosService(url);
     
     if (response.status !== 200) {
@@ -397,7 +404,7 @@ const getPopularComics = async (provider = null) => {
   }
   
   try {
-    const response = await AxiosService(BASE_URL);
+    const response = await AxiosService(getBaseUrl());
     
     if (response.status !== 200) {
       throw new ParseError('Failed to fetch popular comics');
@@ -418,11 +425,11 @@ const getPopularComics = async (provider = null) => {
       if (title && href) {
         comics.push(normalizeComicItem({
           title,
-          href: normalizeUrl(href, `${BASE_URL}/komik`),
+          href: normalizeUrl(href, `${getBaseUrl()}/komik`),
           genre: genre.replace('Genres:', '').trim(),
           year,
           thumbnail
-        }, BASE_URL));
+        }, getBaseUrl()));
       }
     });
 
@@ -445,7 +452,7 @@ const getRecommendedComics = async (provider = null) => {
   }
   
   try {
-    const response = await AxiosService(BASE_URL);
+    const response = await AxiosService(getBaseUrl());
     
     if (response.status !== 200) {
       throw new ParseError('Failed to fetch recommended comics');
@@ -0,0 +1,374 @@
+/**
+ * Selector Health Service
+ * Detects selector drift on HTML-scraped providers by running their configured selectors
+ * against a live page (or a saved fixture) and reporting what no longer matches
+ *
+ * A page that is blocked (Cloudflare challenge, captcha, 403) is reported as `blocked`,
+ * never as drift - the selectors cannot be judged against a challenge page
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { axiosInstance, detectCloudflareBlock, verifyResponse } = require('../helper/axios_service');
+const { providers, getProvider } = require('../config/providers');
+const { NotFoundError, ValidationError } = require('../helper/error_handler');
+const { buildUrl, readText, readHref, canUseGenericScraper } = require('./generic_scraper');
+
+// Detect Vercel environment
+const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
+
+// Saved pages used in fixture mode: <dir>/<providerId>/<feature>.html
+const FIXTURES_DIR = process.env.KANAVERSE_SELECTOR_FIXTURES ||
+  path.join(__dirname, '../../fixtures/selectors');
+
+// Features that can be checked live without knowing a real slug/genre
+const LIVE_PARAMS = {
+  latest: { page: 1 },
+  popular: {},
+  recommended: {},
+  search: { keyword: 'a' },
+  genreList: {}
+};
+
+// Fields that must yield a value for an item to be usable
+const REQUIRED_FIELDS = ['title', 'href'];
+
+// Selectors that are allowed to match nothing (e.g. single page lists have no pagination)
+const OPTIONAL_FIELDS = ['pagination'];
+
+// List-page selectors evaluated against the container instead of each item
+const PAGE_FIELDS = ['pagination'];
+
+// Detail-page selectors evaluated per chapter row instead of against the container
+const CHAPTER_FIELDS = ['chapterTitle', 'chapterHref', 'chapterDate'];
+
+class SelectorHealthService {
+  constructor() {
+    // Feature match rate below this marks the provider as degraded
+    this.driftThreshold = 0.8;
+    // Required fields must be non-empty in at least this share of items
+    this.minYieldRate = 0.5;
+    this.timeout = isVercel ? 6000 : 15000;
+    this.reports = new Map();
+  }
+
+  /**
+   * Check whether a provider is scraped from HTML with configured selectors
+   * API-backed providers (those with `apiUrl`) are skipped
+   * @param {object} config - Provider configuration
+   * @returns {boolean} True if selectors can be checked
+   */
+  isCheckable(config) {
+    return !!config && !config.apiUrl && canUseGenericScraper(config);
+  }
+
+  /**
+   * Count matches for a selector, treating invalid selectors as zero matches
+   * @param {function} find - Function running the selector
+   * @returns {object} { count, invalid }
+   */
+  safeCount(find) {
+    try {
+      return { count: find().length, invalid: false };
+    } catch (error) {
+      return { count: 0, invalid: true };
+    }
+  }
+
+  /**
+   * Run operation selectors against a parsed page
+   * @param {object} $ - Cheerio instance
+   * @param {object} selectors - Operation selectors
+   * @returns {object} Selector results, issues and match rate
+   */
+  evaluateSelectors($, selectors) {
+    const results = {};
+    const issues = [];
+
+    const container = selectors.container
+      ? this.safeCount(() => $(selectors.container).first())
+      : { count: 1, invalid: false };
+    results.container = { selector: selectors.container || null, matched: container.count };
+    if (selectors.container && container.count === 0) {
+      issues.push(`container '${selectors.container}' matched 0 nodes`);
+    }
+
+    // Scrapers fall back to <body> when the container is gone
+    const $root = container.count > 0 && selectors.container ? $(selectors.container).first() : $('body');
+    const listSelector = selectors.items || selectors.chapters || null;
+    const listKey = selectors.items ? 'items' : 'chapters';
+    let $items = null;
+
+    if (listSelector) {
+      const list = this.safeCount(() => $root.find(listSelector));
+      $items = list.invalid ? null : $root.find(listSelector);
+      results[listKey] = { selector: listSelector, matched: list.count };
+      if (list.count === 0) {
+        issues.push(`${listKey} '${listSelector}'${list.invalid ? ' is invalid' : ' matched 0 nodes'}`);
+      }
+    }
+
+    Object.keys(selectors)
+      .filter(field => !['container', 'items', 'chapters'].includes(field) && selectors[field])
+      .forEach(field => {
+        const selector = selectors[field];
+        const perItem = selectors.items ? !PAGE_FIELDS.includes(field) : CHAPTER_FIELDS.includes(field);
+
+        if (!perItem || !$items) {
+          const single = this.safeCount(() => $root.find(selector));
+          results[field] = { selector, matched: single.count };
+          if (single.count === 0 && !OPTIONAL_FIELDS.includes(field)) {
+            issues.push(`${field} '${selector}'${single.invalid ? ' is invalid' : ' matched 0 nodes'}`);
+          }
+          return;
+        }
+
+        let matched = 0;
+        let nonEmpty = 0;
+        let invalid = false;
+        $items.each((i, el) => {
+          const $item = $(el);
+          try {
+            if ($item.find(selector).length > 0 || $item.is(selector)) matched++;
+            const value = field.toLowerCase().endsWith('href') ? readHref($item, selector) : readText($item, selector);
+            if (value) nonEmpty++;
+          } catch (error) {
+            invalid = true;
+          }
+        });
+
+        const total = $items.length;
+        results[field] = { selector, matched, nonEmpty, total };
+
+        if (invalid) {
+          issues.push(`${field} '${selector}' is invalid`);
+        } else if (total > 0 && matched === 0 && !OPTIONAL_FIELDS.includes(field)) {
+          issues.push(`${field} '${selector}' matched 0 nodes in ${total} items`);
+        } else if (REQUIRED_FIELDS.includes(field) && total > 0 && nonEmpty / total < this.minYieldRate) {
+          issues.push(`${field} '${selector}' was empty in ${total - nonEmpty} of ${total} items`);
+        }
+      });
+
+    // Share of selectors that still work; required fields also need to yield values
+    const checked = Object.keys(results).filter(field => !OPTIONAL_FIELDS.includes(field));
+    const working = checked.filter(field => {
+      const result = results[field];
+      if (result.matched === 0) return false;
+      if (REQUIRED_FIELDS.includes(field) && result.total > 0) {
+        return result.nonEmpty / result.total >= this.minYieldRate;
+      }
+      return true;
+    });
+
+    return {
+      selectors: results,
+      issues,
+      matchRate: checked.length > 0 ? working.length / checked.length : 1
+    };
+  }
+
+  /**
+   * Fetch a page for a feature without AxiosService retries, keeping the raw response
+   * so blocked pages can be told apart from changed markup
+   * @param {string} url - Page URL
+   * @returns {Promise<object>} { response, error }
+   */
+  async fetchPage(url) {
+    try {
+      const response = await axiosInstance.get(encodeURI(url), { timeout: this.timeout });
+      return { response, error: null };
+    } catch (error) {
+      return { response: error.response || null, error };
+    }
+  }
+
+  /**
+   * Check one feature of a provider
+   * @param {string} providerId - Provider ID
+   * @param {object} config - Provider configuration
+   * @param {string} feature - Feature name
+   * @param {string|null} html - Fixture HTML (fetches live page when null)
+   * @returns {Promise<object>} Feature report
+   */
+  async checkFeature(providerId, config, feature, html = null) {
+    const selectors = config.selectors[feature];
+    const report = { feature, source: html !== null ? 'fixture' : 'live', url: null };
+
+    if (html === null) {
+      report.url = buildUrl(config.baseUrl, config.urlPatterns[feature], LIVE_PARAMS[feature] || {});
+      const startTime = Date.now();
+      const { response, error } = await this.fetchPage(report.url);
+      report.responseTime = Date.now() - startTime;
+
+      if (!response) {
+        return { ...report, status: 'unreachable', error: error?.message || 'No response received' };
+      }
+
+      const cloudflare = detectCloudflareBlock(response);
+      if (cloudflare.isBlocked) {
+        return { ...report, status: 'blocked', httpStatus: response.status, blockType: cloudflare.blockType };
+      }
+
+      const verification = verifyResponse(response, { expectHtml: true });
+      if (response.status >= 400 || typeof response.data !== 'string') {
+        return { ...report, status: 'error', httpStatus: response.status, issues: verification.issues };
+      }
+
+      html = response.data;
+      report.httpStatus = response.status;
+    }
+
+    const evaluation = this.evaluateSelectors(cheerio.load(html), selectors);
+    return {
+      ...report,
+      status: evaluation.matchRate < this.driftThreshold ? 'drift' : 'ok',
+      ...evaluation
+    };
+  }
+
+  /**
+   * Load fixture pages saved for a provider
+   * @param {string} providerId - Provider ID
+   * @param {string} dir - Fixtures directory
+   * @returns {object} Feature -> HTML
+   * @throws {NotFoundError} When the provider is not registered
+   */
+  loadFixtures(providerId, dir = FIXTURES_DIR) {
+    // Only registered IDs, so the ID can't walk out of the fixtures directory
+    if (!getProvider(providerId)) {
+      throw new NotFoundError(`Provider '${providerId}' not found`);
+    }
+
+    const providerDir = path.join(dir, providerId);
+    if (!fs.existsSync(providerDir)) return {};
+
+    return fs.readdirSync(providerDir)
+      .filter(file => file.endsWith('.html'))
+      .reduce((fixtures, file) => {
+        fixtures[path.basename(file, '.html')] = fs.readFileSync(path.join(providerDir, file), 'utf8');
+        return fixtures;
+      }, {});
+  }
+
+  /**
+   * Check a provider's selectors
+   * @param {string} providerId - Provider ID
+   * @param {object} options - Check options
+   * @param {object} options.fixtures - Feature -> HTML; only these features are checked, no network
+   * @param {Array} options.features - Features to check live (defaults to every live-checkable feature)
+   * @returns {Promise<object>} Provider report
+   */
+  async checkProvider(providerId, options = {}) {
+    const config = getProvider(providerId);
+    if (!config) {
+      throw new NotFoundError(`Provider '${providerId}' not found`);
+    }
+    if (!this.isCheckable(config)) {
+      throw new ValidationError(`Provider '${providerId}' is not scraped with selectors`);
+    }
+
+    const { fixtures = null } = options;
+    const features = fixtures
+      ? Object.keys(fixtures)
+      : (options.features || Object.keys(LIVE_PARAMS));
+
+    const checks = features.filter(feature =>
+      config.features[feature] && config.urlPatterns[feature] && config.selectors[feature]);
+
+    const featureReports = {};
+    for (const feature of checks) {
+      featureReports[feature] = await this.checkFeature(providerId, config, feature, fixtures ? fixtures[feature] : null);
+    }
+
+    // Kept out of scrape_orchestrator health: fixture runs and probe pages are not provider traffic
+    const report = this.summarize(providerId, featureReports);
+    this.reports.set(providerId, report);
+
+    return report;
+  }
+
+  /**
+   * Combine feature reports into a provider status
+   * Only pages that were actually evaluated count toward the match rate
+   * @param {string} providerId - Provider ID
+   * @param {object} featureReports - Feature -> report
+   * @returns {object} Provider report
+   */
+  summarize(providerId, featureReports) {
+    const reports = Object.values(featureReports);
+    const evaluated = reports.filter(r => r.status === 'ok' || r.status === 'drift');
+    const blocked = reports.filter(r => r.status === 'blocked');
+
+    let status = 'unknown';
+    if (evaluated.length > 0) {
+      status = evaluated.some(r => r.status === 'drift') ? 'degraded' : 'healthy';
+    } else if (blocked.length > 0) {
+      status = 'blocked';
+    } else if (reports.length > 0) {
+      status = 'unreachable';
+    }
+
+    const matchRate = evaluated.length > 0
+      ? evaluated.reduce((sum, r) => sum + r.matchRate, 0) / evaluated.length
+      : null;
+    const timed = reports.filter(r => typeof r.responseTime === 'number');
+
+    return {
+      provider: providerId,
+      status,
+      matchRate: matchRate !== null ? Math.round(matchRate * 100) / 100 : null,
+      drift: evaluated.filter(r => r.status === 'drift').map(r => r.feature),
+      blocked: blocked.map(r => r.feature),
+      responseTime: timed.length > 0
+        ? Math.round(timed.reduce((sum, r) => sum + r.responseTime, 0) / timed.length)
+        : 0,
+      checkedAt: Date.now(),
+      features: featureReports
+    };
+  }
+
+  /**
+   * Check every enabled HTML provider
+   * @param {object} options - Check options
+   * @param {boolean} options.useFixtures - Use pages from the fixtures directory instead of live pages
+   * @param {boolean} options.includeDisabled - Also check disabled providers
+   * @returns {Promise<Array>} Provider reports
+   */
+  async checkAll(options = {}) {
+    const { useFixtures = false, includeDisabled = false } = options;
+    const ids = Object.keys(providers)
+      .filter(id => this.isCheckable(providers[id]))
+      .filter(id => includeDisabled || providers[id].enabled);
+
+    const reports = [];
+    for (const id of ids) {
+      const fixtures = useFixtures ? this.loadFixtures(id) : null;
+      if (useFixtures && Object.keys(fixtures).length === 0) continue;
+      reports.push(await this.checkProvider(id, { fixtures }));
+    }
+    return reports;
+  }
+
+  /**
+   * Get last report for each HTML provider
+   * @returns {object} Provider ID -> report (status `unknown` until first check)
+   */
+  getReports() {
+    const result = {};
+    Object.keys(providers)
+      .filter(id => this.isCheckable(providers[id]))
+      .forEach(id => {
+        result[id] = this.reports.get(id) || { provider: id, status: 'unknown', checkedAt: null };
+      });
+    return result;
+  }
+}
+
+// Singleton instance
+const selectorHealthService = new SelectorHealthService();
+
+module.exports = {
+  SelectorHealthService,
+  selectorHealthService
+};
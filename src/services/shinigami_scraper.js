@@ -13,10 +13,23 @@ const {
   normalizeRating,
   normalizePagination
 } = require('../helper/data_validator');
+const { getProvider } = require('../config/providers');
 
 const BASE_URL = 'https://08.shinigami.asia';
 const API_BASE_URL = 'https://api.shngm.io/v1';
 
+/**
+ * Get current base URL (honours runtime overrides from the dashboard)
+ * @returns {string} Base URL
+ */
+const getBaseUrl = () => getProvider('shinigami')?.baseUrl || BASE_URL;
+
+/**
+ * Get current API base URL (honours runtime overrides from the dashboard)
+ * @returns {string} API base URL
+ */
+const getApiBaseUrl = () => getProvider('shinigami')?.apiUrl || API_BASE_URL;
+
 /**
  * Get latest comics
  * @param {number} page - Page number
@@ -24,7 +37,7 @@ const API_BASE_URL = 'https://api.shngm.io/v1';
  */
 const getLatestComics = async (page = 1) => {
   try {
-    const url = `${API_BASE_URL}/manga/list?page=${page || 1}&page_size=24&sort=latest&sort_order=desc`;
+    const url = `${getApiBaseUrl()}/manga/list?page=${page || 1}&page_size=24&sort=latest&sort_order=desc`;
     const response = await AxiosService(url);
     
     if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
@@ -45,7 +58,7 @@ const getLatestComics = async (page = 1) => {
       author: item.taxonomy?.Author?.[0]?.name || '',
       released: item.release_year || '',
       description: item.description || ''
-    }, BASE_URL));
+    }, getBaseUrl()));
 
     return {
       current_page: meta.page || page,
@@ -87,7 +100,7 @@ const getComicDetail = async (url) => {
     // Extract UUID from URL if it contains path
     const mangaId = url.includes('/') ? url.split('/').pop().replace(/\/$/, '') : url;
     
-    const detailUrl = `${API_BASE_URL}/manga/detail/${mangaId}`;
+    const detailUrl = `${getApiBaseUrl()}/manga/detail/${mangaId}`;
     const response = await AxiosService(detailUrl);
     
     if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
@@ -97,7 +110,7 @@ const getComicDetail = async (url) => {
     const item = response.data.data;
     
     // Get chapters
-    const chaptersUrl = `${API_BASE_URL}/chapter/${mangaId}/list?page=1&page_size=100&sort_by=chapter_number&sort_order=desc`;
+    const chaptersUrl = `${getApiBaseUrl()}/chapter/${mangaId}/list?page=1&page_size=100&sort_by=chapter_number&sort_order=desc`;
     const chaptersResponse = await AxiosService(chaptersUrl);
     
     let chapters = [];
@@ -106,7 +119,7 @@ const getComicDetail = async (url) => {
         title: ch.chapter_title || `Chapter ${ch.chapter_number}`,
         href: `/chapter/${ch.chapter_id}`,
         date: ch.release_date || ''
-      }, BASE_URL));
+      }, getBaseUrl()));
     }
 
     // Extract genres
@@ -145,7 +158,7 @@ const readChapter = async (url) => {
     // Extract UUID from URL if it contains path
     const chapterId = url.includes('/') ? url.split('/').pop().replace(/\/$/, '') : url;
     
-    const chapterUrl = `${API_BASE_URL}/chapter/detail/${chapterId}`;
+    const chapterUrl = `${getApiBaseUrl()}/chapter/detail/${chapterId}`;
     const response = await AxiosService(chapterUrl);
     
     if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
@@ -184,7 +197,7 @@ const readChapter = async (url) => {
  */
 const searchComics = async (keyword) => {
   try {
-    const url = `${API_BASE_URL}/manga/list?page=1&page_size=50&q=${encodeURIComponent(keyword)}`;
+    const url = `${getApiBaseUrl()}/manga/list?page=1&page_size=50&q=${encodeURIComponent(keyword)}`;
     const response = await AxiosService(url);
     
     if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
@@ -205,7 +218,7 @@ const searchComics = async (keyword) => {
       author: item.taxonomy?.Author?.[0]?.name || '',
       released: item.release_year || '',
       description: item.description || ''
-    }, BASE_URL));
+    }, getBaseUrl()));
 
     return comics;
   } catch (error) {
@@ -219,7 +232,7 @@ const searchComics = async (keyword) => {
  */
 const getPopularComics = async () => {
   try {
-    const url = `${API_BASE_URL}/manga/list?page=1&page_size=50&sort=rank&sort_order=asc`;
+    const url = `${getApiBaseUrl()}/manga/list?page=1&page_size=50&sort=rank&sort_order=asc`;
     const response = await AxiosService(url);
     
     if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
@@ -240,7 +253,7 @@ const getPopularComics = async () => {
       author: item.taxonomy?.Author?.[0]?.name || '',
       released: item.release_year || '',
       description: item.description || ''
-    }, BASE_URL));
+    }, getBaseUrl()));
 
     return comics;
   } catch (error) {
@@ -254,7 +267,7 @@ const getPopularComics = async () => {
  */
 const getRecommendedComics = async () => {
   try {
-    const url = `${API_BASE_URL}/manga/list?page=1&page_size=50&is_recommended=true`;
+    const url = `${getApiBaseUrl()}/manga/list?page=1&page_size=50&is_recommended=true`;
     const response = await AxiosService(url);
     
     if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
@@ -275,7 +288,7 @@ const getRecommendedComics = async () => {
       author: item.taxonomy?.Author?.[0]?.name || '',
       released: item.release_year || '',
       description: item.description || ''
-    }, BASE_URL));
+    }, getBaseUrl()));
 
     return comics;
   } catch (error) {
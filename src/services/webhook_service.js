@@ -0,0 +1,505 @@
+/**
+ * Webhook Service
+ * Subscriptions that get signed POSTs when new chapters show up in a provider's latest list
+ *
+ * New chapters are found by scan() (scheduled job 'notify-new-chapters'), which compares page 1
+ * of the latest list with the previous scan through dataIntegrityService.detectNewItems
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { JsonStore } = require('../helper/json_store');
+const { isPrivateHost, publicAgents } = require('../helper/public_address');
+const { NotFoundError, ValidationError } = require('../helper/error_handler');
+const { listProviders } = require('./provider_manager');
+const { scrapeOrchestrator } = require('./scrape_orchestrator');
+const { dataIntegrityService } = require('./data_integrity');
+const { mangaMappingService } = require('./manga_mapping');
+
+// Detect Vercel environment
+const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
+
+/**
+ * Check if private targets are allowed (KANAVERSE_WEBHOOK_ALLOW_PRIVATE=true, for local testing)
+ * @returns {boolean} True if allowed
+ */
+const allowPrivateTargets = () => process.env.KANAVERSE_WEBHOOK_ALLOW_PRIVATE === 'true';
+
+class WebhookService {
+  constructor() {
+    // Subscriptions and the latest-list hashes of the previous scan (so restarts do not re-notify)
+    this.store = new JsonStore('webhooks', { subscriptions: {}, seen: {} });
+    this.deliveryStore = new JsonStore('webhook_deliveries', { deliveries: {} });
+
+    this.maxSubscriptions = 100;
+    this.maxSubscriptionsPerKey = 10; // Per API key; admins are only bound by maxSubscriptions
+    this.maxLogSize = 50; // Deliveries kept per subscription
+    this.maxFailures = 20; // Consecutive failed deliveries before a subscription is disabled
+    this.timeout = isVercel ? 5000 : 10000;
+    this.retryDelays = isVercel ? [500, 1500] : [5000, 30000];
+
+    // Redirects are never followed, so a public URL can't bounce a delivery to a private one
+    this.client = axios.create({
+      timeout: this.timeout,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+  }
+
+  /**
+   * Validate target URL
+   * @param {string} url - Target URL
+   * @returns {string|null} Error message or null when valid
+   */
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'url must be an absolute http(s) URL';
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an absolute http(s) URL';
+    }
+    // Literal addresses are checked here; hostnames are resolved and checked again on every delivery
+    if (!allowPrivateTargets() && isPrivateHost(parsed.hostname)) {
+      return 'url must not point to a private or local address';
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a string-or-array filter
+   * @param {string|Array} value - Filter
+   * @returns {Array} Trimmed, non-empty values
+   */
+  toList(value) {
+    const list = Array.isArray(value) ? value : (value ? String(value).split(',') : []);
+    return list.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Create subscription
+   * @param {object} options - Subscription options
+   * @param {string} options.url - Target URL
+   * @param {string|Array} options.series - Series filter (canonical IDs, provider manga IDs or title keywords)
+   * @param {string|Array} options.providers - Provider filter (alias: provider)
+   * @param {string} options.secret - HMAC secret for X-Kanaverse-Signature
+   * @param {string} options.owner - Who created it ('key:<apiKeyId>' or 'admin')
+   * @returns {object} Subscription view
+   * @throws {ValidationError} When options are invalid
+   */
+  subscribe(options = {}) {
+    const data = this.store.load();
+    const owner = options.owner || 'admin';
+    const owned = Object.values(data.subscriptions).filter(sub => sub.owner === owner).length;
+    const providers = this.toList(options.providers || options.provider);
+    const knownProviders = listProviders().map(provider => provider.id);
+
+    const errors = [
+      this.validateUrl(options.url),
+      ...providers.map(id => (knownProviders.includes(id) ? null : `Unknown provider '${id}'`)),
+      options.secret !== undefined && (typeof options.secret !== 'string' || options.secret.length < 8)
+        ? 'secret must be a string of at least 8 characters'
+        : null,
+      Object.keys(data.subscriptions).length >= this.maxSubscriptions
+        ? `Subscription limit reached (${this.maxSubscriptions})`
+        : null,
+      owner !== 'admin' && owned >= this.maxSubscriptionsPerKey
+        ? `Subscription limit per API key reached (${this.maxSubscriptionsPerKey})`
+        : null
+    ].filter(Boolean);
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid subscription', errors);
+    }
+
+    const subscription = {
+      id: crypto.randomBytes(8).toString('hex'),
+      url: options.url,
+      series: this.toList(options.series),
+      providers,
+      secret: options.secret || null,
+      owner,
+      active: true,
+      disabledReason: null,
+      consecutiveFailures: 0,
+      createdAt: Date.now(),
+      lastDeliveryAt: null
+    };
+
+    data.subscriptions[subscription.id] = subscription;
+    this.store.save();
+
+    return this.toView(subscription);
+  }
+
+  /**
+   * Delete subscription and its delivery log
+   * @param {string} id - Subscription ID
+   * @param {string|null} owner - Only when it belongs to this owner (null: any owner)
+   * @throws {NotFoundError} When subscription does not exist
+   */
+  unsubscribe(id, owner = null) {
+    this.getSubscriptionOrThrow(id, owner);
+
+    delete this.store.load().subscriptions[id];
+    this.store.save();
+
+    delete this.deliveryStore.load().deliveries[id];
+    this.deliveryStore.save();
+  }
+
+  /**
+   * Get subscription or throw
+   * Someone else's subscription is reported as not found, so IDs can't be probed
+   * @param {string} id - Subscription ID
+   * @param {string|null} owner - Only when it belongs to this owner ('key:<apiKeyId>'; null: any owner)
+   * @returns {object} Subscription
+   * @throws {NotFoundError} When it does not exist or belongs to someone else
+   */
+  getSubscriptionOrThrow(id, owner = null) {
+    const subscription = this.store.load().subscriptions[id];
+    if (!subscription || (owner !== null && subscription.owner !== owner)) {
+      throw new NotFoundError(`Subscription '${id}' not found`);
+    }
+    return subscription;
+  }
+
+  /**
+   * Subscription without its secret
+   * @param {object} subscription - Subscription
+   * @returns {object} View
+   */
+  toView(subscription) {
+    const { secret, ...view } = subscription;
+    return { ...view, signed: !!secret };
+  }
+
+  /**
+   * Get subscription view
+   * @param {string} id - Subscription ID
+   * @param {string|null} owner - Only when it belongs to this owner (null: any owner)
+   * @returns {object} View
+   */
+  getSubscription(id, owner = null) {
+    return this.toView(this.getSubscriptionOrThrow(id, owner));
+  }
+
+  /**
+   * List subscriptions
+   * @returns {Array} Views
+   */
+  listSubscriptions() {
+    return Object.values(this.store.load().subscriptions).map(subscription => this.toView(subscription));
+  }
+
+  /**
+   * Re-enable a subscription disabled after repeated failures
+   * @param {string} id - Subscription ID
+   * @returns {object} View
+   */
+  enable(id) {
+    const subscription = this.getSubscriptionOrThrow(id);
+    subscription.active = true;
+    subscription.disabledReason = null;
+    subscription.consecutiveFailures = 0;
+    this.store.save();
+    return this.toView(subscription);
+  }
+
+  /**
+   * Get delivery log (newest first)
+   * @param {string} id - Subscription ID
+   * @param {string|null} owner - Only when it belongs to this owner (null: any owner)
+   * @returns {Array} Deliveries
+   */
+  getDeliveries(id, owner = null) {
+    this.getSubscriptionOrThrow(id, owner);
+    return this.deliveryStore.load().deliveries[id] || [];
+  }
+
+  /**
+   * Check if a subscription wants chapters from a provider
+   * @param {object} subscription - Subscription
+   * @param {string} providerId - Provider ID
+   * @returns {boolean} True if it matches
+   */
+  wantsProvider(subscription, providerId) {
+    return subscription.providers.length === 0 || subscription.providers.includes(providerId);
+  }
+
+  /**
+   * Check if a chapter passes the subscription's series filter
+   * @param {object} subscription - Subscription
+   * @param {object} chapter - Chapter payload
+   * @returns {boolean} True if it matches
+   */
+  wantsChapter(subscription, chapter) {
+    if (subscription.series.length === 0) return true;
+
+    const title = (chapter.title || '').toLowerCase();
+    return subscription.series.some(filter =>
+      filter === chapter.canonicalId ||
+      filter === chapter.mangaId ||
+      title.includes(filter.toLowerCase())
+    );
+  }
+
+  /**
+   * Build chapter payload from a latest-list item
+   * @param {string} providerId - Provider ID
+   * @param {object} item - Latest comic item
+   * @returns {object} Chapter payload
+   */
+  toChapter(providerId, item) {
+    const mangaId = mangaMappingService.getProviderMangaId(providerId, item.href);
+
+    return {
+      title: item.title || '',
+      chapter: item.chapter || '',
+      mangaId,
+      canonicalId: mangaMappingService.getCanonicalId(providerId, item.href),
+      thumbnail: item.thumbnail || '',
+      detail: `/detail/${encodeURIComponent(mangaId)}?provider=${providerId}`
+    };
+  }
+
+  /**
+   * Fetch page 1 of a provider's latest list and return the chapters that are new since the last scan
+   * The first scan for a provider only records a baseline
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Array|null>} New chapters, or null for a baseline scan
+   */
+  async detectNewChapters(providerId) {
+    // The orchestrator already goes through requestQueue
+    const result = await scrapeOrchestrator.scrape({
+      operation: 'getLatestComics',
+      providerId,
+      args: [1],
+      forceRefresh: true,
+      deduplication: false
+    });
+
+    const items = Array.isArray(result.data?.data) ? result.data.data : [];
+    if (!result.success || items.length === 0) {
+      throw new Error(result.error || `No latest comics from '${providerId}'`);
+    }
+
+    const context = `webhook_${providerId}`;
+    const seen = this.store.load().seen;
+    if (!dataIntegrityService.getKnownHashes(context) && seen[providerId]) {
+      dataIntegrityService.setKnownHashes(context, seen[providerId]);
+    }
+
+    const baseline = !dataIntegrityService.getKnownHashes(context);
+    // Same series with a new chapter number counts as new
+    const { newItems } = dataIntegrityService.detectNewItems(items, context, ['href', 'chapter']);
+
+    seen[providerId] = dataIntegrityService.getKnownHashes(context);
+    this.store.save();
+
+    return baseline ? null : newItems.map(item => this.toChapter(providerId, item));
+  }
+
+  /**
+   * Scan latest lists of every provider with active subscriptions and deliver new chapters
+   * @returns {Promise<object>} Scan summary
+   */
+  async scan() {
+    const subscriptions = Object.values(this.store.load().subscriptions).filter(sub => sub.active);
+    const providers = listProviders()
+      .filter(provider => provider.enabled && provider.features?.latest)
+      .map(provider => provider.id)
+      .filter(id => subscriptions.some(sub => this.wantsProvider(sub, id)));
+
+    const summary = { providers: {}, newChapters: 0, deliveries: [] };
+    const pending = [];
+
+    // Sequential: one latest scrape per provider at a time
+    for (const providerId of providers) {
+      try {
+        const chapters = await this.detectNewChapters(providerId);
+        summary.providers[providerId] = chapters ? chapters.length : 'baseline';
+        if (!chapters || chapters.length === 0) continue;
+
+        summary.newChapters += chapters.length;
+        subscriptions
+          .filter(sub => this.wantsProvider(sub, providerId))
+          .forEach(sub => {
+            const matched = chapters.filter(chapter => this.wantsChapter(sub, chapter));
+            if (matched.length > 0) {
+              pending.push(this.deliver(sub.id, 'chapter.new', { provider: providerId, chapters: matched }));
+            }
+          });
+      } catch (error) {
+        summary.providers[providerId] = `failed: ${error.message}`;
+      }
+    }
+
+    const deliveries = await Promise.all(pending);
+    summary.deliveries = deliveries.map(({ id, subscriptionId, status, attempts }) => ({
+      id, subscriptionId, status, attempts: attempts.length
+    }));
+
+    if (Object.values(summary.providers).length > 0 &&
+      Object.values(summary.providers).every(value => String(value).startsWith('failed'))) {
+      throw new Error(`Latest scan failed for every provider: ${JSON.stringify(summary.providers)}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Sign a payload
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} 'sha256=<hex>'
+   */
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Deliver an event to a subscription, retrying failed attempts
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} event - Event name (chapter.new, ping)
+   * @param {object} data - Event data
+   * @param {object} options - Options
+   * @param {boolean} options.retry - Retry failed attempts (default true)
+   * @returns {Promise<object>} Delivery record
+   */
+  async deliver(subscriptionId, event, data, options = {}) {
+    const subscription = this.getSubscriptionOrThrow(subscriptionId);
+    const delivery = {
+      id: crypto.randomBytes(8).toString('hex'),
+      subscriptionId,
+      event,
+      chapters: Array.isArray(data.chapters) ? data.chapters.length : 0,
+      status: 'pending',
+      attempts: [],
+      createdAt: Date.now(),
+      deliveredAt: null
+    };
+    const body = JSON.stringify({ id: delivery.id, event, createdAt: delivery.createdAt, data });
+
+    const retries = options.retry === false ? 0 : this.retryDelays.length;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.retryDelays[attempt - 1]));
+      }
+
+      const result = await this.send(subscription, delivery, event, body);
+      delivery.attempts.push(result);
+      if (result.success) break;
+    }
+
+    const success = delivery.attempts[delivery.attempts.length - 1].success;
+    delivery.status = success ? 'delivered' : 'failed';
+    delivery.deliveredAt = success ? Date.now() : null;
+
+    this.recordDelivery(subscription, delivery);
+    return delivery;
+  }
+
+  /**
+   * Send one delivery attempt
+   * @param {object} subscription - Subscription
+   * @param {object} delivery - Delivery record
+   * @param {string} event - Event name
+   * @param {string} body - Raw JSON body
+   * @returns {Promise<object>} Attempt { at, success, status, duration, error }
+   */
+  async send(subscription, delivery, event, body) {
+    const startTime = Date.now();
+    const timestamp = Math.floor(startTime / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Kanaverse-Webhook/1.0',
+      'X-Kanaverse-Event': event,
+      'X-Kanaverse-Delivery': delivery.id,
+      'X-Kanaverse-Timestamp': String(timestamp)
+    };
+    if (subscription.secret) {
+      headers['X-Kanaverse-Signature'] = this.sign(subscription.secret, timestamp, body);
+    }
+
+    // Stored URLs are checked again: the rules may have changed since the subscription was created
+    const invalid = this.validateUrl(subscription.url);
+    if (invalid) {
+      return { at: startTime, success: false, status: null, duration: 0, error: invalid };
+    }
+
+    try {
+      const response = await this.client.post(subscription.url, body, {
+        headers,
+        ...(allowPrivateTargets() ? {} : publicAgents)
+      });
+      const success = response.status >= 200 && response.status < 300;
+      return {
+        at: startTime,
+        success,
+        status: response.status,
+        duration: Date.now() - startTime,
+        error: success ? null : `HTTP ${response.status}`
+      };
+    } catch (error) {
+      return { at: startTime, success: false, status: null, duration: Date.now() - startTime, error: error.message };
+    }
+  }
+
+  /**
+   * Store delivery in the log and update subscription health
+   * @param {object} subscription - Subscription
+   * @param {object} delivery - Delivery record
+   */
+  recordDelivery(subscription, delivery) {
+    const deliveries = this.deliveryStore.load().deliveries;
+    const log = deliveries[subscription.id] || [];
+    log.unshift(delivery);
+    deliveries[subscription.id] = log.slice(0, this.maxLogSize);
+    this.deliveryStore.save();
+
+    // Subscription may have been deleted while delivering
+    if (!this.store.load().subscriptions[subscription.id]) return;
+
+    subscription.lastDeliveryAt = delivery.createdAt;
+    if (delivery.status === 'delivered') {
+      subscription.consecutiveFailures = 0;
+    } else if (++subscription.consecutiveFailures >= this.maxFailures) {
+      subscription.active = false;
+      subscription.disabledReason = `${this.maxFailures} consecutive failed deliveries`;
+    }
+    this.store.save();
+  }
+
+  /**
+   * Get statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const subscriptions = Object.values(this.store.load().subscriptions);
+    const deliveries = Object.values(this.deliveryStore.load().deliveries).flat();
+
+    return {
+      subscriptions: subscriptions.length,
+      active: subscriptions.filter(sub => sub.active).length,
+      deliveries: {
+        logged: deliveries.length,
+        delivered: deliveries.filter(delivery => delivery.status === 'delivered').length,
+        failed: deliveries.filter(delivery => delivery.status === 'failed').length
+      },
+      providersTracked: Object.keys(this.store.load().seen)
+    };
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService();
+
+module.exports = {
+  WebhookService,
+  webhookService
+};